@@ -94,14 +94,16 @@ ipcMain.on("set-title-bar-overlay", (event, options) => {
 
 /**
  * IPC handler to open a file selection dialog
- * Allows user to select .mfd (MIFARE Dump) files
+ * The filters are built by the renderer from the registry of supported dump formats (src/utils/importers)
  * Sends selected file paths back to renderer via 'file-selected' event
+ * @param {Array<{name: string, extensions: string[]}>} [filters] - File type filters shown in the dialog
  */
-ipcMain.on("open-file-dialog", async (event) => {
+ipcMain.on("open-file-dialog", async (event, filters) => {
     const result = await dialog.showOpenDialog({
         properties: ["openFile"],
         filters: [
-            { name: "MIFARE Dump Files", extensions: ["mfd"] }
+            ...(Array.isArray(filters) ? filters : []),
+            { name: "All Files", extensions: ["*"] }
         ],
     });
 
@@ -137,6 +139,135 @@ ipcMain.handle("read-file", async (event, filePath) => {
     }
 });
 
+/**
+ * IPC handler to pick a file and read it, for files that are not dumps (e.g. key dictionaries)
+ * Unlike 'read-file', the file is not remembered as the dump to restore after a reload
+ * @param {Array<{name: string, extensions: string[]}>} [filters] - File type filters shown in the dialog
+ * @returns {{filePath: string, contents: string}|null} The chosen path and its contents formatted as uppercase hex string with spaces,
+ *          or null if the dialog was canceled
+ * @throws Will throw and forward any file read errors to the renderer
+ */
+ipcMain.handle("open-file-contents", async (event, filters) => {
+    const result = await dialog.showOpenDialog({
+        properties: ["openFile"],
+        filters: [
+            ...(Array.isArray(filters) ? filters : []),
+            { name: "All Files", extensions: ["*"] }
+        ],
+    });
+    if (result.canceled) return null;
+
+    const filePath = result.filePaths[0];
+    try {
+        const fileBuffer = await fs.promises.readFile(filePath);
+        const contents = Array.from(fileBuffer).map((byte) => byte.toString(16).padStart(2, "0").toUpperCase()).join(" ");
+        return { filePath, contents };
+    } catch (error) {
+        console.error(`Error reading file at path "${filePath}":`, error);
+        throw error; // Throw the error to the renderer process
+    }
+});
+
+/**
+ * IPC handler to pick several files and read them, with their modification time
+ * Used to load a series of dumps of the same card; like open-file-contents, the files are not remembered for restore
+ * @param {Array<{name: string, extensions: string[]}>} [filters] - File type filters shown in the dialog
+ * @returns {Array<{filePath: string, contents: string, modified: number}>} The files chosen by the user, with their contents
+ *          formatted as uppercase hex strings with spaces and their modification time in milliseconds (empty if canceled)
+ * @throws Will throw and forward any file read errors to the renderer
+ */
+ipcMain.handle("open-files-contents", async (event, filters) => {
+    const result = await dialog.showOpenDialog({
+        properties: ["openFile", "multiSelections"],
+        filters: [
+            ...(Array.isArray(filters) ? filters : []),
+            { name: "All Files", extensions: ["*"] }
+        ],
+    });
+    if (result.canceled) return [];
+
+    return Promise.all(result.filePaths.map(async (filePath) => {
+        try {
+            const [fileBuffer, stats] = await Promise.all([fs.promises.readFile(filePath), fs.promises.stat(filePath)]);
+            const contents = Array.from(fileBuffer).map((byte) => byte.toString(16).padStart(2, "0").toUpperCase()).join(" ");
+            return { filePath, contents, modified: stats.mtimeMs };
+        } catch (error) {
+            console.error(`Error reading file at path "${filePath}":`, error);
+            throw error; // Throw the error to the renderer process
+        }
+    }));
+});
+
+/**
+ * IPC handler to open a save dialog
+ * The filters are built by the renderer from the registry of export formats (src/utils/exporters)
+ * @param {Array<{name: string, extensions: string[]}>} filters - File type filters shown in the dialog
+ * @param {string} [defaultPath] - File name (or path) proposed to the user
+ * @returns {string|null} The path chosen by the user, or null if the dialog was canceled
+ */
+ipcMain.handle("save-file-dialog", async (event, filters, defaultPath) => {
+    const result = await dialog.showSaveDialog({
+        filters: Array.isArray(filters) ? filters : [],
+        defaultPath,
+    });
+
+    return result.canceled ? null : result.filePath;
+});
+
+/**
+ * IPC handler to write a file
+ * @param {string} filePath - Path of the file to write
+ * @param {Uint8Array} data - Contents of the file
+ * @throws Will throw and forward any file write errors to the renderer
+ */
+ipcMain.handle("write-file", async (event, filePath, data) => {
+    try {
+        await fs.promises.writeFile(filePath, Buffer.from(data));
+    } catch (error) {
+        console.error(`Error writing file at path "${filePath}":`, error);
+        throw error; // Throw the error to the renderer process
+    }
+});
+
+/**
+ * IPC handler to save an edited dump over the file it was loaded from
+ * The bytes are written to a temporary file next to it, which then replaces it: if writing fails halfway,
+ * the original file is left untouched
+ * @param {string} filePath - Path of the file to overwrite
+ * @param {Uint8Array} data - New contents of the file
+ * @throws Will throw and forward any file write errors to the renderer
+ */
+ipcMain.handle("save-file", async (event, filePath, data) => {
+    const tempPath = `${filePath}.tmp`;
+    try {
+        await fs.promises.writeFile(tempPath, new Uint8Array(data));
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        console.error(`Error saving file at path "${filePath}":`, error);
+        await fs.promises.rm(tempPath, { force: true });
+        throw error; // Throw the error to the renderer process
+    }
+});
+
+/**
+ * IPC handler to ask the user to confirm an action
+ * The texts are passed by the renderer, in the language of the application
+ * @param {{message: string, detail: string, buttons: string[]}} options - The question, its explanation, and the confirm and cancel buttons
+ * @returns {boolean} Whether the user chose the confirm button
+ */
+ipcMain.handle("confirm-dialog", async (event, { message, detail, buttons }) => {
+    const result = await dialog.showMessageBox({
+        type: 'warning',
+        message,
+        detail,
+        buttons,
+        defaultId: 1,
+        cancelId: 1,
+    });
+
+    return result.response === 0;
+});
+
 // Application lifecycle event handlers
 app.whenReady().then(() => {
     createWindow();
@@ -2,8 +2,14 @@ const { contextBridge, ipcRenderer } = require("electron");
 
 contextBridge.exposeInMainWorld("electronAPI", {
     setTitleBarOverlay: (options) => ipcRenderer.send("set-title-bar-overlay", options),
-    openFileDialog: () => ipcRenderer.send("open-file-dialog"), // Expose the openFileDialog function
+    openFileDialog: (filters) => ipcRenderer.send("open-file-dialog", filters), // Expose the openFileDialog function
     readFile: (filePath) => ipcRenderer.invoke("read-file", filePath), // Expose the readFile function
+    openFileContents: (filters) => ipcRenderer.invoke("open-file-contents", filters), // Pick a file and read it, without loading it in the pages
+    openFilesContents: (filters) => ipcRenderer.invoke("open-files-contents", filters), // Pick several files and read them, with their modification time
+    saveFileDialog: (filters, defaultPath) => ipcRenderer.invoke("save-file-dialog", filters, defaultPath), // Ask where to save a file
+    writeFile: (filePath, data) => ipcRenderer.invoke("write-file", filePath, data), // Write bytes to a file
+    saveFile: (filePath, data) => ipcRenderer.invoke("save-file", filePath, data), // Replace a file with new bytes, atomically
+    confirmDialog: (options) => ipcRenderer.invoke("confirm-dialog", options), // Ask the user to confirm an action
     onFileSelected: (callback) => {
         ipcRenderer.on("file-selected", (event, filePaths) => {
             callback(filePaths);
@@ -0,0 +1,244 @@
+import React, { useEffect, useState } from 'react';
+import { formatText } from '../utils/formatText';
+import { bytesToHex, hexToBytes } from '../utils/hexString';
+import { ACCESS_GROUPS, DATA_PERMISSIONS, TRAILER_PERMISSIONS, decodeAccessBits, encodeAccessBits, decodeTrailerAccess } from '../utils/accessConditions';
+import { rebuildModel } from '../utils/rebuildModel';
+import { getMenuLabel } from '../utils/menuItems';
+
+// Access conditions of a blank card: every key can do everything on the data blocks, Key A manages the trailer
+const TRANSPORT_GROUPS = ['000', '000', '000', '001'];
+const TRANSPORT_USER_BYTE = 0x69;
+
+/**
+ * Lists the keys allowed to do something, or "-" if none is
+ * @param {Array<string>} keys - The keys ("A", "B")
+ * @returns {string} The keys separated by "|"
+ */
+function formatKeys(keys) {
+    return keys.join('|') || '-';
+}
+
+/**
+ * Describes the permissions a "C1C2C3" value grants on a data block
+ * @param {string} bits - The "C1C2C3" bits of the access group
+ * @returns {string} The keys allowed to read, write, increment and decrement/transfer/restore the block
+ */
+function describeDataAccess(bits) {
+    const { read, write, increment, decrement } = DATA_PERMISSIONS[bits];
+    return `R: ${formatKeys(read)}; W: ${formatKeys(write)}; I: ${formatKeys(increment)}; D/T/R: ${formatKeys(decrement)}`;
+}
+
+/**
+ * Describes the permissions a "C1C2C3" value grants on the sector trailer
+ * @param {string} bits - The "C1C2C3" bits of the access group
+ * @returns {string} The keys allowed to read and write Key A, the access bits (AC) and Key B
+ */
+function describeTrailerAccess(bits) {
+    const { keyA, accessBits, keyB } = decodeTrailerAccess(bits);
+    return [['KeyA', keyA], ['AC', accessBits], ['KeyB', keyB]]
+        .map(([field, { read, write }]) => `${field} R/W: ${formatKeys(read)}/${formatKeys(write)}`)
+        .join('; ');
+}
+
+/**
+ * AccessCalculator component - Panel to craft the access bytes of a MIFARE Classic sector trailer
+ *
+ * The access condition of every group can be picked from the permissions it grants or typed as raw C1C2C3 bits.
+ * The resulting bytes (access bits and user byte) can also be typed directly: they are decoded back with the
+ * same logic used by the parser (see utils/accessConditions.js), invalid combinations included.
+ * The result can be written into a sector of the loaded dump.
+ *
+ * @returns {JSX.Element} - Access conditions calculator panel
+ */
+function AccessCalculator() {
+    const [language] = useState(JSON.parse(sessionStorage.getItem('language')) || null);
+    const text = language.AccessCalculator;
+
+    // Access bytes and user byte, as typed by the user (always 8 hex digits when valid)
+    const [bytesText, setBytesText] = useState(bytesToHex([...encodeAccessBits(TRANSPORT_GROUPS), TRANSPORT_USER_BYTE]));
+
+    // Loaded dump, and sector the result is applied to
+    const [fileData, setFileData] = useState(JSON.parse(sessionStorage.getItem('fileJSON')));
+    const [sectorIndex, setSectorIndex] = useState(0);
+
+    // Keep track of the loaded dump
+    useEffect(() => {
+        const handleFileLoaded = (event) => {
+            if (event.data.type === 'fileLoaded' || event.data.type === 'fileEdited') setFileData(event.data.data);
+        };
+        window.addEventListener('message', handleFileLoaded);
+        return () => window.removeEventListener('message', handleFileLoaded);
+    }, []);
+
+    // Decode the typed bytes; the selections below are only shown when they are valid hex
+    const isHex = /^[0-9A-Fa-f]{8}$/.test(bytesText.replace(/\s/g, ''));
+    const Bytes = isHex ? hexToBytes(bytesText) : null;
+    const Decoded = Bytes ? decodeAccessBits(Bytes.slice(0, 3)) : null;
+    const TrailerAccess = Decoded ? decodeTrailerAccess(Decoded.groups[ACCESS_GROUPS - 1]) : null;
+
+    /**
+     * Changes the access condition of one group and re-encodes the access bytes, keeping the user byte
+     * @param {number} group - The access group (3 for the sector trailer)
+     * @param {string} bits - The new "C1C2C3" bits
+     */
+    const setGroup = (group, bits) => {
+        const Groups = Decoded.groups.map((current, index) => index === group ? bits : current);
+        setBytesText(bytesToHex([...encodeAccessBits(Groups), Bytes[3]]));
+    };
+
+    // Only MIFARE Classic dumps have sector trailers
+    const Sectors = fileData?.family === 'classic' ? fileData.sectors : [];
+    const Sector = Sectors[sectorIndex];
+
+    // Offset of the access bytes in the dump: bytes 6-9 of the last block of the sector
+    const trailerOffset = Sector ? (Sector.firstBlock + Sector.blockCount - 1) * 16 + 6 : null;
+
+    /**
+     * Shows the access bytes and user byte currently stored in the selected sector
+     */
+    const readFromSector = () => {
+        setBytesText(bytesToHex(fileData.raw.slice(trailerOffset, trailerOffset + 4)));
+    };
+
+    /**
+     * Writes the access bytes and user byte into the selected sector, then sends the edited dump to every page.
+     * The change is unsaved: like the edits of the hex editor, it goes out as 'fileEdited', which keeps the edit history of View.
+     */
+    const applyToSector = () => {
+        const raw = [...fileData.raw];
+        const known = [...fileData.known];
+        Bytes.forEach((byte, index) => {
+            raw[trailerOffset + index] = byte;
+            known[trailerOffset + index] = 1;
+        });
+
+        const json = rebuildModel(fileData, raw, known);
+        if (!json) return;
+
+        sessionStorage.setItem('fileJSON', JSON.stringify(json));
+        window.postMessage({
+            type: 'fileEdited',
+            data: json,
+            dirty: true,
+            external: true
+        });
+    };
+
+    /**
+     * Handles closing the calculator panel
+     * Posts a message to parent window to close the panel
+     */
+    const handleClose = () => {
+        window.postMessage({
+            type: 'closeAccessCalculator'
+        });
+    };
+
+    // Large sectors of 4K cards share one access group between 5 blocks
+    const GroupNames = Sector?.blockCount > 4 ? text.LargeGroups : text.Groups;
+
+    return (
+        <div className="w-full">
+            <div className="flex flex-row items-center">
+                {/* Back button */}
+                <button onClick={handleClose}>
+                    <svg
+                        className="aspect-square w-8 h-8 m-2"
+                        viewBox="0 0 24 24"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth={2}
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                    >
+                        <polyline points="12 8 6 12 12 16" />
+                    </svg>
+                </button>
+                <div className="flex flex-col items-center justify-center w-full h-full">
+                    <h1 className="text-3xl font-inconsolata text-light-text dark:text-dark-text">{getMenuLabel(language, 'Access Calculator')}</h1>
+                </div>
+            </div>
+            <div className="flex flex-col items-start justify-start w-full p-5 gap-4">
+                {/* Access condition of every group, as permissions or raw bits */}
+                <div className="grid grid-cols-[auto_auto_auto] gap-x-4 gap-y-2 items-center">
+                    {GroupNames.map((name, group) => {
+                        const isTrailer = group === ACCESS_GROUPS - 1;
+                        const Permissions = isTrailer ? TRAILER_PERMISSIONS : DATA_PERMISSIONS;
+                        return (
+                            <React.Fragment key={group}>
+                                <span>{name}</span>
+                                <select
+                                    className="p-1 rounded-lg bg-light-primary dark:bg-dark-primary"
+                                    value={Decoded?.groups[group] ?? ''}
+                                    disabled={!Decoded}
+                                    onChange={(event) => setGroup(group, event.target.value)}
+                                >
+                                    {Object.keys(Permissions).map((bits) => (
+                                        <option key={bits} value={bits}>
+                                            {isTrailer ? describeTrailerAccess(bits) : describeDataAccess(bits)}
+                                        </option>
+                                    ))}
+                                </select>
+                                <select
+                                    className="p-1 rounded-lg bg-light-primary dark:bg-dark-primary"
+                                    title={text.Raw}
+                                    value={Decoded?.groups[group] ?? ''}
+                                    disabled={!Decoded}
+                                    onChange={(event) => setGroup(group, event.target.value)}
+                                >
+                                    {Object.keys(Permissions).sort().map((bits) => (
+                                        <option key={bits} value={bits}>{bits}</option>
+                                    ))}
+                                </select>
+                            </React.Fragment>
+                        );
+                    })}
+                </div>
+
+                {/* Resulting bytes, which can also be typed to decode them */}
+                <label className="flex items-center gap-2">
+                    {text.Bytes}
+                    <input
+                        className="p-1 rounded-lg bg-light-primary dark:bg-dark-primary uppercase"
+                        value={bytesText}
+                        maxLength={11}
+                        spellCheck={false}
+                        onChange={(event) => setBytesText(event.target.value)}
+                    />
+                    {Bytes && <span className="opacity-50">{formatText(text.UserByte, { userByte: bytesToHex([Bytes[3]]) })}</span>}
+                </label>
+
+                {/* Reverse decode of the bytes */}
+                <div className="flex flex-col gap-1">
+                    {!Decoded && <span className="text-red-500">{text.NotHex}</span>}
+                    {Decoded && (Decoded.valid
+                        ? <span className="text-green-500">{text.Valid}</span>
+                        : <span className="text-red-500">{formatText(text.Invalid, { groups: Decoded.invalidGroups.join(', ') })}</span>
+                    )}
+                    {TrailerAccess?.keyBReadable && <span className="text-amber-500">{language.KeyBReadable}</span>}
+                </div>
+
+                {/* Apply the result to a sector of the loaded dump */}
+                {Sectors.length ? (
+                    <div className="flex items-center gap-2">
+                        <select
+                            className="p-1 rounded-lg bg-light-primary dark:bg-dark-primary"
+                            value={sectorIndex}
+                            onChange={(event) => setSectorIndex(parseInt(event.target.value))}
+                        >
+                            {Sectors.map((_, index) => (
+                                <option key={index} value={index}>{formatText(text.Sector, { sector: index })}</option>
+                            ))}
+                        </select>
+                        <button className="px-2 py-1 rounded-lg hover:bg-neutral-600/40" onClick={readFromSector}>{text.Read}</button>
+                        <button className="px-2 py-1 rounded-lg hover:bg-neutral-600/40 disabled:opacity-50" disabled={!Bytes} onClick={applyToSector}>{text.Apply}</button>
+                    </div>
+                ) : (
+                    <span className="opacity-50">{text.NoDump}</span>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default AccessCalculator;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { formatText } from '../utils/formatText';
+import { CARD_TYPES } from '../utils/cardLayout';
+import { getSakCardType } from '../utils/cardIdentity';
+
+/**
+ * Formats bytes as space-separated uppercase hex
+ * @param {Array<number>} bytes - The bytes
+ * @returns {string} The hex representation
+ */
+function toHex(bytes) {
+    return bytes.map(byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+}
+
+/**
+ * CardIdentity component that summarizes the identity of a MIFARE Classic card decoded from its manufacturer block
+ * (see utils/cardIdentity.js): UID and manufacturer, BCC check, SAK and ATQA, and the signs of a clone ("magic") card.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.identity - Identity of the parsed dump (fileData.identity)
+ * @param {Object} props.text - Localized strings (language.CardIdentity)
+ * @returns {JSX.Element|null} The collapsible summary, or nothing if the manufacturer block was not read
+ */
+function CardIdentity({ identity, text }) {
+    if (!identity) return null;
+
+    const { uid, uidType, manufacturer, bcc, sak, atqa, flags, magic } = identity;
+    const sakType = sak !== null ? CARD_TYPES[getSakCardType(sak)]?.name : null;
+
+    const Rows = [
+        [text.UidLabel, `${toHex(uid)} (${formatText(text.UidSize, { size: uid.length })})`],
+        manufacturer
+            ? [text.ManufacturerLabel, manufacturer.name ?? formatText(text.UnknownManufacturer, { code: toHex([manufacturer.code]) })]
+            : [text.UidTypeLabel, text.UidTypes[uidType]],
+        bcc && [text.BccLabel, formatText(bcc.valid ? text.BccValid : text.BccInvalid, { bcc: toHex([bcc.stored]), expected: toHex([bcc.expected]) })],
+        sak !== null && [text.SakLabel, formatText(text.Sak, { sak: toHex([sak]), type: sakType ?? text.UnknownSak })],
+        atqa && [text.AtqaLabel, toHex(atqa)],
+    ].filter(Boolean);
+
+    return (
+        <details className='w-fit max-w-full rounded-lg bg-light-secondary dark:bg-dark-secondary p-2' open={magic}>
+            <summary className='cursor-pointer select-none'>
+                {text.Title} - <span className={magic ? 'text-amber-500' : 'text-green-500'}>{magic ? text.Magic : text.Genuine}</span>
+            </summary>
+            <div className='grid grid-cols-[auto_auto] gap-x-4 gap-y-1 mt-2 px-2'>
+                {Rows.map(([label, value]) => (
+                    <React.Fragment key={label}>
+                        <span className='opacity-70'>{label}</span>
+                        <span>{value}</span>
+                    </React.Fragment>
+                ))}
+            </div>
+            {flags.length > 0 && (
+                <ul className='flex flex-col gap-1 mt-2'>
+                    {flags.map((flag) => (
+                        <li key={flag.code} className='flex gap-3 items-center px-2 py-1'>
+                            <span className={`text-sm px-2 rounded-md ${flag.magic ? 'bg-amber-500/20 text-amber-500' : 'bg-sky-500/20 text-sky-500'}`}>
+                                {flag.magic ? text.MagicHint : text.Note}
+                            </span>
+                            <span>{formatText(text.Flags[flag.code], flag.params)}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </details>
+    );
+}
+
+export default CardIdentity;
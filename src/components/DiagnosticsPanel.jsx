@@ -0,0 +1,74 @@
+import React from 'react';
+import { formatText } from '../utils/formatText';
+import { sortDiagnostics } from '../utils/diagnostics';
+
+/**
+ * Scrolls to the byte at the given offset and briefly highlights it.
+ * Every byte rendered by View and Analyze carries its offset in the dump in a `data-offset` attribute.
+ *
+ * @param {number} offset - The offset of the byte in the dump
+ */
+function jumpToOffset(offset) {
+    const byte = document.querySelector(`#PageComponent span[data-offset="${offset}"]`);
+    if (!byte) return;
+
+    byte.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    byte.dataset.flash = 'true';
+    setTimeout(() => delete byte.dataset.flash, 1500);
+}
+
+/**
+ * DiagnosticsPanel component that lists the problems found by the parser (see utils/diagnostics.js).
+ * Clicking a diagnostic that points to a byte jumps to it.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.diagnostics - Diagnostics of the parsed dump (fileData.diagnostics)
+ * @param {Object} props.text - Localized strings (language.Diagnostics)
+ * @returns {JSX.Element|null} The collapsible list of diagnostics, or nothing if there are none
+ */
+function DiagnosticsPanel({ diagnostics, text }) {
+    if (!diagnostics?.length) return null;
+
+    const Sorted = sortDiagnostics(diagnostics);
+
+    // Number of diagnostics of each level, shown in the summary
+    const counts = Sorted.reduce((total, { level }) => ({ ...total, [level]: total[level] + 1 }), { error: 0, warning: 0, info: 0 });
+
+    const levelColors = {
+        error: 'bg-red-500/20 text-red-500',
+        warning: 'bg-amber-500/20 text-amber-500',
+        info: 'bg-sky-500/20 text-sky-500',
+    };
+
+    return (
+        <details className='w-fit rounded-lg bg-light-secondary dark:bg-dark-secondary p-2' open={Boolean(counts.error)}>
+            <summary className='cursor-pointer select-none'>
+                {text.Title} - {formatText(text.Summary, counts)}
+            </summary>
+            <ul className='flex flex-col gap-1 mt-2'>
+                {Sorted.map((diagnostic, index) => (
+                    <li
+                        key={index}
+                        className={`flex gap-3 items-center px-2 py-1 rounded-lg ${diagnostic.offset !== null ? 'cursor-pointer hover:bg-neutral-600/40' : ''}`}
+                        onClick={() => diagnostic.offset !== null && jumpToOffset(diagnostic.offset)}
+                    >
+                        <span className={`text-sm px-2 rounded-md ${levelColors[diagnostic.level]}`}>{text.Levels[diagnostic.level]}</span>
+                        <span>{formatText(text.Codes[diagnostic.code] || diagnostic.code, diagnostic.params)}</span>
+                        {diagnostic.offset !== null && (
+                            <span className='opacity-50'>
+                                {formatText(diagnostic.sector !== null ? text.SectorLocation : diagnostic.block !== null ? text.PageLocation : text.Location, {
+                                    sector: diagnostic.sector,
+                                    block: diagnostic.block,
+                                    offset: '0x' + diagnostic.offset.toString(16).toUpperCase(),
+                                })}
+                            </span>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+}
+
+export default DiagnosticsPanel;
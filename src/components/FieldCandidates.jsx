@@ -0,0 +1,98 @@
+import React from 'react';
+import { formatText } from '../utils/formatText';
+
+/**
+ * Describes the number a counter or a balance is stored in
+ * @param {Object} candidate - The field candidate (see inferFields)
+ * @param {Object} text - Localized strings (language.Series.Inference)
+ * @returns {string} "value block", "16-bit little-endian", "8-bit"...
+ */
+function describeNumber({ length, params }, text) {
+    if (params.valueBlock) return text.ValueBlock;
+    const bits = length * 8;
+    return params.endian ? formatText(text.NumberEndian, { bits, endian: text.Endians[params.endian] }) : formatText(text.Number, { bits });
+}
+
+/**
+ * Describes a field candidate
+ * @param {Object} candidate - The field candidate (see inferFields)
+ * @param {Object} text - Localized strings (language.Series.Inference)
+ * @returns {string} The description
+ */
+function describeCandidate(candidate, text) {
+    const { kind, params } = candidate;
+
+    switch (kind) {
+        case 'Counter':
+            return formatText(text.Kinds.Counter, { number: describeNumber(candidate, text), ...params });
+        case 'Balance':
+            return formatText(text.Kinds.Balance, { number: describeNumber(candidate, text), ...params });
+        case 'Date': {
+            // Formats with a time of the day are shown with it; only Unix time is not stored as the local time of the card
+            const hasTime = params.format === 'UnixTime' || params.format === 'DosDateTime';
+            const options = params.format === 'UnixTime' ? {} : { timeZone: 'UTC' };
+            const format = (date) => hasTime ? new Date(date).toLocaleString(undefined, options) : new Date(date).toLocaleDateString(undefined, options);
+            return formatText(text.Kinds.Date, {
+                format: params.endian ? `${text.Formats[params.format]}, ${text.Endians[params.endian]}` : text.Formats[params.format],
+                first: format(params.first),
+                last: format(params.last),
+                changes: params.changes,
+            });
+        }
+        default:
+            return params.algorithm
+                ? formatText(text.Kinds.ChecksumAlgorithm, { algorithm: text.Algorithms[params.algorithm], changes: params.changes })
+                : formatText(text.Kinds.Checksum, params);
+    }
+}
+
+/**
+ * FieldCandidates component that lists the fields proposed for a card from a series of its dumps (see utils/fieldInference.js).
+ * Clicking a candidate selects its first byte; accepting it adds it to the annotations of the card.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.candidates - The field candidates (see inferFields)
+ * @param {Array<Object>} props.annotations - The annotations of the card, to tell which candidates were already accepted
+ * @param {Function} props.onAccept - Called with an accepted candidate and its default label
+ * @param {Function} props.onSelect - Called with the offset of the first byte of the selected candidate
+ * @param {Object} props.text - Localized strings (language.Series.Inference)
+ * @returns {JSX.Element} The collapsible list
+ */
+function FieldCandidates({ candidates, annotations, onAccept, onSelect, text }) {
+    const isAccepted = ({ id }) => annotations.some(annotation => annotation.id === id);
+
+    return (
+        <details className='w-fit max-w-full rounded-lg bg-light-secondary dark:bg-dark-secondary p-2' open>
+            <summary className='cursor-pointer select-none'>{formatText(text.Title, { candidates: candidates.length })}</summary>
+            {candidates.length ? (
+                <ul className='flex flex-col gap-1 mt-2'>
+                    {candidates.map(candidate => (
+                        <li key={candidate.id} className='flex items-center gap-2'>
+                            <span className='text-sm px-2 rounded-md bg-sky-500/20 text-sky-400'>{text.Labels[candidate.kind]}</span>
+                            <button className='px-2 py-1 rounded-lg text-left hover:bg-neutral-600/40' onClick={() => onSelect(candidate.offset)}>
+                                <span className='opacity-70'>
+                                    {candidate.length > 1
+                                        ? formatText(text.Bytes, { first: candidate.offset, last: candidate.offset + candidate.length - 1 })
+                                        : formatText(text.Byte, { offset: candidate.offset })}
+                                </span>
+                                {' '}{describeCandidate(candidate, text)}
+                            </button>
+                            <button
+                                className='px-2 py-1 rounded-lg hover:bg-neutral-600/40 disabled:opacity-50'
+                                disabled={isAccepted(candidate)}
+                                onClick={() => onAccept(candidate, text.Labels[candidate.kind])}
+                            >
+                                {isAccepted(candidate) ? text.Accepted : text.Accept}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <span className='block mt-2 px-2 opacity-70'>{text.Empty}</span>
+            )}
+        </details>
+    );
+}
+
+export default FieldCandidates;
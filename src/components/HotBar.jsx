@@ -6,10 +6,15 @@
  */
 import React, { useEffect, useState } from 'react';
 import { loadPage } from "../main";
-import { DumpToJson } from "../utils/NFCDumptoJSON";
 import { convertUint8ToArray } from "../utils/convertUint8ToArray";
+import { formatText } from "../utils/formatText";
+import { getDialogFilters, readInput, detectFormat, importFile } from "../utils/importers";
+import { getDialogFilters as getExportFilters, findExporter, exportFile } from "../utils/exporters";
+import { MENU_ITEMS } from "../utils/menuItems";
 
 import Settings from './Settings';
+import AccessCalculator from './AccessCalculator';
+import ValueSimulator from './ValueSimulator';
 
 /**
  * HotBar component 
@@ -35,8 +40,8 @@ function HotBar({ selectedPage }) {
     const menuItems = language.Menu;
 
     // Actual page names and menu item functions used internally
-    const pagesRed = [ "View", "Analyze", "Diff" ]
-    const menuItemsRed = ['Import File', 'Settings', 'Help'];
+    const pagesRed = [ "View", "Analyze", "Diff", "Series" ]
+    const menuItemsRed = MENU_ITEMS;
 
     // Set up title bar overlay and adjust page margin based on hotbar height
     useEffect(() => {
@@ -49,6 +54,10 @@ function HotBar({ selectedPage }) {
         document.getElementById('PageComponent').style.marginTop = HotBar.offsetHeight + 'px';
         document.getElementById('Settings').style.top = HotBar.offsetHeight + 'px';
         document.getElementById('Settings').style.height = `calc(100vh - ${HotBar.offsetHeight}px)`;
+        document.getElementById('AccessCalculator').style.top = HotBar.offsetHeight + 'px';
+        document.getElementById('AccessCalculator').style.height = `calc(100vh - ${HotBar.offsetHeight}px)`;
+        document.getElementById('ValueSimulator').style.top = HotBar.offsetHeight + 'px';
+        document.getElementById('ValueSimulator').style.height = `calc(100vh - ${HotBar.offsetHeight}px)`;
 
         // Configure Electron title bar overlay with appropriate theme colors
         window.electronAPI.setTitleBarOverlay({
@@ -58,6 +67,55 @@ function HotBar({ selectedPage }) {
         });
     }, []);
 
+    // Last imported file, the importer used to parse it and the other importers that recognise it
+    const [importState, setImportState] = useState(null);
+
+    // Name of the last file that could not be opened, if the import stopped there
+    const [readError, setReadError] = useState(null);
+
+    // Whether the loaded dump was edited (see View) since it was loaded or saved
+    const [dirty, setDirty] = useState(false);
+
+    // Files the user agreed to overwrite with Save in this session: they are not asked about again
+    const [overwriteConfirmed, setOverwriteConfirmed] = useState([]);
+
+    /**
+     * Parses a file with the detected importer (or the one chosen by the user) and publishes the result to the pages
+     * @param {Object} file - The file, as returned by readInput
+     * @param {string|null} importerId - The importer chosen by the user, or null to use the detected one
+     */
+    const loadFile = (file, importerId = null) => {
+        setReadError(null);
+
+        let result;
+        try {
+            result = importFile(file, importerId);
+        } catch (error) {
+            console.error('Error parsing file:', error);
+            result = { json: null, importer: null, candidates: detectFormat(file) };
+        }
+
+        setImportState({
+            file,
+            importerId: importerId ?? result.importer?.id ?? null,
+            candidates: result.candidates,
+            failed: result.json === null,
+        });
+        if (result.json === null) return;
+
+        // Convert the dump to JSON format
+        const json = convertUint8ToArray(result.json);
+
+        // Store processed file in session storage
+        sessionStorage.setItem('fileJSON', JSON.stringify(json));
+
+        // Notify application that a file has been loaded
+        window.postMessage({
+            type: 'fileLoaded',
+            data: json
+        });
+    };
+
     // Set up file selection handler
     useEffect(() => {
         window.electronAPI?.onFileSelected((filePaths) => {
@@ -65,17 +123,11 @@ function HotBar({ selectedPage }) {
             if (filePaths.length > 0) {
                 // Read selected file and process its contents
                 window.electronAPI?.readFile(filePaths[0]).then((hexContents) => {
-                    // Convert hex dump to JSON format
-                    const json = convertUint8ToArray(DumpToJson(hexContents));
-
-                    // Store processed file in session storage
-                    sessionStorage.setItem('fileJSON', JSON.stringify(json));
-
-                    // Notify application that a file has been loaded
-                    window.postMessage({
-                        type: 'fileLoaded',
-                        data: json
-                    });
+                    loadFile(readInput(filePaths[0], hexContents));
+                }).catch((error) => {
+                    // The file could not be read at all (removed, no permission...): the loaded dump is kept
+                    console.error('Error reading file:', error);
+                    setReadError(filePaths[0].split(/[\\/]/).pop());
                 });
             }
         });
@@ -83,13 +135,26 @@ function HotBar({ selectedPage }) {
 
     useEffect(() => {
 
-        // Event listener to close settings when clicking outside of it
+        // Event listener to close the settings, access calculator and value simulator panels when asked to,
+        // and to track whether the loaded dump has unsaved edits
         const handleCloseSettings = (event) => {
             const { type, data } = event.data;
             if (type === 'closeSettings') {
                 const settings = document.querySelector('#Settings');
                 settings.style.display = 'none';
             }
+            if (type === 'closeAccessCalculator') {
+                const calculator = document.querySelector('#AccessCalculator');
+                calculator.style.display = 'none';
+            }
+            if (type === 'closeValueSimulator') {
+                const simulator = document.querySelector('#ValueSimulator');
+                simulator.style.display = 'none';
+            }
+
+            // Keep track of the unsaved edits of the loaded dump
+            if (type === 'fileEdited') setDirty(event.data.dirty);
+            if (type === 'fileLoaded' || type === 'fileSaved') setDirty(false);
         }
         // Attach event listener to close settings when clicking outside of it
         window.addEventListener('message', handleCloseSettings);
@@ -105,7 +170,63 @@ function HotBar({ selectedPage }) {
      * This function is exposed on the window object to be called from menu items
      */
     window.Import_File = async () => {
-        window.electronAPI?.openFileDialog();
+        // The dialog lists the formats of the importer registry
+        window.electronAPI?.openFileDialog(getDialogFilters());
+    };
+
+    /**
+     * Saves the loaded dump in the format matching the extension chosen in the save dialog
+     * This function is exposed on the window object to be called from menu items
+     */
+    window.Export_File = async () => {
+        const fileData = JSON.parse(sessionStorage.getItem('fileJSON'));
+        if (!fileData) return;
+
+        // Propose the name of the imported file, without its extension
+        const defaultPath = importState?.file.path.replace(/\.[^./\\]+$/, '');
+        const filePath = await window.electronAPI?.saveFileDialog(getExportFilters(fileData), defaultPath);
+        if (!filePath) return;
+
+        // Files saved without a known extension are written as raw dumps
+        const exporter = findExporter(filePath, fileData) || findExporter('.mfd', fileData);
+        try {
+            await window.electronAPI.writeFile(filePath, exportFile(fileData, exporter));
+            window.postMessage({ type: 'fileSaved', data: filePath });
+        } catch (error) {
+            console.error('Error writing file:', error);
+        }
+    };
+
+    /**
+     * Saves the edits of the loaded dump over the file it was imported from, in the same format
+     * Falls back to the export dialog when the dump does not come from a file that can be written back
+     * The first time a file is overwritten in the session, the user is asked to confirm
+     * This function is exposed on the window object to be called from menu items and from the edit mode of View
+     */
+    window.Save_File = async () => {
+        const fileData = JSON.parse(sessionStorage.getItem('fileJSON'));
+        if (!fileData) return;
+
+        const filePath = importState?.file.path;
+        const exporter = filePath && findExporter(filePath, fileData);
+        if (!exporter) return window.Export_File();
+
+        if (!overwriteConfirmed.includes(filePath)) {
+            const confirmed = await window.electronAPI.confirmDialog({
+                message: formatText(language.Edit.Overwrite.Message, { file: filePath.split(/[\\/]/).pop() }),
+                detail: language.Edit.Overwrite.Detail,
+                buttons: [language.Edit.Overwrite.Confirm, language.Edit.Overwrite.Cancel],
+            });
+            if (!confirmed) return;
+            setOverwriteConfirmed(current => [...current, filePath]);
+        }
+
+        try {
+            await window.electronAPI.saveFile(filePath, exportFile(fileData, exporter));
+            window.postMessage({ type: 'fileSaved', data: filePath });
+        } catch (error) {
+            console.error('Error saving file:', error);
+        }
     };
 
     /**
@@ -119,6 +240,24 @@ function HotBar({ selectedPage }) {
         settings.style.display = settings.style.display === 'none' ? 'flex' : 'none';
     }
 
+    /**
+     * Opens the access conditions calculator
+     * This function is exposed on the window object to be called from menu items
+     */
+    window.Access_Calculator = () => {
+        const calculator = document.querySelector('#AccessCalculator');
+        calculator.style.display = calculator.style.display === 'none' ? 'flex' : 'none';
+    }
+
+    /**
+     * Opens the value block operation simulator
+     * This function is exposed on the window object to be called from menu items
+     */
+    window.Value_Simulator = () => {
+        const simulator = document.querySelector('#ValueSimulator');
+        simulator.style.display = simulator.style.display === 'none' ? 'flex' : 'none';
+    }
+
     return (
         <>
             <div id="HotBar" className='hotbar flex fixed w-full bg-light-secondary dark:bg-dark-secondary'>
@@ -183,6 +322,34 @@ function HotBar({ selectedPage }) {
                         {page}
                     </button>
                 ))}
+                {/* Detected format of the loaded file, with the option to parse it as another format */}
+                {importState && (
+                    <label className='m-2 flex items-center gap-2 font-inconsolata dark:text-dark-text text-light-text'>
+                        {language.Import.Format}
+                        <select
+                            className='p-1 rounded-lg bg-light-primary dark:bg-dark-primary'
+                            value={importState.importerId ?? ''}
+                            onChange={(event) => loadFile(importState.file, event.target.value)}
+                        >
+                            {importState.candidates.map(({ importer }, index) => (
+                                <option key={importer.id} value={importer.id}>
+                                    {index === 0 ? formatText(language.Import.Detected, { format: importer.name }) : importer.name}
+                                </option>
+                            ))}
+                        </select>
+                        {importState.failed && (
+                            <span className='text-red-500'>{language.Import.Failed}</span>
+                        )}
+                    </label>
+                )}
+                {/* File that could not be opened */}
+                {readError && (
+                    <span className='m-2 font-inconsolata text-red-500'>{formatText(language.Import.ReadFailed, { file: readError })}</span>
+                )}
+                {/* Reminder of the edits that were not saved yet */}
+                {dirty && (
+                    <span className='m-2 font-inconsolata text-amber-500'>{language.Edit.Unsaved}</span>
+                )}
             </div>
             <div 
                 className='absolute z-40 left-0 h-full w-full font-inconsolata dark:text-dark-text text-light-text bg-light-secondary dark:bg-dark-secondary'
@@ -191,6 +358,20 @@ function HotBar({ selectedPage }) {
             >
                 <Settings />
             </div>
+            <div 
+                className='absolute z-40 left-0 h-full w-full overflow-auto font-inconsolata dark:text-dark-text text-light-text bg-light-secondary dark:bg-dark-secondary'
+                style={{ display: 'none' }}
+                id='AccessCalculator'
+            >
+                <AccessCalculator />
+            </div>
+            <div 
+                className='absolute z-40 left-0 h-full w-full overflow-auto font-inconsolata dark:text-dark-text text-light-text bg-light-secondary dark:bg-dark-secondary'
+                style={{ display: 'none' }}
+                id='ValueSimulator'
+            >
+                <ValueSimulator />
+            </div>
         </>
     );
 }
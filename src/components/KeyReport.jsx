@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { formatText } from '../utils/formatText';
+import { hexToText } from '../utils/hexString';
+import { BUILT_IN_KEYS, KEY_FILE_FILTERS, normalizeKey, parseKeyFile, formatKeyFile } from '../utils/keyDictionary';
+
+/**
+ * Scrolls to the key of a sector and briefly highlights its bytes.
+ * Every byte rendered by View and Analyze carries its offset in the dump in a `data-offset` attribute.
+ *
+ * @param {Object} sector - The sector (fileData.sectors[])
+ * @param {string} name - "A" or "B"
+ */
+function jumpToKey(sector, name) {
+    const offset = (sector.firstBlock + sector.blockCount - 1) * 16 + (name === 'A' ? 0 : 10);
+    const Bytes = Array.from({ length: 6 }, (_, i) => document.querySelector(`#PageComponent span[data-offset="${offset + i}"]`)).filter(Boolean);
+    if (!Bytes.length) return;
+
+    Bytes[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    Bytes.forEach(byte => byte.dataset.flash = 'true');
+    setTimeout(() => Bytes.forEach(byte => delete byte.dataset.flash), 1500);
+}
+
+/**
+ * Editor of the keys added by the user to the dictionary, typed or imported from a dictionary file.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{key: string, name: string}>} props.userKeys - The keys added by the user
+ * @param {Function} props.onChange - Called with the new list of user keys
+ * @param {Object} props.text - Localized strings (language.Keys)
+ * @returns {JSX.Element} The editor
+ */
+function DictionaryEditor({ userKeys, onChange, text }) {
+    const [keyText, setKeyText] = useState('');
+    const [nameText, setNameText] = useState('');
+    const [importText, setImportText] = useState('');
+
+    const key = normalizeKey(keyText);
+
+    /**
+     * Adds the typed key, replacing the name of a key already added
+     */
+    const addKey = () => {
+        onChange([...userKeys.filter(entry => entry.key !== key), { key, name: nameText.trim() }]);
+        setKeyText('');
+        setNameText('');
+    };
+
+    /**
+     * Adds the keys of a dictionary file (Proxmark, mfoc, MIFARE Classic Tool) that are not in the dictionary yet
+     */
+    const importKeys = async () => {
+        let file;
+        try {
+            file = await window.electronAPI?.openFileContents(KEY_FILE_FILTERS);
+        } catch (error) {
+            console.error('Error reading file:', error);
+        }
+        if (!file) return;
+
+        // Keys without a comment are named after the file they come from
+        const fileName = file.filePath.split(/[\\/]/).pop();
+        const Known = new Set([...BUILT_IN_KEYS, ...userKeys].map(entry => entry.key));
+        const Imported = parseKeyFile(hexToText(file.contents), fileName).filter(entry => !Known.has(entry.key));
+
+        onChange([...userKeys, ...Imported]);
+        setImportText(formatText(text.Imported, { keys: Imported.length, file: fileName }));
+    };
+
+    return (
+        <details className='mt-2'>
+            <summary className='cursor-pointer select-none'>{formatText(text.Dictionary, { builtIn: BUILT_IN_KEYS.length, user: userKeys.length })}</summary>
+            <div className='flex flex-col gap-2 mt-2 pl-4'>
+                <div className='flex items-center gap-2'>
+                    <input
+                        className='p-1 rounded-lg bg-light-primary dark:bg-dark-primary uppercase w-36'
+                        placeholder={text.KeyPlaceholder}
+                        value={keyText}
+                        maxLength={17}
+                        spellCheck={false}
+                        onChange={(event) => setKeyText(event.target.value)}
+                    />
+                    <input
+                        className='p-1 rounded-lg bg-light-primary dark:bg-dark-primary'
+                        placeholder={text.NamePlaceholder}
+                        value={nameText}
+                        onChange={(event) => setNameText(event.target.value)}
+                    />
+                    <button className='px-2 py-1 rounded-lg hover:bg-neutral-600/40 disabled:opacity-50' disabled={!key} onClick={addKey}>{text.Add}</button>
+                    <button className='px-2 py-1 rounded-lg hover:bg-neutral-600/40' onClick={importKeys}>{text.Import}</button>
+                </div>
+                {importText && <span className='opacity-70'>{importText}</span>}
+                {keyText && !key && <span className='text-red-500'>{text.InvalidKey}</span>}
+                <ul className='flex flex-col gap-1'>
+                    {userKeys.map(entry => (
+                        <li key={entry.key} className='flex items-center gap-3'>
+                            <span>{entry.key}</span>
+                            <span className='opacity-70'>{entry.name}</span>
+                            <button className='px-2 rounded-lg hover:bg-neutral-600/40' onClick={() => onChange(userKeys.filter(other => other.key !== entry.key))}>{text.Remove}</button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </details>
+    );
+}
+
+/**
+ * KeyReport component that lists every key used by the sectors of a MIFARE Classic dump (see utils/keyDictionary.js):
+ * the dictionary entry it matches, the sectors sharing it and whether it was read from the dump or only recovered by the reader.
+ * Clicking a sector jumps to its key. The keys can be exported as a dictionary file, and the dictionary can be extended
+ * with user keys, typed or imported from dictionary files.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.fileData - The parsed dump
+ * @param {Object} props.report - The key report of the dump (see analyzeKeys)
+ * @param {Array<{key: string, name: string}>} props.userKeys - The keys added by the user
+ * @param {Function} props.onUserKeysChange - Called with the new list of user keys
+ * @param {Object} props.text - Localized strings (language.Keys)
+ * @returns {JSX.Element|null} The collapsible report, or nothing if the dump is not a MIFARE Classic dump
+ */
+function KeyReport({ fileData, report, userKeys, onUserKeysChange, text }) {
+    const [merge, setMerge] = useState(false);
+
+    if (!report) return null;
+
+    const defaultSectors = report.sectors.filter(sector => sector.A?.match?.isDefault || sector.B?.match?.isDefault).length;
+    const sharedKeys = report.keys.filter(key => key.uses.length > 1).length;
+
+    /**
+     * Saves the keys of the dump as a dictionary file, optionally followed by the keys of the library it does not use
+     */
+    const exportKeys = async () => {
+        const Keys = report.keys.map(({ key, match, uses }) => ({
+            key,
+            name: match?.name ?? uses.map(use => formatText(text.Use, use)).join(' '),
+        }));
+        if (merge) {
+            const Used = new Set(Keys.map(entry => entry.key));
+            [...BUILT_IN_KEYS, ...userKeys].forEach((entry) => {
+                if (!Used.has(entry.key)) Keys.push({ key: entry.key, name: entry.name });
+                Used.add(entry.key);
+            });
+        }
+
+        const filePath = await window.electronAPI?.saveFileDialog(KEY_FILE_FILTERS, 'keys.dic');
+        if (!filePath) return;
+
+        try {
+            await window.electronAPI.writeFile(filePath, new TextEncoder().encode(formatKeyFile(Keys, text.FileHeader)));
+        } catch (error) {
+            console.error('Error writing file:', error);
+        }
+    };
+
+    return (
+        <details className='w-fit max-w-full rounded-lg bg-light-secondary dark:bg-dark-secondary p-2'>
+            <summary className='cursor-pointer select-none'>
+                {text.Title} - {formatText(text.Summary, { keys: report.keys.length, defaults: defaultSectors, shared: sharedKeys })}
+            </summary>
+            {report.keys.length > 0 && <table className='mt-2 border-separate border-spacing-x-3'>
+                <thead>
+                    <tr className='text-left opacity-70'>
+                        <th>{text.Key}</th>
+                        <th>{text.Name}</th>
+                        <th>{text.UsedBy}</th>
+                        <th>{text.Source}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {report.keys.map(({ key, match, uses }) => (
+                        <tr key={key}>
+                            <td>{key}</td>
+                            <td>
+                                {match ? (
+                                    <span className={`text-sm px-2 rounded-md ${match.isDefault ? 'bg-amber-500/20 text-amber-500' : 'bg-violet-500/20 text-violet-500'}`}>
+                                        {match.isDefault ? formatText(text.Default, { name: match.name }) : match.name}
+                                    </span>
+                                ) : <span className='opacity-50'>-</span>}
+                            </td>
+                            <td className='flex flex-wrap gap-1'>
+                                {uses.map(({ sector, name }) => (
+                                    <button
+                                        key={`${sector}${name}`}
+                                        className='px-1 rounded-md hover:bg-neutral-600/40'
+                                        onClick={() => jumpToKey(fileData.sectors[sector], name)}
+                                    >
+                                        {formatText(text.Use, { sector, name })}
+                                    </button>
+                                ))}
+                            </td>
+                            <td>{[...new Set(uses.map(use => text.Sources[use.source]))].join(', ')}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>}
+            {/* Export the keys of the dump as a dictionary file */}
+            <div className='flex items-center gap-3 mt-2'>
+                <button className='px-2 py-1 rounded-lg hover:bg-neutral-600/40 disabled:opacity-50' disabled={!report.keys.length && !merge} onClick={exportKeys}>{text.Export}</button>
+                {/* Checkboxes are hidden by the global styles: the toggle switch of the settings stands in for it */}
+                <input type='checkbox' id='mergeKeys' checked={merge} onChange={(event) => setMerge(event.target.checked)} />
+                <label htmlFor='mergeKeys' className='toggle-switch'></label>
+                <label htmlFor='mergeKeys'>{text.Merge}</label>
+            </div>
+            <DictionaryEditor userKeys={userKeys} onChange={onUserKeysChange} text={text} />
+        </details>
+    );
+}
+
+export default KeyReport;
@@ -0,0 +1,152 @@
+import React from 'react';
+import { formatText } from '../utils/formatText';
+
+/**
+ * Highlights (or stops highlighting) the bytes of a TLV or record in the page.
+ * Every byte rendered by View and Analyze carries its offset in the dump in a `data-offset` attribute.
+ *
+ * @param {Array<number>} offsets - The offsets of the bytes in the dump
+ * @param {boolean} highlight - Whether to add or remove the highlight
+ */
+function highlightOffsets(offsets, highlight) {
+    offsets.forEach((offset) => {
+        const byte = document.querySelector(`#PageComponent span[data-offset="${offset}"]`);
+        if (!byte) return;
+        if (highlight) byte.dataset.ndef = 'true';
+        else delete byte.dataset.ndef;
+    });
+}
+
+/**
+ * Scrolls to the first byte of a TLV or record and briefly outlines all of its bytes.
+ *
+ * @param {Array<number>} offsets - The offsets of the bytes in the dump
+ */
+function jumpToOffsets(offsets) {
+    const Bytes = offsets.map(offset => document.querySelector(`#PageComponent span[data-offset="${offset}"]`)).filter(Boolean);
+    if (!Bytes.length) return;
+
+    Bytes[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    Bytes.forEach(byte => byte.dataset.flash = 'true');
+    setTimeout(() => Bytes.forEach(byte => delete byte.dataset.flash), 1500);
+}
+
+/**
+ * Describes the content of a decoded record in one line.
+ *
+ * @param {Object} record - The record (see utils/ndef.js)
+ * @param {Object} text - Localized strings (language.Ndef)
+ * @returns {{label: string, value: string}} The kind of record and its content
+ */
+function describeRecord(record, text) {
+    const { decoded } = record;
+    const binary = formatText(text.Binary, { length: record.payload.length });
+
+    switch (decoded.kind) {
+        case 'uri':
+            return { label: text.Uri, value: decoded.uri };
+        case 'text':
+            return { label: formatText(text.Text, { language: decoded.language || '?' }), value: decoded.text };
+        case 'smartPoster':
+            return { label: text.SmartPoster, value: '' };
+        case 'mime':
+            return { label: formatText(text.Mime, { type: decoded.mimeType }), value: decoded.text ?? binary };
+        case 'absoluteUri':
+            return { label: text.AbsoluteUri, value: decoded.uri };
+        case 'external':
+            return { label: formatText(text.External, { type: record.type }), value: decoded.text ?? binary };
+        case 'empty':
+            return { label: text.Empty, value: '' };
+        default:
+            return { label: formatText(text.Unknown, { tnf: record.tnfName, type: record.type }), value: binary };
+    }
+}
+
+/**
+ * Row of the panel linked to bytes of the dump: hovering it highlights them, clicking it jumps to them.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<number>} props.offsets - The offsets of the bytes in the dump
+ * @param {React.ReactNode} props.children - Content of the row
+ * @returns {JSX.Element} The row
+ */
+function LinkedRow({ offsets, children }) {
+    return (
+        <div
+            className='flex gap-3 items-center px-2 py-1 rounded-lg cursor-pointer hover:bg-neutral-600/40'
+            onMouseEnter={() => highlightOffsets(offsets, true)}
+            onMouseLeave={() => highlightOffsets(offsets, false)}
+            onClick={() => jumpToOffsets(offsets)}
+        >
+            {children}
+        </div>
+    );
+}
+
+/**
+ * List of NDEF records; the records of a Smart Poster are nested under it.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.records - The records (see utils/ndef.js)
+ * @param {Object} props.text - Localized strings (language.Ndef)
+ * @returns {JSX.Element} The list
+ */
+function RecordList({ records, text }) {
+    return (
+        <ul className='flex flex-col gap-1 pl-4'>
+            {records.map((record, index) => {
+                const { label, value } = describeRecord(record, text);
+                return (
+                    <li key={index}>
+                        <LinkedRow offsets={record.offsets}>
+                            <span className='text-sm px-2 rounded-md bg-sky-500/20 text-sky-500'>{label}</span>
+                            <span className='break-all'>{value}</span>
+                            {record.id && <span className='opacity-50'>#{record.id}</span>}
+                            {record.chunked && <span className='opacity-50'>{text.Chunked}</span>}
+                        </LinkedRow>
+                        {record.decoded.kind === 'smartPoster' && <RecordList records={record.decoded.records} text={text} />}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
+
+/**
+ * NdefPanel component that lists the TLVs of the NDEF data area and the records of their NDEF messages (see utils/ndef.js).
+ * Hovering a TLV or a record highlights its bytes in the dump; clicking it jumps to them.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.ndef - NDEF data of the parsed dump (fileData.ndef)
+ * @param {Object} props.text - Localized strings (language.Ndef)
+ * @returns {JSX.Element|null} The collapsible panel, or nothing if the card has no NDEF data area
+ */
+function NdefPanel({ ndef, text }) {
+    if (!ndef?.tlvs.length) return null;
+
+    // Records of every NDEF message, Smart Poster content excluded
+    const recordCount = ndef.tlvs.reduce((total, tlv) => total + (tlv.records?.length || 0), 0);
+
+    return (
+        <details className='w-fit max-w-full rounded-lg bg-light-secondary dark:bg-dark-secondary p-2' open>
+            <summary className='cursor-pointer select-none'>
+                {text.Title} - {formatText(text.Summary, { records: recordCount })}
+            </summary>
+            <ul className='flex flex-col gap-1 mt-2'>
+                {ndef.tlvs.map((tlv, index) => (
+                    <li key={index}>
+                        <LinkedRow offsets={tlv.offsets}>
+                            <span>{tlv.name ? formatText(text.Tlv, { name: tlv.name }) : formatText(text.UnknownTlv, { tag: tlv.tag.toString(16).padStart(2, '0').toUpperCase() })}</span>
+                            <span className='opacity-50'>{formatText(text.Length, { length: tlv.offsets.length })}</span>
+                            {tlv.tag === 0x03 && !tlv.records && <span className='text-amber-500'>{text.Unread}</span>}
+                        </LinkedRow>
+                        {tlv.records && <RecordList records={tlv.records} text={text} />}
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+}
+
+export default NdefPanel;
@@ -0,0 +1,28 @@
+/**
+ * ReadStatus component that labels a sector (or page) that was not fully read,
+ * e.g. because its keys could not be recovered when the dump was taken.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.status - Read status from the parsed dump ("read", "partial" or "unread")
+ * @param {Object} props.text - Localized labels (language.ReadStatus)
+ * @returns {JSX.Element|null} The status label, or nothing if every byte was read
+ */
+function ReadStatus({ status, text }) {
+    if (!status || status === 'read') return null;
+
+    return (
+        <span
+            className={`text-sm px-2 py-0.5 rounded-md font-normal ${
+                status === 'unread'
+                    ? 'bg-red-500/20 text-red-500'
+                    : 'bg-amber-500/20 text-amber-500'
+            }`}
+            data-status={status}
+        >
+            {text[status]}
+        </span>
+    );
+}
+
+export default ReadStatus;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { formatText } from '../utils/formatText';
+import { describeApplication } from '../utils/mad';
+
+/**
+ * SectorApplication component that labels a sector with the application assigned to it by the MAD,
+ * or as holding the MAD itself.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.mad - The decoded MAD of the dump (fileData.mad)
+ * @param {number} props.sector - The sector number
+ * @param {Object} props.text - Localized strings (language.Mad)
+ * @returns {JSX.Element|null} The label, or nothing if the card has no MAD or the MAD does not describe the sector
+ */
+function SectorApplication({ mad, sector, text }) {
+    if (!mad) return null;
+
+    const Directory = mad.directories.find(directory => directory.sector === sector);
+    const Application = mad.applications.find(application => application.sector === sector);
+    if (!Directory && !Application) return null;
+
+    return (
+        <span className='text-sm px-2 py-0.5 rounded-md font-normal bg-sky-500/20 text-sky-500' data-aid={Application?.aid}>
+            {Directory ? formatText(text.Directory, { version: Directory.version }) : describeApplication(Application, text)}
+        </span>
+    );
+}
+
+export default SectorApplication;
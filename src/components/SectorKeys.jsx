@@ -0,0 +1,34 @@
+import React from 'react';
+import { formatText } from '../utils/formatText';
+
+/**
+ * SectorKeys component that flags the keys of a sector found in the key dictionary or shared with other sectors
+ * (see utils/keyDictionary.js). Default keys are shown in amber, other dictionary keys in violet, shared keys in grey.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.keys - The keys of the sector, as listed in the `sectors` of the key report ({ A, B })
+ * @param {Object} props.text - Localized strings (language.Keys)
+ * @returns {JSX.Element|null} The badges, or nothing if no key of the sector is worth flagging
+ */
+function SectorKeys({ keys, text }) {
+    if (!keys) return null;
+
+    const Badges = ['A', 'B'].map((name) => {
+        const Key = keys[name];
+        if (!Key || (!Key.match && !Key.shared)) return null;
+
+        const label = Key.match?.isDefault ? formatText(text.Default, { name: Key.match.name }) : Key.match?.name ?? text.Shared;
+        const color = Key.match?.isDefault ? 'bg-amber-500/20 text-amber-500' : Key.match ? 'bg-violet-500/20 text-violet-500' : 'bg-neutral-500/20';
+
+        return (
+            <span key={name} className={`text-sm px-2 py-0.5 rounded-md font-normal ${color}`} title={Key.key}>
+                {formatText(text.Badge, { name, label })}
+            </span>
+        );
+    }).filter(Boolean);
+
+    return Badges.length ? <>{Badges}</> : null;
+}
+
+export default SectorKeys;
@@ -0,0 +1,125 @@
+import React from 'react';
+import { formatText } from '../utils/formatText';
+import { bytesToHex } from '../utils/hexString';
+
+/**
+ * Formats the keys allowed to do an operation
+ * @param {Array<string>} keys - The keys ("A", "B")
+ * @param {Object} text - Localized strings (language.Diff.Semantic)
+ * @returns {string} "Key A", "Key A/B", or the text for no key
+ */
+function formatKeys(keys, text) {
+    return keys.length ? formatText(text.Key, { keys: keys.join('/') }) : text.Nobody;
+}
+
+/**
+ * Describes the permissions on a data block in a few words: no access, read-only, or read/write (and value operations)
+ * @param {Object} permissions - The keys allowed for each operation (read, write, increment, decrement)
+ * @param {Object} text - Localized strings (language.Diff.Semantic)
+ * @returns {string} The description
+ */
+function formatDataPermissions({ read, write, increment, decrement }, text) {
+    if (![read, write, increment, decrement].some(keys => keys.length)) return text.Permissions.None;
+    if (![write, increment, decrement].some(keys => keys.length)) return formatText(text.Permissions.ReadOnly, { read: formatKeys(read, text) });
+
+    const description = formatText(text.Permissions.ReadWrite, { read: formatKeys(read, text), write: formatKeys(write, text) });
+    if (!increment.length && !decrement.length) return description;
+    return `${description}, ${formatText(text.Permissions.Value, { increment: formatKeys(increment, text), decrement: formatKeys(decrement, text) })}`;
+}
+
+/**
+ * Describes the permissions on the fields of a sector trailer
+ * @param {Object} permissions - The trailer permissions (see decodeTrailerAccess)
+ * @param {Object} text - Localized strings (language.Diff.Semantic)
+ * @returns {string} The description
+ */
+function formatTrailerPermissions({ keyA, accessBits, keyB }, text) {
+    return formatText(text.Permissions.Trailer, {
+        keyAWrite: formatKeys(keyA.write, text),
+        accessRead: formatKeys(accessBits.read, text),
+        accessWrite: formatKeys(accessBits.write, text),
+        keyBRead: formatKeys(keyB.read, text),
+        keyBWrite: formatKeys(keyB.write, text),
+    });
+}
+
+/**
+ * Describes one change record of the semantic diff
+ * @param {Object} record - The change record (see diffModels)
+ * @param {Object} text - Localized strings (language.Diff.Semantic)
+ * @returns {string} The description
+ */
+function describeRecord({ code, params }, text) {
+    const hex = (byte) => byte.toString(16).padStart(2, '0').toUpperCase();
+
+    switch (code) {
+        case 'DataAccess': {
+            const { blocks } = params;
+            return formatText(text.Records.DataAccess, {
+                sector: params.sector,
+                blocks: blocks.length > 1 ? formatText(text.BlockRange, { first: blocks[0], last: blocks[blocks.length - 1] }) : formatText(text.Block, { block: blocks[0] }),
+                from: formatDataPermissions(params.from, text),
+                to: formatDataPermissions(params.to, text),
+            });
+        }
+        case 'TrailerAccess':
+            return formatText(text.Records.TrailerAccess, {
+                sector: params.sector,
+                from: formatTrailerPermissions(params.from, text),
+                to: formatTrailerPermissions(params.to, text),
+            });
+        case 'KeyChanged': {
+            const describeKey = ({ key, kind, name }) => formatText(text.KeyKinds[kind], { key, name });
+            return formatText(text.Records.KeyChanged, { sector: params.sector, name: params.name, from: describeKey(params.from), to: describeKey(params.to) });
+        }
+        case 'UserByteChanged':
+        case 'ValueAddressChanged':
+            return formatText(text.Records[code], { ...params, from: hex(params.from), to: hex(params.to) });
+        case 'UidChanged':
+            return formatText(text.Records.UidChanged, { from: bytesToHex(params.from), to: bytesToHex(params.to) });
+        default:
+            return formatText(text.Records[code], params);
+    }
+}
+
+/**
+ * SemanticChanges component that lists what changed between two MIFARE Classic dumps in terms of the card
+ * (see utils/semanticDiff.js): permissions of the blocks, keys, values... Clicking a change jumps to its bytes.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>|null} props.records - The change records (see diffModels), or null if the dumps cannot be compared
+ * @param {Function} props.onSelect - Called with the offset of the first byte of the selected change
+ * @param {Object} props.text - Localized strings (language.Diff.Semantic)
+ * @returns {JSX.Element|null} The collapsible list, or nothing if the dumps cannot be compared
+ */
+function SemanticChanges({ records, onSelect, text }) {
+    if (!records) return null;
+
+    // Changes that lock the sector or loosen its protection stand out
+    const isWarning = ({ code, params }) => code === 'AccessBitsInvalid' || (code === 'KeyChanged' && params.to.kind === 'default');
+
+    return (
+        <details className='w-fit max-w-full rounded-lg bg-light-secondary dark:bg-dark-secondary p-2' open>
+            <summary className='cursor-pointer select-none'>{formatText(text.Title, { changes: records.length })}</summary>
+            {records.length ? (
+                <ul className='flex flex-col gap-1 mt-2'>
+                    {records.map((record, index) => (
+                        <li key={index}>
+                            <button
+                                className={`px-2 py-1 rounded-lg text-left hover:bg-neutral-600/40 ${isWarning(record) ? 'text-amber-500' : ''}`}
+                                onClick={() => onSelect(record.offset)}
+                            >
+                                {describeRecord(record, text)}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <span className='block mt-2 px-2 opacity-70'>{text.Empty}</span>
+            )}
+        </details>
+    );
+}
+
+export default SemanticChanges;
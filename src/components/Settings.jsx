@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { getMenuLabel } from '../utils/menuItems';
 
 /**
  * SettingToggle component - Renders a toggle switch for boolean settings
@@ -216,7 +217,7 @@ function Settings() {
                     </svg>
                 </button>
                 <div className="flex flex-col items-center justify-center w-full h-full">
-                    <h1 className="text-3xl font-inconsolata text-light-text dark:text-dark-text">{language.Menu[1]}</h1>
+                    <h1 className="text-3xl font-inconsolata text-light-text dark:text-dark-text">{getMenuLabel(language, 'Settings')}</h1>
                 </div>
             </div>
             {/* Settings controls container */}
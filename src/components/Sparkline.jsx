@@ -0,0 +1,46 @@
+import React from 'react';
+
+/**
+ * Sparkline component that draws a series of values as a small line chart.
+ * Missing values (`null`) break the line; every known value is marked with a dot.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<number|null>} props.values - The values, in order
+ * @param {number} [props.width] - Width of the chart in pixels
+ * @param {number} [props.height] - Height of the chart in pixels
+ * @returns {JSX.Element|null} The chart, or nothing if there is no known value
+ */
+function Sparkline({ values, width = 240, height = 48 }) {
+    const Known = values.filter(value => value !== null);
+    if (!Known.length) return null;
+
+    const min = Math.min(...Known);
+    const max = Math.max(...Known);
+    const padding = 4;
+
+    // A constant series is drawn as a flat line in the middle
+    const x = (index) => padding + (values.length > 1 ? index * (width - 2 * padding) / (values.length - 1) : (width - 2 * padding) / 2);
+    const y = (value) => max === min ? height / 2 : padding + (max - value) * (height - 2 * padding) / (max - min);
+
+    // One polyline per run of known values
+    const Lines = [];
+    values.forEach((value, index) => {
+        if (value === null) return;
+        if (index === 0 || values[index - 1] === null) Lines.push([]);
+        Lines[Lines.length - 1].push(`${x(index)},${y(value)}`);
+    });
+
+    return (
+        <svg width={width} height={height} className='text-sky-400'>
+            {Lines.map((points, index) => (
+                <polyline key={index} points={points.join(' ')} fill='none' stroke='currentColor' strokeWidth={1.5} />
+            ))}
+            {values.map((value, index) => value !== null && (
+                <circle key={index} cx={x(index)} cy={y(value)} r={1.5} fill='currentColor' />
+            ))}
+        </svg>
+    );
+}
+
+export default Sparkline;
@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import { formatText } from '../utils/formatText';
+import { BLOCK_SIZE } from '../utils/cardLayout';
+import { decodeValueBlock } from '../utils/valueBlock';
+import { OPERATIONS, simulateValueOperation } from '../utils/valueOperations';
+import { getMenuLabel } from '../utils/menuItems';
+
+/**
+ * ValueSimulator component - Panel to simulate the value commands of a MIFARE Classic card on the loaded dump
+ *
+ * Increment, decrement and restore (each followed by a transfer) are applied to an in-memory copy of the dump,
+ * only if the access conditions of the sector allow them for the chosen key (see utils/valueOperations.js).
+ * Every attempt is logged with its result or the reason why the card would reject it; the dump itself is never modified.
+ *
+ * @returns {JSX.Element} - Value block simulator panel
+ */
+function ValueSimulator() {
+    const [language] = useState(JSON.parse(sessionStorage.getItem('language')) || null);
+    const text = language.ValueSimulator;
+
+    // Loaded dump, and simulated bytes of the card with the log of the operations applied to them
+    const [fileData, setFileData] = useState(JSON.parse(sessionStorage.getItem('fileJSON')));
+    const [raw, setRaw] = useState(fileData?.raw ?? []);
+    const [log, setLog] = useState([]);
+
+    // Parameters of the next operation
+    const [sectorIndex, setSectorIndex] = useState(0);
+    const [key, setKey] = useState('A');
+    const [operation, setOperation] = useState(OPERATIONS[0]);
+    const [amount, setAmount] = useState('1');
+    const [source, setSource] = useState(0);
+    const [destination, setDestination] = useState(0);
+
+    // Keep track of the loaded dump: a new dump restarts the simulation, bytes edited in View or by a panel only replace the simulated ones
+    useEffect(() => {
+        const handleFileLoaded = (event) => {
+            const { type, data } = event.data;
+            if (type !== 'fileLoaded' && type !== 'fileEdited') return;
+            setFileData(data);
+            setRaw(data.raw);
+            if (type === 'fileLoaded') {
+                setLog([]);
+                setSectorIndex(0);
+            }
+        };
+        window.addEventListener('message', handleFileLoaded);
+        return () => window.removeEventListener('message', handleFileLoaded);
+    }, []);
+
+    // Only MIFARE Classic cards have value blocks
+    const Sectors = fileData?.family === 'classic' ? fileData.sectors : [];
+    const Sector = Sectors[sectorIndex];
+
+    // Data blocks of the sector (relative numbers), with their simulated content decoded as value blocks
+    const Blocks = Sector ? Array.from({ length: Sector.blockCount - 1 }, (_, block) => {
+        const offset = (Sector.firstBlock + block) * BLOCK_SIZE;
+        return { block, decoded: decodeValueBlock(raw.slice(offset, offset + BLOCK_SIZE)) };
+    }) : [];
+
+    const amountValue = parseInt(amount);
+    const isAmountValid = operation === 'restore' || (/^\d+$/.test(amount.trim()) && amountValue >= 0 && amountValue <= 0x7FFFFFFF);
+
+    /**
+     * Selects a sector; the blocks of the operation go back to the first one
+     * @param {number} index - The sector number
+     */
+    const selectSector = (index) => {
+        setSectorIndex(index);
+        setSource(0);
+        setDestination(0);
+    };
+
+    /**
+     * Simulates the operation, applies it to the simulated bytes if the card would accept it, and logs the result
+     */
+    const runOperation = () => {
+        const Request = { sector: sectorIndex, key, operation, amount: operation === 'restore' ? 0 : amountValue, source, destination };
+        const Result = simulateValueOperation(fileData, raw, Request);
+
+        // Blocks are shown with their absolute number
+        const Names = { sector: sectorIndex, key, operation: text.Operations[operation], amount: Request.amount, source: Sector.firstBlock + source, destination: Sector.firstBlock + destination };
+
+        let message;
+        if (Result.ok) {
+            setRaw(Result.raw);
+            message = formatText(text.Done, { ...Names, value: Result.value });
+        } else {
+            const Params = { ...Result.params };
+            if ('block' in Params) Params.block = Sector.firstBlock + Params.block;
+            if ('step' in Params) Params.step = text.Operations[Params.step];
+            message = formatText(text.Rejected, { ...Names, reason: formatText(text.Reasons[Result.reason], Params) });
+        }
+
+        setLog(current => [...current, { ok: Result.ok, message }]);
+    };
+
+    /**
+     * Discards the simulated changes and goes back to the loaded dump
+     */
+    const reset = () => {
+        setRaw(fileData.raw);
+        setLog([]);
+    };
+
+    /**
+     * Handles closing the simulator panel
+     * Posts a message to parent window to close the panel
+     */
+    const handleClose = () => {
+        window.postMessage({
+            type: 'closeValueSimulator'
+        });
+    };
+
+    const selectClass = "p-1 rounded-lg bg-light-primary dark:bg-dark-primary";
+
+    return (
+        <div className="w-full">
+            <div className="flex flex-row items-center">
+                {/* Back button */}
+                <button onClick={handleClose}>
+                    <svg
+                        className="aspect-square w-8 h-8 m-2"
+                        viewBox="0 0 24 24"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth={2}
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                    >
+                        <polyline points="12 8 6 12 12 16" />
+                    </svg>
+                </button>
+                <div className="flex flex-col items-center justify-center w-full h-full">
+                    <h1 className="text-3xl font-inconsolata text-light-text dark:text-dark-text">{getMenuLabel(language, 'Value Simulator')}</h1>
+                </div>
+            </div>
+            {Sectors.length ? (
+                <div className="flex flex-col items-start justify-start w-full p-5 gap-4">
+                    {/* Sector the key authenticates to */}
+                    <select className={selectClass} value={sectorIndex} onChange={(event) => selectSector(parseInt(event.target.value))}>
+                        {Sectors.map((_, index) => (
+                            <option key={index} value={index}>{formatText(text.Sector, { sector: index })}</option>
+                        ))}
+                    </select>
+
+                    {/* Simulated content of the data blocks of the sector */}
+                    <div className="grid grid-cols-[auto_auto] gap-x-4 gap-y-1">
+                        {Blocks.map(({ block, decoded }) => (
+                            <React.Fragment key={block}>
+                                <span>{formatText(text.Block, { block: Sector.firstBlock + block })}</span>
+                                {decoded.valid
+                                    ? <span>{formatText(text.Value, { value: decoded.value, address: decoded.address.toString(16).padStart(2, '0').toUpperCase() })}</span>
+                                    : <span className="opacity-50">{text.NotValue}</span>}
+                            </React.Fragment>
+                        ))}
+                    </div>
+
+                    {/* Operation to simulate */}
+                    <div className="flex flex-wrap items-center gap-2">
+                        <label className="flex items-center gap-2">
+                            {text.Key}
+                            <select className={selectClass} value={key} onChange={(event) => setKey(event.target.value)}>
+                                <option value="A">A</option>
+                                <option value="B">B</option>
+                            </select>
+                        </label>
+                        <select className={selectClass} value={operation} onChange={(event) => setOperation(event.target.value)}>
+                            {OPERATIONS.map((name) => (
+                                <option key={name} value={name}>{text.Operations[name]}</option>
+                            ))}
+                        </select>
+                        <label className="flex items-center gap-2">
+                            {text.Amount}
+                            <input
+                                className={`${selectClass} w-28`}
+                                value={amount}
+                                disabled={operation === 'restore'}
+                                onChange={(event) => setAmount(event.target.value)}
+                            />
+                        </label>
+                        <label className="flex items-center gap-2">
+                            {text.Source}
+                            <select className={selectClass} value={source} onChange={(event) => setSource(parseInt(event.target.value))}>
+                                {Blocks.map(({ block }) => (
+                                    <option key={block} value={block}>{Sector.firstBlock + block}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-2">
+                            {text.Destination}
+                            <select className={selectClass} value={destination} onChange={(event) => setDestination(parseInt(event.target.value))}>
+                                {Blocks.map(({ block }) => (
+                                    <option key={block} value={block}>{Sector.firstBlock + block}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <button className="px-2 py-1 rounded-lg hover:bg-neutral-600/40 disabled:opacity-50" disabled={!isAmountValid} onClick={runOperation}>{text.Run}</button>
+                        <button className="px-2 py-1 rounded-lg hover:bg-neutral-600/40" onClick={reset}>{text.Reset}</button>
+                    </div>
+                    {!isAmountValid && <span className="text-red-500">{text.InvalidAmount}</span>}
+
+                    {/* Result of every simulated operation */}
+                    <ol className="flex flex-col gap-1">
+                        {log.map((entry, index) => (
+                            <li key={index} className={entry.ok ? 'text-green-500' : 'text-red-500'}>{entry.message}</li>
+                        ))}
+                    </ol>
+                </div>
+            ) : (
+                <span className="p-5 opacity-50">{text.NoDump}</span>
+            )}
+        </div>
+    );
+}
+
+export default ValueSimulator;
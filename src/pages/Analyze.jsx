@@ -1,13 +1,28 @@
 import React, { useEffect, useState } from 'react';
 import CryptoJS from 'crypto-js';
+import { CARD_TYPES, getAccessGroup } from '../utils/cardLayout';
+import { getSakCardType } from '../utils/cardIdentity';
+import { formatText } from '../utils/formatText';
+import { ACCESS_GROUPS, decodeTrailerAccess, getDataAccess } from '../utils/accessConditions';
+import ReadStatus from '../components/ReadStatus';
+import DiagnosticsPanel from '../components/DiagnosticsPanel';
+import SectorApplication from '../components/SectorApplication';
+import NdefPanel from '../components/NdefPanel';
+import CardIdentity from '../components/CardIdentity';
+import KeyReport from '../components/KeyReport';
+import SectorKeys from '../components/SectorKeys';
+import { describeApplication } from '../utils/mad';
+import { loadUserKeys, saveUserKeys, buildKeyDictionary, analyzeKeys } from '../utils/keyDictionary';
 
 /**
  * Renders an array of bytes in hexadecimal format
  * @param {Object} props - Component props
  * @param {Array<number>} props.byteArray - Array of bytes to render
+ * @param {number} [props.offset] - Absolute offset of the first byte in the dump
+ * @param {Array<number>} [props.known] - Known/unknown mask of the whole dump (fileData.known); unknown bytes are shown as "??"
  * @returns {JSX.Element} React component
  */
-function Bytes({ byteArray }) {
+function Bytes({ byteArray, offset = 0, known }) {
     /**
      * Converts an integer to a hexadecimal string, padded to 2 characters
      * @param {number} i - Integer to convert
@@ -21,9 +36,12 @@ function Bytes({ byteArray }) {
         <>
             {
                 // Map over the byte array and render each byte as a hexadecimal string
-                byteArray.map((byte, index) => (
-                    <span key={index}>{int2hex(byte)}</span>
-                ))
+                byteArray.map((byte, index) => {
+                    const isKnown = !known || known[offset + index] !== 0;
+                    return (
+                        <span key={index} data-offset={offset + index} data-known={isKnown}>{isKnown ? int2hex(byte) : '??'}</span>
+                    );
+                })
             }
         </>
     );
@@ -33,9 +51,11 @@ function Bytes({ byteArray }) {
  * Renders an array of bytes as text with configurable character encoding
  * @param {Object} props - Component props
  * @param {Array<number>} props.byteArray - Array of bytes to render as text
+ * @param {number} [props.offset] - Absolute offset of the first byte in the dump
+ * @param {Array<number>} [props.known] - Known/unknown mask of the whole dump (fileData.known); unknown bytes are shown as "?"
  * @returns {JSX.Element} React component
  */
-function TextBytes({ byteArray }) {
+function TextBytes({ byteArray, offset = 0, known }) {
     const [encoding, setEncoding] = useState('ASCII'); // State to store the selected encoding
 
     /**
@@ -77,9 +97,12 @@ function TextBytes({ byteArray }) {
             <div>
                 {
                     // Map over the byte array and render as text or '.' for non-printable characters
-                    byteArray.map((byte, index) => (
-                        <span key={index}>{decodeByte(byte)}</span>
-                    ))
+                    byteArray.map((byte, index) => {
+                        const isKnown = !known || known[offset + index] !== 0;
+                        return (
+                            <span key={index} data-known={isKnown}>{isKnown ? decodeByte(byte) : '?'}</span>
+                        );
+                    })
                 }
             </div>
         </div>
@@ -89,11 +112,13 @@ function TextBytes({ byteArray }) {
 /**
  * Generates hover behavior functions based on block type and access conditions
  * @param {Object} props - Function props
- * @param {string} props.type - Block type ('V' for value, 'M' for manufacturer, 'T' for trailer)
- * @param {Array<string>} props.options - Access conditions for determining hover behavior
+ * @param {string} props.type - Block type ('V' for value, 'M' for manufacturer, 'T' for trailer, 'A' for MAD, 'P' for Ultralight page)
+ * @param {Array<string>} props.options - Access conditions for determining hover behavior (explanations of the segments for 'M', 'A' and 'P')
+ * @param {string|null} [props.invalidText] - Text shown instead of the permissions when the access bits of a trailer are invalid
+ * @param {string} [props.keyBReadableText] - Text shown on a trailer whose Key B can be read, and therefore cannot be used as a key
  * @returns {Object} Object containing hover start and end function arrays
  */
-function GetHoverFunction({ type, options }) {
+function GetHoverFunction({ type, options, invalidText = null, keyBReadableText = '' }) {
     const onHoverStart = []; // Array of functions to execute on hover start
     const onHoverEnd = []; // Array of functions to execute on hover end
 
@@ -124,52 +149,56 @@ function GetHoverFunction({ type, options }) {
         return `rgba(${r}, ${g}, ${b}, 0.5)`; // Semi-transparent color
     }
 
+    // Permissions on the sector trailer itself, which follow their own table (see utils/accessConditions.js)
+    const TrailerGroup = ACCESS_GROUPS - 1;
+    const TrailerAccess = type === 'T' ? decodeTrailerAccess(options[TrailerGroup]) : null;
+
     /**
-     * Analyzes access conditions for a given key and determines block permissions
+     * Analyzes access conditions for a given key and determines data block permissions
      * @param {Array<string>} accessConditions - Array of access condition strings
      * @param {string} key - Key type ('A' or 'B')
-     * @returns {Object} Object containing arrays of block indices with different permissions
+     * @returns {Object} Object containing arrays of access group indices (see getAccessGroup) with different permissions
      */
     function analyzeAccessConditions(accessConditions, key) {
-        const result = {
-            read: [], // Blocks that can be read
-            write: [], // Blocks that can be written
-            increment: [], // Blocks that can be incremented
-            DTR: [], // Blocks that can be decremented, transferred, or restored
-        };
+        // The sector trailer is described by describeTrailerAccess; a readable Key B grants nothing
+        return getDataAccess(accessConditions, key);
+    }
 
-        // Interpret access conditions based on MIFARE Classic access rules
-        accessConditions.forEach((AC, index) => {
-            if (key === 'A') {
-                // Key A permissions logic
-                if (AC !== '111' && AC !== '011' && AC !== '101') {
-                    result.read.push(index);
-                }
-                if (AC === '000') {
-                    result.write.push(index);
-                    result.increment.push(index);
-                }
-                if (AC === '000' || AC === '110' || AC === '001') {
-                    result.DTR.push(index);
-                }
-            } else if (key === 'B') {
-                // Key B permissions logic
-                if (AC !== '111') {
-                    result.read.push(index);
-                }
-                if (['000', '110', '100', '011'].includes(AC)) {
-                    result.write.push(index);
-                }
-                if (['000', '110'].includes(AC)) {
-                    result.increment.push(index);
-                }
-                if (['000', '110', '001'].includes(AC)) {
-                    result.DTR.push(index);
-                }
-            }
-        });      
+    /**
+     * Describes who can read and write the fields of the sector trailer
+     * @param {string|null} key - Key type ('A' or 'B') to describe the permissions of a single key, or null for both keys
+     * @returns {string} The permissions on Key A, the access bits (AC) and Key B
+     */
+    function describeTrailerAccess(key) {
+        const fields = { KeyA: TrailerAccess.keyA, AC: TrailerAccess.accessBits, KeyB: TrailerAccess.keyB };
+
+        const description = Object.entries(fields)
+            .map(([field, { read, write }]) => {
+                if (!key) return `${field} R/W: ${read.join('|') || '-'}/${write.join('|') || '-'}`;
+
+                // Only list the fields the key has some permission on
+                const permissions = [read.includes(key) ? 'R' : '', write.includes(key) ? 'W' : ''].filter(Boolean);
+                return permissions.length ? `${field}: ${permissions.join(' ')}` : '';
+            })
+            .filter(Boolean)
+            .join('; ');
 
-        return result;
+        return [description, TrailerAccess.keyBReadable ? keyBReadableText : ''].filter(Boolean).join('; ');
+    }
+
+    /**
+     * Marks every block of a sector whose access bits are invalid, instead of showing their permissions
+     * @param {NodeList} elements - The hex blocks of the sector
+     * @param {string} selectorPrefix - Selector prefix of the ::after rule, matching the one removed by the caller
+     */
+    function showInvalidAccess(elements, selectorPrefix) {
+        elements.forEach((element) => {
+            addRule(`${selectorPrefix}[data-link="${element.dataset.link}"]::after`, {
+                content: `'${invalidText.replace(/'/g, "\\'")}'`,
+                position: 'relative',
+            });
+            AddhighlightElem(element, 'rgba(239, 68, 68, 0.5)');
+        });
     }
 
     /**
@@ -241,11 +270,26 @@ function GetHoverFunction({ type, options }) {
         // Find all blocks in the current sector
         const sector = elem.closest('.HEXblock').parentElement.parentElement;
         const elementsToHighlight = sector.querySelectorAll(`.HEXblock[data-block]`);
+
+        // Inconsistent access bits grant nothing: the card would refuse the whole sector
+        if (invalidText) return showInvalidAccess(elementsToHighlight, 'span');
+
         const accessConditions = analyzeAccessConditions(options, key);
 
-        elementsToHighlight.forEach((element, index) => {
+        elementsToHighlight.forEach((element, blockIndex) => {
+            // Large sectors share one access condition group between 5 blocks
+            const index = getAccessGroup(blockIndex, elementsToHighlight.length);
             const finalACs = [];
 
+            if (index === TrailerGroup) {
+                addRule(`span[data-link="${element.dataset.link}"]::after`, {
+                    content: `'${describeTrailerAccess(key).replace(/'/g, "\\'")}'`,
+                    position: 'relative',
+                });
+                AddhighlightElem(element, HighlightColor);
+                return;
+            }
+
             // Build access condition indicators (R, W, I, D/T/R)
             accessConditions.read.includes(index) ? finalACs.push('R') : finalACs.push('\u00A0');
             accessConditions.write.includes(index) ? finalACs.push('W') : finalACs.push('\u00A0');
@@ -309,8 +353,21 @@ function GetHoverFunction({ type, options }) {
         const HighlightColor = computeHighlightColor(elem);
         AddhighlightElem(elem, HighlightColor);
 
+        // Inconsistent access bits grant nothing: the card would refuse the whole sector
+        if (invalidText) return showInvalidAccess(elementsToHighlight, '');
+
         // Process each block in the sector
-        elementsToHighlight.forEach((element, index) => {
+        elementsToHighlight.forEach((element, blockIndex) => {
+            const index = getAccessGroup(blockIndex, elementsToHighlight.length);
+
+            if (index === TrailerGroup) {
+                addRule(`[data-link="${element.dataset.link}"]::after`, {
+                    content: `'${describeTrailerAccess(null).replace(/'/g, "\\'")}'`,
+                    position: 'relative'
+                });
+                AddhighlightElem(element, HighlightColor);
+                return;
+            }
             const keyAAccess = analyzeAccessConditions(options, 'A');
             const keyBAccess = analyzeAccessConditions(options, 'B');
 
@@ -379,23 +436,75 @@ function GetHoverFunction({ type, options }) {
         });
     }
 
+    /**
+     * Shows the explanation of an element after its hex block
+     * @param {HTMLElement} elem - DOM element carrying a data-explanation attribute
+     */
+    function ShowExplanation(elem) {
+        const block = elem.closest('.HEXblock');
+
+        addRule(`span[data-link="${block.dataset.link}"]::after`, {
+            content: `'${elem.dataset.explanation.replace(/'/g, "\\'")}'`,
+            position: 'relative',
+        });
+    }
+
+    /**
+     * Removes the explanation added by ShowExplanation
+     * @param {HTMLElement} elem - DOM element carrying a data-explanation attribute
+     */
+    function HideExplanation(elem) {
+        const selector = `span[data-link="${elem.closest('.HEXblock').dataset.link}"]::after`;
+
+        // Remove the :after pseudo-element by deleting the CSS rule
+        [...document.styleSheets].forEach((styleSheet) => {
+            const ruleIndex = [...styleSheet.cssRules].findIndex(rule => rule.selectorText === selector);
+            if (ruleIndex !== -1) {
+                styleSheet.deleteRule(ruleIndex);
+            }
+        });
+    }
+
+    /**
+     * Highlights an element and shows its explanation after the hex block
+     * @param {HTMLElement} elem - DOM element carrying a data-explanation attribute
+     */
+    function AddExplanation(elem) {
+        AddhighlightElem(elem);
+        ShowExplanation(elem);
+    }
+
+    /**
+     * Removes the highlight and the explanation added by AddExplanation
+     * @param {HTMLElement} elem - DOM element carrying a data-explanation attribute
+     */
+    function RemoveExplanation(elem) {
+        RemovehighlightElem(elem);
+        HideExplanation(elem);
+    }
+
     // Configure hover behavior based on block type
     switch (type) {
-        case 'V': // Value block
-            // For value blocks, highlight related data segments
-            onHoverStart.push(AddHighlightSameDataLink, AddhighlightElem, AddHighlightSameDataLink, AddHighlightSameDataLink, AddHighlightSameDataLink, AddHighlightSameDataLink, AddHighlightSameDataLink);
-            onHoverEnd.push(RemoveHighlightSameDataLink, RemovehighlightElem, RemoveHighlightSameDataLink, RemoveHighlightSameDataLink, RemoveHighlightSameDataLink, RemoveHighlightSameDataLink, RemoveHighlightSameDataLink);
-            break;
-        case 'M': // Manufacturer block
-            // For manufacturer blocks, highlight individual components
-            onHoverStart.push(AddhighlightElem, AddhighlightElem, AddhighlightElem, AddhighlightElem, AddhighlightElem);
-            onHoverEnd.push(RemovehighlightElem, RemovehighlightElem, RemovehighlightElem, RemovehighlightElem, RemovehighlightElem);
+        case 'V': { // Value block
+            // For value blocks, highlight related data segments and show the decoded value and address
+            const highlightStart = [AddHighlightSameDataLink, AddhighlightElem, AddHighlightSameDataLink, AddHighlightSameDataLink, AddHighlightSameDataLink, AddHighlightSameDataLink, AddHighlightSameDataLink];
+            const highlightEnd = [RemoveHighlightSameDataLink, RemovehighlightElem, RemoveHighlightSameDataLink, RemoveHighlightSameDataLink, RemoveHighlightSameDataLink, RemoveHighlightSameDataLink, RemoveHighlightSameDataLink];
+            onHoverStart.push(...highlightStart.map(highlight => (elem) => { highlight(elem); ShowExplanation(elem); }));
+            onHoverEnd.push(...highlightEnd.map(removeHighlight => (elem) => { removeHighlight(elem); HideExplanation(elem); }));
             break;
+        }
         case 'T': // Trailer block
             // For trailer blocks, highlight keys and show access condition details
             onHoverStart.push(AddHighlightKey, AddHighlightACs, AddhighlightElem, AddHighlightKey);
             onHoverEnd.push(RemoveHighlightKey, RemoveHighlightACs, RemovehighlightElem, RemoveHighlightKey);
             break;
+        case 'M': // Manufacturer block
+        case 'A': // MIFARE Application Directory block
+        case 'P': // Ultralight/NTAG page
+            // For pages, manufacturer and MAD blocks, every segment shows its own explanation (options holds one text per segment)
+            onHoverStart.push(...options.map(() => AddExplanation));
+            onHoverEnd.push(...options.map(() => RemoveExplanation));
+            break;
         default:
             // Default case for other block types
             onHoverStart.push(null);
@@ -413,13 +522,24 @@ function GetHoverFunction({ type, options }) {
  * Renders a block of MIFARE card data with appropriate formatting based on block type
  * @param {Object} props - Component props
  * @param {Array|Object} props.block - Block data to render
- * @param {string} props.type - Block type ('V' for value, 'M' for manufacturer, 'T' for trailer)
+ * @param {string} props.type - Block type ('V' for value, 'M' for manufacturer, 'T' for trailer, 'A' for MAD, 'U' for a block that was not read)
  * @param {number} props.blockIndex - Index of the block within its sector
+ * @param {number} props.offset - Absolute offset of the block in the dump
+ * @param {Array<number>} [props.known] - Known/unknown mask of the whole dump (fileData.known)
+ * @param {string} props.invalidAccessText - Text shown when hovering a trailer whose access bits are invalid
+ * @param {string} props.keyBReadableText - Text shown when hovering a trailer whose Key B can be read
+ * @param {Object|null} [props.valueBlock] - The decoded value block (sector.valueBlocks), for value blocks and damaged value blocks
+ * @param {string} [props.valueText] - Decoded value and address shown when hovering a value block
  * @returns {JSX.Element} React component
  */
-function Block({ block, type, blockIndex }) {
+function Block({ block, type, blockIndex, offset, known, invalidAccessText, keyBReadableText, valueBlock = null, valueText = '' }) {
     let ParsedBlock;
-    const { onHoverStart, onHoverEnd } = GetHoverFunction({ type, options: block.accessConditions?.parsed });
+    const { onHoverStart, onHoverEnd } = GetHoverFunction({
+        type,
+        options: ['A', 'M'].includes(type) ? block.explanations : block.accessConditions?.parsed,
+        invalidText: block.accessConditions?.valid === false ? invalidAccessText : null,
+        keyBReadableText,
+    });
 
     // Parse the block data based on its type for proper display
     switch (type) {
@@ -427,20 +547,22 @@ function Block({ block, type, blockIndex }) {
             // Value blocks are split into data segments according to MIFARE spec
             ParsedBlock = [block.slice(0, 4), block.slice(4, 8), block.slice(8, 12), [block[12]], [block[13]], [block[14]], [block[15]]];
             break;
-        case 'M': // Manufacturer block
-            // Extract UID components not included in NUID
-            const filteredUid = block.uid.filter(byte => !block.nuid.includes(byte));
-            ParsedBlock = [block.nuid, ...(filteredUid.length > 0 ? [filteredUid] : []), block.bcc, block.sak, block.ataq, block.data];
-            break;
         case 'T': // Trailer block
             // Sector trailer contains keys and access bits
             ParsedBlock = [block.keyA, block.accessConditions.unParsed, block.userdata, block.keyB];
             break;
-        default: // Standard data block
+        case 'M': // Manufacturer block, already split by explainManufacturerBlock
+        case 'A': // MAD block, already split by explainMadBlock
+            ParsedBlock = block.spans;
+            break;
+        default: // Standard data block, or block that was not read
             ParsedBlock = [block];
             break;
     }
 
+    // Absolute offset of the first byte of each segment, used to look up unknown bytes
+    const SpanOffsets = ParsedBlock.map((_, index) => offset + ParsedBlock.slice(0, index).reduce((total, part) => total + part.length, 0));
+
     return (
         <div className='flex gap-10 w-fit flex-row'>
             {/* Hex representation of the block */}
@@ -457,10 +579,14 @@ function Block({ block, type, blockIndex }) {
                             key={index}
                             data-link={CryptoJS.SHA256(byteArray.join('') + blockIndex).toString()}
                             {... type === 'T' && [0, 3].includes(index) ? { 'data-key': index === 0 ? 'A' : 'B' } : {}}
+                            {... type === 'T' && index === 1 && block.accessConditions.valid === false ? { 'data-invalid': 'true' } : {}}
+                            {... ['A', 'M'].includes(type) ? { 'data-explanation': block.explanations[index] } : {}}
+                            {... type === 'V' ? { 'data-explanation': valueText } : {}}
+                            {... type === 'V' && valueBlock && (index < 3 ? !valueBlock.valueValid : !valueBlock.addressValid) ? { 'data-invalid': 'true' } : {}}
                             onMouseEnter={(e) => {onHoverStart[index] && onHoverStart[index](e.currentTarget)}}
                             onMouseLeave={(e) => {onHoverEnd[index] && onHoverEnd[index](e.currentTarget)}}
                         >
-                            <Bytes byteArray={byteArray} />
+                            <Bytes byteArray={byteArray} offset={SpanOffsets[index]} known={known} />
                         </span>
                     ))
                 }
@@ -481,7 +607,7 @@ function Block({ block, type, blockIndex }) {
                             data-link={CryptoJS.SHA256(byteArray.join('') + blockIndex).toString()}
                             {... type === 'T' && [0, 3].includes(index) ? { 'data-key': index === 0 ? 'A' : 'B' } : {}}
                         >
-                            <TextBytes byteArray={byteArray} />
+                            <TextBytes byteArray={byteArray} offset={SpanOffsets[index]} known={known} />
                         </span>
                     ))
                 }
@@ -490,6 +616,237 @@ function Block({ block, type, blockIndex }) {
     );
 }
 
+/**
+ * Splits an Ultralight/NTAG page into its fields and describes each of them
+ * @param {Object} page - Page from the parsed dump ({ data, type })
+ * @param {Object} fileData - The whole parsed dump, used for the decoded lock and configuration values
+ * @param {Object} text - Localized strings (language.Ultralight)
+ * @returns {{spans: Array<Array<number>>, explanations: Array<string>}} Byte segments of the page and their explanations
+ */
+function explainPage(page, fileData, text) {
+    const data = page.data;
+
+    // A page that was not read has no fields to explain
+    if (page.status === 'unread') return { spans: [data], explanations: [text.NotRead] };
+
+    const bccStatus = (valid) => valid ? text.Valid : text.Invalid;
+    const pageList = (pages) => pages.length ? pages.join(', ') : text.None;
+    const config = fileData.config || {};
+
+    switch (page.type) {
+        case 'UID0': // UID0-UID2 and BCC0
+            return {
+                spans: [data.slice(0, 3), data.slice(3)],
+                explanations: [text.UIDStart, `${text.BCC0} (${bccStatus(fileData.manifacturer.bccValid[0])})`],
+            };
+        case 'UID1': // UID3-UID6
+            return { spans: [data], explanations: [text.UIDEnd] };
+        case 'LOCK': // BCC1, internal byte and static lock bytes
+            return {
+                spans: [data.slice(0, 1), data.slice(1, 2), data.slice(2)],
+                explanations: [
+                    `${text.BCC1} (${bccStatus(fileData.manifacturer.bccValid[1])})`,
+                    text.Internal,
+                    formatText(text.StaticLock, { pages: pageList(fileData.lockBytes.staticLocked) }),
+                ],
+            };
+        case 'OTP':
+            return { spans: [data], explanations: [text.OTP] };
+        case 'CC':
+            return {
+                spans: [data],
+                explanations: [formatText(text.CC, {
+                    version: `${fileData.capabilityContainer.version >> 4}.${fileData.capabilityContainer.version & 0x0F}`,
+                    size: fileData.capabilityContainer.size,
+                    access: fileData.capabilityContainer.access.toString(16).padStart(2, '0'),
+                })],
+            };
+        case 'DLOCK': // 3 dynamic lock bytes and one reserved byte
+            return {
+                spans: [data.slice(0, 3), data.slice(3)],
+                explanations: [formatText(text.DynamicLock, { pages: pageList(fileData.lockBytes.dynamicLocked) }), text.RFUI],
+            };
+        case 'CFG0': // MIRROR/MOD configuration and AUTH0
+            return {
+                spans: [data.slice(0, 3), data.slice(3)],
+                explanations: [text.CFG0, formatText(text.AUTH0, { page: data[3].toString(16).padStart(2, '0') })],
+            };
+        case 'CFG1': // ACCESS byte and reserved bytes
+            return {
+                spans: [data.slice(0, 1), data.slice(1)],
+                explanations: [
+                    formatText(text.Access, {
+                        prot: config.prot ? text.ProtReadWrite : text.ProtWrite,
+                        cfglck: config.cfglck,
+                        authlim: config.authlim,
+                    }),
+                    text.CFG1,
+                ],
+            };
+        case 'PWD':
+            return { spans: [data], explanations: [text.PWD] };
+        case 'PACK':
+            return { spans: [data.slice(0, 2), data.slice(2)], explanations: [text.PACK, text.RFUI] };
+        case 'CNT': // Ultralight C 16-bit counter
+            return { spans: [data.slice(0, 2), data.slice(2)], explanations: [formatText(text.Counter, { value: config.counter }), text.RFUI] };
+        case 'AUTH0': // Ultralight C AUTH0
+            return {
+                spans: [data.slice(0, 1), data.slice(1)],
+                explanations: [formatText(text.AUTH0, { page: data[0].toString(16).padStart(2, '0') }), text.RFUI],
+            };
+        case 'AUTH1': // Ultralight C AUTH1
+            return {
+                spans: [data.slice(0, 1), data.slice(1)],
+                explanations: [config.auth1 ? text.AUTH1Write : text.AUTH1ReadWrite, text.RFUI],
+            };
+        case 'KEY':
+            return { spans: [data], explanations: [text.Key] };
+        default: // User memory
+            return { spans: [data], explanations: [text.Data] };
+    }
+}
+
+/**
+ * Describes the value and address of a value block
+ * @param {Object} valueBlock - The decoded value block (an entry of sector.valueBlocks)
+ * @param {Object} text - Localized strings (language.ValueBlock)
+ * @returns {string} The value and address, with the inconsistent part of a damaged value block
+ */
+function describeValueBlock(valueBlock, text) {
+    const description = formatText(text.Value, {
+        value: valueBlock.value,
+        address: '0x' + valueBlock.address.toString(16).padStart(2, '0').toUpperCase(),
+    });
+    if (valueBlock.valid) return description;
+
+    return formatText(text.Damaged, { description, part: valueBlock.valueValid ? text.Address : text.ValuePart });
+}
+
+/**
+ * Splits the manufacturer block into its fields and describes each of them
+ * @param {Object} fileData - The whole parsed dump, with the decoded manufacturer block (fileData.manifacturer) and card identity (fileData.identity)
+ * @param {Object} text - Localized strings (language.CardIdentity)
+ * @returns {{spans: Array<Array<number>>, explanations: Array<string>}} Byte segments of the block and their explanations
+ */
+function explainManufacturerBlock(fileData, text) {
+    const { uid, nuid, bcc, sak, ataq, data } = fileData.manifacturer;
+    const identity = fileData.identity;
+    const toHex = (bytes) => Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+
+    // The identity is only decoded when the whole block was read
+    const uidText = identity ? formatText(text.UidField, {
+        uid: toHex(uid),
+        size: uid.length,
+        kind: identity.manufacturer
+            ? formatText(text.Manufacturer, { name: identity.manufacturer.name ?? formatText(text.UnknownManufacturer, { code: toHex([identity.manufacturer.code]) }) })
+            : text.UidTypes[identity.uidType],
+    }) : formatText(text.Uid, { uid: toHex(uid) });
+    const sakType = identity?.sak != null ? CARD_TYPES[getSakCardType(identity.sak)]?.name : null;
+
+    // BCC, SAK and ATQA are skipped when they are not part of the block
+    const Fields = [
+        [nuid, uidText],
+        [uid.slice(nuid.length), uidText],
+        [bcc, identity?.bcc ? formatText(identity.bcc.valid ? text.BccValid : text.BccInvalid, { bcc: toHex([identity.bcc.stored]), expected: toHex([identity.bcc.expected]) }) : text.Bcc],
+        [sak, formatText(text.Sak, { sak: toHex(sak ?? []), type: sakType ?? text.UnknownSak })],
+        [ataq, formatText(text.Atqa, { atqa: toHex(ataq ?? []) })],
+        [data, identity?.flags.some(({ code }) => code === 'MagicManufacturerData') ? text.MagicData : text.Data],
+    ].filter(([part]) => part && part.length > 0);
+
+    return { spans: Fields.map(([part]) => part), explanations: Fields.map(([, explanation]) => explanation) };
+}
+
+/**
+ * Splits a block of the MIFARE Application Directory into its fields and describes each of them
+ * @param {Object} directory - The directory holding the block (an entry of fileData.mad.directories)
+ * @param {number} blockNumber - Absolute number of the block
+ * @param {Object} fileData - The whole parsed dump
+ * @param {Object} text - Localized strings (language.Mad)
+ * @returns {{spans: Array<Array<number>>, explanations: Array<string>}} Byte segments of the block and their explanations
+ */
+function explainMadBlock(directory, blockNumber, fileData, text) {
+    const offset = blockNumber * 16;
+    const data = fileData.raw.slice(offset, offset + 16);
+    const spans = [];
+    const explanations = [];
+
+    // The first block of a directory starts with the CRC and the info byte
+    let start = 0;
+    if (offset === directory.offset) {
+        spans.push(data.slice(0, 1), data.slice(1, 2));
+        explanations.push(
+            formatText(text.Crc, {
+                version: directory.version,
+                crc: directory.crc.toString(16).padStart(2, '0').toUpperCase(),
+                status: directory.crcValid ? text.Valid : formatText(text.Invalid, { expected: directory.computedCrc.toString(16).padStart(2, '0').toUpperCase() }),
+            }),
+            directory.publisherSector ? formatText(text.Info, { sector: directory.publisherSector }) : text.NoPublisher,
+        );
+        start = 2;
+    }
+
+    // Then come the AIDs, 2 bytes per sector
+    for (let i = start; i < 16; i += 2) {
+        const sector = (offset + i - directory.offset - 2) / 2 + (directory.sector + 1);
+        const application = fileData.mad.applications.find(app => app.sector === sector);
+        spans.push(data.slice(i, i + 2));
+        explanations.push(formatText(text.Sector, { sector, application: describeApplication(application, text) }));
+    }
+
+    return { spans, explanations };
+}
+
+/**
+ * Renders a page of a MIFARE Ultralight / NTAG dump with hover explanations for each field
+ * @param {Object} props - Component props
+ * @param {Object} props.page - Page data ({ data, type })
+ * @param {number} props.pageIndex - Number of the page
+ * @param {Object} props.fileData - The whole parsed dump
+ * @param {Object} props.text - Localized strings (language.Ultralight)
+ * @returns {JSX.Element} React component
+ */
+function Page({ page, pageIndex, fileData, text }) {
+    const { spans, explanations } = explainPage(page, fileData, text);
+    const { onHoverStart, onHoverEnd } = GetHoverFunction({ type: 'P', options: explanations });
+
+    // Absolute offset of the first byte of each segment, used to look up unknown bytes
+    const SpanOffsets = spans.map((_, index) => pageIndex * 4 + spans.slice(0, index).reduce((total, part) => total + part.length, 0));
+
+    return (
+        <div className='flex gap-10 w-fit flex-row'>
+            {/* Page number */}
+            <span className='opacity-50'>{pageIndex.toString(16).padStart(2, '0')}</span>
+
+            {/* Hex representation of the page */}
+            <span
+                className='HEXblock'
+                data-type={page.type}
+                data-block={pageIndex}
+                data-link={CryptoJS.SHA256(spans.join('') + Date.now() + Math.random()).toString()}
+            >
+                {
+                    spans.map((byteArray, index) => (
+                        <span
+                            key={index}
+                            data-link={CryptoJS.SHA256(byteArray.join('') + pageIndex + index).toString()}
+                            data-explanation={explanations[index]}
+                            onMouseEnter={(e) => {onHoverStart[index] && onHoverStart[index](e.currentTarget)}}
+                            onMouseLeave={(e) => {onHoverEnd[index] && onHoverEnd[index](e.currentTarget)}}
+                        >
+                            <Bytes byteArray={byteArray} offset={SpanOffsets[index]} known={fileData.known} />
+                        </span>
+                    ))
+                }
+            </span>
+
+            {/* ASCII/text representation of the page */}
+            <span className='TEXTblock' data-type={page.type} data-block={pageIndex}>
+                <TextBytes byteArray={page.data} offset={pageIndex * 4} known={fileData.known} />
+            </span>
+        </div>
+    );
+}
+
 /**
  * Main component to analyze and render MIFARE card data
  * Loads card dump file and displays sector and block data with interactive features
@@ -512,6 +869,16 @@ function Analyze() {
         loadLanguage();
     }, []);
 
+    // Keys added by the user to the key dictionary, kept in localStorage
+    const [userKeys, setUserKeys] = useState(loadUserKeys());
+    const handleUserKeysChange = (keys) => {
+        saveUserKeys(keys);
+        setUserKeys(keys);
+    };
+
+    // Keys of every sector matched against the dictionary (MIFARE Classic only)
+    const keyReport = fileData?.family === 'classic' ? analyzeKeys(fileData, buildKeyDictionary(userKeys)) : null;
+
     // useEffect hook to handle side effects such as DOM manipulation and event listeners
     useEffect(() => {
         // Select the HotBar element from the DOM
@@ -542,6 +909,11 @@ function Analyze() {
                 // Update the fileData state with the loaded file data
                 setFileData(data);
             }
+
+            // Bytes edited in View or by a panel (e.g. the access calculator): the menu is left as it is
+            if (type === 'fileEdited') {
+                setFileData(data);
+            }
         };
 
         // Add the event listener for the 'message' event when the component mounts
@@ -557,25 +929,58 @@ function Analyze() {
         // Main container with dynamic padding-bottom based on the HotBar height
         <div className='w-full h-screen p-5 pr-1 font-inconsolata dark:text-dark-text text-light-text' style={{ paddingBottom: paddingBottomValue }}>
             <div className='h-full overflow-auto flex flex-col gap-5'>
+                {/* Manufacturer, UID checks and signs of a clone card */}
+                <CardIdentity identity={fileData?.identity} text={language.CardIdentity} />
+                {/* Problems found while parsing the dump */}
+                <DiagnosticsPanel diagnostics={fileData?.diagnostics} text={language.Diagnostics} />
+                {/* NDEF records stored on the card, linked to their bytes */}
+                <NdefPanel ndef={fileData?.ndef} text={language.Ndef} />
+                {/* Keys of the sectors: known keys, shared keys and where they come from */}
+                <KeyReport fileData={fileData} report={keyReport} userKeys={userKeys} onUserKeysChange={handleUserKeysChange} text={language.Keys} />
                 {
                     // Conditional rendering: If fileData exists, display its contents; otherwise, show a "No file loaded" message
-                    fileData ? (
+                    fileData?.family === 'ultralight' ? (
+                        // Page-based layout for Ultralight/NTAG dumps
+                        <div className='flex flex-col gap-2 w-fit'>
+                            <h1 className='text-2xl dark:text-dark-text text-light-text w-fit font-bold'>
+                                {fileData.cardType}
+                            </h1>
+                            <div className='flex flex-col gap-2 w-fit'>
+                                {fileData.pages.map((page, pageIndex) => (
+                                    <Page key={pageIndex} page={page} pageIndex={pageIndex} fileData={fileData} text={language.Ultralight} />
+                                ))}
+                            </div>
+                        </div>
+                    ) : fileData ? (
                         <>
+                            {/* Display the detected MIFARE Classic variant (Mini, 1K or 4K) */}
+                            <h1 className='text-xl dark:text-dark-text text-light-text w-fit opacity-70'>{CARD_TYPES[fileData.cardType]?.name}</h1>
                             {/* Iterate over the sectors in the fileData and render their contents */}
                             {fileData.sectors.map((sector, index) => (
                                 <div key={index} className='flex flex-col gap-2 w-fit'>
-                                    <h1 className='text-2xl dark:text-dark-text text-light-text w-fit font-bold'>
-                                        {language.Sector} {index}
+                                    <h1 className='text-2xl dark:text-dark-text text-light-text w-fit font-bold flex items-center gap-3'>
+                                        {language.Sector} {index} <ReadStatus status={sector.status} text={language.ReadStatus} />
+                                        <SectorApplication mad={fileData.mad} sector={index} text={language.Mad} />
+                                        <SectorKeys keys={keyReport?.sectors[index]} text={language.Keys} />
                                     </h1>
                                     <div className='flex flex-col gap-2 w-fit'>
                                         {/* Iterate over the blocks in the sector and render their contents */}
                                         {
-                                            Array(4).fill(0).map((_, blockIndex) => {
+                                            Array(sector.blockCount).fill(0).map((_, blockIndex) => {
 
+                                                const offset = (sector.firstBlock + blockIndex) * 16; // Absolute offset of the block in the dump
+                                                const isUnread = sector.blockStatus?.[blockIndex] === 'unread'; // Unread blocks have no meaningful fields to explain
                                                 const isManifacturerBlock = blockIndex === 0 && index === 0; // Check if the block is the manufacturer block
-                                                const isSectorTrailerBlock = blockIndex === 3; // Check if the block is the sector trailer block
-                                                const type = isManifacturerBlock ? 'M' : isSectorTrailerBlock ? 'T' : sector.dataTypes[blockIndex]; // Determine the block type based on its index
-                                                const block = isManifacturerBlock ? fileData.manifacturer : isSectorTrailerBlock ? sector.sectorTrailer : index === 0 ? sector.dataValues[blockIndex -1] : sector.dataValues[blockIndex]; // Get the block data based on its type
+                                                const isSectorTrailerBlock = blockIndex === sector.blockCount - 1; // Check if the block is the sector trailer block (4 or 16 blocks per sector)
+                                                const dataIndex = index === 0 ? blockIndex - 1 : blockIndex; // The manufacturer block is not stored in dataValues
+                                                const madDirectory = fileData.mad?.directories.find(directory => directory.blocks.includes(sector.firstBlock + blockIndex)); // MAD held by the block, if any
+                                                const valueBlock = isManifacturerBlock || isSectorTrailerBlock ? null : sector.valueBlocks?.[dataIndex] ?? null; // Decoded value, also set for damaged value blocks
+                                                const type = isUnread ? 'U' : isManifacturerBlock ? 'M' : isSectorTrailerBlock ? 'T' : madDirectory ? 'A' : valueBlock ? 'V' : sector.dataTypes[dataIndex]; // Determine the block type based on its index
+                                                const block = isUnread ? fileData.raw.slice(offset, offset + 16)
+                                                    : isManifacturerBlock ? explainManufacturerBlock(fileData, language.CardIdentity)
+                                                    : isSectorTrailerBlock ? sector.sectorTrailer
+                                                    : madDirectory ? explainMadBlock(madDirectory, sector.firstBlock + blockIndex, fileData, language.Mad)
+                                                    : sector.dataValues[dataIndex]; // Get the block data based on its type
                                                 
                                                 return (
                                                     <Block
@@ -583,6 +988,12 @@ function Analyze() {
                                                         block={block}
                                                         type={type}
                                                         blockIndex={blockIndex}
+                                                        offset={offset}
+                                                        known={fileData.known}
+                                                        invalidAccessText={language.InvalidAccessBits}
+                                                        keyBReadableText={language.KeyBReadable}
+                                                        valueBlock={valueBlock}
+                                                        valueText={valueBlock && describeValueBlock(valueBlock, language.ValueBlock)}
                                                     />
                                                 );
                                             }
@@ -0,0 +1,60 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readInput, importFile } from '../utils/importers';
+import { convertUint8ToArray } from '../utils/convertUint8ToArray';
+import { encodeValueBlock } from '../utils/valueBlock';
+import English from '../lang/1.json';
+import Analyze from './Analyze';
+
+/**
+ * Builds a MIFARE Classic 1K dump with transport trailers, a value block (block 4) and a plain data block (block 5)
+ * @returns {string} The dump, as the space-separated hex string returned by the `read-file` IPC handler
+ */
+function buildDump() {
+    const Bytes = new Array(1024).fill(0);
+    [0x01, 0x02, 0x03, 0x04, 0x04, 0x08, 0x04, 0x00].forEach((byte, index) => Bytes[index] = byte);
+    for (let sector = 0; sector < 16; sector++) {
+        const trailer = (sector * 4 + 3) * 16;
+        [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x07, 0x80, 0x69, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF].forEach((byte, index) => Bytes[trailer + index] = byte);
+    }
+    encodeValueBlock(100, 4).forEach((byte, index) => Bytes[4 * 16 + index] = byte);
+    Array.from({ length: 16 }, (_, index) => index + 1).forEach((byte, index) => Bytes[5 * 16 + index] = byte);
+    return Bytes.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+/**
+ * Stores the dump and the language as HotBar does when a file is loaded, going through JSON like sessionStorage does
+ * @returns {Object} The model stored in sessionStorage
+ */
+function loadDump() {
+    const { json } = importFile(readInput('card.mfd', buildDump()));
+    const Model = JSON.parse(JSON.stringify(convertUint8ToArray(json)));
+
+    const Storage = { fileJSON: JSON.stringify(Model), language: JSON.stringify(English) };
+    vi.stubGlobal('sessionStorage', { getItem: key => Storage[key] ?? null, setItem: (key, value) => Storage[key] = value });
+    vi.stubGlobal('localStorage', { getItem: () => null, setItem: () => {} });
+    return Model;
+}
+
+describe('Analyze', () => {
+    beforeEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('keeps the data blocks apart from the value blocks after the round trip through sessionStorage', () => {
+        const Model = loadDump();
+        expect(Model.sectors[1].valueBlocks[0]?.valid).toBe(true);
+        expect(Model.sectors[1].valueBlocks[1]).toBeNull();
+    });
+
+    it('renders a dump with value blocks and plain data blocks', () => {
+        loadDump();
+        const html = renderToString(React.createElement(Analyze));
+        expect(html).toContain(English.Sector);
+
+        // Only the 7 segments of block 4 carry the decoded value
+        expect(html.match(/data-explanation="Value: /g)).toHaveLength(7);
+        expect(html).toContain('Value: 100, Addr: 0x04');
+    });
+});
@@ -1,11 +1,132 @@
 import React, { useState, useEffect } from 'react';
+import { CARD_TYPES, BLOCK_SIZE } from '../utils/cardLayout';
+import { formatText } from '../utils/formatText';
+import { convertUint8ToArray } from '../utils/convertUint8ToArray';
+import { getDialogFilters, readInput, importFile } from '../utils/importers';
+import { findDifferences, summarizeSectorChanges } from '../utils/dumpDiff';
+import { diffModels } from '../utils/semanticDiff';
+import { loadUserKeys, buildKeyDictionary } from '../utils/keyDictionary';
+import SemanticChanges from '../components/SemanticChanges';
 
-function Diff() {
+// Sides of the comparison, used to tell apart the two renderings of the same byte
+const SIDES = ['left', 'right'];
+
+/**
+ * Splits a block into the same segments as Analyze: keys and access bits of the trailer, copies of a value block
+ * @param {Object} dump - The parsed dump the block is taken from
+ * @param {Object} sector - The sector (dump.sectors[])
+ * @param {number} blockIndex - The block number relative to the first block of the sector
+ * @returns {Array<number>} The length of every segment
+ */
+function getBlockSegments(dump, sector, blockIndex) {
+    if (blockIndex === sector.blockCount - 1) return [6, 3, 1, 6];
+
+    const dataIndex = sector.firstBlock === 0 ? blockIndex - 1 : blockIndex; // The manufacturer block is not stored in valueBlocks
+    if (dataIndex >= 0 && sector.valueBlocks?.[dataIndex]) return [4, 4, 4, 1, 1, 1, 1];
+
+    return [BLOCK_SIZE];
+}
+
+/**
+ * Renders the bytes of one side of a block, marking the ones that differ from the other side
+ * @param {Object} props - Component props
+ * @param {Object} props.dump - The parsed dump of this side
+ * @param {string} props.side - "left" or "right"
+ * @param {number} props.offset - Absolute offset of the first byte
+ * @param {Array<number>} props.segments - The length of every segment (see getBlockSegments)
+ * @param {Set<number>} props.differences - The offsets of the differing bytes
+ * @param {Object|null} props.current - The difference selected with the navigation ({start, end})
+ * @returns {JSX.Element} The rendered bytes, or a dash if the dump ends before them
+ */
+function DiffBytes({ dump, side, offset, segments, differences, current }) {
+    if (offset >= dump.raw.length) return <span className='opacity-50'>-</span>;
+
+    let segmentOffset = offset;
+    return (
+        <span className='HEXblock'>
+            {segments.map((length) => {
+                const start = segmentOffset;
+                segmentOffset += length;
+                return (
+                    <span key={start}>
+                        {Array.from({ length }, (_, index) => start + index).filter(byteOffset => byteOffset < dump.raw.length).map((byteOffset) => {
+                            const isKnown = dump.known[byteOffset] !== 0;
+                            return (
+                                <span
+                                    key={byteOffset}
+                                    data-offset={byteOffset}
+                                    data-side={side}
+                                    data-known={isKnown}
+                                    {... differences.has(byteOffset) ? { 'data-diff': 'true' } : {}}
+                                    {... current && byteOffset >= current.start && byteOffset < current.end ? { 'data-flash': 'true' } : {}}
+                                >
+                                    {isKnown ? dump.raw[byteOffset].toString(16).padStart(2, '0') : '??'}
+                                </span>
+                            );
+                        })}
+                    </span>
+                );
+            })}
+        </span>
+    );
+}
+
+/**
+ * Renders the parts of a sector that changed as badges
+ * @param {Object} props - Component props
+ * @param {Object} props.summary - The changes of the sector (see summarizeSectorChanges)
+ * @param {Object} props.text - Localized strings (language.Diff)
+ * @returns {JSX.Element} The badges
+ */
+function ChangeBadges({ summary, text }) {
+    return (
+        <span className='flex gap-2 text-sm font-normal'>
+            {summary.missing && <span className='px-2 rounded-md bg-neutral-500/20'>{text.Missing}</span>}
+            {['data', 'keys', 'access', 'value'].filter(part => summary[part]).map(part => (
+                <span key={part} className='px-2 rounded-md bg-amber-500/20 text-amber-500'>{text.Changes[part]}</span>
+            ))}
+        </span>
+    );
+}
+
+/**
+ * Slot of one of the two compared dumps: the name of the file, and the buttons to load a file or take the loaded dump
+ * @param {Object} props - Component props
+ * @param {Object|null} props.dump - The dump of this side ({name, model}), or null if none was chosen
+ * @param {string|null} props.error - The name of the file that could not be parsed, if any
+ * @param {string} props.title - Title of the side
+ * @param {Function} props.onLoadFile - Opens a file
+ * @param {Function} props.onUseCurrent - Takes the dump loaded in View and Analyze
+ * @param {Object} props.text - Localized strings (language.Diff)
+ * @returns {JSX.Element} The slot
+ */
+function DumpSlot({ dump, error, title, onLoadFile, onUseCurrent, text }) {
+    return (
+        <div className='flex flex-col gap-2 rounded-lg bg-light-secondary dark:bg-dark-secondary p-2'>
+            <span className='font-bold'>{title}</span>
+            <span className='opacity-70'>
+                {dump ? `${dump.name} (${CARD_TYPES[dump.model.cardType]?.name ?? dump.model.cardType})` : text.Empty}
+            </span>
+            {error && <span className='text-red-500'>{formatText(text.Failed, { file: error })}</span>}
+            <div className='flex gap-2'>
+                <button className='px-2 py-1 rounded-lg hover:bg-neutral-600/40' onClick={onLoadFile}>{text.Load}</button>
+                <button className='px-2 py-1 rounded-lg hover:bg-neutral-600/40' onClick={onUseCurrent}>{text.Current}</button>
+            </div>
+        </div>
+    );
+}
 
-        
+/**
+ * Diff page: compares two dumps byte by byte.
+ * Both dumps are rendered side by side in the sector/block layout of Analyze, with the differing bytes highlighted;
+ * the differences can be stepped through, and the changes of every MIFARE Classic sector are summarized
+ * (data, keys, access bits, values) and described in terms of the card (see utils/semanticDiff.js).
+ * @returns {JSX.Element} React component
+ */
+function Diff() {
     // State to manage UI localization strings, retrieved from sessionStorage
     const [language, setLanguage] = useState(JSON.parse(sessionStorage.getItem('language')) || null);
-    
+
     /**
      * useEffect hook to load language settings from sessionStorage when component mounts.
      * This ensures the UI displays text in the user's preferred language.
@@ -18,11 +139,218 @@ function Diff() {
         loadLanguage();
     }, []);
 
+    // State to adjust bottom padding based on HotBar UI element height
+    const [paddingBottomValue, setPaddingBottomValue] = useState(0);
+    useEffect(() => {
+        const hotBar = document.querySelector('#HotBar');
+        if (hotBar) {
+            const spacing = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--spacing')) || 0;
+            const remToPx = (rem) => rem * parseFloat(getComputedStyle(document.documentElement).fontSize);
+            setPaddingBottomValue(hotBar.offsetHeight + remToPx(spacing) * 5);
+        }
+    }, []);
+
+    // The two compared dumps ({name, model}), the files that could not be parsed, and the selected difference
+    const [dumps, setDumps] = useState([null, null]);
+    const [errors, setErrors] = useState([null, null]);
+    const [currentIndex, setCurrentIndex] = useState(-1);
+
+    const text = language.Diff;
+
+    /**
+     * Sets the dump of one side and restarts the navigation
+     * @param {number} side - 0 for the left dump, 1 for the right one
+     * @param {Object|null} dump - The dump ({name, model})
+     * @param {string|null} error - The name of the file that could not be parsed
+     */
+    const setSide = (side, dump, error = null) => {
+        setDumps(current => current.map((other, index) => index === side ? dump ?? other : other));
+        setErrors(current => current.map((other, index) => index === side ? error : other));
+        setCurrentIndex(-1);
+    };
+
+    /**
+     * Opens a dump file in any supported format for one side.
+     * The file is read without going through `file-selected`, so the dump loaded in the other pages is left as it is.
+     * @param {number} side - 0 for the left dump, 1 for the right one
+     */
+    const loadFile = async (side) => {
+        let file;
+        try {
+            file = await window.electronAPI?.openFileContents(getDialogFilters());
+        } catch (error) {
+            console.error('Error reading file:', error);
+        }
+        if (!file) return;
+
+        const name = file.filePath.split(/[\\/]/).pop();
+        let json = null;
+        try {
+            json = importFile(readInput(file.filePath, file.contents)).json;
+        } catch (error) {
+            console.error('Error parsing file:', error);
+        }
+
+        if (json) setSide(side, { name, model: convertUint8ToArray(json) });
+        else setSide(side, null, name);
+    };
+
+    /**
+     * Takes the dump loaded in View and Analyze (with its edits) for one side
+     * @param {number} side - 0 for the left dump, 1 for the right one
+     */
+    const takeCurrentDump = (side) => {
+        const model = JSON.parse(sessionStorage.getItem('fileJSON'));
+        if (model) setSide(side, { name: text.CurrentName, model });
+    };
+
+    const [Left, Right] = dumps.map(dump => dump?.model ?? null);
+    const isComparable = Left && Right && Left.family === Right.family;
+
+    // Differences of the two dumps, laid out on the larger one
+    const Runs = isComparable ? findDifferences(Left, Right) : [];
+    const DifferentOffsets = new Set(Runs.flatMap(({ start, end }) => Array.from({ length: end - start }, (_, index) => start + index)));
+    const Layout = isComparable ? (Left.raw.length >= Right.raw.length ? Left : Right) : null;
+    const Summaries = isComparable && Layout.family === 'classic' ? summarizeSectorChanges(Left, Right) : null;
+    const Records = Summaries ? diffModels(Left, Right, buildKeyDictionary(loadUserKeys())) : null;
+    const current = Runs[currentIndex] ?? null;
+
+    /**
+     * Selects a difference and scrolls to its first byte
+     * @param {number} index - The index of the difference in Runs
+     */
+    const goToDifference = (index) => {
+        const run = Runs[index];
+        if (!run) return;
+        setCurrentIndex(index);
+
+        // The byte may only exist on the right side, when the right dump is the longer one
+        const byte = document.querySelector(`#PageComponent span[data-offset="${run.start}"][data-side="left"]`)
+            || document.querySelector(`#PageComponent span[data-offset="${run.start}"][data-side="right"]`);
+        byte?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    };
+
+    /**
+     * Renders one row of the comparison: the same bytes of both dumps, side by side
+     * @param {number} offset - Absolute offset of the first byte of the row
+     * @param {Array<number>} segments - The length of every segment (see getBlockSegments)
+     * @returns {Array<JSX.Element>} The two cells of the row
+     */
+    const renderRow = (offset, segments) => dumps.map((dump, side) => (
+        <DiffBytes
+            key={`${offset}${SIDES[side]}`}
+            dump={dump.model}
+            side={SIDES[side]}
+            offset={offset}
+            segments={segments}
+            differences={DifferentOffsets}
+            current={current}
+        />
+    ));
+
     return (
-        <div className='w-full h-full p-5 flex justify-center items-center font-inconsolata dark:text-dark-text text-light-text'>
-            <h1>{language.ComingSoon}</h1>
+        <div className='w-full h-screen p-5 pr-1 font-inconsolata dark:text-dark-text text-light-text' style={{ paddingBottom: paddingBottomValue }}>
+            <div className='h-full overflow-auto flex flex-col gap-5'>
+                {/* The two compared dumps */}
+                <div className='grid grid-cols-2 gap-5 w-fit'>
+                    {SIDES.map((side, index) => (
+                        <DumpSlot
+                            key={side}
+                            dump={dumps[index]}
+                            error={errors[index]}
+                            title={text.Sides[index]}
+                            onLoadFile={() => loadFile(index)}
+                            onUseCurrent={() => takeCurrentDump(index)}
+                            text={text}
+                        />
+                    ))}
+                </div>
+                {Left && Right && !isComparable && <span className='text-red-500'>{text.DifferentFamilies}</span>}
+                {isComparable && (
+                    <>
+                        {/* Number of differences and navigation between them */}
+                        <div className='flex items-center gap-3'>
+                            <span>{Runs.length ? formatText(text.Differences, { bytes: DifferentOffsets.size, runs: Runs.length }) : text.Identical}</span>
+                            {Runs.length > 0 && (
+                                <>
+                                    <button className='px-2 py-1 rounded-lg hover:bg-neutral-600/40' onClick={() => goToDifference((currentIndex - 1 + Runs.length) % Runs.length)}>{text.Previous}</button>
+                                    <span className='opacity-70'>{formatText(text.Position, { current: currentIndex + 1, total: Runs.length })}</span>
+                                    <button className='px-2 py-1 rounded-lg hover:bg-neutral-600/40' onClick={() => goToDifference((currentIndex + 1) % Runs.length)}>{text.Next}</button>
+                                </>
+                            )}
+                        </div>
+                        {/* Sectors that changed and what changed in them */}
+                        {Summaries?.some(summary => summary.bytes) && (
+                            <details className='w-fit max-w-full rounded-lg bg-light-secondary dark:bg-dark-secondary p-2' open>
+                                <summary className='cursor-pointer select-none'>{text.Summary}</summary>
+                                <table className='mt-2 border-separate border-spacing-x-3'>
+                                    <thead>
+                                        <tr className='text-left opacity-70'>
+                                            <th>{language.Sector}</th>
+                                            <th>{text.Bytes}</th>
+                                            <th>{text.Changed}</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {Summaries.filter(summary => summary.bytes).map(summary => (
+                                            <tr key={summary.sector}>
+                                                <td>
+                                                    <button
+                                                        className='px-1 rounded-md hover:bg-neutral-600/40'
+                                                        onClick={() => goToDifference(Runs.findIndex(run => Math.floor((run.end - 1) / BLOCK_SIZE) >= Layout.sectors[summary.sector].firstBlock))}
+                                                    >
+                                                        {summary.sector}
+                                                    </button>
+                                                </td>
+                                                <td>{summary.bytes}</td>
+                                                <td><ChangeBadges summary={summary} text={text} /></td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </details>
+                        )}
+                        {/* What the differences mean for the card, from the left dump to the right one */}
+                        <SemanticChanges
+                            records={Records}
+                            onSelect={offset => goToDifference(Runs.findIndex(run => run.end > offset))}
+                            text={text.Semantic}
+                        />
+                        {
+                            // Both dumps side by side, in the layout of the larger one
+                            Layout.family === 'ultralight' ? (
+                                <div className='flex flex-col gap-2 w-fit'>
+                                    <h1 className='text-2xl w-fit font-bold'>{Layout.cardType}</h1>
+                                    <div className='grid grid-cols-[auto_auto_auto] gap-x-10 gap-y-2 w-fit'>
+                                        {Layout.pages.map((_, pageIndex) => (
+                                            <React.Fragment key={pageIndex}>
+                                                <span className='opacity-50'>{pageIndex.toString(16).padStart(2, '0')}</span>
+                                                {renderRow(pageIndex * 4, [4])}
+                                            </React.Fragment>
+                                        ))}
+                                    </div>
+                                </div>
+                            ) : Layout.sectors.map((sector, index) => (
+                                <div key={index} className='flex flex-col gap-2 w-fit'>
+                                    <h1 className='text-2xl w-fit font-bold flex items-center gap-3'>
+                                        {language.Sector} {index} {Summaries[index].bytes > 0 && <ChangeBadges summary={Summaries[index]} text={text} />}
+                                    </h1>
+                                    <div className='grid grid-cols-[auto_auto] gap-x-10 gap-y-2 w-fit'>
+                                        {Array.from({ length: sector.blockCount }, (_, blockIndex) => (
+                                            <React.Fragment key={blockIndex}>
+                                                {renderRow((sector.firstBlock + blockIndex) * BLOCK_SIZE, getBlockSegments(Layout, sector, blockIndex))}
+                                            </React.Fragment>
+                                        ))}
+                                    </div>
+                                    <hr className='border-t mt-2 dark:border-dark-text border-light-text w-full' />
+                                </div>
+                            ))
+                        }
+                    </>
+                )}
+            </div>
         </div>
     )
 }
 
-export default Diff
\ No newline at end of file
+export default Diff
@@ -0,0 +1,351 @@
+import React, { useState, useEffect } from 'react';
+import { CARD_TYPES, BLOCK_SIZE, getSectorLayout } from '../utils/cardLayout';
+import { formatText } from '../utils/formatText';
+import { getDialogFilters, readInput, importFile } from '../utils/importers';
+import { createSeriesEntry, loadSeries, saveSeries, sortByTime, moveEntry, checkEntry, getByteHistory, analyzeSeries } from '../utils/dumpSeries';
+import { inferFields } from '../utils/fieldInference';
+import { loadAnnotations, saveAnnotations, createAnnotation } from '../utils/annotations';
+import Sparkline from '../components/Sparkline';
+import FieldCandidates from '../components/FieldCandidates';
+
+/**
+ * Colors a byte of the heatmap from how often it changed: transparent if it never did, then from amber (rarely) to red (every time)
+ * @param {number} changes - The number of changes of the byte
+ * @param {number} compared - The number of consecutive pairs of dumps where the byte was read on both sides
+ * @returns {string|undefined} The background color, or undefined for a byte that never changed
+ */
+function getHeatColor(changes, compared) {
+    if (!changes) return undefined;
+    const rate = changes / compared;
+    return `hsla(${Math.round(45 - 45 * rate)}, 90%, 50%, ${0.25 + 0.5 * rate})`;
+}
+
+/**
+ * Renders a row of the heatmap: the bytes of the last dump of the series, colored by how often they changed
+ * @param {Object} props - Component props
+ * @param {Object} props.last - The last entry of the series, whose bytes are shown
+ * @param {Object} props.stats - The change counts of the series (see analyzeSeries)
+ * @param {number} props.offset - Absolute offset of the first byte of the row
+ * @param {number} props.length - Number of bytes in the row
+ * @param {number|null} props.selected - The offset of the selected byte
+ * @param {Function} props.onSelect - Called with the offset of a clicked byte
+ * @param {Array<Object>} props.annotations - The annotations of the card, whose bytes are underlined
+ * @param {Object} props.text - Localized strings (language.Series)
+ * @returns {JSX.Element} The rendered row
+ */
+function HeatRow({ last, stats, offset, length, selected, onSelect, annotations, text }) {
+    return (
+        <span className='flex gap-1'>
+            {Array.from({ length }, (_, index) => offset + index).map((byteOffset) => {
+                const isKnown = last.known[byteOffset] !== 0;
+                const Annotation = annotations.find(({ offset: start, length: size }) => byteOffset >= start && byteOffset < start + size);
+                const title = formatText(text.ByteTitle, { offset: byteOffset, changes: stats.changes[byteOffset], compared: stats.compared[byteOffset] });
+                return (
+                    <span
+                        key={byteOffset}
+                        className={`px-0.5 rounded-sm cursor-pointer ${Annotation ? 'underline decoration-sky-400 decoration-2' : ''}`}
+                        style={{ backgroundColor: getHeatColor(stats.changes[byteOffset], stats.compared[byteOffset]) }}
+                        title={Annotation ? `${title}\n${Annotation.label}` : title}
+                        data-offset={byteOffset}
+                        data-known={isKnown}
+                        {... byteOffset === selected ? { 'data-flash': 'true' } : {}}
+                        onClick={() => onSelect(byteOffset)}
+                    >
+                        {isKnown ? last.raw[byteOffset].toString(16).padStart(2, '0') : '??'}
+                    </span>
+                );
+            })}
+        </span>
+    );
+}
+
+/**
+ * Details of the selected byte: how often it changed, and its value in every dump of the series as a sparkline
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.entries - The analyzed entries of the series, in order
+ * @param {Object} props.stats - The change counts of the series (see analyzeSeries)
+ * @param {number} props.offset - The offset of the selected byte
+ * @param {Object} props.text - Localized strings (language.Series)
+ * @returns {JSX.Element} The details
+ */
+function ByteHistory({ entries, stats, offset, text }) {
+    const History = getByteHistory(entries, offset);
+
+    return (
+        <div className='flex flex-col gap-2 w-fit rounded-lg bg-light-secondary dark:bg-dark-secondary p-2'>
+            <span>
+                {formatText(text.Selected, { offset, block: Math.floor(offset / BLOCK_SIZE), position: offset % BLOCK_SIZE })}
+                {' - '}
+                {formatText(text.Changes, { changes: stats.changes[offset], compared: stats.compared[offset] })}
+            </span>
+            <Sparkline values={History} width={Math.max(120, History.length * 16)} />
+            <span className='flex flex-wrap gap-2 opacity-70'>
+                {History.map((value, index) => (
+                    <span key={index} title={entries[index].name}>{value === null ? '??' : value.toString(16).padStart(2, '0')}</span>
+                ))}
+            </span>
+        </div>
+    );
+}
+
+/**
+ * Series page: loads many dumps of the same card and shows how often every byte changed across them.
+ * The dumps can be ordered by the time of their files or by hand; static bytes stay plain while counters,
+ * balances and checksums stand out, and the history of any byte can be shown as a sparkline.
+ * Fields can then be searched across the series (counters, balances matching the transactions entered for the dumps,
+ * dates, checksums) and the accepted ones are kept as annotations of the card.
+ * @returns {JSX.Element} React component
+ */
+function Series() {
+    // State to manage UI localization strings, retrieved from sessionStorage
+    const [language, setLanguage] = useState(JSON.parse(sessionStorage.getItem('language')) || null);
+
+    /**
+     * useEffect hook to load language settings from sessionStorage when component mounts.
+     * This ensures the UI displays text in the user's preferred language.
+     */
+    useEffect(() => {
+        const loadLanguage = async () => {
+            const files = sessionStorage.getItem('language') ? JSON.parse(sessionStorage.getItem('language')) : null;
+            setLanguage(files);
+        };
+        loadLanguage();
+    }, []);
+
+    // State to adjust bottom padding based on HotBar UI element height
+    const [paddingBottomValue, setPaddingBottomValue] = useState(0);
+    useEffect(() => {
+        const hotBar = document.querySelector('#HotBar');
+        if (hotBar) {
+            const spacing = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--spacing')) || 0;
+            const remToPx = (rem) => rem * parseFloat(getComputedStyle(document.documentElement).fontSize);
+            setPaddingBottomValue(hotBar.offsetHeight + remToPx(spacing) * 5);
+        }
+    }, []);
+
+    // The dumps of the series in order, the files that could not be parsed, whether the series fits in sessionStorage, and the selected byte
+    const [entries, setEntries] = useState(loadSeries());
+    const [failed, setFailed] = useState([]);
+    const [isStored, setIsStored] = useState(true);
+    const [selected, setSelected] = useState(null);
+
+    // The fields proposed for the series (null until they are searched), and the annotations of the card of the first dump
+    const [candidates, setCandidates] = useState(null);
+    const [annotations, setAnnotations] = useState([]);
+    const uid = entries[0]?.uid ?? null;
+    useEffect(() => {
+        setAnnotations(uid ? loadAnnotations(uid) : []);
+    }, [uid]);
+
+    const text = language.Series;
+
+    /**
+     * Replaces the series and keeps it for the session; the fields found in the previous series are dropped
+     * @param {Array<Object>} next - The new entries, in order
+     */
+    const updateEntries = (next) => {
+        setEntries(next);
+        setIsStored(saveSeries(next));
+        setCandidates(null);
+    };
+
+    /**
+     * Replaces the annotations of the card and keeps them across sessions
+     * @param {Array<Object>} next - The new annotations
+     */
+    const updateAnnotations = (next) => {
+        setAnnotations(next);
+        saveAnnotations(uid, next);
+    };
+
+    /**
+     * Sets the amount of the transaction made before a dump, as typed by the user (empty or not a number to clear it)
+     * @param {string} id - The id of the entry
+     * @param {string} value - The amount, with a point or a comma as decimal separator
+     */
+    const setTransaction = (id, value) => {
+        const amount = parseFloat(value.replace(',', '.'));
+        updateEntries(entries.map(entry => entry.id === id ? { ...entry, transaction: Number.isFinite(amount) ? amount : null } : entry));
+    };
+
+    /**
+     * Opens dump files in any supported format and appends them to the series, oldest file first
+     */
+    const addFiles = async () => {
+        let files = [];
+        try {
+            files = await window.electronAPI?.openFilesContents(getDialogFilters()) ?? [];
+        } catch (error) {
+            console.error('Error reading files:', error);
+        }
+        if (!files.length) return;
+
+        const Added = [];
+        const Failed = [];
+        files.forEach(({ filePath, contents, modified }) => {
+            const name = filePath.split(/[\\/]/).pop();
+            let json = null;
+            try {
+                json = importFile(readInput(filePath, contents)).json;
+            } catch (error) {
+                console.error('Error parsing file:', error);
+            }
+            if (json) Added.push(createSeriesEntry(name, modified, json));
+            else Failed.push(name);
+        });
+
+        setFailed(Failed);
+        updateEntries([...entries, ...sortByTime(Added)]);
+    };
+
+    // The first dump sets the card variant; dumps of another variant are listed but left out of the heatmap
+    const First = entries[0] ?? null;
+    const Issues = entries.map(entry => checkEntry(entry, First));
+    const Analyzed = entries.filter((_, index) => Issues[index] !== 'DifferentCard');
+    const Stats = Analyzed.length > 1 ? analyzeSeries(Analyzed) : null;
+    const Last = Analyzed[Analyzed.length - 1];
+
+    const buttonClass = 'px-2 py-1 rounded-lg hover:bg-neutral-600/40 disabled:opacity-50';
+
+    return (
+        <div className='w-full h-screen p-5 pr-1 font-inconsolata dark:text-dark-text text-light-text' style={{ paddingBottom: paddingBottomValue }}>
+            <div className='h-full overflow-auto flex flex-col gap-5'>
+                {/* Loading and ordering of the series */}
+                <div className='flex items-center gap-2'>
+                    <button className={buttonClass} onClick={addFiles}>{text.Add}</button>
+                    <button className={buttonClass} disabled={entries.length < 2} onClick={() => updateEntries(sortByTime(entries))}>{text.SortByTime}</button>
+                    <button className={buttonClass} disabled={!entries.length} onClick={() => { updateEntries([]); setSelected(null); }}>{text.Clear}</button>
+                </div>
+                {failed.length > 0 && <span className='text-red-500'>{formatText(text.Failed, { files: failed.join(', ') })}</span>}
+                {!isStored && <span className='text-amber-500'>{text.NotStored}</span>}
+                {entries.length > 0 && (
+                    <details className='w-fit max-w-full rounded-lg bg-light-secondary dark:bg-dark-secondary p-2' open={entries.length <= 10}>
+                        <summary className='cursor-pointer select-none'>{formatText(text.Dumps, { dumps: entries.length })}</summary>
+                        <table className='mt-2 border-separate border-spacing-x-3'>
+                            <thead>
+                                <tr className='text-left opacity-70'>
+                                    <th>#</th>
+                                    <th>{text.File}</th>
+                                    <th>{text.Modified}</th>
+                                    <th>{text.Uid}</th>
+                                    <th title={text.TransactionHint}>{text.Transaction}</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {entries.map((entry, index) => (
+                                    <tr key={entry.id}>
+                                        <td>{index + 1}</td>
+                                        <td>{entry.name}</td>
+                                        <td>{new Date(entry.modified).toLocaleString()}</td>
+                                        <td>
+                                            {entry.uid}
+                                            {Issues[index] && <span className='ml-2 text-sm px-2 rounded-md bg-amber-500/20 text-amber-500'>{text.Issues[Issues[index]]}</span>}
+                                        </td>
+                                        <td>
+                                            {index > 0 && (
+                                                <input
+                                                    key={`${entry.id}-${entry.transaction}`}
+                                                    className='p-1 rounded-lg bg-light-primary dark:bg-dark-primary w-24'
+                                                    placeholder={text.TransactionPlaceholder}
+                                                    defaultValue={entry.transaction ?? ''}
+                                                    onBlur={(event) => setTransaction(entry.id, event.target.value)}
+                                                />
+                                            )}
+                                        </td>
+                                        <td className='flex gap-1'>
+                                            <button className={buttonClass} disabled={index === 0} onClick={() => updateEntries(moveEntry(entries, index, -1))}>↑</button>
+                                            <button className={buttonClass} disabled={index === entries.length - 1} onClick={() => updateEntries(moveEntry(entries, index, 1))}>↓</button>
+                                            <button className={buttonClass} onClick={() => updateEntries(entries.filter(other => other.id !== entry.id))}>{text.Remove}</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </details>
+                )}
+                {Stats ? (
+                    <>
+                        {/* Legend of the heatmap */}
+                        <div className='flex items-center gap-3'>
+                            <span className='opacity-70'>{text.Legend}</span>
+                            {[0, 0.25, 0.5, 0.75, 1].map(rate => (
+                                <span key={rate} className='px-2 rounded-sm' style={{ backgroundColor: getHeatColor(rate ? rate * 4 : 0, 4) }}>
+                                    {Math.round(rate * 100)}%
+                                </span>
+                            ))}
+                            <button className={buttonClass} onClick={() => setCandidates(inferFields(Analyzed))}>{text.Inference.Find}</button>
+                        </div>
+                        {candidates && (
+                            <FieldCandidates
+                                candidates={candidates}
+                                annotations={annotations}
+                                onAccept={(candidate, label) => updateAnnotations([...annotations, createAnnotation(candidate, label)])}
+                                onSelect={setSelected}
+                                text={text.Inference}
+                            />
+                        )}
+                        {annotations.length > 0 && (
+                            <details className='w-fit max-w-full rounded-lg bg-light-secondary dark:bg-dark-secondary p-2' open>
+                                <summary className='cursor-pointer select-none'>{formatText(text.Annotations, { annotations: annotations.length })}</summary>
+                                <ul className='flex flex-col gap-1 mt-2'>
+                                    {annotations.map(annotation => (
+                                        <li key={annotation.id} className='flex items-center gap-2'>
+                                            <button className='px-2 py-1 rounded-lg hover:bg-neutral-600/40 opacity-70' onClick={() => setSelected(annotation.offset)}>
+                                                {annotation.length > 1
+                                                    ? formatText(text.Inference.Bytes, { first: annotation.offset, last: annotation.offset + annotation.length - 1 })
+                                                    : formatText(text.Inference.Byte, { offset: annotation.offset })}
+                                            </button>
+                                            <input
+                                                className='p-1 rounded-lg bg-light-primary dark:bg-dark-primary'
+                                                value={annotation.label}
+                                                onChange={(event) => updateAnnotations(annotations.map(other => other.id === annotation.id ? { ...other, label: event.target.value } : other))}
+                                            />
+                                            <button className={buttonClass} onClick={() => updateAnnotations(annotations.filter(other => other.id !== annotation.id))}>{text.Remove}</button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </details>
+                        )}
+                        {selected !== null && selected < Last.raw.length && <ByteHistory entries={Analyzed} stats={Stats} offset={selected} text={text} />}
+                        {
+                            // Heatmap in the layout of the card, with the bytes of the last dump
+                            Last.family === 'ultralight' ? (
+                                <div className='flex flex-col gap-2 w-fit'>
+                                    <h1 className='text-2xl w-fit font-bold'>{Last.cardType}</h1>
+                                    {Array.from({ length: Last.raw.length / 4 }, (_, page) => (
+                                        <span key={page} className='flex gap-3'>
+                                            <span className='opacity-50'>{page.toString(16).padStart(2, '0')}</span>
+                                            <HeatRow last={Last} stats={Stats} offset={page * 4} length={4} selected={selected} onSelect={setSelected} annotations={annotations} text={text} />
+                                        </span>
+                                    ))}
+                                </div>
+                            ) : (
+                                <>
+                                    <h1 className='text-xl w-fit opacity-70'>{CARD_TYPES[Last.cardType]?.name}</h1>
+                                    {getSectorLayout(Last.cardType).map(({ firstBlock, blockCount }, sector) => (
+                                        <div key={sector} className='flex flex-col gap-2 w-fit'>
+                                            <h1 className='text-2xl w-fit font-bold'>{language.Sector} {sector}</h1>
+                                            {Array.from({ length: blockCount }, (_, blockIndex) => firstBlock + blockIndex)
+                                                .filter(block => block * BLOCK_SIZE < Last.raw.length)
+                                                .map(block => (
+                                                    <HeatRow key={block} last={Last} stats={Stats} offset={block * BLOCK_SIZE} length={BLOCK_SIZE} selected={selected} onSelect={setSelected} annotations={annotations} text={text} />
+                                                ))}
+                                            <hr className='border-t mt-2 dark:border-dark-text border-light-text w-full' />
+                                        </div>
+                                    ))}
+                                </>
+                            )
+                        }
+                    </>
+                ) : (
+                    <div className='flex justify-center items-center h-full'>
+                        <h1 className='text-2xl'>{text.NotEnough}</h1>
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default Series
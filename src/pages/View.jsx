@@ -1,4 +1,98 @@
 import React, { useEffect, useState } from 'react';
+import { CARD_TYPES, BLOCK_SIZE } from '../utils/cardLayout';
+import { formatText } from '../utils/formatText';
+import { createEdit, applyEdit, suggestFixes } from '../utils/dumpEditing';
+import ReadStatus from '../components/ReadStatus';
+import DiagnosticsPanel from '../components/DiagnosticsPanel';
+import SectorApplication from '../components/SectorApplication';
+
+/**
+ * Renders a row of bytes taken from the raw dump, showing unknown bytes as "??".
+ * In edit mode, clicking a byte moves the edit cursor on it.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<number>} props.bytes - Every byte of the dump (fileData.raw)
+ * @param {Array<number>} [props.known] - Known/unknown mask of the dump (fileData.known)
+ * @param {number} props.offset - Absolute offset of the first byte of the row
+ * @param {number} props.length - Number of bytes in the row
+ * @param {Object} [props.edit] - Edit mode state: the cursor ({offset, pending}), the offsets of the edited bytes and the click handler
+ * @returns {JSX.Element} The rendered row
+ */
+function HexRow({ bytes, known, offset, length, edit }) {
+    return (
+        <span>
+            {bytes.slice(offset, offset + length).map((byte, index) => {
+                const isKnown = !known || known[offset + index] !== 0;
+                const isCursor = edit?.cursor?.offset === offset + index;
+
+                // The first digit typed over a byte is shown until the second one completes it
+                const text = isCursor && edit.cursor.pending !== null ? `${edit.cursor.pending}_` : isKnown ? byte.toString(16).padStart(2, '0') : '??';
+                return (
+                    <React.Fragment key={index}>
+                        <span
+                            data-offset={offset + index}
+                            data-known={isKnown}
+                            {... edit ? { 'data-editable': 'true', onClick: () => edit.onSelect(offset + index) } : {}}
+                            {... isCursor ? { 'data-cursor': 'true' } : {}}
+                            {... edit?.edited.has(offset + index) ? { 'data-edited': 'true' } : {}}
+                        >
+                            {text}
+                        </span>
+                        {index < length - 1 ? ' ' : ''}
+                    </React.Fragment>
+                );
+            })}
+        </span>
+    );
+}
+
+/**
+ * Toolbar of the edit mode: toggle, undo/redo, save, the fixes offered after the last edit
+ * and the state of the access bits under the cursor.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.editMode - Whether the edit mode is on
+ * @param {Function} props.onToggle - Turns the edit mode on or off
+ * @param {boolean} props.canUndo - Whether there is an edit to undo
+ * @param {boolean} props.canRedo - Whether there is an edit to redo
+ * @param {Function} props.onUndo - Undoes the last edit
+ * @param {Function} props.onRedo - Redoes the last undone edit
+ * @param {Array<Object>} props.fixes - The fixes offered after the last edit (see suggestFixes)
+ * @param {Function} props.onFix - Applies a fix
+ * @param {Object|null} props.access - Access bits under the cursor: {sector, valid}
+ * @param {Object} props.text - Localized strings (language.Edit)
+ * @returns {JSX.Element} The toolbar
+ */
+function EditToolbar({ editMode, onToggle, canUndo, canRedo, onUndo, onRedo, fixes, onFix, access, text }) {
+    const buttonClass = 'px-2 py-1 rounded-lg hover:bg-neutral-600/40 disabled:opacity-50';
+
+    return (
+        <div className='flex flex-col gap-2 w-fit'>
+            <div className='flex items-center gap-2'>
+                <button className={`${buttonClass} ${editMode ? '!bg-blue-500/40 !text-sky-400' : ''}`} onClick={onToggle}>{text.Toggle}</button>
+                {editMode && (
+                    <>
+                        <button className={buttonClass} disabled={!canUndo} onClick={onUndo}>{text.Undo}</button>
+                        <button className={buttonClass} disabled={!canRedo} onClick={onRedo}>{text.Redo}</button>
+                        <button className={buttonClass} onClick={() => window.Save_File?.()}>{text.Save}</button>
+                        <span className='opacity-70'>{text.Hint}</span>
+                    </>
+                )}
+            </div>
+            {editMode && access && (
+                <span className={access.valid ? 'text-green-500' : 'text-red-500'}>
+                    {formatText(access.valid ? text.AccessValid : text.AccessInvalid, { sector: access.sector })}
+                </span>
+            )}
+            {editMode && fixes.map((fix, index) => (
+                <div key={index} className='flex items-center gap-3'>
+                    <span>{formatText(text.Fixes[fix.code], fix.params)}</span>
+                    <button className={buttonClass} onClick={() => onFix(fix)}>{text.Apply}</button>
+                </div>
+            ))}
+        </div>
+    );
+}
 
 
 /**
@@ -45,9 +139,13 @@ function View() {
     // State to manage UI localization strings, retrieved from sessionStorage
     const [language, setLanguage] = useState(JSON.parse(sessionStorage.getItem('language')) || null);
 
-    // State to store the file content and file path for restored files
-    const [fileContent, setFileContent] = useState(null);
-    const [filePath, setFilePath] = useState(null);
+    // Edit mode: the byte under the cursor (with the first digit typed over it), the edits made so far (see createEdit),
+    // the number of edits applied (the others were undone), the number applied when the dump was last saved,
+    // and the fixes offered after the last edit
+    const [editMode, setEditMode] = useState(false);
+    const [cursor, setCursor] = useState(null);
+    const [history, setHistory] = useState({ edits: [], index: 0, saved: 0 });
+    const [fixes, setFixes] = useState([]);
     
     /**
      * useEffect hook to load language settings from sessionStorage when component mounts.
@@ -90,6 +188,23 @@ function View() {
 
                 // Update the fileData state with the loaded file data.
                 setFileData(data);
+
+                // The edits were made on the previous bytes: they can no longer be undone.
+                setHistory({ edits: [], index: 0, saved: 0 });
+                setFixes([]);
+                setCursor(null);
+            }
+
+            // The saved file now holds the edits applied so far.
+            if (type === 'fileSaved') {
+                setHistory(current => ({ ...current, saved: current.index }));
+            }
+
+            // A panel (e.g. the access calculator) changed the dump: the edits stay undoable, but the changed dump is no longer the saved one.
+            if (type === 'fileEdited' && event.data.external) {
+                setFileData(data);
+                setHistory(current => ({ ...current, saved: -1 }));
+                setFixes([]);
             }
         };
 
@@ -102,52 +217,6 @@ function View() {
         };
     }, []); // Empty dependency array ensures this effect runs only once when the component mounts.
 
-    // Add file selection handler
-    useEffect(() => {
-        // Handle file selection from dialog
-        window.electronAPI?.onFileSelected((filePaths) => {
-            if (filePaths && filePaths.length > 0) {
-                handleFileOpen(filePaths[0]);
-            }
-        });
-        
-        // Handle file restoration after reload
-        const handleFileRestored = (event) => {
-            console.log('File restored event received in View');
-            const { filePath, content } = event.detail;
-            setFilePath(filePath);
-            setFileContent(content);
-            
-            // Process the file content as needed
-            processFileContent(content);
-        };
-        
-        window.addEventListener('file-restored', handleFileRestored);
-        
-        return () => {
-            window.removeEventListener('file-restored', handleFileRestored);
-        };
-    }, []);
-    
-    // Function to handle file opening
-    const handleFileOpen = async (path) => {
-        try {
-            const content = await window.electronAPI.readFile(path);
-            setFilePath(path);
-            setFileContent(content);
-            
-            // Process file content
-            processFileContent(content);
-        } catch (error) {
-            console.error('Error reading file:', error);
-        }
-    };
-    
-    // Function to process file content and update UI
-    const processFileContent = (content) => {
-        // Your existing code to process the file content and update the UI
-    };
-
     /**
      * Converts an integer to a 2-character hexadecimal string.
      * Used for displaying byte values in hexadecimal format throughout the UI.
@@ -159,56 +228,187 @@ function View() {
         return i.toString(16).padStart(2, '0');
     }
 
+    // Bytes per row: pages of 4 bytes on Ultralight cards, blocks of 16 bytes on MIFARE Classic cards
+    const rowLength = fileData?.family === 'ultralight' ? 4 : BLOCK_SIZE;
+
+    /**
+     * Stores an edited dump and sends it to the other pages and panels.
+     * Unlike 'fileLoaded', 'fileEdited' keeps the hamburger menu and the state of the panels as they are.
+     *
+     * @param {Object} json - The re-parsed dump
+     * @param {Object} nextHistory - The history after the edit
+     */
+    const publishEdit = (json, nextHistory) => {
+        setFileData(json);
+        setHistory(nextHistory);
+        sessionStorage.setItem('fileJSON', JSON.stringify(json));
+        window.postMessage({
+            type: 'fileEdited',
+            data: json,
+            dirty: nextHistory.index !== nextHistory.saved
+        });
+    };
+
+    /**
+     * Writes new values into the dump as one edit (undone at once), re-parses it and looks for the fixes it calls for.
+     *
+     * @param {Array<{offset: number, value: number}>} changes - The new values of the bytes
+     */
+    const commitChanges = (changes) => {
+        const edit = createEdit(fileData, changes);
+        if (!edit.length) return;
+
+        const json = applyEdit(fileData, edit);
+        if (!json) return;
+
+        // Edits after an undo replace the undone ones; if the saved state was among them, it cannot be reached anymore.
+        const edits = [...history.edits.slice(0, history.index), edit];
+        publishEdit(json, { edits, index: edits.length, saved: history.saved > history.index ? -1 : history.saved });
+        setFixes(suggestFixes(fileData, json, edit.map(({ offset }) => offset)));
+    };
+
+    /**
+     * Undoes the last applied edit, or redoes the last undone one.
+     *
+     * @param {boolean} undo - `true` to undo, `false` to redo
+     */
+    const moveInHistory = (undo) => {
+        const index = undo ? history.index - 1 : history.index;
+        const edit = history.edits[index];
+        if (!edit) return;
+
+        const json = applyEdit(fileData, edit, undo);
+        if (!json) return;
+
+        publishEdit(json, { ...history, index: undo ? index : index + 1 });
+        setFixes([]);
+        setCursor({ offset: edit[0].offset, pending: null });
+    };
+
+    /**
+     * Handles the keyboard in edit mode: hex digits overwrite the byte under the cursor (two digits per byte),
+     * arrows move the cursor, Escape releases it, Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) undo and redo.
+     *
+     * @param {KeyboardEvent} event - The key press
+     */
+    const handleKeyDown = (event) => {
+        if (!editMode) return;
+
+        if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                event.preventDefault();
+                moveInHistory(key === 'z' && !event.shiftKey);
+            }
+            return;
+        }
+        if (!cursor) return;
+
+        const Moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -rowLength, ArrowDown: rowLength };
+        if (event.key in Moves) {
+            event.preventDefault();
+            const offset = cursor.offset + Moves[event.key];
+            if (offset >= 0 && offset < fileData.raw.length) setCursor({ offset, pending: null });
+        } else if (event.key === 'Escape') {
+            setCursor(null);
+        } else if (/^[0-9a-fA-F]$/.test(event.key)) {
+            event.preventDefault();
+            if (cursor.pending === null) {
+                setCursor({ ...cursor, pending: event.key.toLowerCase() });
+                return;
+            }
+
+            // The second digit completes the byte, and the cursor moves to the next one
+            commitChanges([{ offset: cursor.offset, value: parseInt(cursor.pending + event.key, 16) }]);
+            setCursor(cursor.offset + 1 < fileData.raw.length ? { offset: cursor.offset + 1, pending: null } : null);
+        }
+    };
+
+    // Bytes changed by the applied edits, highlighted in edit mode
+    const EditedOffsets = new Set(history.edits.slice(0, history.index).flatMap(edit => edit.map(({ offset }) => offset)));
+    const edit = editMode ? { cursor, edited: EditedOffsets, onSelect: offset => setCursor({ offset, pending: null }) } : null;
+
+    // Access bits under the cursor (bytes 6-8 of a sector trailer), re-parsed after every edit
+    const CursorSector = fileData?.family === 'classic' && cursor
+        ? fileData.sectors.findIndex(({ firstBlock, blockCount }) => Math.floor(cursor.offset / BLOCK_SIZE) === firstBlock + blockCount - 1)
+        : -1;
+    const access = CursorSector !== -1 && [6, 7, 8].includes(cursor.offset % BLOCK_SIZE)
+        ? { sector: CursorSector, valid: fileData.sectors[CursorSector].sectorTrailer.accessConditions.valid !== false }
+        : null;
+
     return (
         // Main container with dynamic padding-bottom based on the HotBar height.
         <div className='w-full h-screen p-5 pr-1 font-inconsolata dark:text-dark-text text-light-text' style={{ paddingBottom: paddingBottomValue }}>
-            <div className='h-full overflow-auto flex flex-col gap-5'>
+            <div className='h-full overflow-auto flex flex-col gap-5 outline-none' tabIndex={-1} onKeyDown={handleKeyDown}>
+                {/* Edit mode: bytes can be typed over in place. */}
+                {fileData && (
+                    <EditToolbar
+                        editMode={editMode}
+                        onToggle={() => { setEditMode(!editMode); setCursor(null); setFixes([]); }}
+                        canUndo={history.index > 0}
+                        canRedo={history.index < history.edits.length}
+                        onUndo={() => moveInHistory(true)}
+                        onRedo={() => moveInHistory(false)}
+                        fixes={fixes}
+                        onFix={fix => commitChanges(fix.changes)}
+                        access={access}
+                        text={language.Edit}
+                    />
+                )}
+                {/* Problems found while parsing the dump. */}
+                <DiagnosticsPanel diagnostics={fileData?.diagnostics} text={language.Diagnostics} />
                 {
                     // Conditional rendering: If fileData exists, display its contents; otherwise, show a "No file loaded" message.
-                    fileData ? (
+                    fileData?.family === 'ultralight' ? (
+                        // Ultralight/NTAG dumps are made of 4-byte pages instead of sectors.
+                        <div className='flex flex-col gap-2 w-fit'>
+                            <h1 className='text-2xl dark:text-dark-text text-light-text w-fit font-bold'>{fileData.cardType}</h1>
+                            <div className='flex flex-col gap-2 w-fit'>
+                                {fileData.pages.map((page, index) => (
+                                    <span key={index} data-type={page.type}>
+                                        <span className='opacity-50'>{int2hex(index)}</span> <HexRow bytes={fileData.raw} known={fileData.known} offset={index * 4} length={4} edit={edit} />
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                    ) : fileData ? (
                         <>
+                            {/* Display the detected MIFARE Classic variant (Mini, 1K or 4K). */}
+                            <h1 className='text-xl dark:text-dark-text text-light-text w-fit opacity-70'>{CARD_TYPES[fileData.cardType]?.name}</h1>
                             {/* 
                               * Render each sector from the loaded file data
                               * Each sector contains data blocks and a sector trailer
                             */}
                             {fileData.sectors.map((sector, index) => (
                                 <div key={index} className='flex flex-col gap-2 w-fit'>
-                                    {/* Display the sector index as a header. */}
-                                    <h1 className='text-2xl dark:text-dark-text text-light-text w-fit font-bold'>{language.Sector} {index}</h1>
+                                    {/* Display the sector index as a header, followed by its read status when some bytes could not be read. */}
+                                    <h1 className='text-2xl dark:text-dark-text text-light-text w-fit font-bold flex items-center gap-3'>
+                                        {language.Sector} {index} <ReadStatus status={sector.status} text={language.ReadStatus} />
+                                        <SectorApplication mad={fileData.mad} sector={index} text={language.Mad} />
+                                    </h1>
                                     <div className='flex flex-col gap-2 w-fit'>
-                                        {/* Special handling for the first sector (index 0). */}
-                                        {index === 0 ? (
-                                            <>
-                                                {/* Render manufacturer data for the first sector. */}
-                                                <span>
-                                                    <span>{fileData.manifacturer.uid.map(int2hex).join(' ')} {fileData.manifacturer.bcc.map(int2hex)} {fileData.manifacturer.sak.map(int2hex)} {fileData.manifacturer.ataq.map(int2hex).join(' ')} {fileData.manifacturer.data.map(int2hex).join(' ')}</span>
-                                                </span>
-                                                {/* Render data blocks for the first sector. */}
-                                                {
-                                                    sector.dataValues.map((block, index) => (
-                                                        <span key={index} data-type={sector.dataTypes[index]}>
-                                                            <span>{block.map(int2hex).join(' ')}</span>
-                                                        </span>
-                                                    ))
-                                                }
-                                                {/* Render the sector trailer for the first sector. */}
-                                                <span>
-                                                    <span>{sector.sectorTrailer.keyA.map(int2hex).join(' ')} {sector.sectorTrailer.accessConditions.unParsed.map(int2hex).join(' ')} {sector.sectorTrailer.userdata.map(int2hex)} {sector.sectorTrailer.keyB.map(int2hex).join(' ')}</span>
-                                                </span>
-                                            </>
-                                        ) : (
-                                            <>
-                                                {/* Render data blocks for other sectors. */}
-                                                {sector.dataValues.map((block, index) => (
-                                                    <span key={index} data-type={sector.dataTypes[index]}>
-                                                        <span> {block.map(int2hex).join(' ')} </span>
-                                                    </span>
-                                                ))}
-                                                {/* Render the sector trailer for other sectors. */}
-                                                <span>
-                                                    <span>{sector.sectorTrailer.keyA.map(int2hex).join(' ')} {sector.sectorTrailer.accessConditions.unParsed.map(int2hex).join(' ')} {sector.sectorTrailer.userdata.map(int2hex)} {sector.sectorTrailer.keyB.map(int2hex).join(' ')}</span>
+                                        {/*
+                                          * Render every block of the sector from the raw bytes, the manufacturer block and the sector trailer included.
+                                          * Bytes that could not be read are shown as "??".
+                                        */}
+                                        {Array(sector.blockCount).fill(0).map((_, blockIndex) => {
+                                            const offset = (sector.firstBlock + blockIndex) * 16; // Absolute offset of the block in the dump.
+                                            const dataIndex = index === 0 ? blockIndex - 1 : blockIndex; // The manufacturer block is not stored in dataValues.
+
+                                            return offset < (fileData.raw?.length ?? 0) && (
+                                                <span key={blockIndex} data-type={sector.dataTypes[dataIndex]}>
+                                                    <HexRow bytes={fileData.raw} known={fileData.known} offset={offset} length={16} edit={edit} />
                                                 </span>
-                                            </>
+                                            );
+                                        })}
+                                        {/* Render the keys recovered by the reader when they are not the ones stored in the trailer bytes. */}
+                                        {sector.recoveredKeys && (
+                                            sector.recoveredKeys.keyA?.join() !== sector.sectorTrailer.keyA.join() ||
+                                            sector.recoveredKeys.keyB?.join() !== sector.sectorTrailer.keyB.join()
+                                        ) && (
+                                            <span className='opacity-70'>
+                                                {language.RecoveredKeys}: A {sector.recoveredKeys.keyA?.map(int2hex).join(' ') ?? '-'} | B {sector.recoveredKeys.keyB?.map(int2hex).join(' ') ?? '-'}
+                                            </span>
                                         )}
                                     </div>
                                     {/* Render a horizontal line to separate sectors. */}
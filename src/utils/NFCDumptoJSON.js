@@ -1,45 +1,79 @@
+import { BLOCK_SIZE, CARD_TYPES, SAK_MINI, SAK_1K, SAK_4K, detectCardType, getSectorLayout } from './cardLayout';
+import { createDiagnostic, tokenizeDump } from './diagnostics';
+import { decodeAccessBits } from './accessConditions';
+import { decodeMad } from './mad';
+import { decodeValueBlock, isDamagedValueBlock } from './valueBlock';
+import { NFC_FORUM_AID, decodeNdef } from './ndef';
+import { identifyCard } from './cardIdentity';
+
 /**
  * Parses a MIFARE card dump into a structured JSON representation.
  *
  * @param {string} dump - The hexadecimal string representation of the MIFARE card dump.
  *                         Each byte is represented by two hexadecimal characters.
  *                         Whitespace is ignored and the string is case-insensitive.
+ *                         Bytes that could not be read are written as "??" and parsed as 0x00.
+ * @param {Object|null} [cardInfo] - Card information reported by the reader when the dump was taken (e.g. the header of a Proxmark3 JSON dump).
+ *                                   It is preferred to the values guessed from the manufacturer block when those cannot be located.
+ * @param {Array<number>} [cardInfo.uid] - The UID reported by the reader.
+ * @param {Array<number>} [cardInfo.atqa] - The ATQA reported by the reader (2 bytes).
+ * @param {number} [cardInfo.sak] - The SAK reported by the reader.
  * @returns {Object|null} A JSON object representing the parsed MIFARE card dump, or `null` if the input is invalid.
  * 
  * @property {Object} manifacturer - Information about the card manufacturer.
  * @property {Uint8Array} manifacturer.uid - The Unique Identifier (UID) of the card (4, 7, or 10 bytes).
  * @property {Uint8Array} manifacturer.nuid - The Non-Unique Identifier (NUID) of the card (always 4 bytes).
  * @property {number|null} manifacturer.bcc - The Block Check Character (BCC) for error detection (1 byte).
- * @property {number|null} manifacturer.sak - The Select Acknowledge (SAK) indicating card type (1 byte).
- * @property {Uint8Array|null} manifacturer.ataq - The Answer to Request (ATQA) used during card initialization (2 bytes).
+ * @property {Uint8Array} manifacturer.sak - The Select Acknowledge (SAK) indicating card type (1 byte, empty if it cannot be located).
+ * @property {Uint8Array} manifacturer.ataq - The Answer to Request (ATQA) used during card initialization (2 bytes, empty if it cannot be located).
  * @property {Uint8Array} manifacturer.data - Remaining manufacturer data (variable length).
  * 
+ * @property {Uint8Array} raw - Every byte of the card, in order (unknown bytes are stored as 0x00).
+ *                              A dump shorter than the card is padded with unknown bytes up to the size of the detected variant.
+ * @property {Uint8Array} known - One entry per byte of `raw`: 1 if the byte was read, 0 if it is unknown ("??" in the dump or missing).
+ * @property {number} dumpLength - The number of bytes of the dump before padding, unknown bytes included; the exporters stop there.
+ * @property {Object|null} cardInfo - The card information passed by the importer, with its fields converted to Uint8Array.
+ * @property {string} family - Always "classic", used by the UI to pick the sector-based layout.
+ * @property {string} cardType - The detected MIFARE Classic variant (key of `CARD_TYPES`: "Mini", "1K" or "4K").
+ * @property {Array<Object>} diagnostics - Problems found while parsing the dump (see diagnostics.js): invalid characters,
+ *                                         unexpected length, truncated sectors, BCC mismatch, unknown UID size...
+ * @property {Object|null} mad - The MIFARE Application Directory announced by the GPB of sector 0 (see mad.js), or `null` if there is none.
+ * @property {Object|null} ndef - The TLVs and NDEF messages of the sectors the MAD assigns to the NFC Forum (see ndef.js), or `null` if there are none.
+ * @property {Object|null} identity - The manufacturer, BCC check and clone card flags of the manufacturer block (see cardIdentity.js), or `null` if it was not read.
+ * 
  * @property {Array<Object>} sectors - An array of parsed data for each sector.
+ * @property {number} sectors[].firstBlock - The absolute number of the first block of the sector.
+ * @property {number} sectors[].blockCount - The number of blocks in the sector, sector trailer included (4 or 16).
+ * @property {string} sectors[].status - "read" if every byte of the sector is known, "unread" if none is, "partial" otherwise.
+ * @property {Array<string>} sectors[].blockStatus - The same status for every block of the sector, manufacturer block and sector trailer included.
  * @property {Array<Uint8Array>} sectors[].dataValues - An array of data blocks for the sector (excluding the sector trailer).
  * @property {Array<string>} sectors[].dataTypes - An array of data types for each block in the sector.
+ * @property {Array<Object|null>} sectors[].valueBlocks - For each block of `dataValues`, the decoded value block (see valueBlock.js):
+ *                                                       set for value blocks ("V") and for data blocks that look like damaged value blocks
+ *                                                       (`valid` is false), `null` for the other data blocks.
+ * @property {number} sectors[].valueBlocks[].value - The signed 32-bit value.
+ * @property {number} sectors[].valueBlocks[].address - The address byte.
+ * @property {boolean} sectors[].valueBlocks[].valid - Whether every copy of the value and of the address matches.
  * @property {Object} sectors[].sectorTrailer - The sector trailer containing authentication keys and access conditions.
  * @property {Uint8Array} sectors[].sectorTrailer.keyA - Key A used for authentication (6 bytes).
  * @property {Uint8Array} sectors[].sectorTrailer.keyB - Key B used for authentication (6 bytes).
  * @property {Uint8Array} sectors[].sectorTrailer.userdata - User data byte in the sector trailer (1 byte).
  * @property {Object} sectors[].sectorTrailer.accessConditions - Access conditions for the sector.
  * @property {Uint8Array} sectors[].sectorTrailer.accessConditions.unParsed - Raw access condition bytes (3 bytes).
- * @property {Array<string>} sectors[].sectorTrailer.accessConditions.parsed - Parsed access conditions for each block.
- * 
- * @throws {Error} If the input dump is not a string or does not match the expected structure of a MIFARE card.
+ * @property {Array<string>} sectors[].sectorTrailer.accessConditions.parsed - Parsed access conditions ("C1C2C3") for each access group.
+ * @property {boolean|null} sectors[].sectorTrailer.accessConditions.valid - Whether the access bits match their inverted copy (`null` if they could not be read).
  */
-function DumpToJson(dump) {
+function DumpToJson(dump, cardInfo = null) {
     // Ensure the input is a string; if not, return null.
     // This is a basic validation to ensure the function is called with the correct input type.
     if (typeof dump !== 'string') return null;
 
-    // Constants defining the structure of the MIFARE dump.
-    const SECTOR_SIZE = 64; // Each sector in a MIFARE card contains 64 bytes of data.
-    const BLOCK_SIZE = 16; // Each block within a sector contains 16 bytes of data.
-    const SECTOR_COUNT = 16; // A standard MIFARE card has 16 sectors.
-    const BLOCK_COUNT = 4; // Each sector contains 4 blocks.
+    // The number of sectors and of blocks per sector depends on the card variant (see cardLayout.js).
+    // The access bits always describe 4 groups: 3 for the data blocks and 1 for the sector trailer (see accessConditions.js).
 
     // Initialize the JSON structure to store the parsed dump.
     const FileJSON = {
+        family: 'classic', // Sector-based MIFARE Classic layout (see UltralightDumpToJSON.js for page-based cards).
         manifacturer: {
             uid: new Uint8Array(10), // Unique Identifier (UID) of the card. Can be 4, 7, or 10 bytes.
             nuid: new Uint8Array(4), // Non-Unique Identifier (NUID) of the card (always 4 bytes).
@@ -48,32 +82,77 @@ function DumpToJson(dump) {
             ataq: null, // Answer to Request (ATQA), used during card initialization (2 bytes).
             data: new Uint8Array(0) // Remaining manufacturer data (variable length).
         },
+        cardType: null, // Detected MIFARE Classic variant ("Mini", "1K" or "4K").
+        // Card information reported by the reader, if the dump format stores it.
+        cardInfo: cardInfo ? {
+            uid: cardInfo.uid ? new Uint8Array(cardInfo.uid) : null,
+            atqa: cardInfo.atqa ? new Uint8Array(cardInfo.atqa) : null,
+            sak: cardInfo.sak ?? null,
+        } : null,
         sectors: [], // Array to store parsed data for each sector.
+        raw: new Uint8Array(0), // Every byte of the dump, in order.
+        known: new Uint8Array(0), // 1 for every byte that was read, 0 for every unknown byte.
+        dumpLength: 0, // Number of bytes of the dump, before padding.
+        diagnostics: [], // Problems found while parsing the dump.
+        mad: null, // MIFARE Application Directory, if the card has one.
+        ndef: null, // NDEF data of the NFC Forum sectors, if the card has some.
+        identity: null, // Manufacturer, BCC check and clone card flags decoded from the manufacturer block.
     };
 
-    // Remove all whitespace from the input dump and convert it to uppercase.
-    // This ensures the input is in a consistent format for parsing.
-    const HexString = dump.replace(/\s/g, '').toUpperCase();
-
-    // Split the dump into sectors, each containing SECTOR_SIZE * 2 hex characters.
-    // Each byte is represented by 2 hex characters, so we multiply by 2.
-    const Sectors = HexString.match(new RegExp(`.{1,${SECTOR_SIZE * 2}}`, 'g')) || [];
+    // Remove all whitespace from the input dump and split it into bytes.
+    // Characters that are not hex digits are reported and parsed as unknown bytes.
+    const Tokens = tokenizeDump(dump, FileJSON.diagnostics);
+    const dumpLength = Tokens.length; // Number of bytes actually present in the dump, before padding.
+    FileJSON.dumpLength = dumpLength;
+
+    // Detect the card variant before splitting the dump, because the sector geometry depends on it.
+    // The SAK stored in the manufacturer block is used when the size of the dump alone is ambiguous.
+    const { SAK } = readManufacturerLayout(Tokens.slice(0, BLOCK_SIZE).map(token => token === '??' ? null : parseInt(token, 16)));
+    FileJSON.cardType = detectCardType(Tokens.length, SAK ?? cardInfo?.sak ?? null);
+
+    // Sectors that could not be read (e.g. because no key was recovered) are often left out of the dump.
+    // Pad the dump with unknown bytes up to the size of the card, so that every sector is parsed and keeps its position.
+    const cardSize = CARD_TYPES[FileJSON.cardType].size;
+    while (Tokens.length < cardSize) Tokens.push('??');
+    reportLength(FileJSON, dumpLength, cardSize);
+
+    // Unknown bytes ("??", e.g. blocks a Flipper Zero could not read) are tracked in a separate mask
+    // and replaced with 0x00, so the rest of the parser only deals with hex digits.
+    FileJSON.known = new Uint8Array(Tokens.map(token => token === '??' ? 0 : 1));
+    const HexString = Tokens.map(token => token === '??' ? '00' : token).join('');
+    FileJSON.raw = new Uint8Array(Tokens.map(token => token === '??' ? 0 : parseInt(token, 16)));
+
+    // Split the dump into sectors following the layout of the detected variant.
+    // Each byte is represented by 2 hex characters, so the offsets are multiplied by 2.
+    const Layout = getSectorLayout(FileJSON.cardType);
+    const Sectors = Layout
+        .map(({ firstBlock, blockCount }) => HexString.slice(firstBlock * BLOCK_SIZE * 2, (firstBlock + blockCount) * BLOCK_SIZE * 2))
+        .filter(sector => sector.length > 0);
 
     // Don't check for the number of sectors beacuse some sectors may have the access conditions set to 7 (111) witch prevents reading the data.
+    // Those sectors are kept with their bytes marked as unknown, and their read status tells the UI they were not read.
 
     // Iterate over each sector in the dump.
     Sectors.forEach((sector, i) => {
+        const { firstBlock, blockCount } = Layout[i];
+
         // Initialize the structure to store data for the current sector.
         const Sector = {
+            firstBlock, // Absolute number of the first block of the sector.
+            blockCount, // Number of blocks in the sector, sector trailer included.
+            status: getReadStatus(FileJSON.known, firstBlock * BLOCK_SIZE, blockCount * BLOCK_SIZE), // Whether the sector was read.
+            blockStatus: Array.from({ length: blockCount }, (_, j) => getReadStatus(FileJSON.known, (firstBlock + j) * BLOCK_SIZE, BLOCK_SIZE)), // Whether each block was read.
             dataValues: [], // Array to store data for each block in the sector.
             dataTypes: [], // Array to store data types for each block in the sector.
+            valueBlocks: [], // Decoded value of each value block in the sector (null for data blocks).
             sectorTrailer: {
                 keyA: new Uint8Array(6), // Key A, used for authentication (6 bytes).
                 keyB: new Uint8Array(6), // Key B, used for authentication (6 bytes).
                 userdata: new Uint8Array(1), // User data byte in the sector trailer (1 byte).
                 accessConditions: {
                     unParsed: new Uint8Array(3), // Raw access condition bytes (3 bytes).
-                    parsed: [] // Parsed access conditions for each block in the sector.
+                    parsed: [], // Parsed access conditions for each block in the sector.
+                    valid: null // Whether the access bits match their inverted copy.
                 }
             }
         };
@@ -85,7 +164,7 @@ function DumpToJson(dump) {
         // Iterate over each block in the sector.
         Blocks.forEach((block, j) => {
             // If this is the last block in the sector, it is the sector trailer.
-            if (j == BLOCK_COUNT - 1) {
+            if (j == blockCount - 1) {
                 // Extract the components of the sector trailer.
                 // The structure is:
                 // Key A (6 bytes) | Access Conditions (3 bytes) | User Data (1 byte) | Key B (6 bytes).
@@ -103,21 +182,24 @@ function DumpToJson(dump) {
                 // Parse and store Access Conditions as a Uint8Array.
                 Sector.sectorTrailer.accessConditions.unParsed = new Uint8Array(SectorTrailer[1].match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
 
-                // Convert Access Conditions bytes to binary strings for easier parsing.
-                const AccessConditions = SectorTrailer[1].match(/.{1,2}/g).map(hex2bin);
-
-                // Parse the access conditions for each block in the sector.
-                for (let k = BLOCK_COUNT - 1; k >= 0; k--) {
-                    // The access condition bits are defined in the MIFARE documentation and follow a specific format.
-                    // Here is an image to explain it better: https://i.sstatic.net/JpwkSuJ2.png
-
-                    // Extract the access condition bits for the current block:
-                    const C1 = AccessConditions[1].charAt(k); // C1 is the k-th bit of the second byte.
-                    const C2 = AccessConditions[0].charAt(k) ^ 1; // C2 is the k-th bit of the first byte, flipped (XOR with 1).
-                    const C3 = AccessConditions[2].charAt(k); // C3 is the k-th bit of the third byte.
-
-                    // Combine the bits into a string and store them in the parsed access conditions.
-                    Sector.sectorTrailer.accessConditions.parsed.push([C1, C2, C3].join(''));
+                // Parse the access conditions for each block in the sector and check them against their inverted copy.
+                // In sectors with 16 blocks each of the first three groups covers 5 data blocks (see getAccessGroup).
+                // Here is an image to explain the layout of the access bits: https://i.sstatic.net/JpwkSuJ2.png
+                const { groups, valid, invalidGroups } = decodeAccessBits(Sector.sectorTrailer.accessConditions.unParsed);
+                Sector.sectorTrailer.accessConditions.parsed = groups;
+
+                // The validity is unknown if the access bytes could not be read.
+                const trailerOffset = (firstBlock + j) * BLOCK_SIZE;
+                const accessKnown = FileJSON.known.slice(trailerOffset + 6, trailerOffset + 9).every(byte => byte);
+                Sector.sectorTrailer.accessConditions.valid = accessKnown ? valid : null;
+
+                // A card refuses every block of a sector whose access bits are inconsistent, so writing this trailer would lock the sector.
+                if (accessKnown && !valid) {
+                    FileJSON.diagnostics.push(createDiagnostic('error', 'InvalidAccessBits', { sector: i, groups: invalidGroups.join(', ') }, {
+                        sector: i,
+                        block: firstBlock + j,
+                        offset: trailerOffset + 6,
+                    }));
                 }
             } else if (i == 0 && j == 0) {
                 // Manufacturer data is stored in the first block of the first sector.
@@ -125,13 +207,11 @@ function DumpToJson(dump) {
                 // Parse the block into an array of bytes.
                 const ManifacturerData = block.match(/.{1,2}/g).map(byte => parseInt(byte, 16));
 
-                const is4bytes = (ManifacturerData[5] == 0x08 || ManifacturerData[5] == 0x88) && ManifacturerData[6] == 0x04 && ManifacturerData[7] == 0x00;
-                const is7bytes = (ManifacturerData[7] == 0x18 || ManifacturerData[7] == 0x98) && ManifacturerData[8] == 0x44 && ManifacturerData[9] == 0x00;
-
-                const SAK = is4bytes ? ManifacturerData[5] : is7bytes ? ManifacturerData[7] : null;
-                const ATQA = is4bytes ? ManifacturerData.slice(6, 8) : is7bytes ? ManifacturerData.slice(8, 10) : null;
+                const { SAK, ATQA, uidSize: layoutUidSize } = readManufacturerLayout(ManifacturerData);
 
-                const uidSize = guessUidSize(SAK, ATQA);
+                // The position of SAK and ATQA already tells the UID size; otherwise use the UID reported by the reader, or guess it.
+                // If even the guess fails, fall back to the 4-byte NUID that every card exposes.
+                const uidSize = layoutUidSize ?? cardInfo?.uid?.length ?? guessUidSize(SAK ?? cardInfo?.sak ?? null, ATQA ?? cardInfo?.atqa ?? null) ?? 4;
 
                 // Parse and store the UID as a Uint8Array.
                 FileJSON.manifacturer.uid = new Uint8Array(ManifacturerData.slice(0, uidSize));
@@ -142,67 +222,59 @@ function DumpToJson(dump) {
                 // Parse and store the BCC as a number.
                 FileJSON.manifacturer.bcc = uidSize == 4 ? new Uint8Array([ManifacturerData[4]]) : null;
 
+                // Report how the UID size was found, unless the manufacturer block could not be read at all.
+                if (layoutUidSize === null && FileJSON.known.slice(0, BLOCK_SIZE).some(byte => byte)) {
+                    const guessed = cardInfo?.uid?.length ?? guessUidSize(SAK ?? cardInfo?.sak ?? null, ATQA ?? cardInfo?.atqa ?? null);
+                    FileJSON.diagnostics.push(guessed
+                        ? createDiagnostic('info', 'GuessedUidSize', { size: uidSize }, { sector: 0, block: 0, offset: 0 })
+                        : createDiagnostic('warning', 'UnknownUidSize', { size: uidSize }, { sector: 0, block: 0, offset: 0 }));
+                }
+
+                // The BCC of a 4-byte UID is the XOR of the UID bytes.
+                const expectedBcc = ManifacturerData.slice(0, 4).reduce((bcc, byte) => bcc ^ byte, 0);
+                if (uidSize == 4 && FileJSON.known.slice(0, 5).every(byte => byte) && ManifacturerData[4] !== expectedBcc) {
+                    FileJSON.diagnostics.push(createDiagnostic('warning', 'BccMismatch', {
+                        expected: expectedBcc.toString(16).padStart(2, '0').toUpperCase(),
+                        actual: ManifacturerData[4].toString(16).padStart(2, '0').toUpperCase(),
+                    }, { sector: 0, block: 0, offset: 4 }));
+                }
+
                 // Parse and store the SAK as a number.
-                FileJSON.manifacturer.sak = new Uint8Array([SAK]);
+                // SAK and ATQA are left empty when they cannot be located in the block.
+                FileJSON.manifacturer.sak = new Uint8Array(SAK !== null ? [SAK] : []);
 
                 // Parse and store the ATQA as a Uint8Array.
-                FileJSON.manifacturer.ataq = new Uint8Array(ATQA);
+                FileJSON.manifacturer.ataq = new Uint8Array(ATQA || []);
 
                 // Parse and store the remaining manufacturer data as a Uint8Array.
-                const dataStart = uidSize + (FileJSON.manifacturer.bcc ? 1 : 0) + (SAK ? 1 : 0) + (ATQA ? 2 : 0);
+                const dataStart = uidSize + (FileJSON.manifacturer.bcc ? 1 : 0) + (SAK !== null ? 1 : 0) + (ATQA ? 2 : 0);
                 FileJSON.manifacturer.data = new Uint8Array(ManifacturerData.slice(dataStart));
             } else {
-                // Check if the block is a Read/Write block or a Value block by analyzing its format.
-                // The value block format is defined as:
-                // AA AA AA AA !AA !AA !AA !AA AA AA AA AA BB !BB BB !BB
-                // Where:
-                // - A represents the value data (4 bytes, repeated 3 times).
-                // - !A represents the inverted value data (4 bytes, repeated 3 times).
-                // - B represents the address bytes (1 byte, repeated 4 times).
-                // - !B represents the inverted address bytes (1 byte, repeated 4 times).
-                // The exclamation mark (!) indicates the bitwise inversion of the corresponding data.
-
-                // Attempt to match the block against the expected value block format using a regular expression.
-                // The regex captures the following groups:
-                // - Group 0: The first 4 bytes of value data (AA AA AA AA).
-                // - Group 1: The next 4 bytes of inverted value data (!AA !AA !AA !AA).
-                // - Group 2: The repeated 4 bytes of value data (AA AA AA AA).
-                // - Group 3: The first address byte (BB).
-                // - Group 4: The inverted address byte (!BB).
-                // - Group 5: The repeated address byte (BB).
-                // - Group 6: The repeated inverted address byte (!BB).
-                const ValueBlock = block.match(/^([A-F0-9]{8})([A-F0-9]{8})([A-F0-9]{8})([A-F0-9]{2})([A-F0-9]{2})([A-F0-9]{2})([A-F0-9]{2})$/).slice(1);
-
-                // Invert the value data (Group 1) to check if it matches the inverted value data.
-                // Convert the hexadecimal string to binary, perform a bitwise XOR with 0xFF to invert the bits,
-                // and then convert the result back to a hexadecimal string.
-                ValueBlock[1] = ValueBlock[1]
-                    .match(/.{1,2}/g) // Split the string into an array of 2-character hex bytes.
-                    .map(hex2bin) // Convert each hex byte to an 8-bit binary string.
-                    .map(byte => parseInt(byte, 2) ^ 0xFF) // Perform a bitwise XOR with 0xFF to invert the bits.
-                    .map(byte => byte.toString(16).padStart(2, '0')) // Convert the result back to a 2-character hex string.
-                    .join('') // Join the array back into a single string.
-                    .toUpperCase(); // Convert the string to uppercase for consistency.
-
-                // Flip the address bytes (Groups 4 and 6) to check if they match the inverted address bytes.
-                // Perform a bitwise XOR with 0xFF to invert the bits and convert the result back to a hexadecimal string.
-                ValueBlock[4] = (parseInt(ValueBlock[4], 16) ^ 0xFF).toString(16).padStart(2, '0').toUpperCase();
-                ValueBlock[6] = (parseInt(ValueBlock[6], 16) ^ 0xFF).toString(16).padStart(2, '0').toUpperCase();
-
-                // Check if the block matches the value block format by comparing the groups:
-                // - Groups 0, 1, and 2 should all be identical (value data and its repetitions).
-                // - Groups 3, 4, 5, and 6 should all be identical (address data and its repetitions).
-                const IsValueBlock = ValueBlock[0] === ValueBlock[1] && ValueBlock[1] === ValueBlock[2] && // Value data matches.
-                                     ValueBlock[3] === ValueBlock[4] && ValueBlock[4] === ValueBlock[5] && ValueBlock[5] === ValueBlock[6]; // Address data matches.
+                // Parse the block data into an array of bytes.
+                const BlockData = block.match(/.{1,2}/g).map(byte => parseInt(byte, 16));
+
+                // Check if the block is a Read/Write block or a Value block by analyzing its format (see valueBlock.js).
+                // The value and its copies (AA AA AA AA !AA !AA !AA !AA AA AA AA AA) and the address and its copies (BB !BB BB !BB) must all match.
+                const ValueBlock = decodeValueBlock(BlockData);
 
                 // If the block matches the value block format, classify it as a "Value" block (type "V").
                 // Otherwise, classify it as a "Data" block (type "D").
-                Sector.dataTypes.push(IsValueBlock ? "V" : "D");
+                Sector.dataTypes.push(ValueBlock.valid ? "V" : "D");
+
+                // A block where only the value or only the address is consistent was most likely a value block that got damaged.
+                const blockOffset = (firstBlock + j) * BLOCK_SIZE;
+                const isDamaged = isDamagedValueBlock(ValueBlock) && FileJSON.known.slice(blockOffset, blockOffset + BLOCK_SIZE).every(byte => byte);
+                Sector.valueBlocks.push(ValueBlock.valid || isDamaged ? ValueBlock : null);
+                if (isDamaged) {
+                    FileJSON.diagnostics.push(createDiagnostic('warning', ValueBlock.valueValid ? 'DamagedValueAddress' : 'DamagedValue', { block: firstBlock + j }, {
+                        sector: i,
+                        block: firstBlock + j,
+                        offset: blockOffset + (ValueBlock.valueValid ? 12 : 0),
+                    }));
+                }
 
-                // Parse the block data into a Uint8Array for storage.
-                // Split the block into an array of 2-character hex bytes, convert each byte to an integer,
-                // and create a Uint8Array from the resulting array.
-                Sector.dataValues.push(new Uint8Array(block.match(/.{1,2}/g).map(byte => parseInt(byte, 16))));
+                // Store the block data as a Uint8Array.
+                Sector.dataValues.push(new Uint8Array(BlockData));
             }
         });
 
@@ -210,20 +282,132 @@ function DumpToJson(dump) {
         FileJSON.sectors.push(Sector);
     });
 
+    // Decode the MIFARE Application Directory, which tells the application stored in each sector.
+    FileJSON.mad = decodeMad(FileJSON.raw, FileJSON.known);
+    if (FileJSON.mad) reportMad(FileJSON);
+
+    // The NDEF TLV stream runs across the data blocks of the NFC Forum sectors, skipping their trailers.
+    const NdefArea = (FileJSON.mad?.applications || [])
+        .filter(({ sector, aid }) => aid === NFC_FORUM_AID && FileJSON.sectors[sector])
+        .flatMap(({ sector }) => {
+            const { firstBlock, blockCount } = FileJSON.sectors[sector];
+            return Array.from({ length: (blockCount - 1) * BLOCK_SIZE }, (_, i) => firstBlock * BLOCK_SIZE + i);
+        });
+    FileJSON.ndef = decodeNdef(FileJSON.raw, FileJSON.known, NdefArea, FileJSON.diagnostics);
+
+    // Decode the identity of the card from the manufacturer block, and look for signs of a clone card.
+    FileJSON.identity = identifyCard(FileJSON);
+
+    // Locate the diagnostics that only know the offset of the problem.
+    FileJSON.diagnostics.forEach((diagnostic) => {
+        if (diagnostic.offset === null || diagnostic.block !== null || diagnostic.offset >= cardSize) return;
+        diagnostic.block = Math.floor(diagnostic.offset / BLOCK_SIZE);
+        diagnostic.sector = Layout.findIndex(({ firstBlock, blockCount }) => diagnostic.block < firstBlock + blockCount);
+    });
+
+    // Sectors present in the dump but made only of unknown bytes could not be read (missing keys, locked access conditions...).
+    const UnreadSectors = FileJSON.sectors
+        .map((sector, i) => sector.status === 'unread' && sector.firstBlock * BLOCK_SIZE < dumpLength ? i : null)
+        .filter(i => i !== null);
+    if (UnreadSectors.length) {
+        FileJSON.diagnostics.push(createDiagnostic('info', 'UnreadSectors', { sectors: UnreadSectors.join(', ') }, {
+            sector: UnreadSectors[0],
+            block: FileJSON.sectors[UnreadSectors[0]].firstBlock,
+            offset: FileJSON.sectors[UnreadSectors[0]].firstBlock * BLOCK_SIZE,
+        }));
+    }
+
     // Return the fully parsed JSON representation of the dump.
     return FileJSON;
 }
 
 /**
- * Converts a hexadecimal string to an 8-bit binary string.
+ * Reports a MIFARE Application Directory that cannot be trusted: unknown version or CRC mismatch.
  *
- * @param {string} hex - The hexadecimal string to convert.
- * @returns {string} The binary string representation of the input, padded to 8 bits.
+ * @param {Object} FileJSON - The parsed dump, with its `mad` already decoded; the diagnostics are added to it.
+ */
+function reportMad(FileJSON) {
+    const { gpb, version, directories } = FileJSON.mad;
+    const toHex = (byte) => byte.toString(16).padStart(2, '0').toUpperCase();
+
+    // The GPB is the user byte of the sector 0 trailer (byte 9 of block 3).
+    if (version === null) {
+        FileJSON.diagnostics.push(createDiagnostic('warning', 'UnknownMadVersion', { gpb: toHex(gpb) }, { sector: 0, block: 3, offset: 3 * BLOCK_SIZE + 9 }));
+    }
+
+    // A directory that was not fully read cannot be checked.
+    directories.filter(directory => directory.known && !directory.crcValid).forEach((directory) => {
+        FileJSON.diagnostics.push(createDiagnostic('warning', 'MadCrcMismatch', {
+            version: directory.version,
+            sector: directory.sector,
+            expected: toHex(directory.computedCrc),
+            actual: toHex(directory.crc),
+        }, { sector: directory.sector, block: directory.blocks[0], offset: directory.offset }));
+    });
+}
+
+/**
+ * Reports a dump whose length does not match the size of the detected card.
+ *
+ * @param {Object} FileJSON - The parsed dump, with its `cardType` already detected; the diagnostics are added to it.
+ * @param {number} dumpLength - The number of bytes in the dump.
+ * @param {number} cardSize - The number of bytes of the detected card.
+ */
+function reportLength(FileJSON, dumpLength, cardSize) {
+    if (dumpLength > cardSize) {
+        FileJSON.diagnostics.push(createDiagnostic('warning', 'ExtraBytes', { length: dumpLength, expected: cardSize }, { offset: cardSize }));
+        return;
+    }
+    if (dumpLength === cardSize) return;
+
+    FileJSON.diagnostics.push(createDiagnostic('warning', 'ShortDump', { length: dumpLength, expected: cardSize }, { offset: dumpLength }));
+
+    // A dump that ends in the middle of a sector has lost the end of that sector, sector trailer included.
+    const Layout = getSectorLayout(FileJSON.cardType);
+    const sector = Layout.findIndex(({ firstBlock, blockCount }) => dumpLength > firstBlock * BLOCK_SIZE && dumpLength < (firstBlock + blockCount) * BLOCK_SIZE);
+    if (sector !== -1) {
+        FileJSON.diagnostics.push(createDiagnostic('error', 'TruncatedSector', { sector }, {
+            sector,
+            block: Math.floor(dumpLength / BLOCK_SIZE),
+            offset: dumpLength,
+        }));
+    }
+}
+
+/**
+ * Locates the SAK and ATQA inside the manufacturer block.
+ * Their position depends on the UID size: they follow the BCC for 4-byte UIDs and the UID itself for 7-byte UIDs.
  *
- * @see https://stackoverflow.com/a/45054052 - Credit to the original author.
+ * @param {Array<number>} ManifacturerData - The bytes of the manufacturer block (block 0 of sector 0).
+ * @returns {{SAK: number|null, ATQA: Array<number>|null, uidSize: number|null}} The SAK, ATQA and UID size, or `null` if the layout is not recognised.
  */
-function hex2bin(hex) {
-    return (parseInt(hex, 16).toString(2)).padStart(8, '0');
+function readManufacturerLayout(ManifacturerData) {
+    // Mini cards answer with SAK 0x09, 1K cards with SAK 0x08 (0x88 for Infineon), 4K cards with SAK 0x18 (0x98 for Infineon).
+    // The matching ATQA is 04 00 / 02 00 for 4-byte UIDs and 44 00 / 42 00 for 7-byte UIDs.
+    const KnownSAKs = [...SAK_MINI, ...SAK_1K, ...SAK_4K];
+    const is4bytes = KnownSAKs.includes(ManifacturerData[5]) && [0x04, 0x02].includes(ManifacturerData[6]) && ManifacturerData[7] == 0x00;
+    const is7bytes = KnownSAKs.includes(ManifacturerData[7]) && [0x44, 0x42].includes(ManifacturerData[8]) && ManifacturerData[9] == 0x00;
+
+    return {
+        SAK: is4bytes ? ManifacturerData[5] : is7bytes ? ManifacturerData[7] : null,
+        ATQA: is4bytes ? ManifacturerData.slice(6, 8) : is7bytes ? ManifacturerData.slice(8, 10) : null,
+        uidSize: is4bytes ? 4 : is7bytes ? 7 : null,
+    };
+}
+
+/**
+ * Tells whether a range of the dump was read, from the known/unknown mask.
+ *
+ * @param {Uint8Array} known - The known/unknown mask of the dump (1 = read, 0 = unknown).
+ * @param {number} offset - The offset of the first byte of the range.
+ * @param {number} length - The number of bytes in the range.
+ * @returns {string} "read" if every byte is known, "unread" if no byte is known, "partial" otherwise.
+ */
+function getReadStatus(known, offset, length) {
+    const knownBytes = known.slice(offset, offset + length).reduce((total, byte) => total + byte, 0);
+
+    if (knownBytes === length) return 'read';
+    return knownBytes === 0 ? 'unread' : 'partial';
 }
 
 /**
@@ -231,25 +415,28 @@ function hex2bin(hex) {
  *
  * @param {number|null} sak - The Select Acknowledge (SAK) value.
  * @param {Uint8Array|null} atqa - The Answer to Request (ATQA) value.
- * @returns {number|string} The guessed UID size (4, 7, or 10 bytes) or "unknown" if it cannot be determined.
+ * @returns {number|null} The guessed UID size (4, 7, or 10 bytes) or `null` if it cannot be determined.
  */
 function guessUidSize(sak, atqa) {
     // First, check SAK value.
-    if (sak === 0x08) {
-        return 4; // Likely a 4-byte UID.
+    if (sak === 0x08 || SAK_MINI.includes(sak)) {
+        return 4; // Likely a 4-byte UID (1K and Mini).
     } else if (sak === 0x18) {
         return 7; // Likely a 7-byte UID.
+    } else if (!atqa) {
+        // Neither the SAK nor the ATQA could be located in the manufacturer block.
+        return null;
     } else {
         // SAK is ambiguous; use ATQA to help decide.
         // Assume atqa is a 2-byte array, and we use the LSByte (atqa[0]).
-        // Extract bits 5-7 from the LSByte (bits are numbered 1-8 with bit1 as LSB).
-        // For clarity, shift right by 4 to bring bits 5-7 to the lower bits and mask with 0x07.
-        const uidIndicator = (atqa[0] >> 4) & 0x07;
+        // The UID size is encoded in bits 7-8 of the LSByte (bits are numbered 1-8 with bit1 as LSB).
+        // Shift right by 6 to bring bits 7-8 to the lower bits and mask with 0x03.
+        const uidIndicator = (atqa[0] >> 6) & 0x03;
 
         // Define expected patterns (these patterns are based on ISO/IEC 14443-3):
-        const SINGLE_SIZE_PATTERN = 0b000; // (example: 4-byte UID).
-        const DOUBLE_SIZE_PATTERN = 0b001; // (example: 7-byte UID).
-        const TRIPLE_SIZE_PATTERN = 0b010; // (example: 10-byte UID).
+        const SINGLE_SIZE_PATTERN = 0b00; // (example: 4-byte UID).
+        const DOUBLE_SIZE_PATTERN = 0b01; // (example: 7-byte UID).
+        const TRIPLE_SIZE_PATTERN = 0b10; // (example: 10-byte UID).
 
         if (uidIndicator === SINGLE_SIZE_PATTERN) {
             return 4;
@@ -259,7 +446,7 @@ function guessUidSize(sak, atqa) {
             return 10;
         } else {
             // Pattern does not match any known UID size indication.
-            return "unknown";
+            return null;
         }
     }
 }
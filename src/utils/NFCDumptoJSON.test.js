@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { DumpToJson } from './NFCDumptoJSON';
+import { encodeValueBlock } from './valueBlock';
+
+const TRANSPORT_TRAILER = [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x07, 0x80, 0x69, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF];
+
+/**
+ * Builds a MIFARE Classic dump with a 4-byte UID and transport trailers
+ * @param {number} size - The number of bytes of the card (320, 1024 or 4096)
+ * @param {number} sak - The SAK written in the manufacturer block
+ * @returns {string} The dump, as a space-separated hex string
+ */
+function buildDump(size, sak) {
+    const Bytes = new Array(size).fill(0);
+    [0xDE, 0xAD, 0xBE, 0xEF, 0xDE ^ 0xAD ^ 0xBE ^ 0xEF, sak, 0x04, 0x00].forEach((byte, index) => Bytes[index] = byte);
+
+    // The sector trailer is the last block of every sector: every 4th block, then every 16th block past block 128
+    for (let block = 0; block < size / 16; block++) {
+        const isTrailer = block < 128 ? block % 4 === 3 : block % 16 === 15;
+        if (isTrailer) TRANSPORT_TRAILER.forEach((byte, index) => Bytes[block * 16 + index] = byte);
+    }
+    return Bytes.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+describe('DumpToJson', () => {
+    it('parses a 1K dump into 16 sectors of 4 blocks', () => {
+        const Json = DumpToJson(buildDump(1024, 0x08));
+        expect(Json.cardType).toBe('1K');
+        expect(Json.sectors).toHaveLength(16);
+        expect(Array.from(Json.manifacturer.uid)).toEqual([0xDE, 0xAD, 0xBE, 0xEF]);
+        expect(Json.sectors.every(sector => sector.blockCount === 4)).toBe(true);
+        expect(Json.sectors[1].dataValues).toHaveLength(3);
+    });
+
+    it('parses the large sectors of a 4K dump', () => {
+        const Json = DumpToJson(buildDump(4096, 0x18));
+        expect(Json.cardType).toBe('4K');
+        expect(Json.sectors).toHaveLength(40);
+
+        const Sector = Json.sectors[32];
+        expect(Sector).toMatchObject({ firstBlock: 128, blockCount: 16 });
+        expect(Sector.dataValues).toHaveLength(15);
+        expect(Array.from(Sector.sectorTrailer.keyA)).toEqual([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+        expect(Sector.sectorTrailer.accessConditions.parsed).toEqual(['000', '000', '000', '001']);
+    });
+
+    it('parses a 320-byte dump as a MIFARE Mini', () => {
+        const Json = DumpToJson(buildDump(320, 0x09));
+        expect(Json.cardType).toBe('Mini');
+        expect(Json.sectors).toHaveLength(5);
+    });
+
+    it('pads a partial dump with unknown bytes up to the size of the card', () => {
+        const Dump = buildDump(1024, 0x08).split(' ').slice(0, 24 * 16);
+        Dump.fill('??', 5 * 16, 6 * 16);
+        const Json = DumpToJson(Dump.join(' '));
+
+        expect(Json.raw).toHaveLength(1024);
+        expect(Json.dumpLength).toBe(24 * 16);
+        expect(Array.from(Json.known.slice(24 * 16))).toEqual(new Array(1024 - 24 * 16).fill(0));
+        expect(Json.sectors.map(sector => sector.status).slice(0, 7)).toEqual(['read', 'partial', 'read', 'read', 'read', 'read', 'unread']);
+        expect(Json.sectors[1].blockStatus).toEqual(['read', 'unread', 'read', 'read']);
+    });
+
+    it('reports a dump that ends in the middle of a sector', () => {
+        const Json = DumpToJson(buildDump(1024, 0x08).split(' ').slice(0, 6 * 16).join(' '));
+        expect(Json.diagnostics).toEqual(expect.arrayContaining([
+            expect.objectContaining({ code: 'ShortDump', params: { length: 96, expected: 1024 }, offset: 96 }),
+            expect.objectContaining({ code: 'TruncatedSector', sector: 1, block: 6 }),
+        ]));
+    });
+
+    it('decodes the value blocks of every sector and leaves the data blocks out', () => {
+        const Dump = buildDump(1024, 0x08).split(' ');
+        encodeValueBlock(-5, 4).forEach((byte, index) => Dump[4 * 16 + index] = byte.toString(16).padStart(2, '0'));
+        const Json = DumpToJson(Dump.join(' '));
+
+        expect(Json.sectors[1].valueBlocks).toHaveLength(3);
+        expect(Json.sectors[1].valueBlocks[0]).toMatchObject({ value: -5, address: 4, valid: true });
+        expect(Json.sectors[1].valueBlocks.slice(1)).toEqual([null, null]);
+    });
+
+    it('rejects anything but a string', () => {
+        expect(DumpToJson(null)).toBeNull();
+    });
+});
@@ -0,0 +1,327 @@
+/**
+ * Page-based cards of the MIFARE Ultralight / NTAG21x family.
+ *
+ * These cards are organised in 4-byte pages. Pages 0-3 always hold the 7-byte UID, the two BCC bytes,
+ * the static lock bytes and the OTP page (used as capability container by NDEF formatted tags).
+ * The configuration pages at the end of the memory depend on the variant.
+ */
+
+import { createDiagnostic, tokenizeDump } from './diagnostics';
+import { decodeNdef } from './ndef';
+
+const PAGE_SIZE = 4; // Every page contains 4 bytes.
+
+/**
+ * Supported variants, indexed by name.
+ * - pages: number of pages in a full dump.
+ * - dynamicLock: page holding the dynamic lock bytes (`null` if the variant has none).
+ * - pagesPerLockBit: number of user pages locked by each dynamic lock bit.
+ * - config: page numbers of the configuration pages.
+ * - ccSize: value of the capability container size byte of a factory formatted tag (used to break ties).
+ */
+const ULTRALIGHT_TYPES = {
+    'Ultralight': { pages: 16, dynamicLock: null, pagesPerLockBit: 0, config: null, ccSize: 0x06 },
+    'Ultralight EV1 (MF0UL11)': { pages: 20, dynamicLock: null, pagesPerLockBit: 0, config: { CFG0: 0x10, CFG1: 0x11, PWD: 0x12, PACK: 0x13 }, ccSize: 0x06 },
+    'Ultralight EV1 (MF0UL21)': { pages: 41, dynamicLock: 0x24, pagesPerLockBit: 4, config: { CFG0: 0x25, CFG1: 0x26, PWD: 0x27, PACK: 0x28 }, ccSize: 0x10 },
+    'Ultralight C': { pages: 48, dynamicLock: 0x28, pagesPerLockBit: 4, config: { CNT: 0x29, AUTH0: 0x2A, AUTH1: 0x2B, KEY: [0x2C, 0x2D, 0x2E, 0x2F] }, ccSize: 0x12 },
+    'NTAG213': { pages: 45, dynamicLock: 0x28, pagesPerLockBit: 2, config: { CFG0: 0x29, CFG1: 0x2A, PWD: 0x2B, PACK: 0x2C }, ccSize: 0x12 },
+    'NTAG215': { pages: 135, dynamicLock: 0x82, pagesPerLockBit: 16, config: { CFG0: 0x83, CFG1: 0x84, PWD: 0x85, PACK: 0x86 }, ccSize: 0x3E },
+    'NTAG216': { pages: 231, dynamicLock: 0xE2, pagesPerLockBit: 16, config: { CFG0: 0xE3, CFG1: 0xE4, PWD: 0xE5, PACK: 0xE6 }, ccSize: 0x6D },
+};
+
+/**
+ * Checks whether a hex dump looks like a page-based Ultralight/NTAG dump.
+ * The size must match one of the known variants and both BCC bytes of the 7-byte UID must be correct,
+ * which practically never happens by chance in a MIFARE Classic manufacturer block.
+ *
+ * @param {string} dump - The hexadecimal string representation of the dump (whitespace is ignored).
+ * @returns {boolean} `true` if the dump can be parsed by `UltralightDumpToJson`.
+ */
+function isUltralightDump(dump) {
+    if (typeof dump !== 'string') return false;
+
+    const Bytes = (dump.replace(/\s/g, '').match(/.{1,2}/g) || []).map(byte => parseInt(byte, 16));
+    const pageCount = Bytes.length / PAGE_SIZE;
+
+    if (!Object.values(ULTRALIGHT_TYPES).some(type => type.pages === pageCount)) return false;
+
+    // BCC0 = CT (0x88) ^ UID0 ^ UID1 ^ UID2, BCC1 = UID3 ^ UID4 ^ UID5 ^ UID6
+    return Bytes[3] === (0x88 ^ Bytes[0] ^ Bytes[1] ^ Bytes[2]) && Bytes[8] === (Bytes[4] ^ Bytes[5] ^ Bytes[6] ^ Bytes[7]);
+}
+
+/**
+ * Parses a MIFARE Ultralight / NTAG21x dump into a structured JSON representation.
+ *
+ * @param {string} dump - The hexadecimal string representation of the dump.
+ *                         Each byte is represented by two hexadecimal characters.
+ *                         Whitespace is ignored and the string is case-insensitive.
+ *                         Bytes that could not be read are written as "??" and parsed as 0x00.
+ * @returns {Object|null} A JSON object representing the parsed dump, or `null` if the input is invalid.
+ *
+ * @property {string} family - Always "ultralight", used by the UI to pick the page-based layout.
+ * @property {string} cardType - The detected variant (key of `ULTRALIGHT_TYPES`).
+ * @property {Uint8Array} raw - Every byte of the dump, in order (unknown bytes are stored as 0x00).
+ *                              A dump shorter than the detected variant is padded with unknown bytes.
+ * @property {Uint8Array} known - One entry per byte of `raw`: 1 if the byte was read, 0 if it is unknown ("??" in the dump).
+ * @property {number} dumpLength - The number of bytes of the dump before padding, unknown bytes included; the exporters stop there.
+ * @property {Array<Object>} diagnostics - Problems found while parsing the dump (see diagnostics.js).
+ *
+ * @property {Object} manifacturer - Information about the card manufacturer.
+ * @property {Uint8Array} manifacturer.uid - The 7-byte Unique Identifier (UID).
+ * @property {Uint8Array} manifacturer.bcc - BCC0 and BCC1 as stored on the card.
+ * @property {Array<boolean>} manifacturer.bccValid - Whether BCC0 and BCC1 match the UID.
+ * @property {Uint8Array} manifacturer.internal - The internal byte of page 2.
+ *
+ * @property {Object} lockBytes - The lock bytes of the card.
+ * @property {Uint8Array} lockBytes.static - LOCK0 and LOCK1 (page 2, bytes 2-3).
+ * @property {Array<number>} lockBytes.staticLocked - Pages (3-15) locked by the static lock bits.
+ * @property {Uint8Array|null} lockBytes.dynamic - The dynamic lock bytes (3 bytes), if the variant has them.
+ * @property {Array<number>} lockBytes.dynamicLocked - Pages locked by the dynamic lock bits.
+ *
+ * @property {Uint8Array} otp - The OTP page (page 3).
+ * @property {Object|null} capabilityContainer - The NDEF capability container stored in page 3, if present.
+ * @property {number} capabilityContainer.version - The mapping version (major in the high nibble).
+ * @property {number} capabilityContainer.size - The size of the data area in bytes.
+ * @property {number} capabilityContainer.access - The read/write access byte.
+ *
+ * @property {Object|null} ndef - The TLVs and NDEF messages of the data area announced by the capability container (see ndef.js), or `null` if there is none.
+ *
+ * @property {Object|null} config - The configuration pages (AUTH0, ACCESS, PWD, PACK...), if the variant has them.
+ *
+ * @property {Array<Object>} pages - An array with every page of the dump.
+ * @property {Uint8Array} pages[].data - The 4 bytes of the page.
+ * @property {string} pages[].type - The role of the page (UID0, UID1, LOCK, OTP, CC, D, DLOCK, CFG0, CFG1, PWD, PACK, CNT, AUTH0, AUTH1, KEY).
+ * @property {string} pages[].status - "read" if every byte of the page is known, "unread" if none is, "partial" otherwise.
+ */
+function UltralightDumpToJson(dump) {
+    // Ensure the input is a string; if not, return null.
+    if (typeof dump !== 'string') return null;
+
+    // Remove all whitespace and split the dump into bytes.
+    // Unknown bytes ("??") are parsed as 0x00 and tracked in the `known` mask; invalid characters are reported and parsed as unknown bytes.
+    const Diagnostics = [];
+    const Tokens = tokenizeDump(dump, Diagnostics);
+    const dumpLength = Tokens.length; // Number of bytes actually present in the dump, before padding.
+
+    // Detect the variant from the number of pages, using the capability container to break ties.
+    const cardType = detectUltralightType(splitPages(Tokens.map(token => token === '??' ? 0 : parseInt(token, 16))));
+    const Layout = ULTRALIGHT_TYPES[cardType];
+
+    // Pages that could not be read may be missing at the end of the dump.
+    // Pad the dump with unknown bytes up to the size of the detected variant, so that every page keeps its role.
+    while (Tokens.length < Layout.pages * PAGE_SIZE) Tokens.push('??');
+    if (dumpLength !== Layout.pages * PAGE_SIZE) {
+        Diagnostics.push(createDiagnostic('warning', dumpLength < Layout.pages * PAGE_SIZE ? 'ShortDump' : 'ExtraBytes', {
+            length: dumpLength,
+            expected: Layout.pages * PAGE_SIZE,
+        }, { offset: Math.min(dumpLength, Layout.pages * PAGE_SIZE) }));
+    }
+
+    const Bytes = Tokens.map(token => token === '??' ? 0 : parseInt(token, 16));
+    const Known = Tokens.map(token => token === '??' ? 0 : 1);
+    const Pages = splitPages(Bytes);
+
+    const uid = [...Pages[0].slice(0, 3), ...Pages[1]];
+
+    const FileJSON = {
+        family: 'ultralight',
+        cardType,
+        manifacturer: {
+            uid: new Uint8Array(uid), // 7-byte UID: UID0-UID2 in page 0, UID3-UID6 in page 1.
+            bcc: new Uint8Array([Pages[0][3], Pages[2][0]]), // BCC0 and BCC1.
+            bccValid: [
+                Pages[0][3] === (0x88 ^ uid[0] ^ uid[1] ^ uid[2]), // BCC0 includes the cascade tag (0x88).
+                Pages[2][0] === (uid[3] ^ uid[4] ^ uid[5] ^ uid[6]),
+            ],
+            internal: new Uint8Array([Pages[2][1]]), // Internal byte, reserved by the manufacturer.
+        },
+        lockBytes: {
+            static: new Uint8Array(Pages[2].slice(2, 4)),
+            staticLocked: parseStaticLock(Pages[2][2], Pages[2][3]),
+            dynamic: Layout.dynamicLock !== null && Pages[Layout.dynamicLock] ? new Uint8Array(Pages[Layout.dynamicLock].slice(0, 3)) : null,
+            dynamicLocked: Layout.dynamicLock !== null && Pages[Layout.dynamicLock] ? parseDynamicLock(Pages[Layout.dynamicLock], Layout) : [],
+        },
+        otp: new Uint8Array(Pages[3]),
+        // A tag formatted for NDEF stores the capability container in the OTP page, starting with the magic number 0xE1.
+        capabilityContainer: Pages[3][0] === 0xE1 ? {
+            version: Pages[3][1],
+            size: Pages[3][2] * 8, // The size byte counts groups of 8 bytes.
+            access: Pages[3][3],
+        } : null,
+        config: parseConfig(Pages, Layout),
+        pages: [],
+        raw: new Uint8Array(Bytes),
+        known: new Uint8Array(Known),
+        dumpLength, // Number of bytes of the dump, before padding.
+        diagnostics: Diagnostics,
+    };
+
+    // BCC0 and BCC1 protect the UID; a mismatch points to a damaged dump or to a UID-changeable card.
+    FileJSON.manifacturer.bccValid.forEach((valid, index) => {
+        const offset = index === 0 ? 3 : 8; // BCC0 is the last byte of page 0, BCC1 the first byte of page 2.
+        if (valid || !Known[offset]) return;
+
+        Diagnostics.push(createDiagnostic('warning', 'BccMismatch', {
+            expected: (index === 0 ? 0x88 ^ uid[0] ^ uid[1] ^ uid[2] : uid[3] ^ uid[4] ^ uid[5] ^ uid[6]).toString(16).padStart(2, '0').toUpperCase(),
+            actual: Bytes[offset].toString(16).padStart(2, '0').toUpperCase(),
+        }, { block: Math.floor(offset / PAGE_SIZE), offset }));
+    });
+
+    // Tag every page with its role so the UI can explain it.
+    const PageTypes = {
+        0: 'UID0',
+        1: 'UID1',
+        2: 'LOCK',
+        3: FileJSON.capabilityContainer ? 'CC' : 'OTP',
+    };
+    if (Layout.dynamicLock !== null) PageTypes[Layout.dynamicLock] = 'DLOCK';
+    Object.entries(Layout.config || {}).forEach(([name, page]) => {
+        [page].flat().forEach(p => PageTypes[p] = name);
+    });
+
+    Pages.forEach((page, i) => {
+        FileJSON.pages.push({
+            data: new Uint8Array(page),
+            type: PageTypes[i] || 'D', // Every other page is user memory.
+            status: getPageStatus(Known.slice(i * PAGE_SIZE, (i + 1) * PAGE_SIZE)), // Whether the page was read.
+        });
+    });
+
+    // The NDEF TLV stream starts at page 4 and spans the data area announced by the capability container, up to the first configuration page.
+    const NdefArea = [];
+    for (let i = 4; FileJSON.capabilityContainer && i < Pages.length && !PageTypes[i] && NdefArea.length < FileJSON.capabilityContainer.size; i++) {
+        NdefArea.push(...[0, 1, 2, 3].map(byte => i * PAGE_SIZE + byte));
+    }
+    FileJSON.ndef = decodeNdef(Bytes, Known, NdefArea, Diagnostics);
+
+    // Locate the diagnostics that only know the offset of the problem.
+    Diagnostics.forEach((diagnostic) => {
+        if (diagnostic.offset !== null && diagnostic.block === null) diagnostic.block = Math.floor(diagnostic.offset / PAGE_SIZE);
+    });
+
+    return FileJSON;
+}
+
+/**
+ * Splits the bytes of a dump into pages of 4 bytes.
+ *
+ * @param {Array<number>} Bytes - The bytes of the dump.
+ * @returns {Array<Array<number>>} The pages of the dump (the last one may be shorter).
+ */
+function splitPages(Bytes) {
+    const Pages = [];
+    for (let i = 0; i < Bytes.length; i += PAGE_SIZE) {
+        Pages.push(Bytes.slice(i, i + PAGE_SIZE));
+    }
+    return Pages;
+}
+
+/**
+ * Tells whether a page was read, from its part of the known/unknown mask.
+ *
+ * @param {Array<number>} known - The mask of the 4 bytes of the page (1 = read, 0 = unknown).
+ * @returns {string} "read" if every byte is known, "unread" if no byte is known, "partial" otherwise.
+ */
+function getPageStatus(known) {
+    const knownBytes = known.reduce((total, byte) => total + byte, 0);
+
+    if (knownBytes === known.length) return 'read';
+    return knownBytes === 0 ? 'unread' : 'partial';
+}
+
+/**
+ * Detects the Ultralight/NTAG variant from the number of pages.
+ *
+ * @param {Array<Array<number>>} Pages - The pages of the dump.
+ * @returns {string} The key of the detected variant in `ULTRALIGHT_TYPES`.
+ */
+function detectUltralightType(Pages) {
+    const Candidates = Object.entries(ULTRALIGHT_TYPES).filter(([, type]) => type.pages === Pages.length);
+
+    // Prefer the candidate whose capability container size matches the one in page 3.
+    const ByCC = Candidates.find(([, type]) => Pages[3] && Pages[3][0] === 0xE1 && Pages[3][2] === type.ccSize);
+    if (ByCC) return ByCC[0];
+    if (Candidates.length) return Candidates[0][0];
+
+    // Unknown size: fall back to the smallest variant that can hold the dump.
+    const Fallback = Object.entries(ULTRALIGHT_TYPES).find(([, type]) => type.pages >= Pages.length);
+    return Fallback ? Fallback[0] : 'NTAG216';
+}
+
+/**
+ * Lists the pages locked by the static lock bytes.
+ * LOCK0 bits 3-7 lock the OTP page and pages 4-7, LOCK1 bits 0-7 lock pages 8-15.
+ * LOCK0 bits 0-2 are block-locking bits that freeze the lock bits themselves.
+ *
+ * @param {number} lock0 - The first static lock byte (page 2, byte 2).
+ * @param {number} lock1 - The second static lock byte (page 2, byte 3).
+ * @returns {Array<number>} The locked page numbers.
+ */
+function parseStaticLock(lock0, lock1) {
+    const Locked = [];
+    for (let bit = 3; bit < 8; bit++) {
+        if (lock0 & (1 << bit)) Locked.push(bit); // Bit 3 is the OTP page (3), bits 4-7 are pages 4-7.
+    }
+    for (let bit = 0; bit < 8; bit++) {
+        if (lock1 & (1 << bit)) Locked.push(8 + bit);
+    }
+    return Locked;
+}
+
+/**
+ * Lists the pages locked by the dynamic lock bytes.
+ * Each bit of the first two bytes locks a group of `pagesPerLockBit` pages, starting from page 16.
+ *
+ * @param {Array<number>} page - The page holding the dynamic lock bytes.
+ * @param {Object} Layout - The variant description from `ULTRALIGHT_TYPES`.
+ * @returns {Array<number>} The locked page numbers.
+ */
+function parseDynamicLock(page, Layout) {
+    const Locked = [];
+    const bits = page[0] | (page[1] << 8);
+    for (let bit = 0; bit < 16; bit++) {
+        if (!(bits & (1 << bit))) continue;
+        for (let p = 16 + bit * Layout.pagesPerLockBit; p < 16 + (bit + 1) * Layout.pagesPerLockBit && p < Layout.dynamicLock; p++) {
+            Locked.push(p);
+        }
+    }
+    return Locked;
+}
+
+/**
+ * Decodes the configuration pages of the variant.
+ *
+ * @param {Array<Array<number>>} Pages - The pages of the dump.
+ * @param {Object} Layout - The variant description from `ULTRALIGHT_TYPES`.
+ * @returns {Object|null} The decoded configuration, or `null` if the variant has none or the pages are missing.
+ */
+function parseConfig(Pages, Layout) {
+    const Config = Layout.config;
+    if (!Config) return null;
+
+    // Ultralight C: 16-bit counter, AUTH0/AUTH1 and a write-only 3DES key.
+    if (Config.AUTH1 !== undefined) {
+        if (!Pages[Config.AUTH1]) return null;
+        return {
+            counter: Pages[Config.CNT][0] | (Pages[Config.CNT][1] << 8),
+            auth0: Pages[Config.AUTH0][0], // First page protected by the 3DES authentication.
+            auth1: Pages[Config.AUTH1][0] & 0x01, // 1: only write access is restricted, 0: read and write access are restricted.
+        };
+    }
+
+    if (!Pages[Config.PACK]) return null;
+
+    // Ultralight EV1 and NTAG21x: CFG0 holds AUTH0 in byte 3, CFG1 holds the ACCESS byte in byte 0.
+    const access = Pages[Config.CFG1][0];
+    return {
+        auth0: Pages[Config.CFG0][3], // First page protected by the password.
+        access,
+        prot: (access >> 7) & 0x01, // 1: read and write access are protected, 0: only write access is protected.
+        cfglck: (access >> 6) & 0x01, // 1: the configuration is permanently locked.
+        authlim: access & 0x07, // Maximum number of failed password attempts (0 disables the limit).
+        pwd: new Uint8Array(Pages[Config.PWD]), // Always read back as 00 00 00 00 from a real tag.
+        pack: new Uint8Array(Pages[Config.PACK].slice(0, 2)), // Password acknowledge returned on successful authentication.
+    };
+}
+
+export { PAGE_SIZE, ULTRALIGHT_TYPES, isUltralightDump, UltralightDumpToJson };
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { isUltralightDump, UltralightDumpToJson } from './UltralightDumpToJSON';
+
+const UID = [0x04, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66];
+
+/**
+ * Builds a factory formatted NTAG213 dump (45 pages)
+ * @param {Object} [options]
+ * @param {Array<number>} [options.lock] - LOCK0 and LOCK1
+ * @param {number} [options.access] - The ACCESS byte of CFG1
+ * @returns {Array<number>} The bytes of the dump
+ */
+function buildNtag213({ lock = [0x00, 0x00], access = 0x00 } = {}) {
+    const Bytes = new Array(45 * 4).fill(0);
+    const Bcc0 = 0x88 ^ UID[0] ^ UID[1] ^ UID[2];
+    const Bcc1 = UID[3] ^ UID[4] ^ UID[5] ^ UID[6];
+    [...UID.slice(0, 3), Bcc0, ...UID.slice(3), Bcc1, 0x48, ...lock, 0xE1, 0x10, 0x12, 0x00].forEach((byte, index) => Bytes[index] = byte);
+    Bytes[0x29 * 4 + 3] = 0x04; // AUTH0
+    Bytes[0x2A * 4] = access;
+    return Bytes;
+}
+
+/**
+ * Writes bytes as the space-separated hex string of a dump
+ * @param {Array<number>} bytes - The bytes of the dump
+ * @returns {string} The dump
+ */
+function toHex(bytes) {
+    return bytes.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+describe('isUltralightDump', () => {
+    it('recognises a dump with a known page count and valid BCC bytes', () => {
+        expect(isUltralightDump(toHex(buildNtag213()))).toBe(true);
+    });
+
+    it('rejects a dump whose BCC bytes do not match the UID', () => {
+        const Bytes = buildNtag213();
+        Bytes[3] ^= 0xFF;
+        expect(isUltralightDump(toHex(Bytes))).toBe(false);
+    });
+
+    it('rejects a MIFARE Classic 1K dump', () => {
+        expect(isUltralightDump(toHex(new Array(1024).fill(0)))).toBe(false);
+    });
+});
+
+describe('UltralightDumpToJson', () => {
+    it('detects the variant from the page count and the capability container', () => {
+        const Json = UltralightDumpToJson(toHex(buildNtag213()));
+        expect(Json.family).toBe('ultralight');
+        expect(Json.cardType).toBe('NTAG213');
+        expect(Array.from(Json.manifacturer.uid)).toEqual(UID);
+        expect(Json.manifacturer.bccValid).toEqual([true, true]);
+        expect(Json.capabilityContainer).toEqual({ version: 0x10, size: 144, access: 0x00 });
+    });
+
+    it('tags every page with its role', () => {
+        const Json = UltralightDumpToJson(toHex(buildNtag213()));
+        expect(Json.pages).toHaveLength(45);
+        expect(Json.pages.slice(0, 5).map(page => page.type)).toEqual(['UID0', 'UID1', 'LOCK', 'CC', 'D']);
+        expect(Json.pages.slice(0x28).map(page => page.type)).toEqual(['DLOCK', 'CFG0', 'CFG1', 'PWD', 'PACK']);
+    });
+
+    it('decodes the static lock bits and the configuration pages', () => {
+        const Json = UltralightDumpToJson(toHex(buildNtag213({ lock: [0x18, 0x01], access: 0x85 })));
+        expect(Json.lockBytes.staticLocked).toEqual([3, 4, 8]);
+        expect(Json.config).toMatchObject({ auth0: 0x04, prot: 1, cfglck: 0, authlim: 5 });
+    });
+
+    it('pads a partial dump with unknown pages up to the smallest variant that can hold it', () => {
+        const Json = UltralightDumpToJson(toHex(buildNtag213().slice(0, 18 * 4)));
+        expect(Json.cardType).toBe('Ultralight EV1 (MF0UL11)');
+        expect(Json.raw).toHaveLength(20 * 4);
+        expect(Json.dumpLength).toBe(18 * 4);
+        expect(Json.pages.map(page => page.status).slice(16)).toEqual(['read', 'read', 'unread', 'unread']);
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Access conditions of MIFARE Classic sector trailers.
+ *
+ * Bytes 6-8 of every sector trailer hold the access bits C1, C2 and C3 of the 4 access groups of the sector
+ * (3 data groups and the trailer itself), each stored twice: once as is and once inverted.
+ *
+ *          bit 7   6   5   4   3   2   1   0
+ * byte 6     ~C2_3 ~C2_2 ~C2_1 ~C2_0 ~C1_3 ~C1_2 ~C1_1 ~C1_0
+ * byte 7      C1_3  C1_2  C1_1  C1_0 ~C3_3 ~C3_2 ~C3_1 ~C3_0
+ * byte 8      C3_3  C3_2  C3_1  C3_0  C2_3  C2_2  C2_1  C2_0
+ *
+ * A card refuses to authenticate any block of a sector whose access bits do not match their inverted copy,
+ * so writing such a trailer permanently locks the sector.
+ */
+
+const ACCESS_GROUPS = 4; // 3 groups for the data blocks and 1 for the sector trailer.
+
+/**
+ * Decodes and validates the access bits of a sector trailer.
+ *
+ * @param {Array<number>|Uint8Array} bytes - The 3 access bytes (bytes 6-8 of the trailer).
+ * @returns {{groups: Array<string>, valid: boolean, invalidGroups: Array<number>}}
+ *          The "C1C2C3" bits of every group (group 0 first), whether every bit matches its inverted copy,
+ *          and the groups whose bits do not.
+ */
+function decodeAccessBits(bytes) {
+    const [byte6, byte7, byte8] = bytes;
+    const bit = (byte, position) => (byte >> position) & 1;
+
+    const groups = [];
+    const invalidGroups = [];
+
+    for (let group = 0; group < ACCESS_GROUPS; group++) {
+        const C1 = bit(byte7, 4 + group);
+        const C2 = bit(byte8, group);
+        const C3 = bit(byte8, 4 + group);
+
+        // Every bit must be the complement of its inverted copy.
+        const isValid = bit(byte6, group) === (C1 ^ 1) && bit(byte6, 4 + group) === (C2 ^ 1) && bit(byte7, group) === (C3 ^ 1);
+        if (!isValid) invalidGroups.push(group);
+
+        groups.push(`${C1}${C2}${C3}`);
+    }
+
+    return { groups, valid: invalidGroups.length === 0, invalidGroups };
+}
+
+/**
+ * Permissions granted on a data block by each "C1C2C3" value of access groups 0-2.
+ * Every entry lists the keys that can read, write, increment and decrement/transfer/restore the block.
+ * Value operations (increment, decrement...) only make sense on blocks formatted as value blocks.
+ */
+const DATA_PERMISSIONS = {
+    '000': { read: ['A', 'B'], write: ['A', 'B'], increment: ['A', 'B'], decrement: ['A', 'B'] },
+    '010': { read: ['A', 'B'], write: [], increment: [], decrement: [] },
+    '100': { read: ['A', 'B'], write: ['B'], increment: [], decrement: [] },
+    '110': { read: ['A', 'B'], write: ['B'], increment: ['B'], decrement: ['A', 'B'] },
+    '001': { read: ['A', 'B'], write: [], increment: [], decrement: ['A', 'B'] },
+    '011': { read: ['B'], write: ['B'], increment: [], decrement: [] },
+    '101': { read: ['B'], write: [], increment: [], decrement: [] },
+    '111': { read: [], write: [], increment: [], decrement: [] },
+};
+
+/**
+ * Permissions granted on the sector trailer by each "C1C2C3" value of access group 3.
+ * Every entry lists the keys that can read and write Key A, the access bits and Key B ("A", "B", or none).
+ * Key A can never be read back: the card always returns zeros instead.
+ */
+const TRAILER_PERMISSIONS = {
+    '000': { keyA: { read: [], write: ['A'] }, accessBits: { read: ['A'], write: [] }, keyB: { read: ['A'], write: ['A'] } },
+    '010': { keyA: { read: [], write: [] }, accessBits: { read: ['A'], write: [] }, keyB: { read: ['A'], write: [] } },
+    '100': { keyA: { read: [], write: ['B'] }, accessBits: { read: ['A', 'B'], write: [] }, keyB: { read: [], write: ['B'] } },
+    '110': { keyA: { read: [], write: [] }, accessBits: { read: ['A', 'B'], write: [] }, keyB: { read: [], write: [] } },
+    '001': { keyA: { read: [], write: ['A'] }, accessBits: { read: ['A'], write: ['A'] }, keyB: { read: ['A'], write: ['A'] } },
+    '011': { keyA: { read: [], write: ['B'] }, accessBits: { read: ['A', 'B'], write: ['B'] }, keyB: { read: [], write: ['B'] } },
+    '101': { keyA: { read: [], write: [] }, accessBits: { read: ['A', 'B'], write: ['B'] }, keyB: { read: [], write: [] } },
+    '111': { keyA: { read: [], write: [] }, accessBits: { read: ['A', 'B'], write: [] }, keyB: { read: [], write: [] } },
+};
+
+/**
+ * Encodes the access bits of the 4 access groups into the 3 access bytes of a sector trailer.
+ * This is the inverse of decodeAccessBits: the inverted copies are always consistent.
+ *
+ * @param {Array<string>} groups - The "C1C2C3" bits of every group (group 0 first).
+ * @returns {Array<number>} The access bytes (bytes 6-8 of the trailer).
+ */
+function encodeAccessBits(groups) {
+    let byte6 = 0, byte7 = 0, byte8 = 0;
+
+    groups.forEach((bits, group) => {
+        const [C1, C2, C3] = [...bits].map(Number);
+
+        byte6 |= ((C1 ^ 1) << group) | ((C2 ^ 1) << (4 + group));
+        byte7 |= ((C3 ^ 1) << group) | (C1 << (4 + group));
+        byte8 |= (C2 << group) | (C3 << (4 + group));
+    });
+
+    return [byte6, byte7, byte8];
+}
+
+/**
+ * Decodes the permissions on the sector trailer itself (access group 3).
+ *
+ * When Key B can be read, the card treats it as plain data: authenticating with it fails,
+ * and the permissions it would grant on the data blocks do not apply.
+ *
+ * @param {string} bits - The "C1C2C3" bits of access group 3 (see decodeAccessBits).
+ * @returns {{keyA: {read: Array<string>, write: Array<string>}, accessBits: {read: Array<string>, write: Array<string>},
+ *           keyB: {read: Array<string>, write: Array<string>}, keyBReadable: boolean}}
+ *          The keys that can read and write each field of the trailer, and whether Key B is readable.
+ */
+function decodeTrailerAccess(bits) {
+    const permissions = TRAILER_PERMISSIONS[bits];
+    return { ...permissions, keyBReadable: permissions.keyB.read.length > 0 };
+}
+
+/**
+ * Lists the data access groups a key can read, write, increment and decrement/transfer/restore.
+ *
+ * @param {Array<string>} groups - The "C1C2C3" bits of every group (see decodeAccessBits).
+ * @param {string} key - The key used to authenticate ("A" or "B").
+ * @returns {{read: Array<number>, write: Array<number>, increment: Array<number>, DTR: Array<number>}}
+ *          The data access groups (0-2) on which each operation is allowed. A readable Key B allows nothing,
+ *          since the card refuses to authenticate with it.
+ */
+function getDataAccess(groups, key) {
+    const result = { read: [], write: [], increment: [], DTR: [] };
+    if (key === 'B' && decodeTrailerAccess(groups[ACCESS_GROUPS - 1]).keyBReadable) return result;
+
+    groups.slice(0, ACCESS_GROUPS - 1).forEach((bits, group) => {
+        const { read, write, increment, decrement } = DATA_PERMISSIONS[bits];
+        if (read.includes(key)) result.read.push(group);
+        if (write.includes(key)) result.write.push(group);
+        if (increment.includes(key)) result.increment.push(group);
+        if (decrement.includes(key)) result.DTR.push(group);
+    });
+
+    return result;
+}
+
+export { ACCESS_GROUPS, DATA_PERMISSIONS, TRAILER_PERMISSIONS, decodeAccessBits, encodeAccessBits, decodeTrailerAccess, getDataAccess };
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { decodeAccessBits, encodeAccessBits, decodeTrailerAccess, getDataAccess } from './accessConditions';
+
+describe('decodeAccessBits', () => {
+    it('decodes the transport configuration', () => {
+        expect(decodeAccessBits([0xFF, 0x07, 0x80])).toEqual({ groups: ['000', '000', '000', '001'], valid: true, invalidGroups: [] });
+    });
+
+    it('decodes the bits of every group from their own positions', () => {
+        expect(decodeAccessBits([0x78, 0x77, 0x88]).groups).toEqual(['100', '100', '100', '011']);
+    });
+
+    it('reports the groups whose bits do not match their inverted copy', () => {
+        // Flipping ~C1 of group 1 and ~C3 of group 2
+        expect(decodeAccessBits([0xFF ^ 0x02, 0x07 ^ 0x04, 0x80])).toMatchObject({ valid: false, invalidGroups: [1, 2] });
+    });
+});
+
+describe('decodeTrailerAccess', () => {
+    it('reports Key B as readable in the transport configuration', () => {
+        expect(decodeTrailerAccess('001')).toMatchObject({ keyA: { read: [], write: ['A'] }, keyBReadable: true });
+    });
+
+    it('lets Key B write the trailer when it cannot be read', () => {
+        expect(decodeTrailerAccess('011')).toMatchObject({ keyA: { write: ['B'] }, accessBits: { write: ['B'] }, keyB: { read: [], write: ['B'] }, keyBReadable: false });
+    });
+});
+
+describe('encodeAccessBits', () => {
+    it('encodes the transport configuration', () => {
+        expect(encodeAccessBits(['000', '000', '000', '001'])).toEqual([0xFF, 0x07, 0x80]);
+    });
+
+    it('is decoded back to the same groups for every combination of access bits', () => {
+        const Values = ['000', '001', '010', '011', '100', '101', '110', '111'];
+        Values.forEach(group0 => Values.forEach(group1 => Values.forEach(group2 => Values.forEach((group3) => {
+            const Groups = [group0, group1, group2, group3];
+            expect(decodeAccessBits(encodeAccessBits(Groups))).toEqual({ groups: Groups, valid: true, invalidGroups: [] });
+        }))));
+    });
+});
+
+describe('getDataAccess', () => {
+    it('lists the data groups each operation is allowed on', () => {
+        expect(getDataAccess(['000', '110', '011', '011'], 'A')).toEqual({ read: [0, 1], write: [0], increment: [0], DTR: [0, 1] });
+        expect(getDataAccess(['000', '110', '011', '011'], 'B')).toEqual({ read: [0, 1, 2], write: [0, 1, 2], increment: [0, 1], DTR: [0, 1] });
+    });
+
+    it('allows nothing with a readable Key B', () => {
+        expect(getDataAccess(['000', '000', '000', '001'], 'B')).toEqual({ read: [], write: [], increment: [], DTR: [] });
+    });
+});
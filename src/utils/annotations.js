@@ -0,0 +1,60 @@
+/**
+ * Annotations: the fields the user identified on a card, kept across sessions.
+ *
+ * The annotations of every card are kept in localStorage under `annotations`, as an object mapping the UID of the card
+ * (as a hex string) to its list of `{ id, kind, offset, length, label }`. `kind` is the kind of the field candidate
+ * the annotation was accepted from (see fieldInference.js).
+ */
+
+const STORAGE_KEY = 'annotations';
+
+/**
+ * Reads the annotations of every card.
+ *
+ * @returns {Object<string, Array<Object>>} The annotations, by UID (empty if there are none or they cannot be read).
+ */
+function loadAllAnnotations() {
+    try {
+        const Annotations = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Annotations && typeof Annotations === 'object' && !Array.isArray(Annotations) ? Annotations : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Reads the annotations of a card.
+ *
+ * @param {string} uid - The UID of the card.
+ * @returns {Array<Object>} The annotations of the card, sorted by offset.
+ */
+function loadAnnotations(uid) {
+    const Annotations = loadAllAnnotations()[uid];
+    return Array.isArray(Annotations) ? Annotations : [];
+}
+
+/**
+ * Saves the annotations of a card.
+ *
+ * @param {string} uid - The UID of the card.
+ * @param {Array<Object>} annotations - The annotations of the card; an empty list removes the card.
+ */
+function saveAnnotations(uid, annotations) {
+    const Annotations = loadAllAnnotations();
+    if (annotations.length) Annotations[uid] = [...annotations].sort((a, b) => a.offset - b.offset);
+    else delete Annotations[uid];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Annotations));
+}
+
+/**
+ * Creates the annotation of an accepted field candidate.
+ *
+ * @param {Object} candidate - The field candidate (see inferFields).
+ * @param {string} label - The label of the field.
+ * @returns {{id: string, kind: string, offset: number, length: number, label: string}} The annotation.
+ */
+function createAnnotation({ id, kind, offset, length }, label) {
+    return { id, kind, offset, length, label };
+}
+
+export { loadAnnotations, saveAnnotations, createAnnotation };
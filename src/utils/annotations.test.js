@@ -0,0 +1,32 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { loadAnnotations, saveAnnotations, createAnnotation } from './annotations';
+
+describe('annotations', () => {
+    let Storage;
+    beforeEach(() => {
+        Storage = {};
+        vi.stubGlobal('localStorage', { getItem: key => Storage[key] ?? null, setItem: (key, value) => Storage[key] = value });
+    });
+
+    it('keeps the annotations of every card, sorted by offset', () => {
+        const Counter = createAnnotation({ id: 'Counter-16-1', kind: 'Counter', offset: 16, length: 1, params: {} }, 'Trips');
+        const Balance = createAnnotation({ id: 'Balance-32-2-little', kind: 'Balance', offset: 32, length: 2, params: {} }, 'Credit');
+        expect(Counter).toEqual({ id: 'Counter-16-1', kind: 'Counter', offset: 16, length: 1, label: 'Trips' });
+
+        saveAnnotations('B5A9C3E2', [Balance, Counter]);
+        saveAnnotations('01020304', [Counter]);
+        expect(loadAnnotations('B5A9C3E2')).toEqual([Counter, Balance]);
+        expect(loadAnnotations('01020304')).toEqual([Counter]);
+
+        saveAnnotations('01020304', []);
+        expect(Object.keys(JSON.parse(Storage.annotations))).toEqual(['B5A9C3E2']);
+    });
+
+    it('reads nothing from a missing or broken store', () => {
+        expect(loadAnnotations('B5A9C3E2')).toEqual([]);
+        Storage.annotations = '{';
+        expect(loadAnnotations('B5A9C3E2')).toEqual([]);
+        Storage.annotations = '[]';
+        expect(loadAnnotations('B5A9C3E2')).toEqual([]);
+    });
+});
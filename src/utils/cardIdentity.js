@@ -0,0 +1,218 @@
+/**
+ * Identity of a MIFARE Classic card, decoded from its manufacturer block (block 0 of sector 0).
+ *
+ * The first byte of a 7-byte or 10-byte UID is the IC manufacturer code registered in ISO/IEC 7816-6 (0x04 = NXP).
+ * 4-byte UIDs do not carry a manufacturer: ISO/IEC 14443-3 uses their first byte to tell random IDs (0x08),
+ * non-unique IDs (low nibble 0xF) and fixed proprietary numbers. A 4-byte UID is followed by its BCC,
+ * the XOR of the 4 UID bytes; 7-byte UIDs are stored without BCC.
+ *
+ * On genuine cards the manufacturer block is written once at the factory. "Magic" cards sold for cloning
+ * (Gen1a, answering to backdoor commands; Gen2/CUID, writable with the normal write command) let anyone write it,
+ * so a block 0 that no factory would produce is a strong hint that the card is a clone. None of the checks
+ * can prove it from a dump alone: they are reported as flags, each telling whether it points to a magic card.
+ */
+import { BLOCK_SIZE, SAK_MINI, SAK_1K, SAK_4K } from './cardLayout';
+
+// IC manufacturer codes of ISO/IEC 7816-6
+const IC_MANUFACTURERS = {
+    0x01: 'Motorola',
+    0x02: 'STMicroelectronics',
+    0x03: 'Hitachi',
+    0x04: 'NXP Semiconductors',
+    0x05: 'Infineon Technologies',
+    0x06: 'Cylink',
+    0x07: 'Texas Instruments',
+    0x08: 'Fujitsu',
+    0x09: 'Matsushita Electronics',
+    0x0A: 'NEC',
+    0x0B: 'Oki Electric Industry',
+    0x0C: 'Toshiba',
+    0x0D: 'Mitsubishi Electric',
+    0x0E: 'Samsung Electronics',
+    0x0F: 'Hynix',
+    0x10: 'LG Semiconductors',
+    0x11: 'Emosyn-EM Microelectronics',
+    0x12: 'INSIDE Technology',
+    0x13: 'ORGA Kartensysteme',
+    0x14: 'Sharp',
+    0x15: 'Atmel',
+    0x16: 'EM Microelectronic-Marin',
+    0x17: 'KSW Microtec',
+    0x18: 'ZMD',
+    0x19: 'Xicor',
+    0x1A: 'Sony',
+    0x1B: 'Malaysia Microelectronic Solutions',
+    0x1C: 'Emosyn',
+    0x1D: 'Shanghai Fudan Microelectronics',
+    0x1E: 'Magellan Technology',
+    0x1F: 'Melexis',
+    0x20: 'Renesas Technology',
+    0x21: 'TAGSYS',
+    0x22: 'Transcore',
+    0x23: 'Shanghai Belling',
+    0x24: 'Masktech',
+    0x25: 'Innovision Research and Technology',
+    0x26: 'Hitachi ULSI Systems',
+    0x27: 'Cypak',
+    0x28: 'Ricoh',
+    0x29: 'ASK',
+    0x2A: 'Unicore Microsystems',
+    0x2B: 'Dallas Semiconductor/Maxim',
+    0x2C: 'Impinj',
+    0x2D: 'RightPlug Alliance',
+    0x2E: 'Broadcom',
+    0x2F: 'MStar Semiconductor',
+    0x30: 'BeeDar Technology',
+    0x31: 'RFIDsec',
+    0x32: 'Schweizer Electronic',
+    0x33: 'AMIC Technology',
+    0x34: 'Mikron',
+    0x35: 'Fraunhofer IPMS',
+    0x36: 'IDS Microchip',
+    0x37: 'Kovio',
+    0x38: 'HMT Microelectronic',
+    0x39: 'Silicon Craft Technology',
+    0x3A: 'Advanced Film Device',
+    0x3B: 'Nitecrest',
+    0x3C: 'Verayo',
+    0x3D: 'HID Global',
+    0x3E: 'Productivity Engineering',
+    0x3F: 'austriamicrosystems',
+    0x40: 'Gemalto',
+    0x41: 'Renesas Electronics',
+    0x42: '3Alogics',
+    0x43: 'Top TroniQ Asia',
+    0x44: 'Gentag',
+};
+
+// Manufacturers licensed to produce MIFARE Classic chips
+const MIFARE_MANUFACTURERS = [0x04, 0x05];
+
+// Cascade tag: announces that the UID continues in the next cascade level, so it cannot start a level itself
+const CASCADE_TAG = 0x88;
+
+// Manufacturer data written by default on Chinese magic cards (Gen1a, Gen2/CUID) after the SAK and ATQA
+const MAGIC_MANUFACTURER_DATA = [0x62, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69];
+
+// UIDs typed by hand rather than assigned by a factory
+const PLACEHOLDER_UIDS = ['DEADBEEF', 'CAFEBABE', '12345678', 'AABBCCDD'];
+
+/**
+ * Formats bytes as uppercase hex.
+ *
+ * @param {Array<number>} bytes - The bytes.
+ * @returns {string} The hex digits, without separators.
+ */
+function toHex(bytes) {
+    return bytes.map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Tells what the first byte of a 4-byte UID means (ISO/IEC 14443-3).
+ *
+ * @param {number} uid0 - The first byte of the UID.
+ * @returns {string} "random", "nuid" (non-unique ID), "fixed" (fixed proprietary number) or "rfu" (reserved).
+ */
+function describeSingleSizeUid(uid0) {
+    if (uid0 === 0x08) return 'random';
+    if ((uid0 & 0x0F) === 0x0F) return 'nuid';
+    return (uid0 & 0x0F) < 0x08 ? 'fixed' : 'rfu';
+}
+
+/**
+ * Tells the card size a SAK announces.
+ *
+ * @param {number|null} sak - The SAK.
+ * @returns {string|null} The key of the variant in `CARD_TYPES` ("Mini", "1K" or "4K"), or `null` for other SAKs.
+ */
+function getSakCardType(sak) {
+    if (SAK_MINI.includes(sak)) return 'Mini';
+    if (SAK_1K.includes(sak)) return '1K';
+    if (SAK_4K.includes(sak)) return '4K';
+    return null;
+}
+
+/**
+ * Decodes the manufacturer block of a MIFARE Classic dump and checks whether a factory could have written it.
+ *
+ * @param {Object} model - The parsed MIFARE Classic dump, with its manufacturer block already split (see NFCDumptoJSON.js).
+ * @returns {Object|null} The identity of the card, or `null` if the manufacturer block was not fully read.
+ *
+ * @property {Array<number>} uid - The UID.
+ * @property {string} uidType - "random", "nuid", "fixed" or "rfu" for 4-byte UIDs (see describeSingleSizeUid), "unique" otherwise.
+ * @property {{code: number, name: string|null}|null} manufacturer - The IC manufacturer (`null` for 4-byte UIDs, which do not carry one).
+ * @property {{stored: number, expected: number, valid: boolean}|null} bcc - The BCC of a 4-byte UID (`null` for other UIDs).
+ * @property {number|null} sak - The SAK stored in the block, if it could be located.
+ * @property {Array<number>|null} atqa - The ATQA stored in the block, if it could be located.
+ * @property {Array<{code: string, magic: boolean, params: Object}>} flags - The anomalies found; `magic` tells the ones
+ *           that point to a card whose manufacturer block can be written.
+ * @property {boolean} magic - Whether any flag points to a magic card.
+ */
+function identifyCard(model) {
+    if (!Array.from(model.known).slice(0, BLOCK_SIZE).every(byte => byte)) return null;
+
+    const Block = Array.from(model.raw).slice(0, BLOCK_SIZE);
+    const Uid = Array.from(model.manifacturer.uid);
+    const sak = model.manifacturer.sak.length ? model.manifacturer.sak[0] : null;
+    const Atqa = model.manifacturer.ataq.length ? Array.from(model.manifacturer.ataq) : null;
+    const Flags = [];
+    const flag = (code, magic, params = {}) => Flags.push({ code, magic, params });
+
+    // Manufacturer (7 and 10-byte UIDs) or kind of ID (4-byte UIDs)
+    const isSingleSize = Uid.length === 4;
+    const manufacturer = isSingleSize ? null : { code: Uid[0], name: IC_MANUFACTURERS[Uid[0]] ?? null };
+    if (manufacturer && !manufacturer.name) flag('UnknownManufacturer', true, { code: toHex([Uid[0]]) });
+    else if (manufacturer && !MIFARE_MANUFACTURERS.includes(manufacturer.code)) flag('UnusualManufacturer', false, { name: manufacturer.name });
+
+    // The cascade tag cannot start a cascade level: byte 0 of every UID, and byte 3 of 7-byte UIDs (start of the second level)
+    if (Uid[0] === CASCADE_TAG || (!isSingleSize && Uid[3] === CASCADE_TAG)) flag('CascadeTag', true);
+
+    // Values typed by hand: every byte equal, counting bytes (01 02 03 04) or well-known words
+    const uidHex = toHex(Uid);
+    if (Uid.every(byte => byte === Uid[0]) || Uid.every((byte, i) => i === 0 || byte === Uid[i - 1] + 1) || PLACEHOLDER_UIDS.includes(uidHex)) {
+        flag('PlaceholderUid', true, { uid: uidHex });
+    }
+
+    // A genuine card always stores the right BCC
+    let bcc = null;
+    if (isSingleSize) {
+        const expected = Uid.reduce((total, byte) => total ^ byte, 0);
+        bcc = { stored: Block[4], expected, valid: Block[4] === expected };
+        if (!bcc.valid) flag('BccMismatch', true, { actual: toHex([bcc.stored]), expected: toHex([expected]) });
+    }
+
+    // NXP cards answer with the ATQA matching their size: 04 00 (or 44 00) for Mini and 1K, 02 00 (or 42 00) for 4K
+    if (sak !== null && Atqa) {
+        const sakType = getSakCardType(sak);
+        const atqaType = (Atqa[0] & 0x0F) === 0x02 ? '4K' : '1K';
+        if (sakType && (sakType === '4K') !== (atqaType === '4K')) flag('SakAtqaMismatch', true, { sak: toHex([sak]), atqa: toHex(Atqa) });
+        if (sakType && sakType !== model.cardType) flag('SakSizeMismatch', false, { sak: toHex([sak]), type: model.cardType });
+        if ([0x88, 0x89, 0x98].includes(sak)) flag('InfineonSak', false, { sak: toHex([sak]) });
+    }
+
+    // Bytes after the SAK and ATQA
+    const Data = Array.from(model.manifacturer.data);
+    if (Data.length >= MAGIC_MANUFACTURER_DATA.length && toHex(Data.slice(-MAGIC_MANUFACTURER_DATA.length)) === toHex(MAGIC_MANUFACTURER_DATA)) {
+        flag('MagicManufacturerData', true);
+    } else if (Data.length && (Data.every(byte => byte === 0x00) || Data.every(byte => byte === 0xFF))) {
+        flag('BlankManufacturerData', true);
+    }
+
+    // The reader saw the card itself: a different UID or SAK means block 0 does not describe this card
+    const CardInfo = model.cardInfo;
+    if (CardInfo?.uid && toHex(Array.from(CardInfo.uid)) !== uidHex) flag('ReaderUidMismatch', true, { uid: toHex(Array.from(CardInfo.uid)) });
+    if (CardInfo?.sak != null && sak !== null && CardInfo.sak !== sak) flag('ReaderSakMismatch', true, { sak: toHex([CardInfo.sak]) });
+
+    return {
+        uid: Uid,
+        uidType: isSingleSize ? describeSingleSizeUid(Uid[0]) : 'unique',
+        manufacturer,
+        bcc,
+        sak,
+        atqa: Atqa,
+        flags: Flags,
+        magic: Flags.some(({ magic }) => magic),
+    };
+}
+
+export { IC_MANUFACTURERS, getSakCardType, identifyCard };
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { DumpToJson } from './NFCDumptoJSON';
+import { getSakCardType, identifyCard } from './cardIdentity';
+
+/**
+ * Parses a MIFARE Classic 1K dump with the given manufacturer block
+ * @param {string} block0 - The manufacturer block, as 32 hex digits
+ * @param {Object} [cardInfo] - The card information reported by the reader
+ * @returns {Object} The parsed dump
+ */
+function parseCard(block0, cardInfo) {
+    const Sector0 = block0 + '00'.repeat(32) + 'FFFFFFFFFFFFFF078069FFFFFFFFFFFF';
+    return DumpToJson(Sector0 + '00'.repeat(1024 - 64), cardInfo);
+}
+
+describe('getSakCardType', () => {
+    it('tells the size announced by the SAK', () => {
+        expect(getSakCardType(0x09)).toBe('Mini');
+        expect(getSakCardType(0x88)).toBe('1K');
+        expect(getSakCardType(0x18)).toBe('4K');
+        expect(getSakCardType(0x20)).toBeNull();
+    });
+});
+
+describe('identifyCard', () => {
+    it('reports nothing on a block a factory could have written', () => {
+        const Identity = identifyCard(parseCard('04A1B2C3D4E5F6084400C2A4E5F61D90'));
+        expect(Identity).toMatchObject({ uidType: 'unique', manufacturer: { code: 0x04 }, bcc: null, sak: 0x08, atqa: [0x44, 0x00], flags: [], magic: false });
+        expect(Identity.manufacturer.name).toMatch(/NXP/);
+    });
+
+    it('flags the default block of a Chinese magic card', () => {
+        const Identity = identifyCard(parseCard('B5A9C3E23D0804006263646566676869'));
+        expect(Identity.bcc).toEqual({ stored: 0x3D, expected: 0x3D, valid: true });
+        expect(Identity.flags.map(({ code }) => code)).toEqual(['MagicManufacturerData']);
+        expect(Identity.magic).toBe(true);
+    });
+
+    it('flags a wrong BCC and a UID that does not match the one seen by the reader', () => {
+        const Identity = identifyCard(parseCard('B5A9C3E2BF0804001122334455667788', { uid: [0xB5, 0xA9, 0xC3, 0xE3] }));
+        expect(Identity.flags.map(({ code }) => code)).toEqual(['BccMismatch', 'ReaderUidMismatch']);
+        expect(Identity.flags[0].params).toEqual({ actual: 'BF', expected: '3D' });
+    });
+
+    it('needs the whole manufacturer block', () => {
+        expect(identifyCard(parseCard('B5A9C3E23D08040062636465666768??'))).toBeNull();
+    });
+});
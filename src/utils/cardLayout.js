@@ -0,0 +1,89 @@
+/**
+ * Geometry of the MIFARE Classic family.
+ *
+ * Every Classic card is made of 16-byte blocks grouped into sectors. Small sectors hold 4 blocks,
+ * while the upper part of a 4K card is organised in large sectors of 16 blocks. The last block
+ * of each sector is always the sector trailer.
+ */
+
+const BLOCK_SIZE = 16; // Every block of a MIFARE Classic card contains 16 bytes.
+
+/**
+ * Supported MIFARE Classic variants.
+ * Each entry lists the total memory size and the number of blocks of every sector, in order.
+ */
+const CARD_TYPES = {
+    'Mini': {
+        name: 'MIFARE Mini',
+        size: 320,
+        sectors: Array(5).fill(4), // 5 sectors of 4 blocks.
+    },
+    '1K': {
+        name: 'MIFARE Classic 1K',
+        size: 1024,
+        sectors: Array(16).fill(4), // 16 sectors of 4 blocks.
+    },
+    '4K': {
+        name: 'MIFARE Classic 4K',
+        size: 4096,
+        sectors: [...Array(32).fill(4), ...Array(8).fill(16)], // 32 sectors of 4 blocks followed by 8 sectors of 16 blocks.
+    },
+};
+
+// SAK values reported by each variant (NXP, Infineon and emulated cards).
+const SAK_MINI = [0x09, 0x89];
+const SAK_1K = [0x08, 0x88, 0x28];
+const SAK_4K = [0x18, 0x98, 0x38];
+
+/**
+ * Detects the MIFARE Classic variant of a dump.
+ * The size of the dump is the most reliable hint; the SAK is used when the dump is shorter than the card
+ * (e.g. sectors that could not be read) and the size alone is ambiguous.
+ *
+ * @param {number} byteLength - The number of bytes in the dump.
+ * @param {number|null} sak - The Select Acknowledge (SAK) read from the manufacturer block, if known.
+ * @returns {string} The key of the detected variant in `CARD_TYPES`.
+ */
+function detectCardType(byteLength, sak) {
+    // A dump bigger than a 1K card can only come from a 4K card.
+    if (byteLength > CARD_TYPES['1K'].size) return '4K';
+
+    // A partial dump of a 4K card is recognised from its SAK.
+    if (SAK_4K.includes(sak)) return '4K';
+
+    // A Mini card is recognised from its SAK, or from its size when the SAK does not point to a 1K card.
+    if (byteLength <= CARD_TYPES['Mini'].size && (SAK_MINI.includes(sak) || (byteLength === CARD_TYPES['Mini'].size && !SAK_1K.includes(sak)))) return 'Mini';
+
+    return '1K';
+}
+
+/**
+ * Computes the position of every sector of a card variant.
+ *
+ * @param {string} cardType - The key of the variant in `CARD_TYPES`.
+ * @returns {Array<{firstBlock: number, blockCount: number}>} The absolute number of the first block and the number of blocks of each sector.
+ */
+function getSectorLayout(cardType) {
+    let firstBlock = 0;
+    return CARD_TYPES[cardType].sectors.map((blockCount) => {
+        const sector = { firstBlock, blockCount };
+        firstBlock += blockCount;
+        return sector;
+    });
+}
+
+/**
+ * Maps a block to the access condition group (C1/C2/C3 triplet) that protects it.
+ * Small sectors have one group per block; in large sectors each of the first three groups covers 5 blocks
+ * and the fourth one covers the trailer.
+ *
+ * @param {number} blockIndex - The index of the block inside its sector.
+ * @param {number} blockCount - The number of blocks in the sector.
+ * @returns {number} The index (0-3) of the access condition group.
+ */
+function getAccessGroup(blockIndex, blockCount) {
+    if (blockCount <= 4) return blockIndex;
+    return blockIndex === blockCount - 1 ? 3 : Math.floor(blockIndex / 5);
+}
+
+export { BLOCK_SIZE, CARD_TYPES, SAK_MINI, SAK_1K, SAK_4K, detectCardType, getSectorLayout, getAccessGroup };
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { detectCardType, getSectorLayout, getAccessGroup } from './cardLayout';
+
+describe('detectCardType', () => {
+    it('detects the variant from the size of the dump', () => {
+        expect(detectCardType(1024, null)).toBe('1K');
+        expect(detectCardType(4096, null)).toBe('4K');
+    });
+
+    it('recognises a partial 4K dump from its SAK', () => {
+        expect(detectCardType(1024, 0x18)).toBe('4K');
+        expect(detectCardType(512, 0x08)).toBe('1K');
+    });
+
+    it('recognises a Mini dump from its size unless the SAK points to a 1K card', () => {
+        expect(detectCardType(320, null)).toBe('Mini');
+        expect(detectCardType(320, 0x08)).toBe('1K');
+        expect(detectCardType(128, 0x09)).toBe('Mini');
+    });
+});
+
+describe('getSectorLayout', () => {
+    it('places the large sectors of a 4K card after the 32 small ones', () => {
+        const Layout = getSectorLayout('4K');
+        expect(Layout).toHaveLength(40);
+        expect(Layout[31]).toEqual({ firstBlock: 124, blockCount: 4 });
+        expect(Layout[32]).toEqual({ firstBlock: 128, blockCount: 16 });
+        expect(Layout[39]).toEqual({ firstBlock: 240, blockCount: 16 });
+    });
+
+    it('lays out the 5 sectors of a Mini card', () => {
+        expect(getSectorLayout('Mini')).toEqual(Array.from({ length: 5 }, (_, sector) => ({ firstBlock: sector * 4, blockCount: 4 })));
+    });
+});
+
+describe('getAccessGroup', () => {
+    it('shares one access group between 5 blocks of a large sector', () => {
+        expect(getAccessGroup(2, 4)).toBe(2);
+        expect(getAccessGroup(4, 16)).toBe(0);
+        expect(getAccessGroup(5, 16)).toBe(1);
+        expect(getAccessGroup(14, 16)).toBe(2);
+        expect(getAccessGroup(15, 16)).toBe(3);
+    });
+});
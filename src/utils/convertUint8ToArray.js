@@ -3,7 +3,7 @@
  * 
  * This utility function recursively traverses a JSON object and converts any Uint8Array
  * instances to regular JavaScript arrays for better JSON serialization. It handles nested
- * objects and arrays containing Uint8Array instances.
+ * objects and arrays containing Uint8Array instances; `null` items of arrays are kept as they are.
  *
  * @param {Object} json - The input JSON object that may contain Uint8Array instances
  * @returns {Object} A new JSON object with all Uint8Array instances converted to Arrays
@@ -32,7 +32,7 @@ function convertUint8ToArray(json) {
             newJson[key] = json[key].map((item) => 
                 item instanceof Uint8Array
                     ? Array.from(item)
-                    : typeof item === 'object'
+                    : typeof item === 'object' && item !== null
                     ? convertUint8ToArray(item)
                     : item
             );
@@ -0,0 +1,66 @@
+/**
+ * Diagnostics reported by the parsers.
+ *
+ * Instead of throwing on a malformed dump (or silently guessing), the parsers keep going and list what they found
+ * in the `diagnostics` array of the parsed dump. Every diagnostic has:
+ * - level: "error" (the dump is damaged), "warning" (the result may be wrong) or "info" (a value was assumed).
+ * - code: identifier of the problem, used to pick the localized message (language.Diagnostics.Codes).
+ * - params: values inserted in the localized message.
+ * - sector, block, offset: where the problem is (`null` when it concerns the whole dump).
+ *   The offset is the position of the first byte concerned in the `raw` bytes of the dump.
+ */
+
+const LEVELS = ['error', 'warning', 'info'];
+
+/**
+ * Creates a diagnostic.
+ *
+ * @param {string} level - "error", "warning" or "info".
+ * @param {string} code - Identifier of the problem.
+ * @param {Object} [params] - Values inserted in the localized message.
+ * @param {Object} [location] - Where the problem is.
+ * @param {number|null} [location.sector] - The sector number.
+ * @param {number|null} [location.block] - The absolute block (or page) number.
+ * @param {number|null} [location.offset] - The offset of the first byte concerned.
+ * @returns {{level: string, code: string, params: Object, sector: number|null, block: number|null, offset: number|null}} The diagnostic.
+ */
+function createDiagnostic(level, code, params = {}, { sector = null, block = null, offset = null } = {}) {
+    return { level, code, params, sector, block, offset };
+}
+
+/**
+ * Splits a hex dump into byte tokens, reporting the characters that are not hex digits.
+ * Invalid tokens are replaced with "??", so they are parsed as unknown bytes instead of breaking the parser.
+ *
+ * @param {string} dump - The hexadecimal string representation of the dump (whitespace is ignored, "??" marks an unknown byte).
+ * @param {Array<Object>} diagnostics - The list the diagnostics are added to.
+ * @returns {Array<string>} One token per byte: two uppercase hex digits, or "??".
+ */
+function tokenizeDump(dump, diagnostics) {
+    const Tokens = dump.replace(/\s/g, '').toUpperCase().match(/.{1,2}/g) || [];
+
+    // A dump with an odd number of digits ends with half a byte, which is dropped.
+    if (Tokens.length && Tokens[Tokens.length - 1].length === 1) {
+        Tokens.pop();
+        diagnostics.push(createDiagnostic('error', 'OddLength', {}, { offset: Tokens.length }));
+    }
+
+    return Tokens.map((token, offset) => {
+        if (token === '??' || /^[0-9A-F]{2}$/.test(token)) return token;
+
+        diagnostics.push(createDiagnostic('error', 'NonHex', { token, offset }, { offset }));
+        return '??';
+    });
+}
+
+/**
+ * Sorts diagnostics by level (errors first), then by position in the dump.
+ *
+ * @param {Array<Object>} diagnostics - The diagnostics to sort.
+ * @returns {Array<Object>} A sorted copy of the list.
+ */
+function sortDiagnostics(diagnostics) {
+    return [...diagnostics].sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level) || (a.offset ?? -1) - (b.offset ?? -1));
+}
+
+export { LEVELS, createDiagnostic, tokenizeDump, sortDiagnostics };
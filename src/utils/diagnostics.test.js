@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { createDiagnostic, tokenizeDump, sortDiagnostics } from './diagnostics';
+
+describe('tokenizeDump', () => {
+    it('splits the dump into bytes, keeping the unknown ones', () => {
+        const Diagnostics = [];
+        expect(tokenizeDump('de ad\n?? ef', Diagnostics)).toEqual(['DE', 'AD', '??', 'EF']);
+        expect(Diagnostics).toEqual([]);
+    });
+
+    it('reports invalid characters and parses them as unknown bytes', () => {
+        const Diagnostics = [];
+        expect(tokenizeDump('00 ZZ 11', Diagnostics)).toEqual(['00', '??', '11']);
+        expect(Diagnostics).toEqual([createDiagnostic('error', 'NonHex', { token: 'ZZ', offset: 1 }, { offset: 1 })]);
+    });
+
+    it('drops the half byte at the end of the dump', () => {
+        const Diagnostics = [];
+        expect(tokenizeDump('00 11 2', Diagnostics)).toEqual(['00', '11']);
+        expect(Diagnostics[0]).toMatchObject({ level: 'error', code: 'OddLength', offset: 2 });
+    });
+});
+
+describe('sortDiagnostics', () => {
+    it('lists the errors first, then follows the dump', () => {
+        const Info = createDiagnostic('info', 'A', {}, { offset: 0 });
+        const LateError = createDiagnostic('error', 'B', {}, { offset: 40 });
+        const EarlyError = createDiagnostic('error', 'C', {}, { offset: 4 });
+        const Warning = createDiagnostic('warning', 'D');
+        expect(sortDiagnostics([Info, LateError, Warning, EarlyError])).toEqual([EarlyError, LateError, Warning, Info]);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Byte-level comparison of two parsed dumps.
+ *
+ * Two bytes differ when their values differ or when only one of them was read: an unknown byte ("??")
+ * never matches a known one, and two unknown bytes are considered equal. Differences are grouped into runs
+ * of adjacent bytes, which is what the Diff page steps through.
+ *
+ * The changes of a MIFARE Classic sector are also sorted by the part of the sector they touch:
+ * - keys: Key A (bytes 0-5 of the trailer) or Key B (bytes 10-15);
+ * - access: the access bits (bytes 6-8 of the trailer);
+ * - data: any byte of the other blocks, the user byte of the trailer (byte 9) included;
+ * - value: the value of a value block (see valueBlock.js), on top of the data change.
+ */
+import { BLOCK_SIZE } from './cardLayout';
+import { decodeValueBlock } from './valueBlock';
+
+/**
+ * Tells whether the byte at an offset differs between two dumps.
+ *
+ * @param {Object} left - The first parsed dump.
+ * @param {Object} right - The second parsed dump.
+ * @param {number} offset - The offset of the byte.
+ * @returns {boolean} `true` if the byte differs, or is missing from one of the dumps.
+ */
+function isDifferent(left, right, offset) {
+    if (offset >= left.raw.length || offset >= right.raw.length) return true;
+
+    const leftKnown = left.known[offset] !== 0;
+    const rightKnown = right.known[offset] !== 0;
+    if (leftKnown !== rightKnown) return true;
+    return leftKnown && left.raw[offset] !== right.raw[offset];
+}
+
+/**
+ * Finds the bytes that differ between two dumps.
+ *
+ * @param {Object} left - The first parsed dump.
+ * @param {Object} right - The second parsed dump.
+ * @returns {Array<{start: number, end: number}>} The runs of adjacent differing bytes, in order (`end` excluded).
+ *          The bytes of the longer dump beyond the end of the shorter one form the last run.
+ */
+function findDifferences(left, right) {
+    const Runs = [];
+    const length = Math.max(left.raw.length, right.raw.length);
+
+    for (let offset = 0; offset < length; offset++) {
+        if (!isDifferent(left, right, offset)) continue;
+
+        const Last = Runs[Runs.length - 1];
+        if (Last && Last.end === offset) Last.end++;
+        else Runs.push({ start: offset, end: offset + 1 });
+    }
+
+    return Runs;
+}
+
+/**
+ * Sorts the differences of two MIFARE Classic dumps by sector and by part of the sector.
+ *
+ * @param {Object} left - The first parsed dump.
+ * @param {Object} right - The second parsed dump.
+ * @returns {Array<Object>} One entry per sector of the larger dump.
+ *
+ * @property {number} [].sector - The sector number.
+ * @property {number} [].bytes - The number of differing bytes.
+ * @property {boolean} [].missing - Whether the sector only exists in one of the dumps (4K against 1K, for example).
+ * @property {boolean} [].data - Whether a byte of a data block (or the user byte of the trailer) differs.
+ * @property {boolean} [].keys - Whether Key A or Key B differs.
+ * @property {boolean} [].access - Whether the access bits differ.
+ * @property {boolean} [].value - Whether a block that is a value block in either dump holds a different value, or is only a value block in one of them.
+ *                                 Only blocks fully read in both dumps are compared: an unknown byte is stored as 0x00 and says nothing of the value.
+ */
+function summarizeSectorChanges(left, right) {
+    const Layout = left.sectors.length >= right.sectors.length ? left : right;
+    const shorter = Math.min(left.raw.length, right.raw.length);
+    const isBlockRead = (dump, blockOffset) => dump.known.slice(blockOffset, blockOffset + BLOCK_SIZE).every(known => known !== 0);
+
+    return Layout.sectors.map(({ firstBlock, blockCount }, sector) => {
+        const Summary = { sector, bytes: 0, missing: (firstBlock + blockCount) * BLOCK_SIZE > shorter, data: false, keys: false, access: false, value: false };
+
+        for (let block = firstBlock; block < firstBlock + blockCount; block++) {
+            const blockOffset = block * BLOCK_SIZE;
+            const isTrailer = block === firstBlock + blockCount - 1;
+
+            let changed = false;
+            for (let position = 0; position < BLOCK_SIZE; position++) {
+                if (!isDifferent(left, right, blockOffset + position)) continue;
+                Summary.bytes++;
+                changed = true;
+
+                if (!isTrailer) Summary.data = true;
+                else if (position < 6 || position > 9) Summary.keys = true;
+                else if (position < 9) Summary.access = true;
+                else Summary.data = true;
+            }
+
+            // The manufacturer block and the trailers cannot be value blocks
+            if (!changed || isTrailer || block === 0 || Summary.missing) continue;
+            if (!isBlockRead(left, blockOffset) || !isBlockRead(right, blockOffset)) continue;
+            const LeftValue = decodeValueBlock(left.raw.slice(blockOffset, blockOffset + BLOCK_SIZE));
+            const RightValue = decodeValueBlock(right.raw.slice(blockOffset, blockOffset + BLOCK_SIZE));
+            if ((LeftValue.valid || RightValue.valid) && (LeftValue.valid !== RightValue.valid || LeftValue.value !== RightValue.value)) Summary.value = true;
+        }
+
+        return Summary;
+    });
+}
+
+export { findDifferences, summarizeSectorChanges };
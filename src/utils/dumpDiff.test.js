@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { encodeValueBlock } from './valueBlock';
+import { findDifferences, summarizeSectorChanges } from './dumpDiff';
+
+/**
+ * Builds a MIFARE Classic dump of zeros, with the sector layout of the parsers
+ * @param {number} sectorCount - The number of sectors of 4 blocks
+ * @returns {{raw: Array<number>, known: Array<number>, sectors: Array<Object>}} The dump
+ */
+function buildDump(sectorCount) {
+    return {
+        raw: new Array(sectorCount * 64).fill(0),
+        known: new Array(sectorCount * 64).fill(1),
+        sectors: Array.from({ length: sectorCount }, (_, sector) => ({ firstBlock: sector * 4, blockCount: 4 })),
+    };
+}
+
+describe('findDifferences', () => {
+    it('groups adjacent differing bytes into runs', () => {
+        const Left = buildDump(1);
+        const Right = buildDump(1);
+        Right.raw[4] = 1;
+        Right.raw[5] = 2;
+        Right.raw[9] = 3;
+        expect(findDifferences(Left, Right)).toEqual([{ start: 4, end: 6 }, { start: 9, end: 10 }]);
+    });
+
+    it('never matches an unknown byte with a known one', () => {
+        const Left = buildDump(1);
+        const Right = buildDump(1);
+        Right.known[7] = 0;
+        Left.known[20] = 0;
+        Right.known[20] = 0;
+        expect(findDifferences(Left, Right)).toEqual([{ start: 7, end: 8 }]);
+    });
+
+    it('reports the end of the longer dump', () => {
+        expect(findDifferences(buildDump(1), buildDump(2))).toEqual([{ start: 64, end: 128 }]);
+    });
+});
+
+describe('summarizeSectorChanges', () => {
+    it('sorts the changes by part of the sector', () => {
+        const Left = buildDump(4);
+        const Right = buildDump(4);
+        Right.raw[20] = 1; // Sector 1, data block
+        Right.raw[64 + 48 + 2] = 1; // Sector 1, Key A
+        Right.raw[128 + 48 + 7] = 1; // Sector 2, access bits
+        Right.raw[192 + 48 + 9] = 1; // Sector 3, user byte
+
+        expect(summarizeSectorChanges(Left, Right).map(({ bytes, data, keys, access, value }) => ({ bytes, data, keys, access, value }))).toEqual([
+            { bytes: 1, data: true, keys: false, access: false, value: false },
+            { bytes: 1, data: false, keys: true, access: false, value: false },
+            { bytes: 1, data: false, keys: false, access: true, value: false },
+            { bytes: 1, data: true, keys: false, access: false, value: false },
+        ]);
+    });
+
+    it('reports a change of value, and a block that only is a value block in one dump', () => {
+        const Left = buildDump(3);
+        const Right = buildDump(3);
+        encodeValueBlock(100, 4).forEach((byte, i) => Left.raw[64 + i] = byte);
+        encodeValueBlock(90, 4).forEach((byte, i) => Right.raw[64 + i] = byte);
+        encodeValueBlock(5, 8).forEach((byte, i) => Right.raw[128 + i] = byte);
+
+        const Summary = summarizeSectorChanges(Left, Right);
+        expect(Summary[1]).toMatchObject({ data: true, value: true });
+        expect(Summary[2]).toMatchObject({ data: true, value: true });
+    });
+
+    it('does not compare the value of a block that was not fully read in both dumps', () => {
+        const Left = buildDump(2);
+        const Right = buildDump(2);
+        encodeValueBlock(100, 4).forEach((byte, i) => Left.raw[64 + i] = byte);
+        encodeValueBlock(100, 4).forEach((byte, i) => Right.raw[64 + i] = byte);
+        Right.raw.fill(0, 64, 68);
+        Right.known.fill(0, 64, 68);
+
+        expect(summarizeSectorChanges(Left, Right)[1]).toMatchObject({ data: true, value: false });
+    });
+
+    it('flags the sectors missing from the smaller dump', () => {
+        const Summary = summarizeSectorChanges(buildDump(1), buildDump(2));
+        expect(Summary.map(({ missing }) => missing)).toEqual([false, true]);
+        expect(Summary[1].bytes).toBe(64);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Byte editing of a parsed dump.
+ *
+ * An edit is a list of byte changes, each remembering the previous value and read status of the byte, so that it can be
+ * undone. After every edit the dump is parsed again (see rebuildModel.js): access conditions, value blocks, MAD, NDEF...
+ * always describe the edited bytes.
+ *
+ * Some fields of a card are stored more than once or derived from other bytes, and the card (or the reader) rejects them
+ * when the copies disagree. After an edit, suggestFixes offers to rewrite the other copies from the edited one:
+ * - value blocks store their value three times (once inverted) and their address four times (twice inverted);
+ * - the BCC of a UID is the XOR of its bytes (and of the cascade tag 0x88 for the first part of a 7-byte Ultralight UID);
+ * - the access bits of a sector trailer are stored as is and inverted.
+ */
+import { BLOCK_SIZE } from './cardLayout';
+import { decodeAccessBits, encodeAccessBits } from './accessConditions';
+import { decodeValueBlock, encodeValueBlock } from './valueBlock';
+import { rebuildModel } from './rebuildModel';
+
+const CASCADE_TAG = 0x88;
+
+/**
+ * Creates an edit from the new values of some bytes.
+ *
+ * @param {Object} model - The parsed dump, as stored in sessionStorage (`fileJSON`).
+ * @param {Array<{offset: number, value: number}>} changes - The new values; every changed byte becomes known.
+ * @returns {Array<Object>} The edit: one entry per byte actually changed, with its value and read status before and after.
+ */
+function createEdit(model, changes) {
+    return changes
+        .filter(({ offset, value }) => model.raw[offset] !== value || !model.known[offset])
+        .map(({ offset, value }) => ({
+            offset,
+            before: { value: model.raw[offset], known: model.known[offset] },
+            after: { value, known: 1 },
+        }));
+}
+
+/**
+ * Applies an edit to a dump, or reverts it.
+ *
+ * @param {Object} model - The parsed dump, as stored in sessionStorage (`fileJSON`).
+ * @param {Array<Object>} edit - The edit (see createEdit).
+ * @param {boolean} [undo] - Whether to restore the bytes as they were before the edit.
+ * @returns {Object|null} The re-parsed dump (see rebuildModel), or `null` if the parser rejected the bytes.
+ */
+function applyEdit(model, edit, undo = false) {
+    const Raw = [...model.raw];
+    const Known = [...model.known];
+    edit.forEach(({ offset, before, after }) => {
+        const { value, known } = undo ? before : after;
+        Raw[offset] = value;
+        Known[offset] = known;
+    });
+    return rebuildModel(model, Raw, Known);
+}
+
+/**
+ * Finds the sector of a MIFARE Classic dump holding a byte.
+ *
+ * @param {Object} model - The parsed MIFARE Classic dump.
+ * @param {number} offset - The offset of the byte.
+ * @returns {{index: number, sector: Object, block: number}|null} The sector number, the sector and the block of the byte
+ *          relative to the first block of the sector, or `null` if the offset is outside the card.
+ */
+function locateByte(model, offset) {
+    const blockNumber = Math.floor(offset / BLOCK_SIZE);
+    const index = model.sectors.findIndex(({ firstBlock, blockCount }) => blockNumber >= firstBlock && blockNumber < firstBlock + blockCount);
+    if (index === -1) return null;
+
+    return { index, sector: model.sectors[index], block: blockNumber - model.sectors[index].firstBlock };
+}
+
+/**
+ * Offers to rewrite the copies of a value block from the copy that was edited.
+ *
+ * @param {Array<number>} previous - The bytes of the block before the edit.
+ * @param {Array<number>} current - The bytes of the block after the edit.
+ * @param {number} position - The position in the block of the edited byte.
+ * @returns {{value: number, bytes: Array<number>}|null} The value kept and the rewritten block, or `null` if the block was not
+ *          a value block before the edit or still is one.
+ */
+function fixValueBlock(previous, current, position) {
+    if (!decodeValueBlock(previous).valid || decodeValueBlock(current).valid) return null;
+
+    // Read the value and address from the copy the edited byte belongs to, inverting the inverted copies.
+    const copyStart = position < 12 ? position - (position % 4) : 12;
+    const isInverted = copyStart === 4;
+    const ValueBytes = current.slice(copyStart % 12, copyStart % 12 + 4).map(byte => isInverted ? byte ^ 0xFF : byte);
+    const value = ValueBytes[0] | (ValueBytes[1] << 8) | (ValueBytes[2] << 16) | (ValueBytes[3] << 24);
+    const address = position < 12 ? current[12] : current[position] ^ ([13, 15].includes(position) ? 0xFF : 0);
+
+    return { value, bytes: encodeValueBlock(value, address) };
+}
+
+/**
+ * Lists the fixes that make the fields related to the edited bytes consistent again.
+ *
+ * @param {Object} previous - The dump before the edit.
+ * @param {Object} model - The dump after the edit.
+ * @param {Array<number>} offsets - The offsets of the edited bytes.
+ * @returns {Array<{code: string, params: Object, changes: Array<{offset: number, value: number}>}>} The fixes, each with the
+ *          changes to apply (see createEdit): "ValueCopies" (block, value), "Bcc" (bcc) and "AccessBits" (sector).
+ */
+function suggestFixes(previous, model, offsets) {
+    const Fixes = [];
+    const addFix = (code, params, changes) => {
+        if (!Fixes.some(fix => fix.code === code && JSON.stringify(fix.changes) === JSON.stringify(changes))) Fixes.push({ code, params, changes });
+    };
+    const hex = (byte) => byte.toString(16).padStart(2, '0').toUpperCase();
+
+    offsets.forEach((offset) => {
+        if (model.family === 'ultralight') {
+            // BCC0 (page 0, byte 3) covers the cascade tag and UID bytes 0-2, BCC1 (page 2, byte 0) UID bytes 3-6.
+            const bcc = offset < 3 ? { offset: 3, covered: [CASCADE_TAG, ...model.raw.slice(0, 3)] }
+                : offset >= 4 && offset < 8 ? { offset: 8, covered: model.raw.slice(4, 8) }
+                : null;
+            if (!bcc) return;
+            const expected = bcc.covered.reduce((total, byte) => total ^ byte, 0);
+            if (model.raw[bcc.offset] !== expected) addFix('Bcc', { bcc: hex(expected) }, [{ offset: bcc.offset, value: expected }]);
+            return;
+        }
+
+        const Location = locateByte(model, offset);
+        if (!Location) return;
+        const { index, sector, block } = Location;
+        const blockOffset = (sector.firstBlock + block) * BLOCK_SIZE;
+        const position = offset - blockOffset;
+
+        if (index === 0 && block === 0) {
+            // The BCC of a 4-byte UID follows it in the manufacturer block.
+            if (model.manifacturer.uid.length !== 4 || position > 3) return;
+            const expected = model.raw.slice(0, 4).reduce((total, byte) => total ^ byte, 0);
+            if (model.raw[4] !== expected) addFix('Bcc', { bcc: hex(expected) }, [{ offset: 4, value: expected }]);
+        } else if (block === sector.blockCount - 1) {
+            // Rewrite the inverted access bits from the plain ones (C1 in byte 7, C2 and C3 in byte 8).
+            if (position < 6 || position > 8 || sector.sectorTrailer.accessConditions.valid !== false) return;
+            const Groups = decodeAccessBits(model.raw.slice(blockOffset + 6, blockOffset + 9)).groups;
+            addFix('AccessBits', { sector: index }, encodeAccessBits(Groups).map((value, i) => ({ offset: blockOffset + 6 + i, value })));
+        } else {
+            const Fixed = fixValueBlock(previous.raw.slice(blockOffset, blockOffset + BLOCK_SIZE), model.raw.slice(blockOffset, blockOffset + BLOCK_SIZE), position);
+            if (!Fixed) return;
+            addFix('ValueCopies', { block: sector.firstBlock + block, value: Fixed.value }, Fixed.bytes.map((value, i) => ({ offset: blockOffset + i, value })));
+        }
+    });
+
+    return Fixes;
+}
+
+export { createEdit, applyEdit, suggestFixes };
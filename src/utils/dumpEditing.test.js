@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { DumpToJson } from './NFCDumptoJSON';
+import { convertUint8ToArray } from './convertUint8ToArray';
+import { encodeValueBlock } from './valueBlock';
+import { createEdit, applyEdit, suggestFixes } from './dumpEditing';
+
+/**
+ * Parses a MIFARE Classic 1K dump with a value of 100 in block 4 and an unknown byte in block 5
+ * @returns {Object} The parsed dump, as stored in sessionStorage
+ */
+function loadDump() {
+    const Tokens = new Array(1024).fill('00');
+    ['B5', 'A9', 'C3', 'E2', '3D', '08', '04', '00'].forEach((byte, index) => Tokens[index] = byte);
+    for (let trailer = 48; trailer < 1024; trailer += 64) {
+        'FF FF FF FF FF FF FF 07 80 69 FF FF FF FF FF FF'.split(' ').forEach((byte, index) => Tokens[trailer + index] = byte);
+    }
+    encodeValueBlock(100, 4).forEach((byte, index) => Tokens[64 + index] = byte.toString(16).padStart(2, '0'));
+    Tokens[80] = '??';
+    return convertUint8ToArray(DumpToJson(Tokens.join(' ')));
+}
+
+describe('createEdit', () => {
+    it('keeps the bytes that change, with their value and read status before and after', () => {
+        const Model = loadDump();
+        expect(createEdit(Model, [{ offset: 20, value: 0x00 }, { offset: 21, value: 0x42 }, { offset: 80, value: 0x00 }])).toEqual([
+            { offset: 21, before: { value: 0x00, known: 1 }, after: { value: 0x42, known: 1 } },
+            { offset: 80, before: { value: 0x00, known: 0 }, after: { value: 0x00, known: 1 } },
+        ]);
+    });
+});
+
+describe('applyEdit', () => {
+    it('parses the edited bytes again and restores them on undo', () => {
+        const Model = loadDump();
+        const Edit = createEdit(Model, [{ offset: 80, value: 0x01 }]);
+
+        const Edited = applyEdit(Model, Edit);
+        expect(Edited.raw[80]).toBe(0x01);
+        expect(Edited.known[80]).toBe(1);
+        expect(Edited.sectors[1].blockStatus[1]).toBe('read');
+
+        const Restored = applyEdit(Edited, Edit, true);
+        expect(Restored.raw).toEqual(Model.raw);
+        expect(Restored.known).toEqual(Model.known);
+    });
+});
+
+describe('suggestFixes', () => {
+    /**
+     * Edits bytes of the dump and lists the fixes offered for them
+     * @param {Array<{offset: number, value: number}>} changes - The new values
+     * @returns {Array<Object>} The fixes
+     */
+    function editAndSuggest(changes) {
+        const Model = loadDump();
+        return suggestFixes(Model, applyEdit(Model, createEdit(Model, changes)), changes.map(({ offset }) => offset));
+    }
+
+    it('rewrites the copies of a value block from the edited copy', () => {
+        const Fixes = editAndSuggest([{ offset: 64, value: 0x65 }]);
+        expect(Fixes).toEqual([{
+            code: 'ValueCopies',
+            params: { block: 4, value: 101 },
+            changes: encodeValueBlock(101, 4).map((value, i) => ({ offset: 64 + i, value })),
+        }]);
+    });
+
+    it('reads the value from the inverted copy when that is the one edited', () => {
+        const Fixes = editAndSuggest([{ offset: 68, value: 0x65 ^ 0xFF }]);
+        expect(Fixes[0].params).toEqual({ block: 4, value: 101 });
+    });
+
+    it('recomputes the BCC of an edited UID', () => {
+        expect(editAndSuggest([{ offset: 0, value: 0xB4 }])).toEqual([{ code: 'Bcc', params: { bcc: '3C' }, changes: [{ offset: 4, value: 0x3C }] }]);
+    });
+
+    it('rewrites the inverted access bits from the plain ones', () => {
+        // C1 of group 0 set in byte 7, without changing its inverted copy in byte 6
+        const Fixes = editAndSuggest([{ offset: 48 + 7, value: 0x17 }]);
+        expect(Fixes).toEqual([{
+            code: 'AccessBits',
+            params: { sector: 0 },
+            changes: [{ offset: 54, value: 0xFE }, { offset: 55, value: 0x17 }, { offset: 56, value: 0x80 }],
+        }]);
+    });
+
+    it('offers nothing when the edited bytes are consistent', () => {
+        expect(editAndSuggest([{ offset: 96, value: 0x42 }])).toEqual([]);
+    });
+});
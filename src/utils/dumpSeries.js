@@ -0,0 +1,145 @@
+/**
+ * Series of dumps of the same card, taken one after the other (after every tap, top-up...).
+ *
+ * Comparing many dumps of one card shows which bytes never change (UID, keys, static IDs), which change at every
+ * transaction (counters, balances, checksums) and which change now and then. A series only keeps what this needs
+ * from every dump: its bytes and known/unknown mask, its card family and variant, its UID, and the time its file
+ * was last modified. The series is kept in sessionStorage under `dumpSeries`, so that it survives page changes.
+ *
+ * The dumps are compared in the order of the series: a byte "changes" between two consecutive dumps that both read it
+ * with different values. Unknown bytes are skipped, so that a partial dump does not count as a change.
+ */
+import { bytesToHex } from './hexString';
+
+const STORAGE_KEY = 'dumpSeries';
+
+/**
+ * Creates the entry of a dump in a series.
+ *
+ * @param {string} name - The name of the file.
+ * @param {number} modified - The modification time of the file, in milliseconds.
+ * @param {Object} model - The parsed dump.
+ * @returns {{id: string, name: string, modified: number, family: string, cardType: string, uid: string, raw: Array<number>, known: Array<number>}}
+ *          The entry; `id` tells apart two entries of the same file.
+ */
+function createSeriesEntry(name, modified, model) {
+    return {
+        id: `${name}-${modified}-${Math.random().toString(36).slice(2)}`,
+        name,
+        modified,
+        family: model.family,
+        cardType: model.cardType,
+        uid: bytesToHex(Array.from(model.manifacturer.uid)),
+        raw: Array.from(model.raw),
+        known: Array.from(model.known),
+    };
+}
+
+/**
+ * Reads the series kept for the session.
+ *
+ * @returns {Array<Object>} The entries of the series (empty if there are none or they cannot be read).
+ */
+function loadSeries() {
+    try {
+        const Entries = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        return Array.isArray(Entries) ? Entries : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Keeps the series for the session.
+ *
+ * @param {Array<Object>} entries - The entries of the series.
+ * @returns {boolean} `false` if the series is too large to be kept (it then only lives as long as the page).
+ */
+function saveSeries(entries) {
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        return true;
+    } catch {
+        sessionStorage.removeItem(STORAGE_KEY);
+        return false;
+    }
+}
+
+/**
+ * Orders a series by the modification time of its files, oldest first.
+ *
+ * @param {Array<Object>} entries - The entries of the series.
+ * @returns {Array<Object>} The sorted entries (the order of entries with the same time is kept).
+ */
+function sortByTime(entries) {
+    return [...entries].sort((a, b) => a.modified - b.modified);
+}
+
+/**
+ * Moves an entry of a series by one place.
+ *
+ * @param {Array<Object>} entries - The entries of the series.
+ * @param {number} index - The index of the entry.
+ * @param {number} step - -1 to move it earlier, 1 to move it later.
+ * @returns {Array<Object>} The reordered entries (unchanged if the entry cannot move that way).
+ */
+function moveEntry(entries, index, step) {
+    const target = index + step;
+    if (target < 0 || target >= entries.length) return entries;
+
+    const Entries = [...entries];
+    [Entries[index], Entries[target]] = [Entries[target], Entries[index]];
+    return Entries;
+}
+
+/**
+ * Tells whether an entry can be compared with the first one of its series.
+ *
+ * @param {Object} entry - The entry.
+ * @param {Object} first - The first entry of the series.
+ * @returns {string|null} "DifferentCard" if the card variant differs (the entry is left out of the analysis),
+ *          "DifferentUid" if only the UID differs (the entry is analyzed, but probably comes from another card), `null` otherwise.
+ */
+function checkEntry(entry, first) {
+    if (entry.family !== first.family || entry.cardType !== first.cardType || entry.raw.length !== first.raw.length) return 'DifferentCard';
+    return entry.uid !== first.uid ? 'DifferentUid' : null;
+}
+
+/**
+ * Lists the values of one byte across a series.
+ *
+ * @param {Array<Object>} entries - The entries of the series, in order.
+ * @param {number} offset - The offset of the byte.
+ * @returns {Array<number|null>} The value of the byte in every dump (`null` where it was not read).
+ */
+function getByteHistory(entries, offset) {
+    return entries.map(({ raw, known }) => known[offset] ? raw[offset] : null);
+}
+
+/**
+ * Counts how often every byte changes across a series.
+ *
+ * @param {Array<Object>} entries - The entries of the series, in order, all of the same card variant (see checkEntry).
+ * @returns {{changes: Array<number>, compared: Array<number>, maxChanges: number}} For every byte, the number of changes
+ *          between consecutive dumps and the number of consecutive pairs where it was read on both sides;
+ *          `maxChanges` is the largest number of changes of any byte.
+ */
+function analyzeSeries(entries) {
+    const length = entries[0]?.raw.length ?? 0;
+    const Changes = new Array(length).fill(0);
+    const Compared = new Array(length).fill(0);
+
+    for (let index = 1; index < entries.length; index++) {
+        const Previous = entries[index - 1];
+        const Current = entries[index];
+        for (let offset = 0; offset < length; offset++) {
+            if (!Previous.known[offset] || !Current.known[offset]) continue;
+            Compared[offset]++;
+            if (Previous.raw[offset] !== Current.raw[offset]) Changes[offset]++;
+        }
+    }
+
+    return { changes: Changes, compared: Compared, maxChanges: Math.max(0, ...Changes) };
+}
+
+export { createSeriesEntry, loadSeries, saveSeries, sortByTime, moveEntry, checkEntry, getByteHistory, analyzeSeries };
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createSeriesEntry, loadSeries, saveSeries, sortByTime, moveEntry, checkEntry, getByteHistory, analyzeSeries } from './dumpSeries';
+
+/**
+ * Creates the entry of a 4-byte dump
+ * @param {string} name - The name of the file
+ * @param {number} modified - The modification time of the file
+ * @param {Array<number|null>} bytes - The bytes of the dump (`null` for an unknown byte)
+ * @param {Object} [card] - The family, card type and UID of the dump
+ * @returns {Object} The entry
+ */
+function entry(name, modified, bytes, { family = 'classic', cardType = '1K', uid = [0xB5, 0xA9, 0xC3, 0xE2] } = {}) {
+    return createSeriesEntry(name, modified, {
+        family,
+        cardType,
+        manifacturer: { uid },
+        raw: bytes.map(byte => byte ?? 0),
+        known: bytes.map(byte => byte === null ? 0 : 1),
+    });
+}
+
+describe('analyzeSeries', () => {
+    it('counts the changes of every byte between consecutive dumps, skipping unknown bytes', () => {
+        const Entries = [entry('a', 1, [1, 5, 9, 0]), entry('b', 2, [1, 6, null, 0]), entry('c', 3, [1, 7, 8, 1])];
+        expect(analyzeSeries(Entries)).toEqual({ changes: [0, 2, 0, 1], compared: [2, 2, 0, 2], maxChanges: 2 });
+        expect(getByteHistory(Entries, 2)).toEqual([9, null, 8]);
+    });
+
+    it('handles an empty series', () => {
+        expect(analyzeSeries([])).toEqual({ changes: [], compared: [], maxChanges: 0 });
+    });
+});
+
+describe('checkEntry', () => {
+    it('leaves out the dumps of another card variant and warns about another UID', () => {
+        const First = entry('a', 1, [0, 0, 0, 0]);
+        expect(checkEntry(entry('b', 2, [0, 0, 0, 0]), First)).toBeNull();
+        expect(checkEntry(entry('b', 2, [0, 0, 0, 0], { uid: [1, 2, 3, 4] }), First)).toBe('DifferentUid');
+        expect(checkEntry(entry('b', 2, [0, 0, 0, 0], { cardType: '4K' }), First)).toBe('DifferentCard');
+        expect(checkEntry(entry('b', 2, [0, 0]), First)).toBe('DifferentCard');
+    });
+});
+
+describe('ordering', () => {
+    it('sorts by modification time and moves entries by one place', () => {
+        const [A, B, C] = [entry('a', 30, [0]), entry('b', 10, [0]), entry('c', 20, [0])];
+        expect(sortByTime([A, B, C])).toEqual([B, C, A]);
+        expect(moveEntry([A, B, C], 0, 1)).toEqual([B, A, C]);
+        expect(moveEntry([A, B, C], 0, -1)).toEqual([A, B, C]);
+    });
+});
+
+describe('storage', () => {
+    beforeEach(() => {
+        const Storage = {};
+        vi.stubGlobal('sessionStorage', {
+            getItem: key => Storage[key] ?? null,
+            setItem: (key, value) => Storage[key] = value,
+            removeItem: key => delete Storage[key],
+        });
+    });
+
+    it('keeps the series for the session', () => {
+        const Entries = [entry('a', 1, [1, null])];
+        expect(loadSeries()).toEqual([]);
+        expect(saveSeries(Entries)).toBe(true);
+        expect(loadSeries()).toEqual(Entries);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Exporter for the `.nfc` text files read by the Flipper Zero.
+ * See importers/FlipperNFC.js for the format.
+ *
+ * A dump imported from a `.nfc` file is written back over its original file, so the fields MifareLab does not parse
+ * (signature, counters, comments...) are preserved. Other dumps are written with the layout of the Flipper firmware.
+ */
+import { bytesToHex } from '../hexString';
+import { getBlocks, blockToHex } from './dumpBlocks';
+
+// Names used by the Flipper firmware for the Ultralight/NTAG variants (keys of ULTRALIGHT_TYPES).
+const FLIPPER_ULTRALIGHT_TYPES = {
+    'Ultralight': 'Mifare Ultralight',
+    'Ultralight EV1 (MF0UL11)': 'Mifare Ultralight 11',
+    'Ultralight EV1 (MF0UL21)': 'Mifare Ultralight 21',
+    'Ultralight C': 'Mifare Ultralight C',
+    'NTAG213': 'NTAG213',
+    'NTAG215': 'NTAG215',
+    'NTAG216': 'NTAG216',
+};
+
+/**
+ * Writes bytes as space-separated uppercase hex, the way the Flipper does.
+ *
+ * @param {Array<number>} bytes - The bytes to write.
+ * @returns {string} The hex representation of the bytes.
+ */
+function toFlipperHex(bytes) {
+    return Array.from(bytes).map(byte => bytesToHex([byte])).join(' ');
+}
+
+/**
+ * Builds the lines of a new `.nfc` file for a dump that was not imported from one.
+ *
+ * @param {Object} model - The parsed dump.
+ * @param {Array<{bytes: Array<number>, known: Array<boolean>}>} Blocks - The blocks (or pages) of the dump.
+ * @returns {Array<string>} The lines of the file, without line terminators.
+ */
+function buildFlipperLines(model, Blocks) {
+    const Lines = [
+        'Filetype: Flipper NFC device',
+        'Version: 4',
+        '# Device type can be ISO14443-3A, ISO14443-3B, ISO14443-4A, ISO14443-4B, ISO15693-3, FeliCa, NTAG/Ultralight, Mifare Classic, Mifare Plus, Mifare DESFire, SLIX, ST25TB, EMV',
+    ];
+
+    if (model.family === 'ultralight') {
+        // Pages read from the start of the card, before the first page that could not be read.
+        const firstUnread = Blocks.findIndex(page => !page.known.every(Boolean));
+
+        Lines.push(
+            'Device type: NTAG/Ultralight',
+            '# UID is common for all formats',
+            `UID: ${toFlipperHex(model.manifacturer.uid)}`,
+            '# ISO14443-3A specific data',
+            'ATQA: 00 44',
+            'SAK: 00',
+            '# NTAG/Ultralight specific data',
+            'Data format version: 2',
+            `NTAG/Ultralight type: ${FLIPPER_ULTRALIGHT_TYPES[model.cardType] || model.cardType}`,
+            `Signature: ${toFlipperHex(Array(32).fill(0))}`,
+            `Mifare version: ${toFlipperHex(Array(8).fill(0))}`,
+            ...[0, 1, 2].flatMap(counter => [`Counter ${counter}: 0`, `Tearing ${counter}: 00`]),
+            `Pages total: ${Blocks.length}`,
+            `Pages read: ${firstUnread === -1 ? Blocks.length : firstUnread}`,
+            ...Blocks.map((page, index) => `Page ${index}: ${blockToHex(page, '??', ' ')}`),
+            'Failed authentication attempts: 0',
+        );
+    } else {
+        const uid = model.cardInfo?.uid || model.manifacturer.uid;
+        // The manufacturer block stores the ATQA least significant byte first, the Flipper writes it the other way round.
+        const atqa = model.cardInfo?.atqa || model.manifacturer.ataq || [];
+        const sak = model.cardInfo?.sak ?? model.manifacturer.sak?.[0] ?? 0;
+
+        Lines.push(
+            'Device type: Mifare Classic',
+            '# UID is common for all formats',
+            `UID: ${toFlipperHex(uid)}`,
+            '# ISO14443-3A specific data',
+            `ATQA: ${toFlipperHex(Array.from(atqa).reverse())}`,
+            `SAK: ${toFlipperHex([sak])}`,
+            '# Mifare Classic specific data',
+            `Mifare Classic type: ${model.cardType === 'Mini' ? 'MINI' : model.cardType}`,
+            'Data format version: 2',
+            '# Mifare Classic blocks, \'??\' means unknown data',
+            ...Blocks.map((block, index) => `Block ${index}: ${blockToHex(block, '??', ' ')}`),
+        );
+    }
+
+    return [...Lines, ''];
+}
+
+/**
+ * Serializes a parsed dump into a Flipper Zero `.nfc` file.
+ * Bytes that were not read are written as `??`.
+ *
+ * @param {Object} model - The parsed dump (MIFARE Classic or Ultralight/NTAG).
+ * @returns {string} The contents of the file.
+ */
+function JsonToFlipperNfc(model) {
+    const Blocks = getBlocks(model);
+
+    // Build a new file, unless the dump comes from a .nfc file.
+    if (model.source?.format !== 'flipper-nfc') return buildFlipperLines(model, Blocks).join('\n');
+
+    const eol = model.source.text.includes('\r\n') ? '\r\n' : '\n';
+    const label = model.family === 'ultralight' ? 'Page' : 'Block';
+    const Written = new Set();
+    let lastDataLine = -1;
+
+    // Rewrite the block (or page) lines of the original file with the current bytes.
+    const Lines = model.source.text.split(/\r?\n/).map((line, index) => {
+        const Match = line.match(/^(Block|Page) (\d+):/);
+        if (!Match || Match[1] !== label || !Blocks[Number(Match[2])]) return line;
+
+        Written.add(Number(Match[2]));
+        lastDataLine = index;
+        return `${label} ${Match[2]}: ${blockToHex(Blocks[Number(Match[2])], '??', ' ')}`;
+    });
+
+    // Blocks missing from the original file are added after its last block, unless nothing is known about them.
+    const Missing = Blocks
+        .map((block, index) => Written.has(index) || !block.known.some(Boolean) ? null : `${label} ${index}: ${blockToHex(block, '??', ' ')}`)
+        .filter(line => line !== null);
+    Lines.splice(lastDataLine === -1 ? Lines.length : lastDataLine + 1, 0, ...Missing);
+
+    return Lines.join(eol);
+}
+
+export { JsonToFlipperNfc };
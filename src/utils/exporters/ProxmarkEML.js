@@ -0,0 +1,18 @@
+/**
+ * Exporter for the `.eml` emulator files read by the Proxmark3 client (`hf mf eload`, `hf mfu eload`).
+ * See importers/ProxmarkEML.js for the format.
+ */
+import { getBlocks, trimPadding, blockToHex } from './dumpBlocks';
+
+/**
+ * Serializes a parsed dump into a Proxmark3 `.eml` file.
+ * Every block (or Ultralight page) is written on its own line; bytes that were not read are written as `--`.
+ *
+ * @param {Object} model - The parsed dump (MIFARE Classic or Ultralight/NTAG).
+ * @returns {string} The contents of the file.
+ */
+function JsonToProxmarkEml(model) {
+    return trimPadding(model, getBlocks(model)).map(block => blockToHex(block, '--') + '\n').join('');
+}
+
+export { JsonToProxmarkEml };
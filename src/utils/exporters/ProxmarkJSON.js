@@ -0,0 +1,78 @@
+/**
+ * Exporter for the JSON dumps read by the Proxmark3 client (`hf mf eload`, `hf mf restore`, `hf mfu eload`).
+ * See importers/ProxmarkJSON.js for the format.
+ *
+ * A dump imported from a Proxmark3 JSON file is written back over its original fields, so the information MifareLab
+ * does not parse (card version, signature, access conditions text...) is preserved.
+ */
+import { bytesToHex } from '../hexString';
+import { getBlocks } from './dumpBlocks';
+
+/**
+ * Lists the keys of every sector, as written in the `SectorKeys` section.
+ * The keys recovered by the reader are preferred to the ones read from the trailer, which may be hidden (Key A is always read as zeros).
+ *
+ * @param {Object} model - The parsed MIFARE Classic dump.
+ * @param {Object} [SectorKeys] - The `SectorKeys` section of the original file, whose other fields are kept.
+ * @returns {Object} The `SectorKeys` section, indexed by sector number.
+ */
+function buildSectorKeys(model, SectorKeys = {}) {
+    const Keys = {};
+
+    model.sectors.forEach((sector, i) => {
+        const trailerOffset = (sector.firstBlock + sector.blockCount - 1) * 16;
+        const trailerKnown = Array.from(model.known || []).slice(trailerOffset, trailerOffset + 16).every(byte => byte !== 0);
+
+        // Sectors whose keys are unknown are left out.
+        if (!sector.recoveredKeys && !trailerKnown) return;
+
+        const keyA = sector.recoveredKeys?.keyA || (trailerKnown ? sector.sectorTrailer.keyA : null);
+        const keyB = sector.recoveredKeys?.keyB || (trailerKnown ? sector.sectorTrailer.keyB : null);
+
+        Keys[i] = {
+            ...SectorKeys[i],
+            ...(keyA ? { KeyA: bytesToHex(keyA) } : {}),
+            ...(keyB ? { KeyB: bytesToHex(keyB) } : {}),
+            // The access conditions are followed by the user data byte, as in the trailer.
+            ...(trailerKnown ? { AccessConditions: bytesToHex([...sector.sectorTrailer.accessConditions.unParsed, ...sector.sectorTrailer.userdata]) } : {}),
+        };
+    });
+
+    return Keys;
+}
+
+/**
+ * Serializes a parsed dump into a Proxmark3 JSON dump.
+ * Blocks that were not read at all are left out of `blocks`; unknown bytes in the other blocks are written as 00.
+ *
+ * @param {Object} model - The parsed dump (MIFARE Classic or Ultralight/NTAG).
+ * @returns {string} The contents of the file.
+ */
+function JsonToProxmarkJson(model) {
+    const isUltralight = model.family === 'ultralight';
+    const Original = model.source?.format === 'proxmark-json' ? JSON.parse(model.source.text) : null;
+
+    const Json = Original || {
+        Created: 'MifareLab',
+        FileType: isUltralight ? 'mfu' : 'mfc v2',
+        Card: isUltralight ? { UID: bytesToHex(model.manifacturer.uid) } : {
+            UID: bytesToHex(model.cardInfo?.uid || model.manifacturer.uid),
+            ATQA: bytesToHex(model.cardInfo?.atqa || model.manifacturer.ataq || []),
+            SAK: bytesToHex([model.cardInfo?.sak ?? model.manifacturer.sak?.[0] ?? 0]),
+        },
+        blocks: {},
+    };
+
+    Json.blocks = {};
+    getBlocks(model).forEach((block, index) => {
+        if (block.known.some(Boolean)) Json.blocks[index] = bytesToHex(block.bytes);
+    });
+
+    // Older files have no SectorKeys section; it is only added to new files.
+    if (!isUltralight && (!Original || Original.SectorKeys)) Json.SectorKeys = buildSectorKeys(model, Original?.SectorKeys);
+
+    // The Proxmark client indents its JSON files with 2 spaces; keep the line ending of the original file, if any.
+    return JSON.stringify(Json, null, 2) + (Original && /\n$/.test(model.source.text) ? '\n' : '');
+}
+
+export { JsonToProxmarkJson };
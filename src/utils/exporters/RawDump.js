@@ -0,0 +1,20 @@
+/**
+ * Exporter for raw binary dumps (`.mfd`, `.bin`), the format written by `nfc-mfclassic` and by most readers.
+ * The file is simply every byte of the card, in order.
+ */
+import { getDumpLength } from './dumpBlocks';
+
+/**
+ * Serializes a parsed dump into a raw binary dump.
+ *
+ * Unknown bytes are written as 0x00, because the format cannot mark them. The unknown bytes added by the parsers
+ * to pad a short dump up to the size of the card are left out, so a short dump stays short.
+ *
+ * @param {Object} model - The parsed dump (MIFARE Classic or Ultralight/NTAG).
+ * @returns {Uint8Array} The contents of the file.
+ */
+function JsonToRawDump(model) {
+    return new Uint8Array(Array.from(model.raw || []).slice(0, getDumpLength(model)));
+}
+
+export { JsonToRawDump };
@@ -0,0 +1,77 @@
+/**
+ * Helpers shared by the exporters to walk the bytes of a parsed dump.
+ *
+ * Every exporter works on the `raw` bytes and the `known` mask of the model rather than on the parsed sectors or pages,
+ * so a dump written back to its own format keeps exactly the bytes that were imported.
+ */
+import { BLOCK_SIZE } from '../cardLayout';
+import { PAGE_SIZE } from '../UltralightDumpToJSON';
+import { bytesToHex } from '../hexString';
+
+/**
+ * Returns the size of the units a dump is made of.
+ *
+ * @param {Object} model - The parsed dump.
+ * @returns {number} 4 for the pages of an Ultralight/NTAG dump, 16 for the blocks of a MIFARE Classic dump.
+ */
+function getUnitSize(model) {
+    return model.family === 'ultralight' ? PAGE_SIZE : BLOCK_SIZE;
+}
+
+/**
+ * Splits a dump into its blocks (or pages).
+ *
+ * @param {Object} model - The parsed dump.
+ * @returns {Array<{bytes: Array<number>, known: Array<boolean>}>} The bytes of every block and whether each of them was read.
+ */
+function getBlocks(model) {
+    const size = getUnitSize(model);
+    const raw = Array.from(model.raw || []);
+    const known = Array.from(model.known || []);
+
+    const Blocks = [];
+    for (let offset = 0; offset < raw.length; offset += size) {
+        Blocks.push({
+            bytes: raw.slice(offset, offset + size),
+            known: raw.slice(offset, offset + size).map((_, index) => known[offset + index] !== 0),
+        });
+    }
+    return Blocks;
+}
+
+/**
+ * Returns the number of bytes of a dump as it was imported, before the parsers padded it up to the size of the card.
+ * The unknown bytes written in the file itself (e.g. the `--` lines of an `.eml` file) are part of it.
+ *
+ * @param {Object} model - The parsed dump.
+ * @returns {number} The number of bytes to export.
+ */
+function getDumpLength(model) {
+    const length = (model.raw || []).length;
+    return Math.min(model.dumpLength ?? length, length);
+}
+
+/**
+ * Drops the blocks added by the parsers at the end of a short dump to pad it up to the size of the card.
+ *
+ * @param {Object} model - The parsed dump.
+ * @param {Array<{bytes: Array<number>, known: Array<boolean>}>} Blocks - The blocks of the dump, as returned by `getBlocks`.
+ * @returns {Array<{bytes: Array<number>, known: Array<boolean>}>} The blocks of the imported dump, read or not.
+ */
+function trimPadding(model, Blocks) {
+    return Blocks.slice(0, Math.ceil(getDumpLength(model) / getUnitSize(model)));
+}
+
+/**
+ * Writes a block as hex, replacing the bytes that were not read with a placeholder.
+ *
+ * @param {{bytes: Array<number>, known: Array<boolean>}} block - The block to write.
+ * @param {string} unknown - The two characters written for an unknown byte (e.g. "??" or "--").
+ * @param {string} [separator] - The string written between two bytes.
+ * @returns {string} The uppercase hex representation of the block.
+ */
+function blockToHex(block, unknown, separator = '') {
+    return block.bytes.map((byte, index) => block.known[index] ? bytesToHex([byte]) : unknown).join(separator);
+}
+
+export { getUnitSize, getBlocks, getDumpLength, trimPadding, blockToHex };
@@ -0,0 +1,109 @@
+/**
+ * Registry of the dump formats MifareLab can export to.
+ *
+ * Every exporter describes one file format:
+ * - id: unique identifier of the format.
+ * - name: name shown in the save dialog.
+ * - extensions: file extensions of the format; the first one is the default.
+ * - families: card families (`family` of the parsed dump) the format can hold.
+ * - serialize: converts the parsed dump into the contents of the file (a string for text formats, a Uint8Array for binary ones).
+ *
+ * The exporters read the parsed dump as stored in sessionStorage (`fileJSON`), where byte arrays are plain Arrays.
+ */
+import { JsonToRawDump } from './RawDump';
+import { JsonToProxmarkEml } from './ProxmarkEML';
+import { JsonToFlipperNfc } from './FlipperNFC';
+import { JsonToProxmarkJson } from './ProxmarkJSON';
+
+const EXPORTERS = [];
+
+/**
+ * Adds an exporter to the registry.
+ *
+ * @param {Object} exporter - The exporter to register (see the description at the top of this file).
+ * @throws {Error} If an exporter with the same id is already registered.
+ */
+function registerExporter(exporter) {
+    if (EXPORTERS.some(registered => registered.id === exporter.id)) {
+        throw new Error(`Exporter "${exporter.id}" is already registered`);
+    }
+    EXPORTERS.push(exporter);
+}
+
+/**
+ * Returns the exporters that can write a dump, in registration order.
+ *
+ * @param {Object} model - The parsed dump.
+ * @returns {Array<Object>} The exporters supporting the family of the dump.
+ */
+function getExporters(model) {
+    return EXPORTERS.filter(exporter => exporter.families.includes(model.family));
+}
+
+/**
+ * Builds the filters of the save dialog for a dump.
+ *
+ * @param {Object} model - The parsed dump.
+ * @returns {Array<{name: string, extensions: Array<string>}>} The filters, in the format expected by Electron's `dialog.showSaveDialog`.
+ */
+function getDialogFilters(model) {
+    return getExporters(model).map(({ name, extensions }) => ({ name, extensions }));
+}
+
+/**
+ * Finds the exporter matching the extension of the file chosen in the save dialog.
+ *
+ * @param {string} path - The path of the file to write.
+ * @param {Object} model - The parsed dump.
+ * @returns {Object|null} The exporter, or `null` if no exporter of the dump uses this extension.
+ */
+function findExporter(path, model) {
+    const extension = path.split('.').pop().toLowerCase();
+    return getExporters(model).find(exporter => exporter.extensions.includes(extension)) || null;
+}
+
+/**
+ * Serializes a dump with an exporter.
+ *
+ * @param {Object} model - The parsed dump.
+ * @param {Object} exporter - The exporter to use.
+ * @returns {Uint8Array} The contents of the file; text formats are encoded as UTF-8.
+ */
+function exportFile(model, exporter) {
+    const contents = exporter.serialize(model);
+    return typeof contents === 'string' ? new TextEncoder().encode(contents) : contents;
+}
+
+registerExporter({
+    id: 'raw',
+    name: 'MIFARE Dump Files',
+    extensions: ['mfd', 'bin', 'dump'],
+    families: ['classic', 'ultralight'],
+    serialize: JsonToRawDump,
+});
+
+registerExporter({
+    id: 'proxmark-eml',
+    name: 'Proxmark3 Emulator Files',
+    extensions: ['eml'],
+    families: ['classic', 'ultralight'],
+    serialize: JsonToProxmarkEml,
+});
+
+registerExporter({
+    id: 'flipper-nfc',
+    name: 'Flipper Zero NFC Files',
+    extensions: ['nfc'],
+    families: ['classic', 'ultralight'],
+    serialize: JsonToFlipperNfc,
+});
+
+registerExporter({
+    id: 'proxmark-json',
+    name: 'Proxmark3 JSON Dumps',
+    extensions: ['json'],
+    families: ['classic', 'ultralight'],
+    serialize: JsonToProxmarkJson,
+});
+
+export { registerExporter, getExporters, getDialogFilters, findExporter, exportFile };
@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import { readInput, importFile } from '../importers';
+import { convertUint8ToArray } from '../convertUint8ToArray';
+import { getDialogFilters, findExporter, exportFile } from './index';
+
+const TRAILER = 'FFFFFFFFFFFFFF078069FFFFFFFFFFFF';
+const MANUFACTURER = 'B5A9C3E2BF0804006263646566676869';
+
+/**
+ * Lists the blocks of a MIFARE Classic 1K card with a few data bytes
+ * @returns {Array<string>} The 64 blocks, as 32 hex characters each
+ */
+function buildBlocks() {
+    return Array.from({ length: 64 }, (_, block) => {
+        if (block === 0) return MANUFACTURER;
+        if (block % 4 === 3) return TRAILER;
+        return block === 5 ? '00112233445566778899AABBCCDDEEFF' : '00'.repeat(16);
+    });
+}
+
+/**
+ * Imports a file and stores the dump as HotBar does, going through JSON like sessionStorage does
+ * @param {string} path - The path of the file
+ * @param {string|Array<number>} contents - The text of the file, or its bytes
+ * @returns {Object} The parsed dump, with its byte arrays as plain Arrays
+ */
+function load(path, contents) {
+    const Bytes = typeof contents === 'string' ? Array.from(new TextEncoder().encode(contents)) : contents;
+    const Hex = Bytes.map(byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+    return JSON.parse(JSON.stringify(convertUint8ToArray(importFile(readInput(path, Hex)).json)));
+}
+
+/**
+ * Exports a dump to the format matching a file name
+ * @param {Object} model - The parsed dump
+ * @param {string} path - The path of the file to write
+ * @returns {string} The contents of the file, decoded as UTF-8
+ */
+function save(model, path) {
+    return new TextDecoder().decode(exportFile(model, findExporter(path, model)));
+}
+
+describe('round trip', () => {
+    it('writes a .mfd file back byte for byte', () => {
+        const Bytes = buildBlocks().flatMap(block => block.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+        const Model = load('card.mfd', Bytes);
+        expect(Array.from(exportFile(Model, findExporter('copy.mfd', Model)))).toEqual(Bytes);
+    });
+
+    it('writes an .eml file back line for line, unknown bytes included', () => {
+        const Blocks = buildBlocks();
+        Blocks[6] = '0011----44556677----------------';
+        const Text = Blocks.map(block => block + '\n').join('');
+        expect(save(load('card.eml', Text), 'copy.eml')).toBe(Text);
+    });
+
+    it('writes a .nfc file back with the fields it does not parse', () => {
+        const Text = [
+            'Filetype: Flipper NFC device',
+            'Version: 4',
+            '# Device type can be ISO14443-3A, ISO14443-3B, ISO14443-4A, ISO14443-4B, ISO15693-3, FeliCa, NTAG/Ultralight, Mifare Classic, Mifare Plus, Mifare DESFire, SLIX, ST25TB, EMV',
+            'Device type: Mifare Classic',
+            'UID: B5 A9 C3 E2',
+            'ATQA: 00 04',
+            'SAK: 08',
+            'Mifare Classic type: 1K',
+            'Data format version: 2',
+            ...buildBlocks().map((block, index) => `Block ${index}: ${index === 9 ? '?? '.repeat(16).trim() : block.match(/.{2}/g).join(' ')}`),
+            'Custom field: kept',
+            '',
+        ].join('\n');
+        expect(save(load('card.nfc', Text), 'copy.nfc')).toBe(Text);
+    });
+
+    it('writes a Proxmark3 JSON dump back with the fields it does not parse', () => {
+        const Dump = {
+            Created: 'proxmark3',
+            FileType: 'mfc v2',
+            Card: { UID: 'B5A9C3E2', ATQA: '0400', SAK: '08', SIGNATURE: '00'.repeat(32) },
+            blocks: Object.fromEntries(buildBlocks().map((block, index) => [index, block])),
+            SectorKeys: Object.fromEntries(Array.from({ length: 16 }, (_, sector) => [sector, {
+                KeyA: 'FFFFFFFFFFFF',
+                KeyB: 'FFFFFFFFFFFF',
+                AccessConditions: 'FF078069',
+                AccessConditionsText: { block: 'read AB' },
+            }])),
+        };
+        const Text = JSON.stringify(Dump, null, 2) + '\n';
+        expect(save(load('card.json', Text), 'copy.json')).toBe(Text);
+    });
+
+    it('keeps unknown bytes unknown when converting between formats', () => {
+        const Blocks = buildBlocks();
+        Blocks[6] = '0011----44556677----------------';
+        const Model = load('card.eml', Blocks.map(block => block + '\n').join(''));
+        const Copy = load('copy.nfc', save(Model, 'copy.nfc'));
+
+        expect(Copy.raw).toEqual(Model.raw);
+        expect(Copy.known).toEqual(Model.known);
+    });
+});
+
+describe('round trip of a dump ending with unread blocks', () => {
+    // The last sector could not be read
+    const Blocks = buildBlocks().map((block, index) => index >= 60 ? null : block);
+
+    it('keeps a short .mfd file short', () => {
+        const Bytes = buildBlocks().slice(0, 32).flatMap(block => block.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+        const Model = load('card.mfd', Bytes);
+        expect(Model.raw).toHaveLength(1024);
+        expect(Array.from(exportFile(Model, findExporter('copy.mfd', Model)))).toEqual(Bytes);
+    });
+
+    it('keeps the unread blocks at the end of an .eml file', () => {
+        const Text = Blocks.map(block => (block ?? '-'.repeat(32)) + '\n').join('');
+        expect(save(load('card.eml', Text), 'copy.eml')).toBe(Text);
+    });
+
+    it('keeps the unread pages at the end of an Ultralight .eml file', () => {
+        const Pages = ['04A1B2BF', 'C3D4E5F6', 'A4480000', 'E1101200', ...Array(41).fill('00000000')];
+        const Text = [...Pages.slice(0, 40), ...Array(5).fill('-'.repeat(8))].map(page => page + '\n').join('');
+        expect(save(load('card.eml', Text), 'copy.eml')).toBe(Text);
+    });
+
+    it('keeps the unread blocks at the end of a .nfc file', () => {
+        const Text = [
+            'Filetype: Flipper NFC device',
+            'Version: 4',
+            'Device type: Mifare Classic',
+            'UID: B5 A9 C3 E2',
+            'ATQA: 00 04',
+            'SAK: 08',
+            'Mifare Classic type: 1K',
+            'Data format version: 2',
+            ...Blocks.map((block, index) => `Block ${index}: ${block ? block.match(/.{2}/g).join(' ') : '?? '.repeat(16).trim()}`),
+            '',
+        ].join('\n');
+        expect(save(load('card.nfc', Text), 'copy.nfc')).toBe(Text);
+    });
+
+    it('leaves the unread blocks out of a Proxmark3 JSON dump', () => {
+        const Dump = {
+            Created: 'proxmark3',
+            FileType: 'mfc v2',
+            Card: { UID: 'B5A9C3E2', ATQA: '0400', SAK: '08' },
+            blocks: Object.fromEntries(Blocks.slice(0, 60).map((block, index) => [index, block])),
+        };
+        const Text = JSON.stringify(Dump, null, 2) + '\n';
+        expect(save(load('card.json', Text), 'copy.json')).toBe(Text);
+    });
+});
+
+describe('findExporter', () => {
+    it('picks the exporter from the extension of the file', () => {
+        const Model = { family: 'classic' };
+        expect(findExporter('card.EML', Model).id).toBe('proxmark-eml');
+        expect(findExporter('card.txt', Model)).toBeNull();
+        expect(getDialogFilters(Model).map(({ extensions }) => extensions[0])).toEqual(['mfd', 'eml', 'nfc', 'json']);
+    });
+});
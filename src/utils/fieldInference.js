@@ -0,0 +1,378 @@
+/**
+ * Inference of the fields of a card from a series of its dumps (see dumpSeries.js).
+ *
+ * The bytes of the series are searched for the fields that usually sit on transport, vending and access cards:
+ * - "Counter": a little or big-endian number that never decreases and increased at least twice;
+ * - "Balance": a number whose changes match the transactions the user entered for the dumps, in some unit (cents...);
+ * - "Date": a packed date that never goes back and stays close to the time of the dump files
+ *   (days since 1970 or 2000, Unix time, DOS date and date/time, BCD dates);
+ * - "Checksum": a byte that changes whenever anything else in its block changes, and only then.
+ *
+ * Every hypothesis is a candidate `{ id, kind, offset, length, params }` for the UI to show and the user to accept or not.
+ * Fields are searched inside 16-byte blocks, the read unit of both families (4 pages on Ultralight cards). The manufacturer
+ * block, the sector trailers (keys and access bits) and the first pages of Ultralight cards (UID, lock bytes, OTP) are skipped;
+ * a value block is a single field, its signed 32-bit value. Bytes that were not read are never compared.
+ */
+import { BLOCK_SIZE, getSectorLayout } from './cardLayout';
+import { decodeValueBlock } from './valueBlock';
+
+// Widths of the numbers searched, in bytes, and the byte orders
+const WIDTHS = [1, 2, 3, 4];
+const ENDIANS = ['little', 'big'];
+
+// Units a balance can be stored in, in fractions of the amounts entered by the user
+const SCALES = [1, 10, 100, 1000];
+
+// Number of increments (or matching changes of the block) needed before a counter (or checksum) is proposed
+const MIN_CHANGES = 2;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Dates further than this from the time of the dump file are not taken as dates
+const DATE_WINDOW = { before: 5 * 365 * DAY, after: 2 * 365 * DAY };
+
+// Checksums of the other bytes of the block that are recognised by name
+const CHECKSUM_ALGORITHMS = {
+    Xor: bytes => bytes.reduce((result, byte) => result ^ byte, 0),
+    Sum: bytes => bytes.reduce((result, byte) => result + byte, 0) & 0xFF,
+    SumComplement: bytes => (0x100 - (bytes.reduce((result, byte) => result + byte, 0) & 0xFF)) & 0xFF,
+};
+
+/**
+ * Builds a UTC date, if it exists.
+ *
+ * @param {number} year - The year.
+ * @param {number} month - The month (1-12).
+ * @param {number} day - The day of the month.
+ * @param {number} [seconds] - The time of the day, in seconds.
+ * @returns {number|null} The timestamp in milliseconds, or `null` if the date does not exist.
+ */
+function makeDate(year, month, day, seconds = 0) {
+    if (month < 1 || month > 12 || day < 1) return null;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCDate() === day ? date.getTime() + seconds * 1000 : null;
+}
+
+/**
+ * Decodes a DOS date: year since 1980 on 7 bits, month on 4 bits, day on 5 bits.
+ *
+ * @param {number} value - The 16-bit date.
+ * @returns {number|null} The timestamp in milliseconds, or `null` if the date does not exist.
+ */
+function decodeDosDate(value) {
+    return makeDate(1980 + (value >> 9), (value >> 5) & 0x0F, value & 0x1F);
+}
+
+/**
+ * Decodes a DOS timestamp: the DOS date in the high 16 bits, the time (hours, minutes, seconds / 2) in the low 16 bits.
+ *
+ * @param {number} value - The 32-bit timestamp.
+ * @returns {number|null} The timestamp in milliseconds, or `null` if the date or the time does not exist.
+ */
+function decodeDosDateTime(value) {
+    const time = value % 0x10000;
+    const [hours, minutes, seconds] = [time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2];
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+    const date = decodeDosDate(Math.floor(value / 0x10000));
+    return date === null ? null : date + (hours * 3600 + minutes * 60 + seconds) * 1000;
+}
+
+/**
+ * Decodes a BCD date of 3 bytes (years since 2000, month, day), in the given order.
+ *
+ * @param {Array<number>} bytes - The 3 bytes.
+ * @param {Array<number>} order - The positions of the year, the month and the day.
+ * @returns {number|null} The timestamp in milliseconds, or `null` if a byte is not BCD or the date does not exist.
+ */
+function decodeBcdDate(bytes, order) {
+    if (bytes.some(byte => (byte >> 4) > 9 || (byte & 0x0F) > 9)) return null;
+    const [year, month, day] = order.map(index => (bytes[index] >> 4) * 10 + (bytes[index] & 0x0F));
+    return makeDate(2000 + year, month, day);
+}
+
+// Packed dates searched; numeric formats are read in both byte orders, the others from their bytes
+const DATE_FORMATS = [
+    { format: 'DaysSince1970', length: 2, numeric: true, decode: value => value * DAY },
+    { format: 'DaysSince2000', length: 2, numeric: true, decode: value => Date.UTC(2000, 0, 1) + value * DAY },
+    { format: 'UnixTime', length: 4, numeric: true, decode: value => value * 1000 },
+    { format: 'DosDate', length: 2, numeric: true, decode: decodeDosDate },
+    { format: 'DosDateTime', length: 4, numeric: true, decode: decodeDosDateTime },
+    { format: 'BcdDate', length: 3, numeric: false, decode: bytes => decodeBcdDate(bytes, [0, 1, 2]) },
+    { format: 'BcdDateReversed', length: 3, numeric: false, decode: bytes => decodeBcdDate(bytes, [2, 1, 0]) },
+];
+
+/**
+ * Reads some bytes of a dump, if they were all read.
+ *
+ * @param {Object} entry - The entry of the dump in the series.
+ * @param {number} offset - The offset of the first byte.
+ * @param {number} length - The number of bytes.
+ * @returns {Array<number>|null} The bytes, or `null` if some of them are unknown.
+ */
+function readBytes(entry, offset, length) {
+    const Bytes = entry.raw.slice(offset, offset + length);
+    if (Bytes.length < length || entry.known.slice(offset, offset + length).some(known => !known)) return null;
+    return Bytes;
+}
+
+/**
+ * Reads an unsigned number from its bytes.
+ *
+ * @param {Array<number>} bytes - The bytes of the number.
+ * @param {string} endian - "little" or "big".
+ * @returns {number} The number.
+ */
+function readNumber(bytes, endian) {
+    const Ordered = endian === 'little' ? [...bytes].reverse() : bytes;
+    return Ordered.reduce((value, byte) => value * 0x100 + byte, 0);
+}
+
+/**
+ * Lists the blocks of a card where fields are searched.
+ *
+ * @param {Array<Object>} entries - The entries of the series, all of the same card variant.
+ * @returns {Array<{offset: number, isValue: boolean}>} The offset of every block, and whether it is a value block in every dump that read it.
+ */
+function getSearchedBlocks(entries) {
+    const { family, cardType, raw } = entries[0];
+
+    let Blocks;
+    if (family === 'ultralight') {
+        // Pages 0-3 hold the UID, the lock bytes and the OTP area
+        Blocks = Array.from({ length: Math.ceil(raw.length / BLOCK_SIZE) - 1 }, (_, index) => (index + 1) * BLOCK_SIZE);
+    } else {
+        Blocks = getSectorLayout(cardType).flatMap(({ firstBlock, blockCount }) =>
+            Array.from({ length: blockCount - 1 }, (_, index) => (firstBlock + index) * BLOCK_SIZE)
+        ).filter(offset => offset > 0 && offset < raw.length);
+    }
+
+    return Blocks.map((offset) => {
+        const Read = entries.map(entry => readBytes(entry, offset, BLOCK_SIZE)).filter(Boolean);
+        const isValue = family !== 'ultralight' && Read.length > 0 && Read.every(block => decodeValueBlock(block).valid);
+        return { offset, isValue };
+    });
+}
+
+/**
+ * Counts the changes of a series of numbers, between consecutive values that are both known.
+ *
+ * @param {Array<number|null>} values - The values, in order (`null` where unknown).
+ * @returns {Array<{index: number, delta: number}>} The changes: the index of the later value, and the difference.
+ */
+function getDeltas(values) {
+    const Deltas = [];
+    for (let index = 1; index < values.length; index++) {
+        if (values[index - 1] === null || values[index] === null) continue;
+        Deltas.push({ index, delta: values[index] - values[index - 1] });
+    }
+    return Deltas;
+}
+
+/**
+ * Tests whether a series of numbers looks like a counter.
+ *
+ * @param {Array<number|null>} values - The values, in order.
+ * @returns {Object|null} The params of the candidate (first and last value, number of increments), or `null`.
+ */
+function testCounter(values) {
+    const Deltas = getDeltas(values);
+    const increments = Deltas.filter(({ delta }) => delta > 0).length;
+    if (increments < MIN_CHANGES || Deltas.some(({ delta }) => delta < 0)) return null;
+
+    const Known = values.filter(value => value !== null);
+    return { first: Known[0], last: Known[Known.length - 1], changes: increments };
+}
+
+/**
+ * Tests whether a series of numbers follows the transactions entered for the dumps.
+ *
+ * @param {Array<number|null>} values - The values, in order.
+ * @param {Array<number|null>} transactions - The amount of the transaction made before every dump (`null` if not entered).
+ * @returns {Object|null} The params of the candidate (scale of the unit, first and last value, number of matching transactions), or `null`.
+ */
+function testBalance(values, transactions) {
+    const Checked = getDeltas(values).filter(({ index }) => typeof transactions[index] === 'number');
+    if (!Checked.some(({ index }) => transactions[index] !== 0)) return null;
+
+    const scale = SCALES.find(scale => Checked.every(({ index, delta }) => delta === Math.round(transactions[index] * scale)));
+    if (scale === undefined) return null;
+
+    const Known = values.filter(value => value !== null);
+    return { scale, first: Known[0], last: Known[Known.length - 1], changes: Checked.filter(({ index }) => transactions[index] !== 0).length };
+}
+
+/**
+ * Tests whether a series of decoded dates looks like a date field.
+ *
+ * @param {Array<number|null|undefined>} dates - The decoded dates, in order: `null` where unknown, `undefined` where the bytes are not a date.
+ * @param {Array<Object>} entries - The entries of the series, for the time of their files.
+ * @returns {Object|null} The params of the candidate (first and last date), or `null`.
+ */
+function testDate(dates, entries) {
+    if (dates.includes(undefined)) return null;
+    const isNearFile = (date, index) => date === null || (date >= entries[index].modified - DATE_WINDOW.before && date <= entries[index].modified + DATE_WINDOW.after);
+    if (!dates.every(isNearFile)) return null;
+
+    const Deltas = getDeltas(dates);
+    if (!Deltas.some(({ delta }) => delta > 0) || Deltas.some(({ delta }) => delta < 0)) return null;
+
+    const Known = dates.filter(date => date !== null);
+    return { first: Known[0], last: Known[Known.length - 1], changes: Deltas.filter(({ delta }) => delta > 0).length };
+}
+
+/**
+ * Searches the numbers of a block: counters and balances in every width and byte order. For every least significant byte
+ * and byte order, only the narrowest number that passes is kept, so that the unused high bytes of a counter are not added to it.
+ *
+ * @param {Array<Object>} entries - The entries of the series.
+ * @param {number} blockOffset - The offset of the block.
+ * @param {Function} test - Tests a series of numbers (see testCounter, testBalance).
+ * @param {string} kind - The kind of the candidates.
+ * @returns {Array<Object>} The candidates.
+ */
+function findNumbers(entries, blockOffset, test, kind) {
+    const Candidates = [];
+    for (let lsb = blockOffset; lsb < blockOffset + BLOCK_SIZE; lsb++) {
+        // The least significant byte of a number changes with it
+        if (!getDeltas(entries.map(entry => readBytes(entry, lsb, 1)?.[0] ?? null)).some(({ delta }) => delta)) continue;
+
+        const readValues = (offset, length, endian) => entries.map((entry) => {
+            const Bytes = readBytes(entry, offset, length);
+            return Bytes ? readNumber(Bytes, endian) : null;
+        });
+
+        // A single byte has no byte order, and a number that fits in it is not searched in wider ones
+        const Single = test(readValues(lsb, 1, null));
+        if (Single) {
+            Candidates.push({ kind, offset: lsb, length: 1, params: { endian: null, ...Single } });
+            continue;
+        }
+
+        ENDIANS.forEach((endian) => {
+            for (const length of WIDTHS.slice(1)) {
+                const offset = endian === 'little' ? lsb : lsb - length + 1;
+                if (offset < blockOffset || offset + length > blockOffset + BLOCK_SIZE) break;
+
+                const Params = test(readValues(offset, length, endian));
+                if (!Params) continue;
+
+                Candidates.push({ kind, offset, length, params: { endian, ...Params } });
+                break;
+            }
+        });
+    }
+    return Candidates;
+}
+
+/**
+ * Searches the packed dates of a block, in every format and byte order.
+ *
+ * @param {Array<Object>} entries - The entries of the series.
+ * @param {number} blockOffset - The offset of the block.
+ * @returns {Array<Object>} The candidates.
+ */
+function findDates(entries, blockOffset) {
+    const Candidates = [];
+    DATE_FORMATS.forEach(({ format, length, numeric, decode }) => {
+        (numeric ? ENDIANS : [null]).forEach((endian) => {
+            for (let offset = blockOffset; offset + length <= blockOffset + BLOCK_SIZE; offset++) {
+                const Dates = entries.map((entry) => {
+                    const Bytes = readBytes(entry, offset, length);
+                    if (!Bytes) return null;
+                    return decode(numeric ? readNumber(Bytes, endian) : Bytes) ?? undefined;
+                });
+                const Params = testDate(Dates, entries);
+                if (Params) Candidates.push({ kind: 'Date', offset, length, params: { format, endian, ...Params } });
+            }
+        });
+    });
+    return Candidates;
+}
+
+/**
+ * Searches the checksum bytes of a block: bytes that change in every pair of dumps where the rest of the block changes,
+ * and in no other. The checksums of the other bytes that match in every dump are named.
+ *
+ * @param {Array<Object>} entries - The entries of the series.
+ * @param {number} blockOffset - The offset of the block.
+ * @param {Set<number>} explained - The offsets of the bytes already taken by other candidates, which are not searched.
+ * @returns {Array<Object>} The candidates.
+ */
+function findChecksums(entries, blockOffset, explained) {
+    const Blocks = entries.map(entry => readBytes(entry, blockOffset, BLOCK_SIZE));
+    const Candidates = [];
+
+    for (let position = 0; position < BLOCK_SIZE; position++) {
+        if (explained.has(blockOffset + position)) continue;
+
+        const rest = block => block.filter((_, index) => index !== position);
+        let changes = 0;
+        let isChecksum = true;
+        for (let index = 1; index < Blocks.length && isChecksum; index++) {
+            const [Previous, Current] = [Blocks[index - 1], Blocks[index]];
+            if (!Previous || !Current) continue;
+
+            const restChanged = rest(Previous).some((byte, restIndex) => byte !== rest(Current)[restIndex]);
+            const byteChanged = Previous[position] !== Current[position];
+            if (restChanged !== byteChanged) isChecksum = false;
+            if (restChanged) changes++;
+        }
+        if (!isChecksum || changes < MIN_CHANGES) continue;
+
+        const Read = Blocks.filter(Boolean);
+        const algorithm = Object.keys(CHECKSUM_ALGORITHMS).find(name => Read.every(block => CHECKSUM_ALGORITHMS[name](rest(block)) === block[position])) ?? null;
+        Candidates.push({ kind: 'Checksum', offset: blockOffset + position, length: 1, params: { algorithm, changes } });
+    }
+    return Candidates;
+}
+
+/**
+ * Proposes the fields of a card from a series of its dumps.
+ *
+ * @param {Array<Object>} entries - The entries of the series, in order, all of the same card variant (see checkEntry).
+ *        An entry can hold a `transaction`: the amount of the transaction made between the previous dump and this one.
+ * @returns {Array<{id: string, kind: string, offset: number, length: number, params: Object}>} The candidates, sorted by offset:
+ *          - "Counter" (endian, first, last, changes) and "Balance" (endian, scale, first, last, changes): `endian` is "little",
+ *            "big", or `null` for a single byte; the value of a value block is flagged with `valueBlock`;
+ *          - "Date" (format, endian, first, last, changes), with the dates as timestamps in milliseconds;
+ *          - "Checksum" (algorithm, changes), with the name of the algorithm if one matches (see CHECKSUM_ALGORITHMS).
+ *          Numbers that overlap a balance or a date are not proposed as counters.
+ */
+function inferFields(entries) {
+    if (entries.length < 2) return [];
+
+    const Transactions = entries.map(entry => typeof entry.transaction === 'number' ? entry.transaction : null);
+    const Candidates = [];
+
+    getSearchedBlocks(entries).forEach(({ offset, isValue }) => {
+        if (isValue) {
+            // The value is stored three times; only its signed value is a field
+            const Values = entries.map((entry) => {
+                const Bytes = readBytes(entry, offset, BLOCK_SIZE);
+                return Bytes ? decodeValueBlock(Bytes).value : null;
+            });
+            const Balance = testBalance(Values, Transactions);
+            const Counter = Balance ? null : testCounter(Values);
+            if (Balance || Counter) {
+                Candidates.push({ kind: Balance ? 'Balance' : 'Counter', offset, length: 4, params: { endian: 'little', valueBlock: true, ...(Balance ?? Counter) } });
+            }
+            return;
+        }
+
+        const Balances = findNumbers(entries, offset, values => testBalance(values, Transactions), 'Balance');
+        const Dates = findDates(entries, offset);
+        const isTaken = ({ offset: start, length }) => [...Balances, ...Dates].some(other => start < other.offset + other.length && other.offset < start + length);
+        const Counters = findNumbers(entries, offset, testCounter, 'Counter').filter(candidate => !isTaken(candidate));
+
+        const Numbers = [...Balances, ...Dates, ...Counters];
+        const Explained = new Set(Numbers.flatMap(({ offset: start, length }) => Array.from({ length }, (_, index) => start + index)));
+        Candidates.push(...Numbers, ...findChecksums(entries, offset, Explained));
+    });
+
+    return Candidates
+        .map(candidate => ({ id: [candidate.kind, candidate.params.format, candidate.offset, candidate.length, candidate.params.endian].filter(part => part != null).join('-'), ...candidate }))
+        .sort((a, b) => a.offset - b.offset || a.length - b.length);
+}
+
+export { inferFields };
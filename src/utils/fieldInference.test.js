@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { inferFields } from './fieldInference';
+import { encodeValueBlock } from './valueBlock';
+
+/**
+ * Creates the entry of a MIFARE Classic 1K dump in a series
+ * @param {Object<number, Array<number>>} blocks - The bytes to write, by offset
+ * @param {number|null} transaction - The amount of the transaction made before the dump
+ * @returns {Object} The entry
+ */
+function entry(blocks, transaction = null) {
+    const Raw = new Array(1024).fill(0);
+    Object.entries(blocks).forEach(([offset, bytes]) => bytes.forEach((byte, index) => Raw[Number(offset) + index] = byte));
+    return { family: 'classic', cardType: '1K', raw: Raw, known: new Array(1024).fill(1), modified: Date.UTC(2024, 0, 1), transaction };
+}
+
+describe('inferFields', () => {
+    it('needs at least two dumps', () => {
+        expect(inferFields([entry({})])).toEqual([]);
+    });
+
+    it('proposes a counter and a balance that follows the transactions', () => {
+        // Block 1 counts 1, 2, 3; block 2 holds 1000, 700, 400 cents (little-endian) after two transactions of -3
+        const Entries = [
+            entry({ 16: [1], 32: [0xE8, 0x03] }),
+            entry({ 16: [2], 32: [0xBC, 0x02] }, -3),
+            entry({ 16: [3], 32: [0x90, 0x01] }, -3),
+        ];
+        expect(inferFields(Entries)).toEqual([
+            { id: 'Counter-16-1', kind: 'Counter', offset: 16, length: 1, params: { endian: null, first: 1, last: 3, changes: 2 } },
+            { id: 'Balance-32-2-little', kind: 'Balance', offset: 32, length: 2, params: { endian: 'little', scale: 100, first: 1000, last: 400, changes: 2 } },
+        ]);
+    });
+
+    it('takes the value of a value block as a single field', () => {
+        const Entries = [10, 8, 6].map((value, index) => entry({ 64: encodeValueBlock(value, 4) }, index ? -2 : null));
+        expect(inferFields(Entries)).toEqual([
+            { id: 'Balance-64-4-little', kind: 'Balance', offset: 64, length: 4, params: { endian: 'little', valueBlock: true, scale: 1, first: 10, last: 6, changes: 2 } },
+        ]);
+    });
+});
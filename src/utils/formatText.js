@@ -0,0 +1,16 @@
+/**
+ * Fills the placeholders of a localized string.
+ *
+ * @param {string} template - The string with `{name}` placeholders, usually taken from a language file.
+ * @param {Object} values - The values to insert, indexed by placeholder name.
+ * @returns {string} The string with every known placeholder replaced.
+ *
+ * @example
+ * formatText('Locked pages: {pages}', { pages: '4, 5' });
+ * // 'Locked pages: 4, 5'
+ */
+function formatText(template, values = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+export { formatText };
@@ -0,0 +1,12 @@
+import { describe, it, expect } from 'vitest';
+import { formatText } from './formatText';
+
+describe('formatText', () => {
+    it('fills the placeholders with their values', () => {
+        expect(formatText('Locked pages: {pages} of {total}', { pages: '4, 5', total: 45 })).toBe('Locked pages: 4, 5 of 45');
+    });
+
+    it('leaves unknown placeholders as they are', () => {
+        expect(formatText('Sector {sector}, block {block}', { sector: 0 })).toBe('Sector 0, block {block}');
+    });
+});
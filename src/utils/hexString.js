@@ -0,0 +1,38 @@
+/**
+ * Helpers to move between the hex strings exchanged with the Electron process and raw bytes or text.
+ *
+ * The `read-file` IPC handler always returns the file contents as space-separated uppercase hex bytes,
+ * so text-based dump formats have to be decoded back to text in the renderer.
+ */
+
+/**
+ * Converts a hex string into an array of bytes.
+ *
+ * @param {string} hex - The hexadecimal string (whitespace is ignored).
+ * @returns {Array<number>} The decoded bytes.
+ */
+function hexToBytes(hex) {
+    return (hex.replace(/\s/g, '').match(/.{1,2}/g) || []).map(byte => parseInt(byte, 16));
+}
+
+/**
+ * Converts an array of bytes into an uppercase hex string without separators.
+ *
+ * @param {Array<number>|Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The hexadecimal representation, two characters per byte.
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Decodes a hex string holding the bytes of a text file.
+ *
+ * @param {string} hex - The hexadecimal string returned by the `read-file` IPC handler.
+ * @returns {string} The file contents decoded as UTF-8.
+ */
+function hexToText(hex) {
+    return new TextDecoder('utf-8').decode(new Uint8Array(hexToBytes(hex)));
+}
+
+export { hexToBytes, bytesToHex, hexToText };
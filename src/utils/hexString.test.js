@@ -0,0 +1,13 @@
+import { describe, it, expect } from 'vitest';
+import { hexToBytes, bytesToHex, hexToText } from './hexString';
+
+describe('hexString', () => {
+    it('converts hex strings to bytes and back', () => {
+        expect(hexToBytes('de AD\nbe EF')).toEqual([0xDE, 0xAD, 0xBE, 0xEF]);
+        expect(bytesToHex(new Uint8Array([0x00, 0x0F, 0xA0]))).toBe('000FA0');
+    });
+
+    it('decodes the bytes of a text file as UTF-8', () => {
+        expect(hexToText('48 C3 A9 0A')).toBe('Hé\n');
+    });
+});
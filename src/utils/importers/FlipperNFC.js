@@ -0,0 +1,112 @@
+/**
+ * Importer for the `.nfc` text files saved by the Flipper Zero.
+ *
+ * Example of a MIFARE Classic file:
+ *     Filetype: Flipper NFC device
+ *     Version: 4
+ *     Device type: Mifare Classic
+ *     UID: B5 A9 C3 E2
+ *     ATQA: 00 04
+ *     SAK: 08
+ *     Mifare Classic type: 1K
+ *     Block 0: B5 A9 C3 E2 BF 08 04 00 62 63 64 65 66 67 68 69
+ *     Block 1: ?? ?? ?? ?? ?? ?? ?? ?? ?? ?? ?? ?? ?? ?? ?? ??
+ *
+ * Ultralight/NTAG files list `Page N: xx xx xx xx` lines instead of blocks.
+ * Bytes the Flipper could not read are written as `??` and are kept as unknown bytes in the parsed model.
+ */
+import { DumpToJson } from '../NFCDumptoJSON';
+import { UltralightDumpToJson } from '../UltralightDumpToJSON';
+import { CARD_TYPES } from '../cardLayout';
+import { hexToBytes } from '../hexString';
+
+/**
+ * Checks whether a text file is a Flipper Zero NFC file.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {boolean} `true` if the file can be parsed by `FlipperNfcToJson`.
+ */
+function isFlipperNfc(text) {
+    return /^Filetype:\s*Flipper NFC device\s*$/m.test(text);
+}
+
+/**
+ * Reads the `Key: value` lines of a Flipper Zero NFC file.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {{Header: Object, Blocks: Object, Pages: Object}} The header fields and the block/page lines, indexed by number.
+ */
+function readFlipperLines(text) {
+    const Header = {};
+    const Blocks = {};
+    const Pages = {};
+
+    text.split(/\r?\n/).forEach((line) => {
+        // Skip comments and empty lines.
+        const Match = line.match(/^([^#:][^:]*):\s*(.*)$/);
+        if (!Match) return;
+
+        const key = Match[1].trim();
+        const value = Match[2].trim();
+
+        const Block = key.match(/^Block (\d+)$/);
+        const Page = key.match(/^Page (\d+)$/);
+        if (Block) Blocks[Number(Block[1])] = value;
+        else if (Page) Pages[Number(Page[1])] = value;
+        else Header[key] = value;
+    });
+
+    return { Header, Blocks, Pages };
+}
+
+/**
+ * Parses a Flipper Zero NFC file into the model produced by `DumpToJson` (or `UltralightDumpToJson` for Ultralight/NTAG files).
+ * Blocks or pages missing from the file are filled with unknown bytes, so the following ones keep their position.
+ *
+ * The original file is kept in `source`, so that exporting the dump back to a `.nfc` file preserves the fields MifareLab does not parse.
+ *
+ * @param {string} text - The contents of the `.nfc` file.
+ * @returns {Object|null} The parsed dump, or `null` if the file does not contain MIFARE Classic or Ultralight data.
+ *
+ * @property {Object} source - The file the dump was imported from.
+ * @property {string} source.format - Always "flipper-nfc".
+ * @property {string} source.text - The contents of the file.
+ */
+function FlipperNfcToJson(text) {
+    if (!isFlipperNfc(text)) return null;
+
+    const { Header, Blocks, Pages } = readFlipperLines(text);
+
+    // Ultralight/NTAG: write the pages out in order, up to the number of pages of the card.
+    if (Object.keys(Pages).length > 0) {
+        const pageCount = Math.max(Number(Header['Pages total']) || 0, ...Object.keys(Pages).map(n => Number(n) + 1));
+        let HexString = '';
+        for (let i = 0; i < pageCount; i++) {
+            HexString += Pages[i] ?? '?? ?? ?? ??';
+        }
+        return { ...UltralightDumpToJson(HexString), source: { format: 'flipper-nfc', text } };
+    }
+
+    if (Object.keys(Blocks).length === 0) return null;
+
+    // MIFARE Classic: the number of blocks follows from the card type (MINI, 1K or 4K).
+    const typeName = (Header['Mifare Classic type'] || '').toUpperCase();
+    const cardType = Object.keys(CARD_TYPES).find(type => type.toUpperCase() === typeName);
+    const blockCount = Math.max(cardType ? CARD_TYPES[cardType].size / 16 : 0, ...Object.keys(Blocks).map(n => Number(n) + 1));
+
+    let HexString = '';
+    for (let i = 0; i < blockCount; i++) {
+        HexString += Blocks[i] ?? '?? '.repeat(16);
+    }
+
+    const FileJSON = DumpToJson(HexString, {
+        uid: Header['UID'] ? hexToBytes(Header['UID']) : undefined,
+        // The Flipper writes the ATQA most significant byte first, while the manufacturer block stores it the other way round.
+        atqa: Header['ATQA'] ? hexToBytes(Header['ATQA']).reverse() : undefined,
+        sak: Header['SAK'] ? parseInt(Header['SAK'], 16) : undefined,
+    });
+
+    return { ...FileJSON, source: { format: 'flipper-nfc', text } };
+}
+
+export { isFlipperNfc, FlipperNfcToJson };
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { isFlipperNfc, FlipperNfcToJson } from './FlipperNFC';
+
+/**
+ * Builds the .nfc file of a MIFARE Classic 1K card whose sector 1 could not be read
+ * @returns {string} The contents of the file
+ */
+function buildClassicFile() {
+    const Lines = [
+        'Filetype: Flipper NFC device',
+        'Version: 4',
+        '# Comments are ignored',
+        'Device type: Mifare Classic',
+        'UID: B5 A9 C3 E2',
+        'ATQA: 00 04',
+        'SAK: 08',
+        'Mifare Classic type: 1K',
+    ];
+    for (let block = 0; block < 64; block++) {
+        let bytes = block % 4 === 3 ? 'FF FF FF FF FF FF FF 07 80 69 FF FF FF FF FF FF' : '00 '.repeat(16).trim();
+        if (block === 0) bytes = 'B5 A9 C3 E2 BF 08 04 00 62 63 64 65 66 67 68 69';
+        if (block >= 4 && block < 8) bytes = '?? '.repeat(16).trim();
+        Lines.push(`Block ${block}: ${bytes}`);
+    }
+    return Lines.join('\n');
+}
+
+describe('isFlipperNfc', () => {
+    it('recognises the file type line', () => {
+        expect(isFlipperNfc(buildClassicFile())).toBe(true);
+        expect(isFlipperNfc('Filetype: Flipper SubGhz Key File')).toBe(false);
+    });
+});
+
+describe('FlipperNfcToJson', () => {
+    it('parses the blocks of a MIFARE Classic file and keeps unread bytes unknown', () => {
+        const Json = FlipperNfcToJson(buildClassicFile());
+        expect(Json.cardType).toBe('1K');
+        expect(Array.from(Json.manifacturer.uid)).toEqual([0xB5, 0xA9, 0xC3, 0xE2]);
+        expect(Array.from(Json.known.slice(64, 128))).toEqual(new Array(64).fill(0));
+        expect(Array.from(Json.known.slice(0, 64))).toEqual(new Array(64).fill(1));
+    });
+
+    it('fills the blocks missing from the file with unknown bytes', () => {
+        const Text = buildClassicFile().split('\n').filter(line => !line.startsWith('Block 9:')).join('\n');
+        const Json = FlipperNfcToJson(Text);
+        expect(Json.raw).toHaveLength(1024);
+        expect(Array.from(Json.known.slice(9 * 16, 10 * 16))).toEqual(new Array(16).fill(0));
+    });
+
+    it('parses the pages of an Ultralight file', () => {
+        const Lines = ['Filetype: Flipper NFC device', 'Device type: NTAG213', 'Pages total: 45'];
+        const Pages = ['04 11 22 BF', '33 44 55 66', '44 48 00 00', 'E1 10 12 00'];
+        Pages.forEach((page, index) => Lines.push(`Page ${index}: ${page}`));
+
+        const Json = FlipperNfcToJson(Lines.join('\n'));
+        expect(Json.family).toBe('ultralight');
+        expect(Json.cardType).toBe('NTAG213');
+        expect(Json.pages).toHaveLength(45);
+        expect(Json.pages[4].data).toEqual(new Uint8Array(4));
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Importer for the text dumps exported by the MIFARE Classic Tool Android app (MCT).
+ *
+ * Every sector starts with a `+Sector: N` header followed by its blocks, written as 32 hex characters:
+ *     +Sector: 0
+ *     B5A9C3E2BF0804006263646566676869
+ *     --------------------------------
+ *     00000000000000000000000000000000
+ *     FFFFFFFFFFFFFF078069------------
+ *     +Sector: 2
+ *     ...
+ *
+ * Blocks (or keys) that could not be read are written with `-` instead of hex digits, and sectors that could not be
+ * read at all are left out of the file. Both are kept as unknown bytes in the parsed model.
+ */
+import { DumpToJson } from '../NFCDumptoJSON';
+import { BLOCK_SIZE, getSectorLayout } from '../cardLayout';
+
+/**
+ * Checks whether a text file is a MIFARE Classic Tool dump.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {boolean} `true` if the file can be parsed by `MifareClassicToolToJson`.
+ */
+function isMifareClassicTool(text) {
+    return /^\s*\+Sector:\s*\d+\s*$/.test(text.split(/\r?\n/).find(line => line.trim().length > 0) || '');
+}
+
+/**
+ * Reads the sectors of a MIFARE Classic Tool dump.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {Object} The blocks of every sector found in the file, indexed by sector number.
+ */
+function readMctSectors(text) {
+    const Sectors = {};
+    let current = null;
+
+    text.split(/\r?\n/).forEach((line) => {
+        line = line.trim();
+        if (line.length === 0) return;
+
+        const Header = line.match(/^\+Sector:\s*(\d+)$/);
+        if (Header) {
+            current = Number(Header[1]);
+            Sectors[current] = [];
+        } else if (current !== null) {
+            Sectors[current].push(line);
+        }
+    });
+
+    return Sectors;
+}
+
+/**
+ * Parses a MIFARE Classic Tool dump into the model produced by `DumpToJson`.
+ * Sectors missing from the file are filled with unknown bytes, so the following ones keep their position.
+ *
+ * @param {string} text - The contents of the dump.
+ * @returns {Object|null} The parsed dump, or `null` if the file is not a valid MIFARE Classic Tool dump.
+ */
+function MifareClassicToolToJson(text) {
+    if (!isMifareClassicTool(text)) return null;
+
+    const Sectors = readMctSectors(text);
+    const lastSector = Math.max(...Object.keys(Sectors).map(Number));
+
+    // The first sectors of every variant have the same geometry, so the 4K layout covers any card
+    // (the variant itself is detected by DumpToJson from the size of the dump and the SAK).
+    const Layout = getSectorLayout('4K').slice(0, lastSector + 1);
+    if (Layout.length <= lastSector) return null;
+
+    let HexString = '';
+    Layout.forEach(({ blockCount }, i) => {
+        const Blocks = Sectors[i] || [];
+        for (let j = 0; j < blockCount; j++) {
+            // Every pair of dashes stands for one byte that was not read.
+            HexString += (Blocks[j] ?? '').replace(/-/g, '?').padEnd(BLOCK_SIZE * 2, '?');
+        }
+    });
+
+    return DumpToJson(HexString);
+}
+
+export { isMifareClassicTool, MifareClassicToolToJson };
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { isMifareClassicTool, MifareClassicToolToJson } from './MifareClassicTool';
+
+const FILE = [
+    '+Sector: 0',
+    'B5A9C3E2BF0804006263646566676869',
+    '--------------------------------',
+    '00000000000000000000000000000000',
+    'FFFFFFFFFFFFFF078069------------',
+    '+Sector: 2',
+    '00112233445566778899AABBCCDDEEFF',
+    '00000000000000000000000000000000',
+    '00000000000000000000000000000000',
+    'A0A1A2A3A4A5FF078069B0B1B2B3B4B5',
+].join('\n');
+
+describe('isMifareClassicTool', () => {
+    it('recognises a file starting with a sector header', () => {
+        expect(isMifareClassicTool(`\n${FILE}`)).toBe(true);
+        expect(isMifareClassicTool('00'.repeat(16))).toBe(false);
+    });
+});
+
+describe('MifareClassicToolToJson', () => {
+    it('places every sector at its position and keeps missing bytes unknown', () => {
+        const Json = MifareClassicToolToJson(FILE);
+        expect(Array.from(Json.known.slice(16, 32))).toEqual(new Array(16).fill(0));
+        expect(Array.from(Json.known.slice(58, 64))).toEqual(new Array(6).fill(0));
+
+        // Sector 1 is missing from the file
+        expect(Array.from(Json.known.slice(64, 128))).toEqual(new Array(64).fill(0));
+        expect(Array.from(Json.raw.slice(128, 132))).toEqual([0x00, 0x11, 0x22, 0x33]);
+        expect(Array.from(Json.sectors[2].sectorTrailer.keyB)).toEqual([0xB0, 0xB1, 0xB2, 0xB3, 0xB4, 0xB5]);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Importer for the `.eml` emulator files written by the Proxmark3 client (`hf mf esave`, `hf mf dump`).
+ *
+ * The file holds one block per line, written as 32 hex characters (8 for Ultralight/NTAG pages):
+ *     B5A9C3E2BF0804006263646566676869
+ *     00000000000000000000000000000000
+ *     ...
+ *
+ * Blocks that could not be read may be written with `-` instead of hex digits (`--------------------------------`);
+ * they are kept as unknown bytes in the parsed model.
+ */
+import { DumpToJson } from '../NFCDumptoJSON';
+import { UltralightDumpToJson } from '../UltralightDumpToJSON';
+
+/**
+ * Splits an `.eml` file into its non-empty lines.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {Array<string>} The trimmed lines of the file.
+ */
+function readEmlLines(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * Checks whether a text file is a Proxmark3 `.eml` file.
+ * Every line must hold one full MIFARE Classic block (32 characters) or one Ultralight page (8 characters).
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {boolean} `true` if the file can be parsed by `ProxmarkEmlToJson`.
+ */
+function isProxmarkEml(text) {
+    const Lines = readEmlLines(text);
+    if (Lines.length === 0) return false;
+
+    return Lines.every(line => /^[0-9A-Fa-f-]{32}$/.test(line)) || Lines.every(line => /^[0-9A-Fa-f-]{8}$/.test(line));
+}
+
+/**
+ * Parses a Proxmark3 `.eml` file into the model produced by `DumpToJson` (or `UltralightDumpToJson` for page-based files).
+ *
+ * @param {string} text - The contents of the `.eml` file.
+ * @returns {Object|null} The parsed dump, or `null` if the file is not a valid `.eml` file.
+ */
+function ProxmarkEmlToJson(text) {
+    if (!isProxmarkEml(text)) return null;
+
+    const Lines = readEmlLines(text);
+
+    // Every pair of dashes stands for one byte that was not read.
+    const HexString = Lines.map(line => line.replace(/-/g, '?')).join('');
+
+    // Lines of 8 characters are 4-byte Ultralight/NTAG pages.
+    if (Lines[0].length === 8) return UltralightDumpToJson(HexString);
+
+    return DumpToJson(HexString);
+}
+
+export { isProxmarkEml, ProxmarkEmlToJson };
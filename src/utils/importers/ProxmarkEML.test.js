@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { isProxmarkEml, ProxmarkEmlToJson } from './ProxmarkEML';
+
+/**
+ * Builds the .eml file of a MIFARE Classic 1K card whose last sector could not be read
+ * @returns {string} The contents of the file
+ */
+function buildClassicFile() {
+    const Lines = [];
+    for (let block = 0; block < 64; block++) {
+        if (block >= 60) Lines.push('-'.repeat(32));
+        else if (block === 0) Lines.push('B5A9C3E2BF0804006263646566676869');
+        else Lines.push(block % 4 === 3 ? 'FFFFFFFFFFFFFF078069FFFFFFFFFFFF' : '00'.repeat(16));
+    }
+    return Lines.join('\r\n') + '\r\n';
+}
+
+describe('isProxmarkEml', () => {
+    it('recognises files made of whole blocks or whole pages', () => {
+        expect(isProxmarkEml(buildClassicFile())).toBe(true);
+        expect(isProxmarkEml('04112233\n44556677\n')).toBe(true);
+    });
+
+    it('rejects lines of mixed or wrong length', () => {
+        expect(isProxmarkEml('00'.repeat(16) + '\n04112233')).toBe(false);
+        expect(isProxmarkEml('+Sector: 0')).toBe(false);
+        expect(isProxmarkEml('')).toBe(false);
+    });
+});
+
+describe('ProxmarkEmlToJson', () => {
+    it('keeps the blocks written with dashes as unknown bytes', () => {
+        const Json = ProxmarkEmlToJson(buildClassicFile());
+        expect(Json.cardType).toBe('1K');
+        expect(Array.from(Json.manifacturer.uid)).toEqual([0xB5, 0xA9, 0xC3, 0xE2]);
+        expect(Array.from(Json.known.slice(0, 960))).toEqual(new Array(960).fill(1));
+        expect(Array.from(Json.known.slice(960))).toEqual(new Array(64).fill(0));
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Importer for the JSON dumps written by the Proxmark3 client (`hf mf dump`, `hf mfu dump`).
+ *
+ * Example of a MIFARE Classic dump (hf-mf-<UID>-dump.json):
+ * {
+ *     "Created": "proxmark3",
+ *     "FileType": "mfc v2",
+ *     "Card": { "UID": "B5A9C3E2", "ATQA": "0400", "SAK": "08" },
+ *     "blocks": { "0": "B5A9C3E2BF0804006263646566676869", ... },
+ *     "SectorKeys": { "0": { "KeyA": "FFFFFFFFFFFF", "KeyB": "FFFFFFFFFFFF", "AccessConditions": "FF078069" }, ... }
+ * }
+ */
+import { DumpToJson } from '../NFCDumptoJSON';
+import { UltralightDumpToJson } from '../UltralightDumpToJSON';
+import { hexToBytes } from '../hexString';
+
+/**
+ * Checks whether a text file is a Proxmark3 JSON dump.
+ * Its `blocks` must be an object with at least one block number, so that other JSON files are not taken for Proxmark dumps.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {boolean} `true` if the file can be parsed by `ProxmarkJsonToJson`.
+ */
+function isProxmarkJson(text) {
+    try {
+        const Json = JSON.parse(text);
+        if (typeof Json !== 'object' || Json === null) return false;
+
+        const hasBlocks = typeof Json.blocks === 'object' && Json.blocks !== null && Object.keys(Json.blocks).some(key => /^\d+$/.test(key));
+        return hasBlocks && (Json.Created === 'proxmark3' || typeof Json.FileType === 'string');
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Parses a Proxmark3 JSON dump into the model produced by `DumpToJson` (or `UltralightDumpToJson` for `mfu` dumps).
+ *
+ * The UID, ATQA and SAK of the `Card` section are passed to the parser as card information.
+ * The keys listed in `SectorKeys` are attached to each sector as `recoveredKeys`, because a dump may contain
+ * keys that were recovered by the Proxmark but could not be read back from the trailer (e.g. an unreadable Key B).
+ *
+ * @param {string} text - The contents of the JSON file.
+ * @returns {Object|null} The parsed dump, or `null` if the file is not a valid Proxmark3 JSON dump.
+ *
+ * @property {Object} source - The file the dump was imported from, kept so that exporting the dump back to JSON preserves the fields MifareLab does not parse.
+ * @property {string} source.format - Always "proxmark-json".
+ * @property {string} source.text - The contents of the file.
+ * @property {Object|null} sectors[].recoveredKeys - The keys listed for the sector in `SectorKeys`.
+ * @property {Uint8Array|null} sectors[].recoveredKeys.keyA - Key A recovered by the Proxmark.
+ * @property {Uint8Array|null} sectors[].recoveredKeys.keyB - Key B recovered by the Proxmark.
+ */
+function ProxmarkJsonToJson(text) {
+    if (!isProxmarkJson(text)) return null;
+
+    const Json = JSON.parse(text);
+    const Card = Json.Card || {};
+
+    // The blocks are stored as a map from block number to hex string; write them out in order.
+    // Missing blocks (not read by the Proxmark) are filled with unknown bytes to keep the following blocks in place.
+    const BlockNumbers = Object.keys(Json.blocks).map(Number).filter(n => !isNaN(n));
+    const lastBlock = Math.max(-1, ...BlockNumbers);
+    const blockSize = (Json.FileType || '').startsWith('mfu') ? 4 : 16; // Ultralight dumps are made of 4-byte pages.
+
+    let HexString = '';
+    for (let i = 0; i <= lastBlock; i++) {
+        HexString += Json.blocks[i] ?? '??'.repeat(blockSize);
+    }
+
+    // Ultralight/NTAG dumps are page-based.
+    if (blockSize === 4) return { ...UltralightDumpToJson(HexString), source: { format: 'proxmark-json', text } };
+
+    const FileJSON = DumpToJson(HexString, {
+        uid: Card.UID ? hexToBytes(Card.UID) : undefined,
+        atqa: Card.ATQA ? hexToBytes(Card.ATQA) : undefined,
+        sak: Card.SAK ? parseInt(Card.SAK, 16) : undefined,
+    });
+
+    // Attach the keys recovered by the Proxmark to their sectors.
+    const SectorKeys = Json.SectorKeys || {};
+    FileJSON.sectors.forEach((sector, i) => {
+        const Keys = SectorKeys[i];
+        sector.recoveredKeys = Keys ? {
+            keyA: Keys.KeyA ? new Uint8Array(hexToBytes(Keys.KeyA)) : null,
+            keyB: Keys.KeyB ? new Uint8Array(hexToBytes(Keys.KeyB)) : null,
+        } : null;
+    });
+
+    FileJSON.source = { format: 'proxmark-json', text };
+
+    return FileJSON;
+}
+
+export { isProxmarkJson, ProxmarkJsonToJson };
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { isProxmarkJson, ProxmarkJsonToJson } from './ProxmarkJSON';
+
+const TRAILER = 'FFFFFFFFFFFFFF078069FFFFFFFFFFFF';
+
+/**
+ * Builds a Proxmark3 JSON dump of a MIFARE Classic 1K card
+ * @param {Object} [extra] - Fields added to the dump
+ * @returns {Object} The dump, before JSON.stringify
+ */
+function buildDump(extra = {}) {
+    const blocks = {};
+    for (let block = 0; block < 64; block++) blocks[block] = block % 4 === 3 ? TRAILER : '00'.repeat(16);
+    blocks[0] = 'B5A9C3E2BF0804006263646566676869';
+    return {
+        Created: 'proxmark3',
+        FileType: 'mfc v2',
+        Card: { UID: 'B5A9C3E2', ATQA: '0400', SAK: '08' },
+        blocks,
+        SectorKeys: { 1: { KeyA: 'A0A1A2A3A4A5', KeyB: 'B0B1B2B3B4B5', AccessConditions: 'FF078069' } },
+        ...extra,
+    };
+}
+
+describe('isProxmarkJson', () => {
+    const header = { Created: 'proxmark3', FileType: 'mfc v2' };
+
+    it('recognises a dump with numbered blocks', () => {
+        expect(isProxmarkJson(JSON.stringify({ ...header, blocks: { 0: '00'.repeat(16) } }))).toBe(true);
+    });
+
+    it('leaves files without usable blocks to the other importers', () => {
+        [null, 'blocks', 42, {}, { name: '00' }].forEach((blocks) => {
+            expect(isProxmarkJson(JSON.stringify({ ...header, blocks }))).toBe(false);
+        });
+        expect(isProxmarkJson(JSON.stringify(header))).toBe(false);
+        expect(isProxmarkJson('null')).toBe(false);
+    });
+});
+
+describe('ProxmarkJsonToJson', () => {
+    it('attaches the keys recovered by the Proxmark to their sectors', () => {
+        const Json = ProxmarkJsonToJson(JSON.stringify(buildDump()));
+        expect(Json.sectors).toHaveLength(16);
+        expect(Json.sectors[0].recoveredKeys).toBeNull();
+        expect(Array.from(Json.sectors[1].recoveredKeys.keyA)).toEqual([0xA0, 0xA1, 0xA2, 0xA3, 0xA4, 0xA5]);
+        expect(Array.from(Json.sectors[1].recoveredKeys.keyB)).toEqual([0xB0, 0xB1, 0xB2, 0xB3, 0xB4, 0xB5]);
+    });
+
+    it('takes the UID from the card section', () => {
+        const Json = ProxmarkJsonToJson(JSON.stringify(buildDump()));
+        expect(Array.from(Json.manifacturer.uid)).toEqual([0xB5, 0xA9, 0xC3, 0xE2]);
+    });
+
+    it('rejects a file that is not a Proxmark3 dump', () => {
+        expect(ProxmarkJsonToJson('{"name": "card"}')).toBeNull();
+    });
+});
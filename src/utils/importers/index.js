@@ -0,0 +1,182 @@
+/**
+ * Registry of the dump formats MifareLab can import.
+ *
+ * Every importer describes one file format:
+ * - id: unique identifier of the format.
+ * - name: name shown in the file dialog and in the format selector of the HotBar.
+ * - extensions: file extensions of the format, used to build the file dialog filters.
+ * - sniff: scores how likely a file is in this format, from 0 (not this format) to 1 (certainly this format).
+ * - parse: converts the file into the model produced by `DumpToJson` / `UltralightDumpToJson`.
+ *
+ * `sniff` and `parse` receive the file as `{ path, hex, text }`: the path of the file, the hex string returned by
+ * the `read-file` IPC handler and the same contents decoded as text.
+ */
+import { DumpToJson } from '../NFCDumptoJSON';
+import { isUltralightDump, UltralightDumpToJson, ULTRALIGHT_TYPES, PAGE_SIZE } from '../UltralightDumpToJSON';
+import { CARD_TYPES, BLOCK_SIZE } from '../cardLayout';
+import { hexToText } from '../hexString';
+import { isProxmarkJson, ProxmarkJsonToJson } from './ProxmarkJSON';
+import { isFlipperNfc, FlipperNfcToJson } from './FlipperNFC';
+import { isProxmarkEml, ProxmarkEmlToJson } from './ProxmarkEML';
+import { isMifareClassicTool, MifareClassicToolToJson } from './MifareClassicTool';
+
+// Score added to an importer when the extension of the file is one of its extensions.
+const EXTENSION_BONUS = 0.1;
+
+const IMPORTERS = [];
+
+/**
+ * Adds an importer to the registry.
+ *
+ * @param {Object} importer - The importer to register (see the description at the top of this file).
+ * @throws {Error} If an importer with the same id is already registered.
+ */
+function registerImporter(importer) {
+    if (IMPORTERS.some(registered => registered.id === importer.id)) {
+        throw new Error(`Importer "${importer.id}" is already registered`);
+    }
+    IMPORTERS.push(importer);
+}
+
+/**
+ * Returns the registered importers, in registration order.
+ *
+ * @returns {Array<Object>} The registered importers.
+ */
+function getImporters() {
+    return [...IMPORTERS];
+}
+
+/**
+ * Builds the filters of the file dialog from the registered importers.
+ * The first filter lists every supported extension.
+ *
+ * @returns {Array<{name: string, extensions: Array<string>}>} The filters, in the format expected by Electron's `dialog.showOpenDialog`.
+ */
+function getDialogFilters() {
+    const extensions = [...new Set(IMPORTERS.flatMap(importer => importer.extensions))];
+
+    return [
+        { name: 'All Supported Files', extensions },
+        ...IMPORTERS.map(({ name, extensions }) => ({ name, extensions })),
+    ];
+}
+
+/**
+ * Prepares a file for the importers.
+ *
+ * @param {string} path - The path of the file.
+ * @param {string} hex - The contents of the file, as returned by the `read-file` IPC handler.
+ * @returns {{path: string, hex: string, text: string}} The file passed to `sniff` and `parse`.
+ */
+function readInput(path, hex) {
+    return { path, hex, text: hexToText(hex) };
+}
+
+/**
+ * Scores every registered importer against a file.
+ *
+ * @param {Object} file - The file, as returned by `readInput`.
+ * @returns {Array<{importer: Object, score: number}>} The importers that recognise the file, best match first.
+ */
+function detectFormat(file) {
+    const extension = (file.path || '').split('.').pop().toLowerCase();
+
+    return IMPORTERS
+        .map((importer) => {
+            const score = importer.sniff(file);
+            return { importer, score: score > 0 && importer.extensions.includes(extension) ? score + EXTENSION_BONUS : score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Parses a file with the best matching importer, or with the one chosen by the user.
+ *
+ * @param {Object} file - The file, as returned by `readInput`.
+ * @param {string|null} [importerId] - The id of the importer to use instead of the detected one.
+ * @returns {{json: Object|null, importer: Object|null, candidates: Array<{importer: Object, score: number}>}}
+ *          The parsed dump, the importer that produced it and every importer that recognises the file.
+ */
+function importFile(file, importerId = null) {
+    const candidates = detectFormat(file);
+    const importer = importerId
+        ? IMPORTERS.find(registered => registered.id === importerId) || null
+        : candidates[0]?.importer || null;
+
+    return { json: importer ? importer.parse(file) : null, importer, candidates };
+}
+
+/**
+ * Counts the bytes of a hex string returned by the `read-file` IPC handler.
+ *
+ * @param {string} hex - The space-separated hex string.
+ * @returns {number} The number of bytes.
+ */
+function byteLength(hex) {
+    return hex.replace(/\s/g, '').length / 2;
+}
+
+// Text formats carry a signature (a header, a JSON structure, ...) and are recognised with certainty.
+registerImporter({
+    id: 'proxmark-json',
+    name: 'Proxmark3 JSON Dumps',
+    extensions: ['json'],
+    sniff: ({ text }) => isProxmarkJson(text) ? 1 : 0,
+    parse: ({ text }) => ProxmarkJsonToJson(text),
+});
+
+registerImporter({
+    id: 'flipper-nfc',
+    name: 'Flipper Zero NFC Files',
+    extensions: ['nfc'],
+    sniff: ({ text }) => isFlipperNfc(text) ? 1 : 0,
+    parse: ({ text }) => FlipperNfcToJson(text),
+});
+
+registerImporter({
+    id: 'mct',
+    name: 'MIFARE Classic Tool Dumps',
+    extensions: ['mct', 'txt'],
+    sniff: ({ text }) => isMifareClassicTool(text) ? 1 : 0,
+    parse: ({ text }) => MifareClassicToolToJson(text),
+});
+
+// Lines of hex digits have no signature, so an .eml file is slightly less certain than the formats above.
+registerImporter({
+    id: 'proxmark-eml',
+    name: 'Proxmark3 Emulator Files',
+    extensions: ['eml'],
+    sniff: ({ text }) => isProxmarkEml(text) ? 0.9 : 0,
+    parse: ({ text }) => ProxmarkEmlToJson(text),
+});
+
+// Binary dumps are recognised from their size; any file made of whole pages can still be opened as a page-based dump.
+registerImporter({
+    id: 'raw-ultralight',
+    name: 'Ultralight/NTAG Binary Dumps',
+    extensions: ['bin'],
+    sniff: ({ hex }) => {
+        if (isUltralightDump(hex)) return 0.8;
+        const length = byteLength(hex);
+        if (length === 0 || length % PAGE_SIZE !== 0) return 0;
+        return Object.values(ULTRALIGHT_TYPES).some(type => type.pages * PAGE_SIZE === length) ? 0.2 : 0.05;
+    },
+    parse: ({ hex }) => UltralightDumpToJson(hex),
+});
+
+// Any file can be opened as a raw MIFARE Classic dump, which makes this importer the fallback of the registry.
+registerImporter({
+    id: 'raw-classic',
+    name: 'MIFARE Dump Files',
+    extensions: ['mfd', 'bin', 'dump'],
+    sniff: ({ hex }) => {
+        const length = byteLength(hex);
+        if (Object.values(CARD_TYPES).some(type => type.size === length)) return 0.6;
+        return length > 0 && length % BLOCK_SIZE === 0 ? 0.3 : 0.1;
+    },
+    parse: ({ hex }) => DumpToJson(hex),
+});
+
+export { registerImporter, getImporters, getDialogFilters, readInput, detectFormat, importFile };
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { registerImporter, getDialogFilters, readInput, detectFormat, importFile } from './index';
+
+/**
+ * Encodes a text file as the hex string returned by the `read-file` IPC handler
+ * @param {string} text - The contents of the file
+ * @returns {string} The space-separated hex string
+ */
+function textToHex(text) {
+    return Array.from(new TextEncoder().encode(text)).map(byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+}
+
+const EML = Array.from({ length: 64 }, (_, block) => block % 4 === 3 ? 'FFFFFFFFFFFFFF078069FFFFFFFFFFFF' : '00'.repeat(16)).join('\n');
+
+describe('detectFormat', () => {
+    it('ranks the importers that recognise a file, best match first', () => {
+        const Candidates = detectFormat(readInput('card.eml', textToHex(EML)));
+        expect(Candidates[0].importer.id).toBe('proxmark-eml');
+        expect(Candidates.map(({ importer }) => importer.id)).toContain('raw-classic');
+    });
+
+    it('prefers the importer whose extension matches the file', () => {
+        const Hex = Array(1024).fill('00').join(' ');
+        expect(detectFormat(readInput('card.mfd', Hex))[0].importer.id).toBe('raw-classic');
+    });
+});
+
+describe('importFile', () => {
+    it('parses the file with the detected importer', () => {
+        const { json, importer } = importFile(readInput('card.eml', textToHex(EML)));
+        expect(importer.id).toBe('proxmark-eml');
+        expect(json.cardType).toBe('1K');
+    });
+
+    it('uses the importer chosen by the user instead of the detected one', () => {
+        const Hex = Array(1024).fill('00').join(' ');
+        const { json, importer } = importFile(readInput('card.mfd', Hex), 'raw-ultralight');
+        expect(importer.id).toBe('raw-ultralight');
+        expect(json.family).toBe('ultralight');
+    });
+});
+
+describe('registerImporter', () => {
+    it('refuses two importers with the same id', () => {
+        expect(() => registerImporter({ id: 'raw-classic' })).toThrow();
+    });
+
+    it('lists every supported extension in the first dialog filter', () => {
+        const [All] = getDialogFilters();
+        expect(All.extensions).toEqual(expect.arrayContaining(['json', 'nfc', 'mct', 'eml', 'mfd', 'bin']));
+    });
+});
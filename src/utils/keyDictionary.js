@@ -0,0 +1,181 @@
+/**
+ * Dictionary of well-known MIFARE Classic keys, and report of the keys used by the sectors of a dump.
+ *
+ * Keys are handled as 12-digit uppercase hex strings. The built-in keys are the factory and standard keys
+ * (transport configuration, MAD, NFC Forum) and keys found on many deployed cards; the user can add more,
+ * which are kept in localStorage under `keyDictionary` as a list of `{ key, name }`.
+ *
+ * The key of a sector can come from two places:
+ * - "dump": the bytes of the sector trailer. Readers cannot read Key A (and Key B unless the access conditions
+ *   allow it), so dump tools write the keys they authenticated with in its place.
+ * - "recovered": the keys listed by the reader next to the dump (e.g. the `SectorKeys` of a Proxmark JSON dump),
+ *   used when the trailer bytes were not read or do not hold the key.
+ *
+ * Dictionaries are exchanged as the key files of Proxmark (.dic), mfoc and MIFARE Classic Tool (.keys):
+ * one key per line as 12 hex digits, with comments starting with "#".
+ */
+import { BLOCK_SIZE } from './cardLayout';
+import { bytesToHex } from './hexString';
+
+const KEY_LENGTH = 6;
+const STORAGE_KEY = 'keyDictionary';
+
+// File types offered by the open and save dialogs for key dictionaries
+const KEY_FILE_FILTERS = [{ name: 'Key dictionaries', extensions: ['dic', 'keys'] }];
+
+// Built-in keys; the first ones are the defaults of blank and standard-formatted cards
+const BUILT_IN_KEYS = [
+    { key: 'FFFFFFFFFFFF', name: 'Factory default', isDefault: true },
+    { key: '000000000000', name: 'Blank', isDefault: true },
+    { key: 'A0A1A2A3A4A5', name: 'MAD Key A', isDefault: true },
+    { key: 'B0B1B2B3B4B5', name: 'MAD Key B', isDefault: true },
+    { key: 'D3F7D3F7D3F7', name: 'NFC Forum Key A', isDefault: true },
+    { key: 'AABBCCDDEEFF', name: 'Common test key', isDefault: false },
+    { key: '4D3A99C351DD', name: 'Common key', isDefault: false },
+    { key: '1A982C7E459A', name: 'Common key', isDefault: false },
+    { key: '714C5C886E97', name: 'Common key', isDefault: false },
+    { key: '587EE5F9350F', name: 'Common key', isDefault: false },
+    { key: 'A0478CC39091', name: 'Common key', isDefault: false },
+    { key: '533CB6C723F6', name: 'Common key', isDefault: false },
+    { key: '8FD0A4F256E9', name: 'Common key', isDefault: false },
+];
+
+/**
+ * Normalizes a key typed or read from a file.
+ *
+ * @param {string} text - The key, as hex digits (spaces and colons are ignored).
+ * @returns {string|null} The key as 12 uppercase hex digits, or `null` if it is not a valid key.
+ */
+function normalizeKey(text) {
+    const key = text.replace(/[\s:]/g, '').toUpperCase();
+    return /^[0-9A-F]{12}$/.test(key) ? key : null;
+}
+
+/**
+ * Reads the keys added by the user.
+ *
+ * @returns {Array<{key: string, name: string}>} The user keys (empty if there are none or they cannot be read).
+ */
+function loadUserKeys() {
+    try {
+        const Keys = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(Keys) ? Keys.filter(entry => normalizeKey(entry?.key ?? '')) : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Stores the keys added by the user.
+ *
+ * @param {Array<{key: string, name: string}>} keys - The user keys.
+ */
+function saveUserKeys(keys) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(keys));
+}
+
+/**
+ * Builds the dictionary the keys of a dump are matched against.
+ *
+ * @param {Array<{key: string, name: string}>} userKeys - The keys added by the user.
+ * @returns {Map<string, {key: string, name: string, isDefault: boolean, builtIn: boolean}>} The entries indexed by key;
+ *          a built-in key also added by the user keeps its built-in entry.
+ */
+function buildKeyDictionary(userKeys) {
+    const Dictionary = new Map();
+    userKeys.forEach(({ key, name }) => Dictionary.set(normalizeKey(key), { key: normalizeKey(key), name, isDefault: false, builtIn: false }));
+    BUILT_IN_KEYS.forEach(entry => Dictionary.set(entry.key, { ...entry, builtIn: true }));
+    return Dictionary;
+}
+
+/**
+ * Finds the key of a sector and where it comes from.
+ *
+ * @param {Object} model - The parsed MIFARE Classic dump.
+ * @param {Object} sector - The sector.
+ * @param {string} name - "A" or "B".
+ * @returns {{key: string, source: string}|null} The key and its source ("dump" or "recovered"), or `null` if it is unknown.
+ */
+function findSectorKey(model, sector, name) {
+    // Key A takes bytes 0-5 of the trailer, Key B bytes 10-15
+    const offset = (sector.firstBlock + sector.blockCount - 1) * BLOCK_SIZE + (name === 'A' ? 0 : 10);
+    const isKnown = Array.from(model.known).slice(offset, offset + KEY_LENGTH).every(byte => byte);
+    const dumpKey = isKnown ? bytesToHex(Array.from(model.raw).slice(offset, offset + KEY_LENGTH)) : null;
+
+    // A recovered key different from the trailer bytes is the real one: the trailer holds what the reader read back.
+    const recovered = sector.recoveredKeys?.[`key${name}`];
+    const recoveredKey = recovered ? bytesToHex(recovered) : null;
+    if (recoveredKey && recoveredKey !== dumpKey) return { key: recoveredKey, source: 'recovered' };
+
+    return dumpKey ? { key: dumpKey, source: 'dump' } : null;
+}
+
+/**
+ * Matches the keys of every sector against the dictionary and finds the keys shared between sectors.
+ *
+ * @param {Object} model - The parsed MIFARE Classic dump.
+ * @param {Map<string, Object>} dictionary - The dictionary (see buildKeyDictionary).
+ * @returns {{sectors: Array<Object>, keys: Array<Object>}} The keys of every sector, and every distinct key with its uses.
+ *
+ * @property {Object|null} sectors[].A - Key A of the sector (`null` if unknown).
+ * @property {Object|null} sectors[].B - Key B of the sector (`null` if unknown).
+ * @property {string} sectors[].A.key - The key.
+ * @property {string} sectors[].A.source - "dump" or "recovered".
+ * @property {Object|null} sectors[].A.match - The dictionary entry of the key, if any.
+ * @property {boolean} sectors[].A.shared - Whether the key is also used by another sector or as the other key of the sector.
+ * @property {string} keys[].key - The key.
+ * @property {Object|null} keys[].match - The dictionary entry of the key, if any.
+ * @property {Array<{sector: number, name: string, source: string}>} keys[].uses - The sectors and key names using it.
+ */
+function analyzeKeys(model, dictionary) {
+    const Keys = new Map();
+
+    const Sectors = model.sectors.map((sector, index) => Object.fromEntries(['A', 'B'].map((name) => {
+        const Found = findSectorKey(model, sector, name);
+        if (!Found) return [name, null];
+
+        if (!Keys.has(Found.key)) Keys.set(Found.key, { key: Found.key, match: dictionary.get(Found.key) ?? null, uses: [] });
+        Keys.get(Found.key).uses.push({ sector: index, name, source: Found.source });
+
+        return [name, { ...Found, match: dictionary.get(Found.key) ?? null }];
+    })));
+
+    Sectors.forEach(sector => ['A', 'B'].forEach((name) => {
+        if (sector[name]) sector[name].shared = Keys.get(sector[name].key).uses.length > 1;
+    }));
+
+    return { sectors: Sectors, keys: [...Keys.values()] };
+}
+
+/**
+ * Reads the keys of a key dictionary file.
+ *
+ * @param {string} text - The contents of the file.
+ * @param {string} defaultName - The name given to keys without a comment on their line.
+ * @returns {Array<{key: string, name: string}>} The keys of the file, without duplicates, in order;
+ *          a comment after a key on the same line is used as its name. Lines without a valid key are ignored.
+ */
+function parseKeyFile(text, defaultName) {
+    const Keys = new Map();
+    text.split(/\r?\n/).forEach((line) => {
+        const [content, ...comment] = line.split('#');
+        const key = normalizeKey(content);
+        if (key && !Keys.has(key)) Keys.set(key, { key, name: comment.join('#').trim() || defaultName });
+    });
+    return [...Keys.values()];
+}
+
+/**
+ * Writes keys as a key dictionary file.
+ *
+ * @param {Array<{key: string, name: string}>} keys - The keys to write, without duplicates.
+ * @param {string} header - Comment written at the top of the file.
+ * @returns {string} The contents of the file: the header, then one key per line followed by its name as a comment.
+ */
+function formatKeyFile(keys, header) {
+    const Lines = header.split('\n').map(line => `# ${line}`);
+    keys.forEach(({ key, name }) => Lines.push(name ? `${key} # ${name}` : key));
+    return Lines.join('\n') + '\n';
+}
+
+export { BUILT_IN_KEYS, KEY_FILE_FILTERS, parseKeyFile, formatKeyFile, normalizeKey, loadUserKeys, saveUserKeys, buildKeyDictionary, analyzeKeys };
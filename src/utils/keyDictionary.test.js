@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { parseKeyFile, formatKeyFile, normalizeKey, buildKeyDictionary, analyzeKeys } from './keyDictionary';
+
+/**
+ * Builds a 2-sector card: sector 0 uses the factory key as both keys, sector 1 uses a user key as Key A
+ * and a Key B that was not read but was recovered by the reader
+ * @returns {Object} The parsed dump
+ */
+function buildCard() {
+    const raw = new Array(128).fill(0);
+    const known = new Array(128).fill(1);
+    raw.fill(0xFF, 48, 54);
+    raw.fill(0xFF, 58, 64);
+    [0x12, 0x34, 0x56, 0x78, 0x9A, 0xBC].forEach((byte, index) => raw[112 + index] = byte);
+    known.fill(0, 122, 128);
+    return {
+        raw,
+        known,
+        sectors: [
+            { firstBlock: 0, blockCount: 4, recoveredKeys: null },
+            { firstBlock: 4, blockCount: 4, recoveredKeys: { keyA: null, keyB: [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF] } },
+        ],
+    };
+}
+
+describe('normalizeKey', () => {
+    it('accepts 12 hex digits with separators', () => {
+        expect(normalizeKey('a0:a1:a2 a3 a4a5')).toBe('A0A1A2A3A4A5');
+        expect(normalizeKey('A0A1A2A3A4')).toBeNull();
+        expect(normalizeKey('A0A1A2A3A4G5')).toBeNull();
+    });
+});
+
+describe('analyzeKeys', () => {
+    it('matches the keys against the dictionary and finds the shared ones', () => {
+        const Dictionary = buildKeyDictionary([{ key: '123456789abc', name: 'Office' }]);
+        const { sectors, keys } = analyzeKeys(buildCard(), Dictionary);
+
+        expect(sectors[0].A).toMatchObject({ key: 'FFFFFFFFFFFF', source: 'dump', shared: true, match: { name: 'Factory default', isDefault: true } });
+        expect(sectors[1].A).toMatchObject({ key: '123456789ABC', source: 'dump', shared: false, match: { name: 'Office', builtIn: false } });
+        expect(sectors[1].B).toMatchObject({ key: 'FFFFFFFFFFFF', source: 'recovered', shared: true });
+
+        expect(keys.find(({ key }) => key === 'FFFFFFFFFFFF').uses).toEqual([
+            { sector: 0, name: 'A', source: 'dump' },
+            { sector: 0, name: 'B', source: 'dump' },
+            { sector: 1, name: 'B', source: 'recovered' },
+        ]);
+    });
+
+    it('leaves out the keys that were neither read nor recovered', () => {
+        const Card = buildCard();
+        Card.sectors[1].recoveredKeys = null;
+        expect(analyzeKeys(Card, buildKeyDictionary([])).sectors[1].B).toBeNull();
+    });
+});
+
+describe('key files', () => {
+    it('reads one key per line, with its comment as name', () => {
+        const Text = '# Keys found on site\r\nffffffffffff\r\nA0A1A2A3A4A5 # MAD # Key A\r\n\r\nnot a key\r\nFFFFFFFFFFFF # duplicate\r\n';
+        expect(parseKeyFile(Text, 'Imported')).toEqual([
+            { key: 'FFFFFFFFFFFF', name: 'Imported' },
+            { key: 'A0A1A2A3A4A5', name: 'MAD # Key A' },
+        ]);
+    });
+
+    it('writes keys that are read back unchanged', () => {
+        const Keys = [{ key: 'FFFFFFFFFFFF', name: 'Factory default' }, { key: '123456789ABC', name: '' }];
+        const Text = formatKeyFile(Keys, 'MifareLab\nKey dictionary');
+        expect(Text).toBe('# MifareLab\n# Key dictionary\nFFFFFFFFFFFF # Factory default\n123456789ABC\n');
+        expect(parseKeyFile(Text, '')).toEqual(Keys);
+    });
+});
@@ -0,0 +1,218 @@
+/**
+ * MIFARE Application Directory (MAD), as defined by NXP AN10787.
+ *
+ * A MAD tells which application each sector of a MIFARE Classic card belongs to. Its presence and version are stored in the
+ * General Purpose Byte (GPB), the user byte of the sector 0 trailer:
+ *
+ *   bit 7     DA  - MAD available
+ *   bit 6     MA  - multi-application card (otherwise single-application)
+ *   bits 1-0  ADV - MAD version (01 = MAD1, 10 = MAD2)
+ *
+ * MAD1 takes blocks 1-2 of sector 0 and describes sectors 1-15. MAD2, only found on 4K cards, adds blocks 64-66
+ * (sector 16), which describe sectors 17-39. Every directory starts with:
+ *
+ *   byte 0  CRC-8 of the rest of the directory (polynomial 0x1D, initial value 0xC7)
+ *   byte 1  info byte: bits 5-0 point to the card publisher sector (0 if there is none)
+ *
+ * followed by one 2-byte Application Identifier (AID) per sector, stored little-endian: the NFC Forum AID 0xE103 is stored as "03 E1".
+ * The high byte of an AID is its function cluster, the low byte the application code within the cluster.
+ */
+import { BLOCK_SIZE } from './cardLayout';
+import { formatText } from './formatText';
+
+const MAD_CRC_POLYNOMIAL = 0x1D;
+const MAD_CRC_INIT = 0xC7;
+
+// Location of the directories: first block and number of blocks of each MAD version, and the sectors they describe
+const MAD_DIRECTORIES = [
+    { version: 1, sector: 0, firstBlock: 1, blockCount: 2, firstSector: 1, sectorCount: 15 },
+    { version: 2, sector: 16, firstBlock: 64, blockCount: 3, firstSector: 17, sectorCount: 23 },
+];
+
+// Administration codes (function cluster 0x00) that do not point to an application
+const ADMINISTRATION_CODES = {
+    0x00: 'free', // Sector not used
+    0x01: 'defect', // Sector cannot be used
+    0x02: 'reserved',
+    0x03: 'additional', // Additional directory information
+    0x04: 'cardholder', // Card holder information
+    0x05: 'notApplicable', // Sector does not exist on this card
+};
+
+// Applications identified by their full AID
+const KNOWN_APPLICATIONS = {
+    0xE103: 'NFC Forum NDEF',
+};
+
+// Function clusters (high byte of the AID) of the registered applications
+const FUNCTION_CLUSTERS = {
+    0x00: 'Card administration',
+    0x08: 'Airlines',
+    0x09: 'Ferry traffic',
+    0x10: 'Railway services',
+    0x12: 'Transport',
+    0x14: 'Security solutions',
+    0x18: 'City traffic',
+    0x20: 'Bus services',
+    0x21: 'Multi modal transit',
+    0x28: 'Taxi',
+    0x30: 'Road toll',
+    0x31: 'Generic transport',
+    0x38: 'Company services',
+    0x40: 'City card services',
+    0x47: 'Access control & security',
+    0x48: 'Access control & security',
+    0x49: 'VIGIK',
+    0x50: 'Ski ticketing',
+    0x51: 'Access control & security',
+    0x52: 'Access control & security',
+    0x53: 'Access control & security',
+    0x54: 'Access control & security',
+    0x55: 'SOAA offline access',
+    0x56: 'Academic services',
+    0x58: 'Academic services',
+    0x60: 'Food',
+    0x68: 'Non-food trade',
+    0x70: 'Hotel',
+    0x71: 'Loyalty',
+    0x75: 'Airport services',
+    0x78: 'Car rental',
+    0x80: 'Administration services',
+    0x88: 'Electronic purse',
+    0x90: 'Television',
+    0x91: 'Cruise ship',
+    0x97: 'Metering',
+    0x98: 'Telephone',
+    0xA0: 'Health services',
+    0xA8: 'Warehouse',
+    0xB0: 'Electronic trade',
+    0xB8: 'Banking',
+    0xC0: 'Entertainment & sports',
+    0xC8: 'Car parking',
+    0xC9: 'Fleet management',
+    0xD0: 'Fuel, gasoline',
+    0xD8: 'Info services',
+    0xE0: 'Press',
+    0xE1: 'NFC Forum',
+    0xE8: 'Computer',
+    0xF0: 'Mail',
+};
+
+/**
+ * Computes the CRC-8 of a MAD directory.
+ *
+ * @param {Array<number>} bytes - The directory without its CRC byte (info byte and AIDs).
+ * @returns {number} The CRC (polynomial 0x1D, initial value 0xC7, no final XOR).
+ */
+function madCrc(bytes) {
+    let crc = MAD_CRC_INIT;
+    bytes.forEach((byte) => {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ MAD_CRC_POLYNOMIAL) & 0xFF : (crc << 1) & 0xFF;
+        }
+    });
+    return crc;
+}
+
+/**
+ * Describes the application an AID points to.
+ *
+ * @param {number} aid - The Application Identifier (function cluster in the high byte).
+ * @returns {{aid: number, type: string, name: string|null}} The AID, its type ("application" or one of the administration
+ *          codes: "free", "defect", "reserved", "additional", "cardholder", "notApplicable") and the name of the application
+ *          (`null` if the AID is not registered).
+ */
+function describeAid(aid) {
+    const cluster = aid >> 8;
+    if (cluster === 0x00) return { aid, type: ADMINISTRATION_CODES[aid & 0xFF] ?? 'reserved', name: null };
+
+    return { aid, type: 'application', name: KNOWN_APPLICATIONS[aid] ?? FUNCTION_CLUSTERS[cluster] ?? null };
+}
+
+/**
+ * Names the application a MIFARE Application Directory assigns to a sector.
+ *
+ * @param {Object} application - The application of the sector, as listed in `mad.applications`
+ * @param {Object} text - Localized strings (language.Mad)
+ * @returns {string} The name of the application with its AID, or the meaning of the administration code
+ */
+function describeApplication(application, text) {
+    const aid = application.aid.toString(16).padStart(4, '0').toUpperCase();
+    if (application.type !== 'application') return formatText(text.Types[application.type], { aid });
+
+    return formatText(text.Application, { name: application.name ?? text.UnknownApplication, aid });
+}
+
+/**
+ * Decodes the MIFARE Application Directory of a MIFARE Classic dump.
+ *
+ * @param {Array<number>|Uint8Array} raw - Every byte of the card (padded to the size of the card).
+ * @param {Array<number>|Uint8Array} known - One entry per byte of `raw`: 1 if the byte was read, 0 if it is unknown.
+ * @returns {Object|null} The decoded MAD, or `null` if the GPB is unknown or does not announce a MAD.
+ *
+ * @property {number} gpb - The General Purpose Byte.
+ * @property {number|null} version - The MAD version announced by the GPB (1 or 2), or `null` if the version is not valid.
+ * @property {boolean} multiApplication - Whether the card is a multi-application card.
+ * @property {Array<Object>} directories - The directories present on the card (MAD1, then MAD2).
+ * @property {number} directories[].version - 1 for blocks 1-2 of sector 0, 2 for sector 16.
+ * @property {number} directories[].sector - The sector holding the directory.
+ * @property {Array<number>} directories[].blocks - The absolute numbers of the blocks holding the directory.
+ * @property {number} directories[].offset - The offset of the directory (its CRC byte) in the dump.
+ * @property {boolean} directories[].known - Whether every byte of the directory was read.
+ * @property {number} directories[].crc - The CRC stored in the directory.
+ * @property {number} directories[].computedCrc - The CRC computed from the directory.
+ * @property {boolean} directories[].crcValid - Whether the two CRCs match.
+ * @property {number} directories[].info - The info byte.
+ * @property {number} directories[].publisherSector - The card publisher sector pointed by the info byte (0 if there is none).
+ * @property {Array<Object>} directories[].applications - The applications of the sectors described by the directory.
+ * @property {Array<Object>} applications - The application of every sector described by the directories, in order (see describeAid).
+ * @property {number} applications[].sector - The sector number.
+ */
+function decodeMad(raw, known) {
+    // The GPB is byte 9 of the sector 0 trailer (block 3).
+    const gpbOffset = 3 * BLOCK_SIZE + 9;
+    if (!known[gpbOffset] || !(raw[gpbOffset] & 0x80)) return null;
+
+    const gpb = raw[gpbOffset];
+    const version = [null, 1, 2, null][gpb & 0x03];
+
+    // MAD2 extends MAD1: a MAD2 card has both directories, as long as the card has a sector 16.
+    const Directories = MAD_DIRECTORIES
+        .filter(({ version: directoryVersion, firstBlock, blockCount }) => directoryVersion <= (version ?? 1) && (firstBlock + blockCount) * BLOCK_SIZE <= raw.length)
+        .map(({ version: directoryVersion, sector, firstBlock, blockCount, firstSector, sectorCount }) => {
+            const offset = firstBlock * BLOCK_SIZE;
+            const Bytes = Array.from(raw.slice(offset, offset + blockCount * BLOCK_SIZE));
+            const computedCrc = madCrc(Bytes.slice(1));
+
+            // AIDs are stored little-endian, one per sector, after the CRC and the info byte.
+            const Applications = Array.from({ length: sectorCount }, (_, i) => ({
+                sector: firstSector + i,
+                ...describeAid(Bytes[2 + i * 2] | (Bytes[3 + i * 2] << 8)),
+            }));
+
+            return {
+                version: directoryVersion,
+                sector,
+                blocks: Array.from({ length: blockCount }, (_, i) => firstBlock + i),
+                offset,
+                known: Array.from(known.slice(offset, offset + blockCount * BLOCK_SIZE)).every(byte => byte),
+                crc: Bytes[0],
+                computedCrc,
+                crcValid: Bytes[0] === computedCrc,
+                info: Bytes[1],
+                publisherSector: Bytes[1] & 0x3F,
+                applications: Applications,
+            };
+        });
+
+    return {
+        gpb,
+        version,
+        multiApplication: Boolean(gpb & 0x40),
+        directories: Directories,
+        applications: Directories.flatMap(({ applications }) => applications),
+    };
+}
+
+export { MAD_DIRECTORIES, madCrc, describeAid, describeApplication, decodeMad };
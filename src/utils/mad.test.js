@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { madCrc, describeAid, decodeMad } from './mad';
+
+/**
+ * Lists the bytes of a directory assigning every sector to the NFC Forum, as written on NDEF formatted cards
+ * @param {number} sectorCount - The number of sectors described by the directory
+ * @returns {Array<number>} The info byte and the AIDs, without the CRC
+ */
+function nfcForumDirectory(sectorCount) {
+    return [0x01, ...Array.from({ length: sectorCount }, () => [0x03, 0xE1]).flat()];
+}
+
+/**
+ * Builds a MIFARE Classic 1K dump with a MAD1
+ * @param {number} gpb - The General Purpose Byte
+ * @param {number} crc - The CRC written in the directory
+ * @returns {{raw: Array<number>, known: Array<number>}} The bytes of the dump and its known mask
+ */
+function buildCard(gpb, crc) {
+    const raw = new Array(1024).fill(0);
+    [crc, ...nfcForumDirectory(15)].forEach((byte, index) => raw[16 + index] = byte);
+    [0xA0, 0xA1, 0xA2, 0xA3, 0xA4, 0xA5, 0x78, 0x77, 0x88, gpb].forEach((byte, index) => raw[48 + index] = byte);
+    return { raw, known: new Array(1024).fill(1) };
+}
+
+describe('madCrc', () => {
+    it('matches the CRC of the directories of an NFC Forum formatted card', () => {
+        expect(madCrc(nfcForumDirectory(15))).toBe(0x14);
+        expect(madCrc(nfcForumDirectory(23))).toBe(0xE8);
+    });
+});
+
+describe('describeAid', () => {
+    it('tells the administration codes from the applications', () => {
+        expect(describeAid(0x0000)).toEqual({ aid: 0x0000, type: 'free', name: null });
+        expect(describeAid(0xE103)).toEqual({ aid: 0xE103, type: 'application', name: 'NFC Forum NDEF' });
+        expect(describeAid(0x1234).name).toBe('Transport');
+    });
+});
+
+describe('decodeMad', () => {
+    it('decodes the directory announced by the GPB', () => {
+        const { raw, known } = buildCard(0xC1, 0x14);
+        const Mad = decodeMad(raw, known);
+        expect(Mad).toMatchObject({ gpb: 0xC1, version: 1, multiApplication: true });
+        expect(Mad.directories).toHaveLength(1);
+        expect(Mad.directories[0]).toMatchObject({ sector: 0, blocks: [1, 2], known: true, crcValid: true, publisherSector: 1 });
+        expect(Mad.applications).toHaveLength(15);
+        expect(Mad.applications[0]).toEqual({ sector: 1, aid: 0xE103, type: 'application', name: 'NFC Forum NDEF' });
+    });
+
+    it('reports a directory whose CRC does not match', () => {
+        const { raw, known } = buildCard(0xC1, 0x15);
+        expect(decodeMad(raw, known).directories[0]).toMatchObject({ crc: 0x15, computedCrc: 0x14, crcValid: false });
+    });
+
+    it('ignores a card whose GPB does not announce a MAD or was not read', () => {
+        const { raw, known } = buildCard(0x69, 0x14);
+        expect(decodeMad(raw, known)).toBeNull();
+
+        const Card = buildCard(0xC1, 0x14);
+        Card.known[57] = 0;
+        expect(decodeMad(Card.raw, Card.known)).toBeNull();
+    });
+});
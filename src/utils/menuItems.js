@@ -0,0 +1,20 @@
+/**
+ * Items of the hamburger menu of HotBar.
+ *
+ * The items are listed in the order of the `Menu` strings of the language files. The name of an item, with its space
+ * replaced by an underscore, is the function HotBar calls on `window` when the item is clicked (e.g. `window.Save_File`).
+ */
+const MENU_ITEMS = ['Import File', 'Save File', 'Export File', 'Access Calculator', 'Value Simulator', 'Settings', 'Help'];
+
+/**
+ * Returns the localized label of a menu item, e.g. for the title of the panel it opens.
+ *
+ * @param {Object} language - The strings of the current language.
+ * @param {string} item - The item, as listed in `MENU_ITEMS`.
+ * @returns {string} The label of the item.
+ */
+function getMenuLabel(language, item) {
+    return language.Menu[MENU_ITEMS.indexOf(item)];
+}
+
+export { MENU_ITEMS, getMenuLabel };
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { MENU_ITEMS, getMenuLabel } from './menuItems';
+import Italian from '../lang/0.json';
+import English from '../lang/1.json';
+import German from '../lang/2.json';
+
+describe('getMenuLabel', () => {
+    it('finds the label of an item whatever its position in the menu', () => {
+        expect(getMenuLabel(English, 'Settings')).toBe('Settings');
+        expect(getMenuLabel(English, 'Access Calculator')).toBe('Access conditions calculator');
+    });
+
+    it('has a label for every item in every language', () => {
+        [Italian, English, German].forEach(language => expect(language.Menu).toHaveLength(MENU_ITEMS.length));
+    });
+});
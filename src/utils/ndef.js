@@ -0,0 +1,257 @@
+/**
+ * NDEF messages stored on MIFARE Classic and Ultralight/NTAG cards (NFC Forum Type 2 Tag and MIFARE Classic mappings).
+ *
+ * The data area of the card holds a stream of TLV blocks (Tag, Length, Value):
+ *
+ *   tag 0x00  NULL TLV, a single padding byte without length
+ *   tag 0x01  Lock Control TLV
+ *   tag 0x02  Memory Control TLV
+ *   tag 0x03  NDEF Message TLV
+ *   tag 0xFD  Proprietary TLV
+ *   tag 0xFE  Terminator TLV, a single byte that ends the stream
+ *
+ * The length takes 1 byte, or 3 bytes (0xFF followed by a big-endian 16-bit length) when it is 255 or more.
+ *
+ * On MIFARE Classic the stream runs across the data blocks of every sector the MAD assigns to the NFC Forum (AID 0xE103,
+ * stored as "03 E1"), skipping the sector trailers. On Ultralight/NTAG it runs across the data area announced by the
+ * capability container. Since the stream is not contiguous in the dump, every byte is kept with its offset in the dump,
+ * so the UI can highlight the bytes of each record.
+ *
+ * An NDEF message is a list of records, each starting with a header byte:
+ *
+ *   bit 7  MB - message begin          bit 4  SR - short record (1-byte payload length, otherwise 4 bytes)
+ *   bit 6  ME - message end            bit 3  IL - ID length present
+ *   bit 5  CF - chunk flag             bits 2-0  TNF - type name format
+ *
+ * followed by the type length, the payload length, the ID length (if IL), the type, the ID and the payload.
+ */
+import { createDiagnostic } from './diagnostics';
+
+// AID of the sectors holding NDEF data on MIFARE Classic cards (see mad.js)
+const NFC_FORUM_AID = 0xE103;
+
+const TLV_NAMES = {
+    0x01: 'Lock Control',
+    0x02: 'Memory Control',
+    0x03: 'NDEF Message',
+    0xFD: 'Proprietary',
+    0xFE: 'Terminator',
+};
+
+// Type Name Format of the records
+const TNF_NAMES = ['Empty', 'Well-known', 'MIME', 'Absolute URI', 'External', 'Unknown', 'Unchanged', 'Reserved'];
+
+// Prefixes abbreviated by the first byte of a URI record (NFC Forum URI RTD)
+const URI_PREFIXES = [
+    '', 'http://www.', 'https://www.', 'http://', 'https://', 'tel:', 'mailto:', 'ftp://anonymous:anonymous@',
+    'ftp://ftp.', 'ftps://', 'sftp://', 'smb://', 'nfs://', 'ftp://', 'dav://', 'news:',
+    'telnet://', 'imap:', 'rtsp://', 'urn:', 'pop:', 'sip:', 'sips:', 'tftp:',
+    'btspp://', 'btl2cap://', 'btgoep://', 'tcpobex://', 'irdaobex://', 'file://', 'urn:epc:id:', 'urn:epc:tag:',
+    'urn:epc:pat:', 'urn:epc:raw:', 'urn:epc:', 'urn:nfc:',
+];
+
+/**
+ * Decodes bytes as text.
+ *
+ * @param {Array<number>} bytes - The bytes to decode.
+ * @param {string} [encoding] - The encoding, as accepted by TextDecoder.
+ * @returns {string} The decoded text.
+ */
+function decodeText(bytes, encoding = 'utf-8') {
+    return new TextDecoder(encoding).decode(new Uint8Array(bytes));
+}
+
+/**
+ * Tells whether the payload of a MIME record can be shown as text.
+ *
+ * @param {string} mimeType - The type of the record.
+ * @returns {boolean} `true` for text types (text/*, JSON, XML).
+ */
+function isTextMime(mimeType) {
+    return /^text\/|[/+](json|xml)$/i.test(mimeType);
+}
+
+/**
+ * Decodes the payload of a record according to its type.
+ *
+ * @param {number} tnf - The Type Name Format of the record.
+ * @param {string} type - The type of the record.
+ * @param {Array<number>} payload - The payload of the record.
+ * @param {Array<number>} payloadOffsets - The offset in the dump of every byte of the payload.
+ * @param {Array<Object>} diagnostics - The list the diagnostics are added to.
+ * @returns {Object} The decoded payload; `kind` tells which fields are set:
+ *          "uri" (uri), "text" (language, encoding, text), "smartPoster" (records), "mime" (mimeType, text),
+ *          "absoluteUri" (uri), "external" (text), "empty" or "unknown".
+ */
+function decodeRecord(tnf, type, payload, payloadOffsets, diagnostics) {
+    switch (tnf) {
+        case 0x00:
+            return { kind: 'empty' };
+        case 0x01:
+            if (type === 'U' && payload.length) {
+                return { kind: 'uri', uri: (URI_PREFIXES[payload[0]] ?? '') + decodeText(payload.slice(1)) };
+            }
+            if (type === 'T' && payload.length) {
+                // The status byte tells the encoding (bit 7) and the length of the language code (bits 5-0).
+                const encoding = payload[0] & 0x80 ? 'utf-16be' : 'utf-8';
+                const languageLength = payload[0] & 0x3F;
+                return {
+                    kind: 'text',
+                    encoding,
+                    language: decodeText(payload.slice(1, 1 + languageLength), 'ascii'),
+                    text: decodeText(payload.slice(1 + languageLength), encoding),
+                };
+            }
+            if (type === 'Sp') {
+                // The payload of a Smart Poster is itself an NDEF message (URI, title, action...).
+                return { kind: 'smartPoster', records: parseNdefMessage(payload, payloadOffsets, diagnostics) };
+            }
+            return { kind: 'unknown' };
+        case 0x02:
+            return { kind: 'mime', mimeType: type, text: isTextMime(type) ? decodeText(payload) : null };
+        case 0x03:
+            return { kind: 'absoluteUri', uri: type };
+        case 0x04:
+            // External types (e.g. "android.com:pkg") usually carry text, but nothing guarantees it.
+            return { kind: 'external', text: payload.every(byte => byte >= 0x20 && byte < 0x7F) ? decodeText(payload) : null };
+        default:
+            return { kind: 'unknown' };
+    }
+}
+
+/**
+ * Parses the records of an NDEF message.
+ *
+ * @param {Array<number>} bytes - The bytes of the message.
+ * @param {Array<number>} offsets - The offset in the dump of every byte of the message.
+ * @param {Array<Object>} diagnostics - The list the diagnostics are added to.
+ * @returns {Array<Object>} The records of the message.
+ *
+ * @property {number} [].tnf - The Type Name Format of the record.
+ * @property {string} [].tnfName - The name of the Type Name Format.
+ * @property {string} [].type - The type of the record (e.g. "U", "T", "Sp", a MIME type...).
+ * @property {string} [].id - The ID of the record (empty if it has none).
+ * @property {Array<number>} [].payload - The payload of the record.
+ * @property {boolean} [].chunked - Whether the record is a chunk of a larger payload (CF flag).
+ * @property {Array<number>} [].offsets - The offset in the dump of every byte of the record, header included.
+ * @property {Object} [].decoded - The decoded payload (see decodeRecord).
+ */
+function parseNdefMessage(bytes, offsets, diagnostics) {
+    const Records = [];
+
+    let i = 0;
+    while (i < bytes.length) {
+        const header = bytes[i];
+        const isShort = Boolean(header & 0x10);
+        const hasId = Boolean(header & 0x08);
+
+        // Header byte, type length, payload length (1 or 4 bytes) and ID length
+        const headerLength = 2 + (isShort ? 1 : 4) + (hasId ? 1 : 0);
+        if (i + headerLength > bytes.length) {
+            diagnostics.push(createDiagnostic('warning', 'NdefTruncated', {}, { offset: offsets[i] }));
+            break;
+        }
+
+        const typeLength = bytes[i + 1];
+        const payloadLength = isShort ? bytes[i + 2] : ((bytes[i + 2] << 24) | (bytes[i + 3] << 16) | (bytes[i + 4] << 8) | bytes[i + 5]) >>> 0;
+        const idLength = hasId ? bytes[i + headerLength - 1] : 0;
+
+        const typeStart = i + headerLength;
+        const payloadStart = typeStart + typeLength + idLength;
+        const end = payloadStart + payloadLength;
+        if (end > bytes.length) {
+            diagnostics.push(createDiagnostic('warning', 'NdefTruncated', {}, { offset: offsets[i] }));
+            break;
+        }
+
+        const tnf = header & 0x07;
+        const type = decodeText(bytes.slice(typeStart, typeStart + typeLength), 'ascii');
+        const payload = bytes.slice(payloadStart, end);
+
+        Records.push({
+            tnf,
+            tnfName: TNF_NAMES[tnf],
+            type,
+            id: decodeText(bytes.slice(typeStart + typeLength, payloadStart), 'ascii'),
+            payload,
+            chunked: Boolean(header & 0x20),
+            offsets: offsets.slice(i, end),
+            decoded: decodeRecord(tnf, type, payload, offsets.slice(payloadStart, end), diagnostics),
+        });
+
+        i = end;
+
+        // The ME flag marks the last record of the message.
+        if (header & 0x40) break;
+    }
+
+    return Records;
+}
+
+/**
+ * Walks the TLV stream of the data area of a card and decodes the NDEF messages it holds.
+ *
+ * @param {Array<number>|Uint8Array} raw - Every byte of the card.
+ * @param {Array<number>|Uint8Array} known - One entry per byte of `raw`: 1 if the byte was read, 0 if it is unknown.
+ * @param {Array<number>} area - The offsets of the bytes of the data area, in order (sector trailers and configuration pages excluded).
+ * @param {Array<Object>} diagnostics - The list the diagnostics are added to (truncated TLVs or records, NDEF messages that were not fully read).
+ * @returns {{tlvs: Array<Object>}|null} The TLVs found in the data area, or `null` if the card has no NDEF data area.
+ *
+ * @property {number} tlvs[].tag - The tag of the TLV.
+ * @property {string|null} tlvs[].name - The name of the TLV (`null` for unknown tags).
+ * @property {Array<number>} tlvs[].offsets - The offset in the dump of every byte of the TLV, tag and length included.
+ * @property {Array<Object>|null} tlvs[].records - The records of an NDEF Message TLV (see parseNdefMessage),
+ *                                                 or `null` for other TLVs and for messages with unknown bytes.
+ */
+function decodeNdef(raw, known, area, diagnostics) {
+    if (!area.length) return null;
+
+    const Bytes = area.map(offset => raw[offset]);
+    const Tlvs = [];
+
+    let i = 0;
+    while (i < Bytes.length) {
+        const tag = Bytes[i];
+
+        // Stop at the first byte that was not read: the rest of the stream cannot be trusted.
+        if (!known[area[i]]) break;
+
+        // NULL TLVs are padding; the Terminator TLV ends the stream. Neither has a length.
+        if (tag === 0x00) {
+            i++;
+            continue;
+        }
+        if (tag === 0xFE) {
+            Tlvs.push({ tag, name: TLV_NAMES[tag], offsets: [area[i]], records: null });
+            break;
+        }
+
+        // 1-byte length, or 0xFF followed by a 2-byte length
+        const isLong = Bytes[i + 1] === 0xFF;
+        const lengthSize = isLong ? 3 : 1;
+        const length = isLong ? (Bytes[i + 2] << 8) | Bytes[i + 3] : Bytes[i + 1];
+        const valueStart = i + 1 + lengthSize;
+        const end = valueStart + length;
+
+        if (i + lengthSize >= Bytes.length || end > Bytes.length) {
+            diagnostics.push(createDiagnostic('warning', 'NdefTruncated', {}, { offset: area[i] }));
+            break;
+        }
+
+        const Tlv = { tag, name: TLV_NAMES[tag] ?? null, offsets: area.slice(i, end), records: null };
+        if (tag === 0x03) {
+            if (Tlv.offsets.every(offset => known[offset])) {
+                Tlv.records = parseNdefMessage(Bytes.slice(valueStart, end), area.slice(valueStart, end), diagnostics);
+            } else {
+                diagnostics.push(createDiagnostic('warning', 'NdefUnread', {}, { offset: area[i] }));
+            }
+        }
+        Tlvs.push(Tlv);
+
+        i = end;
+    }
+
+    return { tlvs: Tlvs };
+}
+
+export { NFC_FORUM_AID, URI_PREFIXES, parseNdefMessage, decodeNdef };
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { parseNdefMessage, decodeNdef } from './ndef';
+
+// URI record "https://example.com": MB, ME, SR, well-known type "U", prefix 0x04 ("https://")
+const URI_RECORD = [0xD1, 0x01, 0x0C, 0x55, 0x04, ...new TextEncoder().encode('example.com')];
+
+/**
+ * Lists the offsets of a range of bytes
+ * @param {number} start - The offset of the first byte
+ * @param {number} length - The number of bytes
+ * @returns {Array<number>} The offsets
+ */
+function range(start, length) {
+    return Array.from({ length }, (_, i) => start + i);
+}
+
+describe('parseNdefMessage', () => {
+    it('decodes a URI record with its abbreviated prefix', () => {
+        const Records = parseNdefMessage(URI_RECORD, range(100, URI_RECORD.length), []);
+        expect(Records).toHaveLength(1);
+        expect(Records[0]).toMatchObject({ tnf: 1, tnfName: 'Well-known', type: 'U', id: '', decoded: { kind: 'uri', uri: 'https://example.com' } });
+        expect(Records[0].offsets).toEqual(range(100, URI_RECORD.length));
+    });
+
+    it('decodes a text record with its language', () => {
+        const Record = [0xD1, 0x01, 0x07, 0x54, 0x02, ...new TextEncoder().encode('enCiao')];
+        expect(parseNdefMessage(Record, range(0, Record.length), [])[0].decoded).toEqual({ kind: 'text', encoding: 'utf-8', language: 'en', text: 'Ciao' });
+    });
+
+    it('reports a record longer than the message', () => {
+        const Diagnostics = [];
+        expect(parseNdefMessage(URI_RECORD.slice(0, 8), range(0, 8), Diagnostics)).toEqual([]);
+        expect(Diagnostics[0]).toMatchObject({ code: 'NdefTruncated', offset: 0 });
+    });
+});
+
+describe('decodeNdef', () => {
+    // NULL TLV, NDEF Message TLV and Terminator TLV, split around a sector trailer (offsets 48-63)
+    const Stream = [0x00, 0x03, URI_RECORD.length, ...URI_RECORD, 0xFE];
+    const Area = [...range(16, 32), ...range(64, 48)].slice(0, Stream.length);
+
+    /**
+     * Writes the TLV stream into the bytes of a card
+     * @returns {{raw: Array<number>, known: Array<number>}} The bytes of the card and its known mask
+     */
+    function buildCard() {
+        const raw = new Array(128).fill(0);
+        Area.forEach((offset, i) => raw[offset] = Stream[i]);
+        return { raw, known: new Array(128).fill(1) };
+    }
+
+    it('walks the TLVs across the data area, keeping the offsets of every byte', () => {
+        const { raw, known } = buildCard();
+        const Ndef = decodeNdef(raw, known, Area, []);
+        expect(Ndef.tlvs.map(tlv => tlv.name)).toEqual(['NDEF Message', 'Terminator']);
+        expect(Ndef.tlvs[0].offsets).toEqual(Area.slice(1, -1));
+        expect(Ndef.tlvs[0].records[0].decoded.uri).toBe('https://example.com');
+    });
+
+    it('does not decode a message with unknown bytes', () => {
+        const { raw, known } = buildCard();
+        known[Area[10]] = 0;
+        const Diagnostics = [];
+        expect(decodeNdef(raw, known, Area, Diagnostics).tlvs[0].records).toBeNull();
+        expect(Diagnostics[0]).toMatchObject({ code: 'NdefUnread', offset: Area[1] });
+    });
+
+    it('returns null for a card without a data area', () => {
+        expect(decodeNdef([], [], [], [])).toBeNull();
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Re-parses a dump after its bytes have been changed in the UI (e.g. a trailer crafted with the access conditions calculator).
+ *
+ * The parsers only read hex strings, so the modified bytes are written back to hex and parsed again; the fields added
+ * by the importers, which cannot be rebuilt from the bytes, are carried over from the previous model.
+ */
+import { DumpToJson } from './NFCDumptoJSON';
+import { UltralightDumpToJson } from './UltralightDumpToJSON';
+import { convertUint8ToArray } from './convertUint8ToArray';
+
+/**
+ * Builds a new model from modified bytes of a parsed dump.
+ *
+ * @param {Object} model - The parsed dump, as stored in sessionStorage (`fileJSON`).
+ * @param {Array<number>} raw - The new bytes of the dump.
+ * @param {Array<number>} known - The new known/unknown mask (1 for every byte that was read, 0 for every unknown byte).
+ * @returns {Object|null} The re-parsed dump with its byte arrays converted to plain Arrays, ready to be stored in sessionStorage,
+ *                        or `null` if the parser rejected the bytes.
+ */
+function rebuildModel(model, raw, known) {
+    // Only the bytes of the imported dump are parsed again, so that a short dump is padded and reported as it was at import.
+    // Bytes written since in the padding lengthen the dump up to the last of them.
+    const length = Math.max(model.dumpLength ?? raw.length, Array.from(known).findLastIndex(Boolean) + 1);
+
+    // Unknown bytes are written as "??", so they stay unknown in the new model.
+    const HexString = Array.from(raw).slice(0, length).map((byte, i) => known[i] ? byte.toString(16).padStart(2, '0') : '??').join('');
+
+    const Rebuilt = model.family === 'ultralight' ? UltralightDumpToJson(HexString) : DumpToJson(HexString, model.cardInfo);
+    if (!Rebuilt) return null;
+
+    // The original file is kept so that exporting to the same format preserves the fields MifareLab does not parse.
+    if (model.source) Rebuilt.source = model.source;
+
+    // The keys recovered by the reader are not stored in the bytes of the dump.
+    Rebuilt.sectors?.forEach((sector, i) => {
+        if (model.sectors?.[i]?.recoveredKeys) sector.recoveredKeys = model.sectors[i].recoveredKeys;
+    });
+
+    return convertUint8ToArray(Rebuilt);
+}
+
+export { rebuildModel };
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { ProxmarkJsonToJson } from './importers/ProxmarkJSON';
+import { ProxmarkEmlToJson } from './importers/ProxmarkEML';
+import { convertUint8ToArray } from './convertUint8ToArray';
+import { rebuildModel } from './rebuildModel';
+
+/**
+ * Parses a Proxmark3 JSON dump of a MIFARE Classic 1K card whose block 5 could not be read
+ * @returns {Object} The parsed dump, with its byte arrays as plain Arrays
+ */
+function loadDump() {
+    const blocks = {};
+    for (let block = 0; block < 64; block++) {
+        if (block !== 5) blocks[block] = block % 4 === 3 ? 'FFFFFFFFFFFFFF078069FFFFFFFFFFFF' : '00'.repeat(16);
+    }
+    blocks[0] = 'B5A9C3E2BF0804006263646566676869';
+    const Text = JSON.stringify({ Created: 'proxmark3', FileType: 'mfc v2', blocks, SectorKeys: { 1: { KeyA: 'A0A1A2A3A4A5' } } });
+    return convertUint8ToArray(ProxmarkJsonToJson(Text));
+}
+
+describe('rebuildModel', () => {
+    it('parses the new bytes again', () => {
+        const Model = loadDump();
+        const Raw = [...Model.raw];
+        Raw.splice(7 * 16 + 6, 3, 0x7F, 0x07, 0x88);
+
+        const Rebuilt = rebuildModel(Model, Raw, Model.known);
+        expect(Rebuilt.sectors[1].sectorTrailer.accessConditions.parsed).toEqual(['000', '000', '000', '011']);
+        expect(Rebuilt.sectors[0].sectorTrailer.accessConditions.parsed).toEqual(['000', '000', '000', '001']);
+    });
+
+    it('keeps the unknown bytes unknown and the fields added by the importer', () => {
+        const Model = loadDump();
+        const Rebuilt = rebuildModel(Model, Model.raw, Model.known);
+        expect(Rebuilt.known).toEqual(Model.known);
+        expect(Rebuilt.sectors[1].recoveredKeys).toEqual(Model.sectors[1].recoveredKeys);
+        expect(Rebuilt.source).toEqual(Model.source);
+    });
+
+    it('parses a short dump again without its padding', () => {
+        // Sectors 0-5 and half of sector 6 were dumped
+        const Hex = Array.from({ length: 26 }, (_, block) => block % 4 === 3 ? 'FFFFFFFFFFFFFF078069FFFFFFFFFFFF' : '00'.repeat(16));
+        Hex[0] = 'B5A9C3E2BF0804006263646566676869';
+        Hex[20] = '-'.repeat(32);
+        const Model = convertUint8ToArray(ProxmarkEmlToJson(Hex.join('\n')));
+        const codes = json => json.diagnostics.map(({ code }) => code);
+        expect(codes(Model)).toEqual(expect.arrayContaining(['ShortDump', 'TruncatedSector']));
+
+        const Rebuilt = rebuildModel(Model, Model.raw, Model.known);
+        expect(Rebuilt.dumpLength).toBe(26 * 16);
+        expect(codes(Rebuilt)).toEqual(codes(Model));
+
+        // A byte written in the padding is kept
+        const Raw = [...Model.raw];
+        const Known = [...Model.known];
+        [Raw[40 * 16], Known[40 * 16]] = [0x42, 1];
+        const Extended = rebuildModel(Model, Raw, Known);
+        expect(Extended.dumpLength).toBe(40 * 16 + 1);
+        expect(Extended.raw[40 * 16]).toBe(0x42);
+    });
+});
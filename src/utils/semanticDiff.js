@@ -0,0 +1,189 @@
+/**
+ * Semantic comparison of two parsed MIFARE Classic dumps.
+ *
+ * Where the byte diff (see dumpDiff.js) tells that "bytes 6-8 of sector 5 differ", this module tells what the
+ * difference means for the card: which blocks gained or lost permissions, which keys changed and from what kind of key
+ * (default, dictionary or custom), how the values of the value blocks moved, and so on.
+ *
+ * Every change is a record `{ code, sector, offset, params }`: `offset` is the first byte of the dump the change is about,
+ * and `params` hold what the UI needs to describe it. Bytes that were not read on either side are never compared.
+ */
+import { BLOCK_SIZE, getAccessGroup } from './cardLayout';
+import { ACCESS_GROUPS, DATA_PERMISSIONS, decodeTrailerAccess } from './accessConditions';
+import { decodeValueBlock } from './valueBlock';
+import { analyzeKeys } from './keyDictionary';
+
+/**
+ * Reads a block of a dump, if every byte of it was read.
+ *
+ * @param {Object} model - The parsed dump.
+ * @param {number} block - The block number.
+ * @returns {Array<number>|null} The 16 bytes of the block, or `null` if some of them are unknown or missing.
+ */
+function readBlock(model, block) {
+    const offset = block * BLOCK_SIZE;
+    if (offset + BLOCK_SIZE > model.raw.length) return null;
+    if (!Array.from(model.known).slice(offset, offset + BLOCK_SIZE).every(byte => byte)) return null;
+    return Array.from(model.raw).slice(offset, offset + BLOCK_SIZE);
+}
+
+/**
+ * Lists the keys allowed to use a data block, once a readable Key B is taken into account.
+ *
+ * @param {Array<string>} groups - The "C1C2C3" bits of every group of the sector (see decodeAccessBits).
+ * @param {number} group - The data access group (0-2).
+ * @returns {{read: Array<string>, write: Array<string>, increment: Array<string>, decrement: Array<string>}} The keys allowed
+ *          to read, write, increment and decrement/transfer/restore the block. A readable Key B allows nothing.
+ */
+function getEffectivePermissions(groups, group) {
+    const { keyBReadable } = decodeTrailerAccess(groups[ACCESS_GROUPS - 1]);
+    const Permissions = DATA_PERMISSIONS[groups[group]];
+    return Object.fromEntries(Object.entries(Permissions).map(([operation, keys]) => [operation, keys.filter(key => !keyBReadable || key === 'A')]));
+}
+
+/**
+ * Describes a key of a sector for the change records.
+ *
+ * @param {Object|null} found - The key of the sector in the key report (see analyzeKeys).
+ * @returns {{key: string|null, kind: string, name: string|null}} The key, its kind ("default", "known", "custom", or "unknown"
+ *          when it could not be found) and the name of its dictionary entry.
+ */
+function describeKey(found) {
+    if (!found) return { key: null, kind: 'unknown', name: null };
+    if (!found.match) return { key: found.key, kind: 'custom', name: null };
+    return { key: found.key, kind: found.match.isDefault ? 'default' : 'known', name: found.match.name };
+}
+
+/**
+ * Compares the trailers of a sector: validity and meaning of the access bits, keys and user byte.
+ *
+ * @param {Object} left - The first parsed dump.
+ * @param {Object} right - The second parsed dump.
+ * @param {number} sector - The sector number.
+ * @param {Array<Object>} keyReports - The key reports of both dumps (see analyzeKeys).
+ * @returns {Array<Object>} The change records of the trailer.
+ */
+function compareTrailers(left, right, sector, keyReports) {
+    const Records = [];
+    const { firstBlock, blockCount } = left.sectors[sector];
+    const trailerOffset = (firstBlock + blockCount - 1) * BLOCK_SIZE;
+    const record = (code, offset, params = {}) => Records.push({ code, sector, offset, params: { sector, ...params } });
+
+    // Access bits: compared only when they are valid on both sides
+    const LeftAccess = left.sectors[sector].sectorTrailer.accessConditions;
+    const RightAccess = right.sectors[sector].sectorTrailer.accessConditions;
+    if (LeftAccess.valid === true && RightAccess.valid === false) record('AccessBitsInvalid', trailerOffset + 6);
+    if (LeftAccess.valid === false && RightAccess.valid === true) record('AccessBitsRepaired', trailerOffset + 6);
+    if (LeftAccess.valid === true && RightAccess.valid === true) {
+        // Data blocks of every group whose effective permissions changed (a change of the trailer group can change them all)
+        for (let group = 0; group < ACCESS_GROUPS - 1; group++) {
+            const From = getEffectivePermissions(LeftAccess.parsed, group);
+            const To = getEffectivePermissions(RightAccess.parsed, group);
+            if (JSON.stringify(From) === JSON.stringify(To)) continue;
+
+            const Blocks = Array.from({ length: blockCount - 1 }, (_, block) => block).filter(block => getAccessGroup(block, blockCount) === group);
+            // The manufacturer block is read-only whatever the access bits say
+            const Affected = firstBlock === 0 ? Blocks.filter(block => block !== 0) : Blocks;
+            if (!Affected.length) continue;
+            record('DataAccess', (firstBlock + Affected[0]) * BLOCK_SIZE, { blocks: Affected, from: From, to: To });
+        }
+
+        const [fromBits, toBits] = [LeftAccess.parsed[ACCESS_GROUPS - 1], RightAccess.parsed[ACCESS_GROUPS - 1]];
+        if (fromBits !== toBits) record('TrailerAccess', trailerOffset + 6, { from: decodeTrailerAccess(fromBits), to: decodeTrailerAccess(toBits) });
+    }
+
+    // Keys, as found by the key report (trailer bytes or keys recovered by the reader)
+    ['A', 'B'].forEach((name) => {
+        const From = describeKey(keyReports[0].sectors[sector][name]);
+        const To = describeKey(keyReports[1].sectors[sector][name]);
+        if (From.key !== To.key) record('KeyChanged', trailerOffset + (name === 'A' ? 0 : 10), { name, from: From, to: To });
+    });
+
+    // User byte (byte 9 of the trailer)
+    const LeftTrailer = readBlock(left, firstBlock + blockCount - 1);
+    const RightTrailer = readBlock(right, firstBlock + blockCount - 1);
+    if (LeftTrailer && RightTrailer && LeftTrailer[9] !== RightTrailer[9]) {
+        record('UserByteChanged', trailerOffset + 9, { from: LeftTrailer[9], to: RightTrailer[9] });
+    }
+
+    return Records;
+}
+
+/**
+ * Compares the data blocks of a sector: values of the value blocks, and contents of the other blocks.
+ *
+ * @param {Object} left - The first parsed dump.
+ * @param {Object} right - The second parsed dump.
+ * @param {number} sector - The sector number.
+ * @returns {Array<Object>} The change records of the data blocks.
+ */
+function compareDataBlocks(left, right, sector) {
+    const Records = [];
+    const { firstBlock, blockCount } = left.sectors[sector];
+    const record = (code, block, params) => Records.push({ code, sector, offset: block * BLOCK_SIZE, params: { sector, block, ...params } });
+
+    for (let block = firstBlock; block < firstBlock + blockCount - 1; block++) {
+        const LeftBlock = readBlock(left, block);
+        const RightBlock = readBlock(right, block);
+        if (!LeftBlock || !RightBlock) continue;
+
+        const changed = LeftBlock.filter((byte, index) => byte !== RightBlock[index]).length;
+        if (!changed) continue;
+
+        // The manufacturer block holds the UID in its first bytes (4 or 7, as read by the parser)
+        if (block === 0) {
+            const From = Array.from(left.manifacturer.uid);
+            const To = Array.from(right.manifacturer.uid);
+            if (From.join() !== To.join()) record('UidChanged', 0, { from: From, to: To });
+            else record('DataChanged', 0, { bytes: changed });
+            continue;
+        }
+
+        const LeftValue = decodeValueBlock(LeftBlock);
+        const RightValue = decodeValueBlock(RightBlock);
+        if (LeftValue.valid && RightValue.valid) {
+            const delta = RightValue.value - LeftValue.value;
+            if (delta) record(delta > 0 ? 'ValueIncreased' : 'ValueDecreased', block, { from: LeftValue.value, to: RightValue.value, delta: Math.abs(delta) });
+            if (LeftValue.address !== RightValue.address) record('ValueAddressChanged', block, { from: LeftValue.address, to: RightValue.address });
+        } else if (RightValue.valid) {
+            record('ValueCreated', block, { value: RightValue.value });
+        } else if (LeftValue.valid) {
+            record('ValueRemoved', block, { value: LeftValue.value });
+        } else {
+            record('DataChanged', block, { bytes: changed });
+        }
+    }
+
+    return Records;
+}
+
+/**
+ * Lists the changes between two MIFARE Classic dumps, from the first to the second.
+ *
+ * @param {Object} left - The first (older) parsed dump.
+ * @param {Object} right - The second (newer) parsed dump.
+ * @param {Map<string, Object>} dictionary - The key dictionary the keys are matched against (see buildKeyDictionary).
+ * @returns {Array<{code: string, sector: number, offset: number, params: Object}>} The change records, sorted by offset.
+ *          Only the sectors present in both dumps are compared. Codes:
+ *          - "DataAccess" (blocks, from, to: permissions of getEffectivePermissions), "TrailerAccess" (from, to: see decodeTrailerAccess),
+ *            "AccessBitsInvalid", "AccessBitsRepaired";
+ *          - "KeyChanged" (name, from, to: see describeKey), "UserByteChanged" (from, to);
+ *          - "ValueIncreased" / "ValueDecreased" (from, to, delta), "ValueAddressChanged" (from, to), "ValueCreated" / "ValueRemoved" (value);
+ *          - "UidChanged" (from, to), "DataChanged" (bytes).
+ *          Every record also carries the sector number in its params, and the block number for the data blocks.
+ */
+function diffModels(left, right, dictionary) {
+    if (left.family !== 'classic' || right.family !== 'classic') return [];
+
+    const KeyReports = [analyzeKeys(left, dictionary), analyzeKeys(right, dictionary)];
+    const sectorCount = Math.min(left.sectors.length, right.sectors.length);
+
+    const Records = [];
+    for (let sector = 0; sector < sectorCount; sector++) {
+        Records.push(...compareDataBlocks(left, right, sector), ...compareTrailers(left, right, sector, KeyReports));
+    }
+
+    return Records.sort((a, b) => a.offset - b.offset);
+}
+
+export { diffModels };
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { DumpToJson } from './NFCDumptoJSON';
+import { encodeAccessBits } from './accessConditions';
+import { encodeValueBlock } from './valueBlock';
+import { buildKeyDictionary } from './keyDictionary';
+import { diffModels } from './semanticDiff';
+
+/**
+ * Parses a MIFARE Classic 1K dump with transport trailers, after letting a callback change its bytes
+ * @param {function(Array<number>): void} [edit] - Changes the bytes of the dump
+ * @returns {Object} The parsed dump
+ */
+function parseCard(edit = () => {}) {
+    const Bytes = new Array(1024).fill(0);
+    [0xB5, 0xA9, 0xC3, 0xE2, 0x3D, 0x08, 0x04, 0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77, 0x88].forEach((byte, index) => Bytes[index] = byte);
+    for (let trailer = 48; trailer < 1024; trailer += 64) {
+        [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x07, 0x80, 0x69, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF].forEach((byte, index) => Bytes[trailer + index] = byte);
+    }
+    encodeValueBlock(100, 4).forEach((byte, index) => Bytes[64 + index] = byte);
+    edit(Bytes);
+    return DumpToJson(Bytes.map(byte => byte.toString(16).padStart(2, '0')).join(''));
+}
+
+const DICTIONARY = buildKeyDictionary([]);
+
+describe('diffModels', () => {
+    it('finds nothing between identical dumps', () => {
+        expect(diffModels(parseCard(), parseCard(), DICTIONARY)).toEqual([]);
+    });
+
+    it('describes how the value of a value block moved', () => {
+        const Right = parseCard(Bytes => encodeValueBlock(75, 4).forEach((byte, index) => Bytes[64 + index] = byte));
+        expect(diffModels(parseCard(), Right, DICTIONARY)).toEqual([
+            { code: 'ValueDecreased', sector: 1, offset: 64, params: { sector: 1, block: 4, from: 100, to: 75, delta: 25 } },
+        ]);
+    });
+
+    it('tells a new custom key from the default one', () => {
+        const Right = parseCard(Bytes => Bytes.fill(0x42, 64 + 48, 64 + 54));
+        const [Record] = diffModels(parseCard(), Right, DICTIONARY);
+        expect(Record).toMatchObject({ code: 'KeyChanged', sector: 1, offset: 112, params: { name: 'A' } });
+        expect(Record.params.from).toEqual({ key: 'FFFFFFFFFFFF', kind: 'default', name: 'Factory default' });
+        expect(Record.params.to).toEqual({ key: '424242424242', kind: 'custom', name: null });
+    });
+
+    it('lists the blocks whose permissions changed with the access bits', () => {
+        // Group 1 becomes read-only, and Key B is no longer readable
+        const Right = parseCard(Bytes => encodeAccessBits(['000', '010', '000', '011']).forEach((byte, index) => Bytes[64 + 48 + 6 + index] = byte));
+        const Codes = diffModels(parseCard(), Right, DICTIONARY).map(({ code, params }) => [code, params.blocks]);
+
+        // With Key B readable, only Key A was allowed on the data blocks: every group changes
+        expect(Codes).toEqual([
+            ['DataAccess', [0]],
+            ['DataAccess', [1]],
+            ['DataAccess', [2]],
+            ['TrailerAccess', undefined],
+        ]);
+    });
+
+    it('reports access bits that no longer match their inverted copy', () => {
+        const Right = parseCard(Bytes => Bytes[48 + 7] ^= 0x10);
+        expect(diffModels(parseCard(), Right, DICTIONARY).map(({ code }) => code)).toEqual(['AccessBitsInvalid']);
+    });
+
+    it('does not compare blocks that were not read', () => {
+        const Unread = parseCard();
+        Unread.known = Uint8Array.from(Unread.known, (byte, offset) => offset >= 64 && offset < 80 ? 0 : byte);
+        const Right = parseCard(Bytes => encodeValueBlock(75, 4).forEach((byte, index) => Bytes[64 + index] = byte));
+        expect(diffModels(Unread, Right, DICTIONARY)).toEqual([]);
+    });
+});
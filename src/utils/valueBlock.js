@@ -0,0 +1,80 @@
+/**
+ * Value blocks of MIFARE Classic cards.
+ *
+ * A value block stores a signed 32-bit value (little-endian) three times, once inverted, followed by an address byte
+ * stored four times, twice inverted:
+ *
+ *   AA AA AA AA !AA !AA !AA !AA AA AA AA AA BB !BB BB !BB
+ *
+ * Where:
+ * - A represents the value data (4 bytes, repeated 3 times).
+ * - !A represents the inverted value data (4 bytes).
+ * - B represents the address byte (1 byte, repeated twice), free for the application (often the number of a backup block).
+ * - !B represents the inverted address byte (1 byte, repeated twice).
+ * The exclamation mark (!) indicates the bitwise inversion of the corresponding data.
+ *
+ * The card only accepts the value commands (increment, decrement, restore, transfer) on blocks in this format.
+ */
+
+/**
+ * Reads a signed 32-bit little-endian value.
+ *
+ * @param {Array<number>} bytes - The 4 bytes of the value.
+ * @returns {number} The value.
+ */
+function readInt32(bytes) {
+    return bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24);
+}
+
+/**
+ * Decodes a block as a value block.
+ *
+ * @param {Array<number>|Uint8Array} block - The 16 bytes of the block.
+ * @returns {{value: number, address: number, valueValid: boolean, addressValid: boolean, valid: boolean}}
+ *          The value and address read from their first copy, whether their copies are consistent,
+ *          and whether the whole block is a valid value block.
+ */
+function decodeValueBlock(block) {
+    const Bytes = Array.from(block);
+
+    // The value is stored as is in bytes 0-3 and 8-11, and inverted in bytes 4-7.
+    const valueValid = [0, 1, 2, 3].every(i => Bytes[i] === Bytes[i + 8] && Bytes[i] === (Bytes[i + 4] ^ 0xFF));
+
+    // The address is stored as is in bytes 12 and 14, and inverted in bytes 13 and 15.
+    const addressValid = Bytes[12] === Bytes[14] && Bytes[12] === (Bytes[13] ^ 0xFF) && Bytes[12] === (Bytes[15] ^ 0xFF);
+
+    return {
+        value: readInt32(Bytes.slice(0, 4)),
+        address: Bytes[12],
+        valueValid,
+        addressValid,
+        valid: valueValid && addressValid,
+    };
+}
+
+/**
+ * Tells whether a block that is not a valid value block was probably meant to be one.
+ * A block whose value copies or address copies are consistent is very unlikely to be plain data
+ * (blocks of zeros or of 0xFF bytes are neither).
+ *
+ * @param {{valueValid: boolean, addressValid: boolean}} decoded - The block decoded by decodeValueBlock.
+ * @returns {boolean} `true` if exactly one of the two parts of the block is consistent.
+ */
+function isDamagedValueBlock(decoded) {
+    return decoded.valueValid !== decoded.addressValid;
+}
+
+/**
+ * Builds a value block.
+ *
+ * @param {number} value - The signed 32-bit value.
+ * @param {number} address - The address byte.
+ * @returns {Array<number>} The 16 bytes of the block.
+ */
+function encodeValueBlock(value, address) {
+    const Value = [0, 8, 16, 24].map(shift => (value >> shift) & 0xFF);
+    const Inverted = Value.map(byte => byte ^ 0xFF);
+    return [...Value, ...Inverted, ...Value, address, address ^ 0xFF, address, address ^ 0xFF];
+}
+
+export { decodeValueBlock, isDamagedValueBlock, encodeValueBlock };
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { decodeValueBlock, isDamagedValueBlock, encodeValueBlock } from './valueBlock';
+
+describe('encodeValueBlock', () => {
+    it('stores the value three times, once inverted, and the address four times', () => {
+        expect(encodeValueBlock(1, 0x04)).toEqual([
+            0x01, 0x00, 0x00, 0x00, 0xFE, 0xFF, 0xFF, 0xFF, 0x01, 0x00, 0x00, 0x00, 0x04, 0xFB, 0x04, 0xFB,
+        ]);
+    });
+});
+
+describe('decodeValueBlock', () => {
+    it('reads back the value and address of an encoded block, negative values included', () => {
+        [0, 100, -1, 0x7FFFFFFF, -0x80000000].forEach((value) => {
+            expect(decodeValueBlock(encodeValueBlock(value, 0x12))).toEqual({ value, address: 0x12, valueValid: true, addressValid: true, valid: true });
+        });
+    });
+
+    it('rejects blocks of zeros or of 0xFF bytes', () => {
+        expect(decodeValueBlock(new Array(16).fill(0x00)).valid).toBe(false);
+        expect(decodeValueBlock(new Array(16).fill(0xFF)).valid).toBe(false);
+    });
+});
+
+describe('isDamagedValueBlock', () => {
+    it('flags a value block with one corrupted copy', () => {
+        const Block = encodeValueBlock(100, 0x04);
+        Block[9] ^= 0x01;
+        expect(isDamagedValueBlock(decodeValueBlock(Block))).toBe(true);
+    });
+
+    it('does not flag plain data', () => {
+        expect(isDamagedValueBlock(decodeValueBlock(new Array(16).fill(0x00)))).toBe(false);
+        expect(isDamagedValueBlock(decodeValueBlock(Array.from({ length: 16 }, (_, i) => i)))).toBe(false);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Simulation of the value block commands of MIFARE Classic cards.
+ *
+ * The card never changes a value block in place: increment, decrement and restore read the source block into an internal
+ * transfer buffer (adding or subtracting the amount), and transfer writes the buffer into a block of the same sector.
+ * Each step is only carried out if the access conditions of the sector allow it for the key used to authenticate:
+ * - increment requires the "increment" permission on the source block;
+ * - decrement and restore require the "decrement/transfer/restore" permission on the source block;
+ * - transfer requires the "decrement/transfer/restore" permission on the destination block.
+ *
+ * The simulation works on a copy of the bytes of the dump; the dump itself is never modified.
+ */
+import { BLOCK_SIZE, getAccessGroup } from './cardLayout';
+import { ACCESS_GROUPS, decodeTrailerAccess, getDataAccess } from './accessConditions';
+import { decodeValueBlock, encodeValueBlock } from './valueBlock';
+
+const OPERATIONS = ['increment', 'decrement', 'restore'];
+
+// Permission (see getDataAccess) checked on the source block of each operation
+const OPERATION_PERMISSIONS = {
+    increment: 'increment',
+    decrement: 'DTR',
+    restore: 'DTR',
+};
+
+const INT32_MIN = -0x80000000;
+const INT32_MAX = 0x7FFFFFFF;
+
+/**
+ * Creates a rejected result.
+ *
+ * @param {string} reason - Identifier of the reason, used to pick the localized message.
+ * @param {Object} [params] - Values inserted in the localized message.
+ * @returns {{ok: false, reason: string, params: Object}} The result.
+ */
+function reject(reason, params = {}) {
+    return { ok: false, reason, params };
+}
+
+/**
+ * Simulates a value operation followed by a transfer.
+ *
+ * @param {Object} model - The parsed MIFARE Classic dump (its sectors and their access conditions).
+ * @param {Array<number>} raw - The current bytes of the simulated card (updated copies of `model.raw`).
+ * @param {Object} request - The operation to simulate.
+ * @param {number} request.sector - The sector the key authenticates to.
+ * @param {string} request.key - The key used to authenticate ("A" or "B").
+ * @param {string} request.operation - "increment", "decrement" or "restore".
+ * @param {number} request.amount - The amount added or subtracted (ignored by restore).
+ * @param {number} request.source - The block read, relative to the first block of the sector.
+ * @param {number} request.destination - The block written by the transfer, relative to the first block of the sector.
+ * @returns {{ok: true, raw: Array<number>, value: number, address: number}|{ok: false, reason: string, params: Object}}
+ *          The new bytes of the card and the value written, or the reason why the card would reject the operation:
+ *          "UnknownAccessBits", "InvalidAccessBits", "KeyBReadable", "NotDataBlock", "UnknownBytes", "NotValueBlock",
+ *          "AccessDenied" (with the step and the block) or "Overflow".
+ */
+function simulateValueOperation(model, raw, { sector, key, operation, amount, source, destination }) {
+    const Sector = model.sectors[sector];
+    const { accessConditions } = Sector.sectorTrailer;
+
+    // The card checks the access bits when authenticating: inconsistent ones lock the whole sector.
+    if (accessConditions.valid === null) return reject('UnknownAccessBits');
+    if (!accessConditions.valid) return reject('InvalidAccessBits');
+
+    // A readable Key B cannot be used to authenticate; a Key B without rights is rejected by the permission checks below.
+    if (key === 'B' && decodeTrailerAccess(accessConditions.parsed[ACCESS_GROUPS - 1]).keyBReadable) return reject('KeyBReadable');
+    const Access = getDataAccess(accessConditions.parsed, key);
+
+    // Only data blocks hold values: not the sector trailer, nor the manufacturer block.
+    const isDataBlock = (block) => block < Sector.blockCount - 1 && !(sector === 0 && block === 0);
+    if (!isDataBlock(source)) return reject('NotDataBlock', { block: source });
+    if (!isDataBlock(destination)) return reject('NotDataBlock', { block: destination });
+
+    const sourceOffset = (Sector.firstBlock + source) * BLOCK_SIZE;
+    if (Array.from(model.known).slice(sourceOffset, sourceOffset + BLOCK_SIZE).some(byte => !byte)) return reject('UnknownBytes', { block: source });
+
+    // Read the source block into the transfer buffer.
+    if (!Access[OPERATION_PERMISSIONS[operation]].includes(getAccessGroup(source, Sector.blockCount))) {
+        return reject('AccessDenied', { step: operation, block: source });
+    }
+    const Source = decodeValueBlock(raw.slice(sourceOffset, sourceOffset + BLOCK_SIZE));
+    if (!Source.valid) return reject('NotValueBlock', { block: source });
+
+    const value = operation === 'increment' ? Source.value + amount : operation === 'decrement' ? Source.value - amount : Source.value;
+    if (value < INT32_MIN || value > INT32_MAX) return reject('Overflow', { value });
+
+    // Write the transfer buffer, address byte included, into the destination block.
+    if (!Access.DTR.includes(getAccessGroup(destination, Sector.blockCount))) {
+        return reject('AccessDenied', { step: 'transfer', block: destination });
+    }
+    const Raw = [...raw];
+    const destinationOffset = (Sector.firstBlock + destination) * BLOCK_SIZE;
+    Raw.splice(destinationOffset, BLOCK_SIZE, ...encodeValueBlock(value, Source.address));
+
+    return { ok: true, raw: Raw, value, address: Source.address };
+}
+
+export { OPERATIONS, simulateValueOperation };
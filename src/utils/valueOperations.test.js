@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { simulateValueOperation } from './valueOperations';
+import { encodeValueBlock } from './valueBlock';
+
+/**
+ * Builds a 1-sector card whose first block holds a value of 10
+ * @param {Array<string>} parsed - The "C1C2C3" bits of the 4 access groups
+ * @returns {{model: Object, raw: Array<number>}} The parsed dump and its bytes
+ */
+function buildCard(parsed) {
+    const Raw = new Array(64).fill(0);
+    encodeValueBlock(10, 4).forEach((byte, index) => Raw[16 + index] = byte);
+    const Model = {
+        raw: Raw,
+        known: new Array(64).fill(1),
+        sectors: [{ firstBlock: 0, blockCount: 4, sectorTrailer: { accessConditions: { valid: true, parsed } } }],
+    };
+    return { model: Model, raw: Raw };
+}
+
+const INCREMENT_WITH_B = { sector: 0, key: 'B', operation: 'increment', amount: 1, source: 1, destination: 1 };
+
+describe('simulateValueOperation', () => {
+    it('rejects Key B when the trailer makes it readable', () => {
+        const { model, raw } = buildCard(['000', '000', '000', '001']);
+        expect(simulateValueOperation(model, raw, INCREMENT_WITH_B).reason).toBe('KeyBReadable');
+    });
+
+    it('rejects a Key B without rights on the block with the permission check, not as readable', () => {
+        const { model, raw } = buildCard(['111', '111', '111', '011']);
+        expect(simulateValueOperation(model, raw, INCREMENT_WITH_B)).toMatchObject({ ok: false, reason: 'AccessDenied', params: { step: 'increment', block: 1 } });
+    });
+
+    it('increments with a Key B allowed by the access bits', () => {
+        const { model, raw } = buildCard(['110', '110', '110', '011']);
+        expect(simulateValueOperation(model, raw, INCREMENT_WITH_B)).toMatchObject({ ok: true, value: 11 });
+    });
+});